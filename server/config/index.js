@@ -47,6 +47,8 @@ const defaultDataDir =
   IS_PRODUCTION && !process.env.DATA_DIR ? path.join(os.tmpdir(), 'vibecodekidz-data') : path.join(ROOT_DIR, 'data');
 export const DATA_DIR = process.env.DATA_DIR || defaultDataDir;
 export const PROJECTS_DIR = path.join(DATA_DIR, 'projects');
+export const PROJECT_VERSIONS_DIR = path.join(DATA_DIR, 'project_versions');
+export const PROJECT_MEDIA_DIR = path.join(DATA_DIR, 'project_media');
 export const USERS_DIR = path.join(DATA_DIR, 'users');
 export const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
 export const DIST_DIR = path.join(ROOT_DIR, 'dist');
@@ -100,12 +102,66 @@ export const GROK_BASE_URL = 'https://api.x.ai/v1';
 export const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 export const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-5.4';
 
+// ========== AI PROVIDERS ==========
+
+// Which provider answers for each buddy. AI_PROVIDER switches every buddy at once
+// (e.g. AI_PROVIDER=fixture for offline runs); AI_PROVIDER_<BUDDY> overrides one.
+export const AI_PROVIDER = process.env.AI_PROVIDER || '';
+export const BUDDY_PROVIDERS = {
+  claude: process.env.AI_PROVIDER_CLAUDE || AI_PROVIDER || 'anthropic',
+  grok: process.env.AI_PROVIDER_GROK || AI_PROVIDER || 'xai',
+  openai: process.env.AI_PROVIDER_OPENAI || AI_PROVIDER || 'openai',
+};
+// Every buddy replays fixtures — skip anything else that would reach the network (GitHub references)
+export const AI_OFFLINE = Object.values(BUDDY_PROVIDERS).every((id) => id === 'fixture');
+// Fixture provider: where recorded responses live, and which real provider to record misses from
+export const AI_FIXTURE_DIR = path.resolve(ROOT_DIR, process.env.AI_FIXTURE_DIR || 'tests/fixtures/ai');
+export const AI_FIXTURE_RECORD = process.env.AI_FIXTURE_RECORD || '';
+
+// ========== AI BUDGETS ==========
+// Spend comes from the AI usage ledger (one row per provider call). Per-tier budgets live in
+// MEMBERSHIP_TIERS (aiBudgetCentsPerDay / aiBudgetCentsPerMonth); a household is every account
+// sharing a parent email. Over a daily budget, generation drops to AI_BUDGET_PROVIDER (a cheaper
+// model); over a monthly budget it's refused.
+export const HOUSEHOLD_AI_BUDGET = {
+  centsPerDay: parseInt(process.env.HOUSEHOLD_AI_BUDGET_CENTS_PER_DAY || '500', 10),
+  centsPerMonth: parseInt(process.env.HOUSEHOLD_AI_BUDGET_CENTS_PER_MONTH || '4000', 10),
+};
+export const AI_BUDGET_PROVIDER = process.env.AI_BUDGET_PROVIDER || 'anthropic-economy';
+export const AI_ECONOMY_MODEL = process.env.AI_ECONOMY_MODEL || 'claude-haiku-4-5';
+export const AI_USAGE_RETENTION_DAYS = 400; // Ledger rows older than this are purged by the retention sweep
+
 // ========== TRI-MODEL SETTINGS ==========
 
 export const SESSION_TOKEN_CAP = parseInt(process.env.SESSION_TOKEN_CAP || '200000', 10);
 export const DEBUG_MAX_CLAUDE_ATTEMPTS = 2; // How many Claude tries before auto-routing to Grok for debugging
 export const RESPONSE_CACHE_TTL = 60 * 60 * 1000; // 1 hour TTL for response cache
 export const RESPONSE_CACHE_MAX_SIZE = 500; // Max entries in response cache
+// Iterations on an existing game ask for search/replace hunks instead of the whole file
+// ('diff' | 'full'). Games shorter than EDIT_MODE_MIN_CHARS always regenerate in full.
+export const AI_EDIT_MODE = process.env.AI_EDIT_MODE === 'full' ? 'full' : 'diff';
+export const EDIT_MODE_MIN_CHARS = parseInt(process.env.EDIT_MODE_MIN_CHARS || '6000', 10);
+// Test-play each generated game in headless Chromium for RUNTIME_VERIFY_MS and auto-repair
+// crashes, dead game loops and blank canvases. Skipped when no browser is installed.
+export const RUNTIME_VERIFY = process.env.RUNTIME_VERIFY !== 'off';
+export const RUNTIME_VERIFY_MS = parseInt(process.env.RUNTIME_VERIFY_MS || '3000', 10);
+// Test-plays (and thumbnail captures) run at most this many at once; one that waits longer than
+// RUNTIME_VERIFY_QUEUE_MS for a slot is skipped rather than holding up the generation
+export const RUNTIME_VERIFY_CONCURRENCY = Math.max(1, parseInt(process.env.RUNTIME_VERIFY_CONCURRENCY || '2', 10) || 1);
+export const RUNTIME_VERIFY_QUEUE_MS = parseInt(process.env.RUNTIME_VERIFY_QUEUE_MS || '10000', 10);
+// Screenshot published games in the same sandbox for gallery thumbnails, plus GAME_PREVIEW_FRAMES
+// frames stitched into a looping animated preview (0 = stills only). Skipped when no browser is installed.
+export const GAME_CAPTURE = process.env.GAME_CAPTURE !== 'off';
+export const GAME_PREVIEW_FRAMES = Math.min(12, Math.max(0, parseInt(process.env.GAME_PREVIEW_FRAMES ?? '6', 10) || 0));
+// Best-of-N mode: how many independent drafts of a new game to generate in parallel (2-4)
+export const BEST_OF_N_CANDIDATES = Math.min(
+  4,
+  Math.max(2, parseInt(process.env.BEST_OF_N_CANDIDATES || '2', 10) || 2),
+);
+// Prompt A/B experiment (prompts/variants.js). PROMPT_EXPERIMENT names the run and salts the
+// bucketing; PROMPT_EXPERIMENT_VARIANTS lists "id:weight" pairs. Unset = everyone gets the current prompts.
+export const PROMPT_EXPERIMENT = process.env.PROMPT_EXPERIMENT || '';
+export const PROMPT_EXPERIMENT_VARIANTS = process.env.PROMPT_EXPERIMENT_VARIANTS || '';
 
 // ========== REFERENCE CODE SYSTEM ==========
 
@@ -139,6 +195,8 @@ export const MEMBERSHIP_TIERS = {
     playsPerDay: 50,
     aiCoversPerMonth: 0,
     aiSpritesPerMonth: 0,
+    aiBudgetCentsPerDay: 100,
+    aiBudgetCentsPerMonth: 300,
     canAccessPremiumAssets: false,
   },
   creator: {
@@ -149,6 +207,8 @@ export const MEMBERSHIP_TIERS = {
     playsPerDay: Infinity,
     aiCoversPerMonth: 5,
     aiSpritesPerMonth: 0,
+    aiBudgetCentsPerDay: 150,
+    aiBudgetCentsPerMonth: 1000,
     canAccessPremiumAssets: true,
     stripePriceId: STRIPE_PRICES.creator,
   },
@@ -160,6 +220,8 @@ export const MEMBERSHIP_TIERS = {
     playsPerDay: Infinity,
     aiCoversPerMonth: 20,
     aiSpritesPerMonth: 10,
+    aiBudgetCentsPerDay: 250,
+    aiBudgetCentsPerMonth: 1700,
     canAccessPremiumAssets: true,
     stripePriceId: STRIPE_PRICES.pro,
   },
@@ -171,6 +233,8 @@ export const MEMBERSHIP_TIERS = {
     playsPerDay: Infinity,
     aiCoversPerMonth: Infinity,
     aiSpritesPerMonth: Infinity,
+    aiBudgetCentsPerDay: Infinity,
+    aiBudgetCentsPerMonth: Infinity,
     canAccessPremiumAssets: true,
   },
 };
@@ -189,6 +253,12 @@ export const ESA_PRICING = {
   pro_annual: { tier: 'pro', amount: 21000, label: '$210 / year', months: 12 },
 };
 
+// ========== MULTIPLAYER ==========
+// 'postgres' shares rooms across instances via LISTEN/NOTIFY; 'memory' keeps them in-process.
+
+export const MULTIPLAYER_BACKEND = process.env.MULTIPLAYER_BACKEND || (USE_POSTGRES ? 'postgres' : 'memory');
+export const MULTIPLAYER_ROOM_IDLE_TTL_MS = 30 * 60 * 1000; // Rooms with no activity for 30 min are pruned
+
 // ========== MONITORING ==========
 
 export const SENTRY_DSN = process.env.SENTRY_DSN || null;
@@ -73,6 +73,13 @@ CREATE TABLE IF NOT EXISTS projects (
     likes           INT NOT NULL DEFAULT 0,
     game_config     JSONB,
     editor_scene    JSONB,
+    design_memory   JSONB,
+    files           JSONB,
+    remixed_from    JSONB,
+    remix_count     INT NOT NULL DEFAULT 0,
+    allow_remix     BOOLEAN NOT NULL DEFAULT true,
+    head_version_id TEXT,
+    capture         JSONB,
     created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -82,6 +89,46 @@ CREATE INDEX IF NOT EXISTS idx_projects_public ON projects(is_public, created_at
 CREATE INDEX IF NOT EXISTS idx_projects_category ON projects(category) WHERE is_public = true;
 ALTER TABLE projects ADD COLUMN IF NOT EXISTS game_config JSONB;
 ALTER TABLE projects ADD COLUMN IF NOT EXISTS editor_scene JSONB;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS design_memory JSONB;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS files JSONB;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS remixed_from JSONB;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS remix_count INT NOT NULL DEFAULT 0;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS allow_remix BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS head_version_id TEXT;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS capture JSONB;
+
+-- Gallery search (services/galleryIndex.js): title + gameConfig theme/character
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    to_tsvector('simple',
+        coalesce(title, '') || ' ' || coalesce(game_config->>'theme', '') || ' ' || coalesce(game_config->>'character', ''))
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_projects_search ON projects USING GIN (search_vector) WHERE is_public = true;
+CREATE INDEX IF NOT EXISTS idx_projects_public_likes ON projects(likes DESC, views DESC) WHERE is_public = true;
+CREATE INDEX IF NOT EXISTS idx_projects_genre_family ON projects((game_config->>'genreFamily')) WHERE is_public = true;
+CREATE INDEX IF NOT EXISTS idx_projects_remixed_from ON projects((remixed_from->>'projectId')) WHERE is_public = true;
+
+-- ========== GALLERY ==========
+-- Daily plays and likes per game, for the gallery's trending sort
+
+CREATE TABLE IF NOT EXISTS project_activity (
+    project_id      TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    day             DATE NOT NULL,
+    views           INT NOT NULL DEFAULT 0,
+    likes           INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (project_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_activity_day ON project_activity(day, project_id);
+
+-- Admin-curated gallery shelves ("Best Platformers of October")
+CREATE TABLE IF NOT EXISTS gallery_collections (
+    id              TEXT PRIMARY KEY,
+    title           TEXT NOT NULL,
+    description     TEXT NOT NULL DEFAULT '',
+    project_ids     JSONB NOT NULL DEFAULT '[]',
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
 
 -- ========== PROJECT VERSIONS ==========
 
@@ -93,11 +140,34 @@ CREATE TABLE IF NOT EXISTS project_versions (
     title           TEXT,
     auto_save       BOOLEAN NOT NULL DEFAULT false,
     editor_scene    JSONB,
+    files           JSONB,
+    parent_id       TEXT,
+    checkpoint_name TEXT,
+    prompt          TEXT,
     saved_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
 CREATE INDEX IF NOT EXISTS idx_versions_project ON project_versions(project_id, saved_at DESC);
 ALTER TABLE project_versions ADD COLUMN IF NOT EXISTS editor_scene JSONB;
+ALTER TABLE project_versions ADD COLUMN IF NOT EXISTS files JSONB;
+-- History is a tree: restoring an old version starts a branch from it (services/projectVersions.js)
+ALTER TABLE project_versions ADD COLUMN IF NOT EXISTS parent_id TEXT;
+ALTER TABLE project_versions ADD COLUMN IF NOT EXISTS checkpoint_name TEXT;
+ALTER TABLE project_versions ADD COLUMN IF NOT EXISTS prompt TEXT;
+CREATE INDEX IF NOT EXISTS idx_versions_project_version ON project_versions(project_id, version_id);
+
+-- ========== PROJECT MEDIA ==========
+-- Captured gallery thumbnails and animated previews (services/gameCapture.js).
+-- projects.capture records which code they were captured from and the moderation result.
+
+CREATE TABLE IF NOT EXISTS project_media (
+    project_id      TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name            TEXT NOT NULL,
+    content_type    TEXT NOT NULL,
+    data            BYTEA NOT NULL,
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (project_id, name)
+);
 
 -- ========== RATE LIMITING ==========
 -- Stores recent request timestamps for per-user rate limiting.
@@ -182,6 +252,7 @@ ALTER TABLE users ADD COLUMN IF NOT EXISTS improvement_opt_out BOOLEAN NOT NULL
 
 ALTER TABLE users ADD COLUMN IF NOT EXISTS publishing_enabled BOOLEAN NOT NULL DEFAULT false;
 ALTER TABLE users ADD COLUMN IF NOT EXISTS multiplayer_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS free_chat_enabled BOOLEAN NOT NULL DEFAULT false;  -- typed multiplayer chat (otherwise phrase-only)
 ALTER TABLE users ADD COLUMN IF NOT EXISTS parent_verified_method TEXT;        -- 'email_plus', 'stripe_micro', null
 ALTER TABLE users ADD COLUMN IF NOT EXISTS parent_verified_at TIMESTAMPTZ;
 ALTER TABLE users ADD COLUMN IF NOT EXISTS parent_dashboard_token TEXT;
@@ -275,6 +346,115 @@ CREATE INDEX IF NOT EXISTS idx_sprites_tags ON sprites USING GIN(tags);
 CREATE INDEX IF NOT EXISTS idx_sprites_roles ON sprites USING GIN(roles);
 CREATE INDEX IF NOT EXISTS idx_sprites_genres ON sprites USING GIN(genres);
 
+-- ========== MULTIPLAYER ROOMS ==========
+-- Shared room registry so WebSocket players on different instances can meet.
+-- Room messages fan out via LISTEN/NOTIFY on the 'multiplayer_events' channel.
+
+CREATE TABLE IF NOT EXISTS multiplayer_rooms (
+    code            TEXT PRIMARY KEY,
+    project_id      TEXT,
+    snapshot        JSONB NOT NULL,
+    version         INT NOT NULL DEFAULT 0,
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Bumped on every write; instances only save over the version they read (compare-and-swap)
+ALTER TABLE multiplayer_rooms ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_multiplayer_rooms_project ON multiplayer_rooms(project_id, updated_at DESC);
+
+-- Short-lived holding area for room messages larger than the 8KB NOTIFY payload limit
+CREATE TABLE IF NOT EXISTS multiplayer_relay (
+    id              BIGSERIAL PRIMARY KEY,
+    envelope        JSONB NOT NULL,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_multiplayer_relay_created ON multiplayer_relay(created_at);
+
+-- Opt-in room recordings (services/roomRecordings.js). Every instance appends to the same
+-- recording, so size_bytes caps it as a whole; ended is set once the end marker is written.
+CREATE TABLE IF NOT EXISTS room_recordings (
+    id              TEXT PRIMARY KEY,
+    room_code       TEXT NOT NULL,
+    project_id      TEXT,
+    meta            JSONB NOT NULL,
+    size_bytes      INTEGER NOT NULL DEFAULT 0,
+    ended           BOOLEAN NOT NULL DEFAULT false,
+    started_at      TIMESTAMPTZ NOT NULL,
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_recordings_started ON room_recordings(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_room_recordings_updated ON room_recordings(updated_at);
+
+-- One JSONL line per recorded event, in the order they were written
+CREATE TABLE IF NOT EXISTS room_recording_lines (
+    recording_id    TEXT NOT NULL REFERENCES room_recordings(id) ON DELETE CASCADE,
+    seq             BIGSERIAL,
+    line            TEXT NOT NULL,
+    PRIMARY KEY (recording_id, seq)
+);
+
+-- Host kicks and mutes, kept for admin review of abuse patterns
+CREATE TABLE IF NOT EXISTS multiplayer_moderation (
+    id              TEXT PRIMARY KEY,
+    action          TEXT NOT NULL,              -- 'kick', 'mute', 'unmute'
+    room_code       TEXT NOT NULL,
+    project_id      TEXT,
+    host_id         TEXT NOT NULL,
+    target_id       TEXT NOT NULL,
+    target_name     TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_multiplayer_moderation_target ON multiplayer_moderation(target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_multiplayer_moderation_created ON multiplayer_moderation(created_at DESC);
+
+-- ========== AI CACHE ==========
+-- Persistent tier behind the in-memory response and template caches, shared by all instances.
+-- Rows from an older schema_version never hit; expired rows are purged by the retention sweep.
+
+CREATE TABLE IF NOT EXISTS ai_cache (
+    namespace       TEXT NOT NULL,              -- 'response', 'template'
+    cache_key       TEXT NOT NULL,
+    schema_version  TEXT NOT NULL,
+    payload         JSONB NOT NULL,
+    hit_count       INTEGER NOT NULL DEFAULT 0,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at      TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (namespace, cache_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_cache_expires ON ai_cache(expires_at);
+
+-- ========== AI USAGE LEDGER ==========
+-- One row per provider call; the source of truth for AI budgets and admin usage reports.
+-- household_id is a hash of the shared parent email, never the email itself.
+
+CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+    id                  BIGSERIAL PRIMARY KEY,
+    user_id             TEXT,
+    household_id        TEXT,
+    tier                TEXT,
+    project_id          TEXT,
+    generation_id       TEXT,
+    buddy               TEXT NOT NULL,              -- 'claude', 'grok', 'openai'
+    provider            TEXT NOT NULL,
+    model               TEXT NOT NULL,
+    input_tokens        INTEGER NOT NULL DEFAULT 0,
+    output_tokens       INTEGER NOT NULL DEFAULT 0,
+    cache_read_tokens   INTEGER NOT NULL DEFAULT 0,
+    cache_write_tokens  INTEGER NOT NULL DEFAULT 0,
+    cost_cents          DOUBLE PRECISION NOT NULL DEFAULT 0,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage_ledger(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user ON ai_usage_ledger(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_household ON ai_usage_ledger(household_id, created_at) WHERE household_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ai_usage_generation ON ai_usage_ledger(generation_id);
+
 -- ========== CLEANUP ==========
 -- Automatic cleanup of expired sessions and old rate limit entries.
 -- Run these periodically via a cron job or scheduled task.
@@ -284,3 +464,9 @@ CREATE INDEX IF NOT EXISTS idx_sprites_genres ON sprites USING GIN(genres);
 
 -- Delete rate limit entries older than 1 hour:
 -- DELETE FROM rate_limit_requests WHERE requested_at < NOW() - INTERVAL '1 hour';
+
+-- Delete gallery activity older than the trending window:
+-- DELETE FROM project_activity WHERE day < CURRENT_DATE - 30;
+
+-- Delete idle multiplayer rooms (the server also prunes these every few minutes):
+-- DELETE FROM multiplayer_rooms WHERE updated_at < NOW() - INTERVAL '30 minutes';
@@ -26,10 +26,7 @@ import {
   USE_POSTGRES,
   IS_PRODUCTION,
   IGNORING_PLACEHOLDER_DATABASE_URL,
-  ANTHROPIC_API_KEY,
-  AI_MODEL,
-  XAI_API_KEY,
-  OPENAI_API_KEY,
+  BUDDY_PROVIDERS,
   STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET,
   STRIPE_PRICES,
@@ -37,14 +34,16 @@ import {
 } from './config/index.js';
 
 // Services
-import { ensureDataDirs } from './services/storage.js';
+import { ensureDataDirs, readUser } from './services/storage.js';
 import { SessionStore } from './services/sessions.js';
 import log from './services/logger.js';
+import { getBuddyProvider } from './services/providers/index.js';
 import { injectNonce } from './utils/injectNonce.js';
 import { resolvePublicCreatorAlias } from './utils/publicCreatorAlias.js';
 
 // Middleware
-import { requireAdmin } from './middleware/auth.js';
+import { requireAdmin, requireAuth } from './middleware/auth.js';
+import { ageGate } from './middleware/ageGate.js';
 import { securityHeaders } from './middleware/security.js';
 import { wafMiddleware } from './middleware/waf.js';
 import { requestLogger } from './middleware/requestLogger.js';
@@ -69,7 +68,7 @@ import demoAnalyticsRouter from './routes/demoAnalytics.js';
 import marketingAnalyticsRouter from './routes/marketingAnalytics.js';
 import reportRouter from './routes/report.js';
 import createAssetCatalogRouter from './routes/assetCatalog.js';
-import { initMultiplayer, getRoomInfo, getActiveRooms, getAllowedChatPhrases } from './multiplayer.js';
+import { initMultiplayer, getRoomInfo, getActiveRooms, getLobbyRooms, getAllowedChatPhrases } from './multiplayer.js';
 import { startRetentionSchedule } from './services/dataRetention.js';
 
 // ========== INIT ==========
@@ -85,8 +84,11 @@ if (IS_PRODUCTION && !USE_POSTGRES) {
 if (IGNORING_PLACEHOLDER_DATABASE_URL) {
   log.warn('Ignoring placeholder DATABASE_URL in local dev and falling back to file storage.');
 }
-if (!ANTHROPIC_API_KEY) {
-  log.warn('ANTHROPIC_API_KEY is not set — Claude AI features will not work until configured.');
+if (!getBuddyProvider('claude').isAvailable()) {
+  log.warn(`Claude AI features will not work until configured — ${getBuddyProvider('claude').setupHint}`);
+}
+if (BUDDY_PROVIDERS.claude === 'fixture') {
+  log.warn('AI_PROVIDER is fixture — replaying recorded AI responses, no live model calls.');
 }
 
 // Sentry is initialized early via server/instrument.js (--import flag).
@@ -449,10 +451,11 @@ app.get('/api/health', async (_req, res) => {
     status: 'ok',
     uptime,
     storage: USE_POSTGRES ? 'postgres' : 'file',
-    ai: !!ANTHROPIC_API_KEY,
-    aiModel: ANTHROPIC_API_KEY ? AI_MODEL : null,
-    grok: !!XAI_API_KEY,
-    openai: !!OPENAI_API_KEY,
+    ai: getBuddyProvider('claude').isAvailable(),
+    aiModel: getBuddyProvider('claude').isAvailable() ? getBuddyProvider('claude').model : null,
+    grok: getBuddyProvider('grok').isAvailable(),
+    openai: getBuddyProvider('openai').isAvailable(),
+    aiProviders: BUDDY_PROVIDERS,
     timestamp: new Date().toISOString(),
   };
 
@@ -604,18 +607,46 @@ app.use('/api/parent/verify-charge', parentVerifyChargeRouter);
 app.use('/api/parent-dashboard', parentDashboardRouter);
 
 // Multiplayer REST endpoints
-app.get('/api/rooms/:code', (req, res) => {
-  const room = getRoomInfo(req.params.code);
-  if (!room) return res.status(404).json({ error: 'Room not found' });
-  res.json(room);
+app.get('/api/rooms/:code', async (req, res) => {
+  try {
+    const room = await getRoomInfo(req.params.code);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    res.json(room);
+  } catch (err) {
+    log.error({ err }, 'Room lookup error');
+    res.status(500).json({ error: 'Could not load room' });
+  }
 });
 
-app.get('/api/projects/:id/rooms', (req, res) => {
-  res.json(getActiveRooms(req.params.id));
+app.get('/api/projects/:id/rooms', async (req, res) => {
+  try {
+    res.json(await getActiveRooms(req.params.id));
+  } catch (err) {
+    log.error({ err }, 'Room list error');
+    res.status(500).json({ error: 'Could not load rooms' });
+  }
 });
 
-app.get('/api/rooms', (req, res) => {
-  res.json(getActiveRooms(req.query.projectId));
+// Public lobby: open rooms for a gallery game, for players allowed to use multiplayer
+app.get('/api/projects/:id/lobby', requireAuth(sessions), async (req, res) => {
+  try {
+    const user = await readUser(req.userId).catch(() => null);
+    const check = ageGate(user, 'multiplayer');
+    if (!check.allowed) return res.status(403).json({ error: check.reason });
+    res.json({ rooms: await getLobbyRooms(req.params.id) });
+  } catch (err) {
+    log.error({ err }, 'Lobby list error');
+    res.status(500).json({ error: 'Could not load rooms' });
+  }
+});
+
+app.get('/api/rooms', async (req, res) => {
+  try {
+    res.json(await getActiveRooms(req.query.projectId));
+  } catch (err) {
+    log.error({ err }, 'Room list error');
+    res.status(500).json({ error: 'Could not load rooms' });
+  }
 });
 
 app.get('/api/multiplayer/phrases', (_req, res) => {
@@ -662,7 +693,7 @@ app.use((err, _req, res, _next) => {
 // ========== START SERVER ==========
 
 const server = createServer(app);
-initMultiplayer(server, sessions);
+await initMultiplayer(server, sessions);
 
 server.listen(PORT, () => {
   log.info(
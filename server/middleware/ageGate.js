@@ -23,11 +23,21 @@ const FEATURE_RULES = {
     juniorRequires: 'multiplayerEnabled',
     denyReason: 'Multiplayer is not enabled for your account. A parent must enable it in the Parent Command Center.',
   },
+  multiplayerFreeChat: {
+    requiresConsent: true,
+    juniorRequires: 'freeChatEnabled',
+    denyReason: 'Typed chat is not enabled for your account. You can still use the chat phrases!',
+  },
   generate: {
     requiresConsent: true,
     juniorRequires: null,
     denyReason: null,
   },
+  remix: {
+    requiresConsent: true,
+    juniorRequires: null,
+    denyReason: null,
+  },
   support: {
     requiresConsent: true,
     juniorRequires: null,
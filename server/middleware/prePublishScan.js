@@ -33,8 +33,23 @@ function extractStringLiterals(code) {
   return strings.join(' ');
 }
 
+// A multi-file project's data files ride along in the bundle and its fetch shim answers
+// fetch('levels.json') from them (services/projectFiles.js). Any other path falls through
+// to the real fetch, so only paths naming one of this bundle's files are local.
+const BUNDLED_FILE_RE = /<script type="[^"]+" data-vibe-file="([^"]+)">/g;
+const FETCH_CALL_RE = /fetch\s*\(\s*(?:(['"`])([\w./-]+)\1\s*[,)])?/gi;
+
+function fetchesOutsideBundle(code) {
+  const bundled = new Set(Array.from(code.matchAll(BUNDLED_FILE_RE), (m) => m[1]));
+  for (const m of code.matchAll(FETCH_CALL_RE)) {
+    // Normalized the way the shim looks files up
+    if (!m[2] || !bundled.has(m[2].replace(/^\.?\//, ''))) return true;
+  }
+  return false;
+}
+
 const DANGEROUS_PATTERNS = [
-  { pattern: /new\s+XMLHttpRequest|fetch\s*\(/gi, label: 'external_request' },
+  { pattern: /new\s+XMLHttpRequest/gi, label: 'external_request' },
   { pattern: /navigator\.sendBeacon/gi, label: 'tracking_beacon' },
   { pattern: /localStorage|sessionStorage/gi, label: 'browser_storage' },
   { pattern: /<img[^>]+src\s*=\s*["']https?:\/\//gi, label: 'external_image' },
@@ -75,6 +90,10 @@ export function prePublishScan(code) {
       warnings.push(label);
     }
   }
+  if (!warnings.includes('external_request') && fetchesOutsideBundle(code)) {
+    safe = false;
+    warnings.push('external_request');
+  }
 
   return { safe, warnings };
 }
@@ -6,6 +6,7 @@
 
 import { RATE_LIMITS, MEMBERSHIP_TIERS } from '../config/index.js';
 import { readUser, writeUser } from '../services/storage.js';
+import { checkAIBudget } from '../services/aiUsageLedger.js';
 
 // ========== COUNTER HELPERS ==========
 
@@ -133,12 +134,32 @@ export async function checkTierLimits(userId, action) {
           upgradeRequired: true,
         };
       }
+      // AI spend from the usage ledger: a spent monthly budget stops generation,
+      // a spent daily budget drops to the economy model
+      let aiBudget = { action: 'allow', scope: null, period: null };
+      try {
+        aiBudget = await checkAIBudget(user, limits);
+      } catch (err) {
+        console.error('AI budget check failed — allowing:', err.message);
+      }
+      if (aiBudget.action === 'refuse') {
+        return {
+          allowed: false,
+          reason: 'ai_budget',
+          message:
+            aiBudget.scope === 'household'
+              ? "Your family has used up this month's AI building power! 🔋 It refills on the 1st."
+              : "You've used up this month's AI building power! 🔋 It refills on the 1st.",
+          upgradeRequired: aiBudget.scope === 'user' && (user.membershipTier || 'free') !== 'pro',
+        };
+      }
       const creationsRemaining = limits.creationsPerMonth - (user.gamesCreatedThisMonth || 0);
       return {
         allowed: true,
         user,
         creationsRemaining,
         promptsRemaining: limits.promptsPerDay - (user.promptsToday || 0),
+        aiBudget,
       };
     }
 
@@ -1,19 +1,42 @@
 // Multiplayer Room Management System
-// NOTE: Rooms are stored in-memory. On Railway (or any multi-instance deployment),
-// ensure replicas=1 so all WebSocket connections hit the same server. Otherwise
-// "Room not found" will occur when users connect to different instances.
+// Room snapshots live in the room registry (services/roomRegistry.js), so players
+// whose sockets land on different instances can share a room and rooms survive a
+// deploy restart. Each instance keeps a local GameRoom cache that holds only its
+// own sockets; room messages reach the other instances through the registry bus.
 import { WebSocketServer } from 'ws';
-import { randomBytes } from 'crypto';
+import { randomBytes, createHash } from 'crypto';
 import { filterContent } from './middleware/contentFilter.js';
 import { moderateText } from './services/contentModeration.js';
-import { readUser } from './services/storage.js';
+import { readUser, readProject } from './services/storage.js';
 import { ageGate } from './middleware/ageGate.js';
+import { createRoomRegistry } from './services/roomRegistry.js';
+import { recordRoomModeration } from './services/multiplayerModeration.js';
+import { appendRoomRecording, startRoomRecording, stopRoomRecording } from './services/roomRecordings.js';
+import { MULTIPLAYER_ROOM_IDLE_TTL_MS } from './config/index.js';
 import log from './services/logger.js';
 
 const MAX_STATE_SIZE = 8192;
 const MAX_INPUT_SIZE = 512;
 const MAX_STATE_KEYS = 50;
 const SESSION_RECHECK_MS = 5 * 60 * 1000;
+const ROOM_HEARTBEAT_MS = 5 * 60 * 1000;
+const STATE_PERSIST_DEBOUNCE_MS = 1000;
+// Compare-and-swap retries before a room save gives up (another instance kept writing first)
+const MAX_PERSIST_ATTEMPTS = 5;
+// A dropped player keeps their slot (shown as "reconnecting") this long before being removed
+const RECONNECT_GRACE_MS = 45 * 1000;
+// Authoritative state deltas are batched and broadcast at the room's tick rate (Hz)
+const DEFAULT_TICK_RATE = 15;
+const MIN_TICK_RATE = 1;
+const MAX_TICK_RATE = 30;
+// Chat modes, strictest first. A room chats at the strictest of the host's choice and each
+// player's own limit (ageGate + parent settings), so under-13 players get phrases by default.
+const CHAT_MODES = ['off', 'phrases', 'filtered'];
+// Hosts can lower the player cap with set_max_players, never raise it past the default
+const MIN_ROOM_PLAYERS = 2;
+const MAX_ROOM_PLAYERS = 8;
+// Spectators watch without taking a player slot (a classroom projecting a match)
+const MAX_SPECTATORS = 30;
 
 function sanitizeValue(val, depth = 0) {
   if (depth > 4) return null;
@@ -51,6 +74,29 @@ function sanitizeGameState(state) {
   return sanitizeValue(state);
 }
 
+function hashResumeToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function clampTickRate(value) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n)) return DEFAULT_TICK_RATE;
+  return Math.min(MAX_TICK_RATE, Math.max(MIN_TICK_RATE, n));
+}
+
+function chatLimitForUser(user) {
+  return ageGate(user, 'multiplayerFreeChat').allowed ? 'filtered' : 'phrases';
+}
+
+// Effective chat mode for a room: the requested mode capped by every player's limit
+export function resolveChatMode(requested, limits = []) {
+  let rank = CHAT_MODES.includes(requested) ? CHAT_MODES.indexOf(requested) : CHAT_MODES.indexOf('phrases');
+  for (const limit of limits) {
+    rank = Math.min(rank, CHAT_MODES.includes(limit) ? CHAT_MODES.indexOf(limit) : CHAT_MODES.indexOf('phrases'));
+  }
+  return CHAT_MODES[rank];
+}
+
 function sanitizeGameInput(input) {
   if (!input || typeof input !== 'object') return null;
   const json = JSON.stringify(input);
@@ -58,7 +104,8 @@ function sanitizeGameInput(input) {
   return sanitizeValue(input);
 }
 
-// Store active rooms
+// Shared room registry + local cache of rooms that have sockets on this instance
+const registry = createRoomRegistry();
 const rooms = new Map();
 
 // Generate a kid-friendly room code (4 characters, easy to type)
@@ -72,108 +119,606 @@ function generateRoomCode() {
   return code;
 }
 
+// Room codes are only 4 characters — check the shared registry so instances don't collide
+async function generateUniqueRoomCode() {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = generateRoomCode();
+    if (!rooms.has(code) && !(await registry.hasRoom(code))) return code;
+  }
+  throw new Error('Could not allocate a free room code');
+}
+
+function normalizeRoomCode(raw) {
+  return (raw || '')
+    .toString()
+    .trim()
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toUpperCase()
+    .slice(0, 4);
+}
+
 // Room class to manage game sessions
 class GameRoom {
-  constructor(projectId, hostId, hostName) {
-    this.code = generateRoomCode();
+  constructor(projectId, hostId, hostName, code) {
+    this.code = code;
     this.projectId = projectId;
     this.hostId = hostId;
     this.hostName = hostName;
+    // playerId -> { ws, name, isHost, isSpectator, instanceId, status, disconnectedAt, resumeTokenHash, chatLimit, muted }
+    // ws is null for players on other instances and for players who are reconnecting
     this.players = new Map();
+    // Last merged authoritative state; per-sender deltas since the last tick wait in _pendingDeltas
     this.gameState = {};
+    // Each player's own merged state, handed back when they resume after a drop
+    this.playerStates = {};
+    this.tick = 0;
+    this.tickRate = DEFAULT_TICK_RATE;
     this.createdAt = Date.now();
-    this.maxPlayers = 8;
+    this.maxPlayers = MAX_ROOM_PLAYERS;
+    // Host moderation: locked rooms take no new players; kicked players can't rejoin
+    this.locked = false;
+    this.kickedPlayerIds = [];
+    // Listed in the project's public lobby (gallery games only)
+    this.isPublic = false;
+    // Host's choice; getChatMode() caps it by the players in the room
+    this.chatMode = 'phrases';
+    // { id, startedAt, startedBy } while the host or an admin has recording on (services/roomRecordings.js)
+    this.recording = null;
+    // Registry version this copy was read at / last written as (see persist)
+    this.version = 0;
+    this._persistTimer = null;
+    this._pendingDeltas = new Map();
+    this._tickTimer = null;
+    this._lastTickAt = 0;
+  }
+
+  static fromSnapshot(snapshot) {
+    const room = new GameRoom(snapshot.projectId, snapshot.hostId, snapshot.hostName, snapshot.code);
+    room.createdAt = snapshot.createdAt || Date.now();
+    room.gameState = snapshot.gameState || {};
+    room.playerStates = snapshot.playerStates || {};
+    room.syncFromSnapshot(snapshot);
+    return room;
+  }
+
+  toSnapshot() {
+    return {
+      code: this.code,
+      projectId: this.projectId,
+      hostId: this.hostId,
+      hostName: this.hostName,
+      gameState: this.gameState,
+      playerStates: this.playerStates,
+      tick: this.tick,
+      tickRate: this.tickRate,
+      createdAt: this.createdAt,
+      maxPlayers: this.maxPlayers,
+      locked: this.locked,
+      isPublic: this.isPublic,
+      kickedPlayerIds: this.kickedPlayerIds,
+      chatMode: this.chatMode,
+      recording: this.recording,
+      version: this.version,
+      players: Array.from(this.players.entries()).map(([id, { ws: _ws, ...fields }]) => ({ id, ...fields })),
+    };
   }
 
-  addPlayer(playerId, ws, name, isHost = false) {
-    if (this.players.size >= this.maxPlayers && !isHost) {
-      return { success: false, error: 'Room is full!' };
+  // Adopt the shared roster, keeping sockets for players connected to this instance.
+  // Game state is not taken from here: the registry copy lags behind (persist is debounced)
+  // and state changes from other instances already arrive as deltas on the bus.
+  syncFromSnapshot(snapshot) {
+    this.hostId = snapshot.hostId;
+    this.hostName = snapshot.hostName;
+    this.tick = Math.max(this.tick, snapshot.tick || 0);
+    this.tickRate = clampTickRate(snapshot.tickRate ?? DEFAULT_TICK_RATE);
+    this.maxPlayers = snapshot.maxPlayers || MAX_ROOM_PLAYERS;
+    this.locked = !!snapshot.locked;
+    this.isPublic = !!snapshot.isPublic;
+    this.kickedPlayerIds = snapshot.kickedPlayerIds || [];
+    this.chatMode = snapshot.chatMode || 'phrases';
+    this.recording = snapshot.recording || null;
+    this.version = snapshot.version || 0;
+    const next = new Map();
+    for (const { id, ...fields } of snapshot.players || []) {
+      const local = this.players.get(id);
+      next.set(id, {
+        ...fields,
+        ws: local && fields.instanceId === registry.instanceId ? local.ws : null,
+      });
     }
+    this.players = next;
+  }
 
-    this.players.set(playerId, { ws, name, isHost });
+  async refresh() {
+    const snapshot = await registry.getRoom(this.code);
+    if (snapshot) this.syncFromSnapshot(snapshot);
+    return !!snapshot;
+  }
+
+  // Write the room to the registry. The save only lands on the version this copy read; when
+  // another instance wrote first, its roster and settings are adopted and mutate() runs again on
+  // top of them, so a debounced state save or heartbeat never undoes a join, kick or lock there.
+  // mutate() returning false cancels the write. Resolves false if cancelled or the room closed.
+  async persist(mutate = null) {
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+    for (let attempt = 1; ; attempt++) {
+      if (mutate?.() === false) return false;
+      const version = await registry.saveRoom(this.toSnapshot());
+      if (version !== null) {
+        this.version = version;
+        return true;
+      }
+      if (!(await this.refresh())) return false;
+      if (attempt === MAX_PERSIST_ATTEMPTS) throw new Error(`Room ${this.code} kept changing while saving`);
+    }
+  }
+
+  // Game state changes often — coalesce registry writes
+  schedulePersist() {
+    if (this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this.persist().catch((err) => log.error({ err, roomCode: this.code }, 'Could not persist room state'));
+    }, STATE_PERSIST_DEBOUNCE_MS);
+  }
+
+  hasLocalPlayers() {
+    for (const player of this.players.values()) {
+      if (player.ws) return true;
+    }
+    return false;
+  }
+
+  async addPlayer(
+    playerId,
+    ws,
+    name,
+    isHost = false,
+    { resumeToken = null, chatLimit = 'phrases', isSpectator = false } = {},
+  ) {
+    let error = null;
+    let spectating = false;
+    let chatModeBefore = null;
+    // Checked again on every retry — the room may have filled up or been locked meanwhile
+    const saved = await this.persist(() => {
+      // Someone already on the roster (e.g. rejoining after a restart) doesn't take a new slot
+      const existing = this.players.get(playerId);
+      spectating = existing ? !!existing.isSpectator : isSpectator && !isHost;
+      error = existing || isHost ? null : this._joinError(playerId, spectating);
+      if (error) return false;
+
+      chatModeBefore = this.getChatMode();
+      this.players.set(playerId, {
+        ws,
+        name,
+        isHost: isHost || !!existing?.isHost,
+        isSpectator: spectating,
+        instanceId: registry.instanceId,
+        status: 'connected',
+        disconnectedAt: null,
+        resumeTokenHash: resumeToken ? hashResumeToken(resumeToken) : null,
+        chatLimit,
+        muted: !!existing?.muted,
+      });
+    });
+    if (!saved) return { success: false, error: error || 'Room not found! Check the code and try again.' };
 
     this.broadcast(
-      {
-        type: 'player_joined',
-        playerId,
-        playerName: name,
-        players: this.getPlayerList(),
-      },
+      spectating
+        ? { type: 'spectator_joined', spectatorId: playerId, spectatorName: name, spectators: this.getSpectatorList() }
+        : { type: 'player_joined', playerId, playerName: name, players: this.getPlayerList() },
       playerId,
+      { rosterChanged: true },
     );
+    this._announceChatModeIfChanged(chatModeBefore);
 
-    return { success: true };
+    return { success: true, isSpectator: spectating };
   }
 
-  removePlayer(playerId) {
-    const player = this.players.get(playerId);
-    if (!player) return;
+  _joinError(playerId, spectating) {
+    if (this.kickedPlayerIds.includes(playerId)) return 'The host removed you from this room. Try a different game!';
+    if (this.locked) return 'This room is locked!';
+    if (spectating) {
+      if (this.getSpectatorList().length >= MAX_SPECTATORS) return 'Too many people are watching this room!';
+    } else if (this.getPlayerList().length >= this.maxPlayers) {
+      return 'Room is full!';
+    }
+    return null;
+  }
 
-    const wasHost = player.isHost;
-    this.players.delete(playerId);
+  async removePlayer(playerId) {
+    if (!(await this.refresh())) {
+      this.dispose();
+      return true;
+    }
+    let player = null;
+    let chatModeBefore = null;
+    let closing = false;
+    let newHost = null;
+    const saved = await this.persist(() => {
+      player = this.players.get(playerId);
+      if (!player) return false;
+      chatModeBefore = this.getChatMode();
+      this.players.delete(playerId);
+      delete this.playerStates[playerId];
+      // Spectators alone can't keep a room going
+      closing = this.getPlayerList().length === 0;
+      if (closing) return false;
 
-    if (wasHost && this.players.size > 0) {
-      const newHost = this.players.entries().next().value;
-      if (newHost) {
+      newHost = null;
+      if (player.isHost) {
+        newHost = Array.from(this.players.entries()).find(([, p]) => !p.isSpectator);
         newHost[1].isHost = true;
         this.hostId = newHost[0];
         this.hostName = newHost[1].name;
+      }
+    });
+    if (!player) return this.players.size === 0;
+
+    if (closing) {
+      if (this.players.size > 0) {
+        this.broadcast({ type: 'room_closed', message: 'The game is over — all the players left.' });
+        this.players.clear();
+      }
+      if (this.recording) {
+        await stopRoomRecording(this.recording, 'room_closed');
+        this.recording = null;
+      }
+      this.dispose();
+      await registry.deleteRoom(this.code);
+      return true;
+    }
+    // Closed by another instance while we were saving
+    if (!saved) {
+      this.dispose();
+      return true;
+    }
 
-        this.broadcast({
+    if (newHost) {
+      this.broadcast(
+        {
           type: 'host_changed',
           newHostId: newHost[0],
           newHostName: newHost[1].name,
-        });
-      }
+        },
+        null,
+        { rosterChanged: true },
+      );
     }
 
-    this.broadcast({
-      type: 'player_left',
-      playerId,
-      playerName: player.name,
-      players: this.getPlayerList(),
+    this.broadcast(
+      player.isSpectator
+        ? {
+            type: 'spectator_left',
+            spectatorId: playerId,
+            spectatorName: player.name,
+            spectators: this.getSpectatorList(),
+          }
+        : { type: 'player_left', playerId, playerName: player.name, players: this.getPlayerList() },
+      null,
+      { rosterChanged: true },
+    );
+    this._announceChatModeIfChanged(chatModeBefore);
+
+    return false;
+  }
+
+  getChatMode() {
+    return resolveChatMode(
+      this.chatMode,
+      Array.from(this.players.values(), (player) => player.chatLimit),
+    );
+  }
+
+  async setChatMode(chatMode) {
+    await this.persist(() => {
+      this.chatMode = chatMode;
+    });
+    this.broadcast({ type: 'chat_mode_changed', chatMode: this.getChatMode() }, null, { rosterChanged: true });
+  }
+
+  // Someone with a stricter (or looser) limit joined or left
+  _announceChatModeIfChanged(chatModeBefore) {
+    const chatMode = this.getChatMode();
+    if (chatMode !== chatModeBefore) this.broadcast({ type: 'chat_mode_changed', chatMode });
+  }
+
+  // ---- Host moderation (callers check hostId) ----
+
+  async kickPlayer(playerId) {
+    await this.refresh();
+    let player = null;
+    const saved = await this.persist(() => {
+      player = this.players.get(playerId);
+      if (!player || playerId === this.hostId) return false;
+      if (!this.kickedPlayerIds.includes(playerId)) this.kickedPlayerIds.push(playerId);
+    });
+    if (!saved) return null;
+    // Goes out while the target is still on the roster so their own client hears it too
+    this.broadcast({ type: 'player_kicked', playerId, playerName: player.name });
+    await this.removePlayer(playerId);
+    return player;
+  }
+
+  async mutePlayer(playerId, muted) {
+    await this.refresh();
+    let player = null;
+    const saved = await this.persist(() => {
+      player = this.players.get(playerId);
+      if (!player || playerId === this.hostId) return false;
+      player.muted = muted;
+    });
+    if (!saved) return null;
+    this.broadcast(
+      { type: 'player_muted', playerId, playerName: player.name, muted, players: this.getPlayerList() },
+      null,
+      { rosterChanged: true },
+    );
+    return player;
+  }
+
+  async setLocked(locked) {
+    await this.persist(() => {
+      this.locked = locked;
+    });
+    this.broadcast({ type: 'room_locked', locked }, null, { rosterChanged: true });
+  }
+
+  async setPublic(isPublic) {
+    await this.persist(() => {
+      this.isPublic = isPublic;
+    });
+    this.broadcast({ type: 'room_visibility_changed', isPublic }, null, { rosterChanged: true });
+  }
+
+  async setMaxPlayers(maxPlayers) {
+    const n = Math.round(Number(maxPlayers));
+    await this.persist(() => {
+      if (Number.isFinite(n)) this.maxPlayers = Math.min(MAX_ROOM_PLAYERS, Math.max(MIN_ROOM_PLAYERS, n));
+    });
+    this.broadcast({ type: 'max_players_changed', maxPlayers: this.maxPlayers }, null, { rosterChanged: true });
+  }
+
+  async setRecording(enabled, startedBy) {
+    await this.refresh();
+    if (enabled === !!this.recording) return;
+    let recording = null;
+    if (enabled) {
+      recording = await startRoomRecording({
+        roomCode: this.code,
+        projectId: this.projectId,
+        startedBy,
+        tickRate: this.tickRate,
+        gameState: this.gameState,
+        players: this.getPlayerList(),
+      });
+    } else {
+      await stopRoomRecording(this.recording, 'stopped');
+    }
+    await this.persist(() => {
+      this.recording = recording;
     });
+    this.broadcast({ type: 'recording_changed', recording: enabled, startedBy }, null, { rosterChanged: true });
+  }
+
+  _record(message) {
+    const recording = this.recording;
+    appendRoomRecording(recording, message).then((kept) => {
+      if (!kept && this.recording?.id === recording.id) this._endFullRecording();
+    });
+  }
+
+  // Size cap reached (by writes from any instance) — the recording already has its end marker
+  _endFullRecording() {
+    const recording = this.recording;
+    this.recording = null;
+    stopRoomRecording(recording, 'limit').catch((err) =>
+      log.error({ err, roomCode: this.code }, 'Could not close room recording'),
+    );
+    this.persist(() => {
+      this.recording = null;
+    }).catch((err) => log.error({ err, roomCode: this.code }, 'Could not persist room state'));
+    this.broadcast({ type: 'recording_changed', recording: false, reason: 'limit' }, null, { rosterChanged: true });
+  }
 
-    return this.players.size === 0;
+  sendChat(fromPlayerId, text) {
+    this.broadcast({
+      type: 'chat',
+      fromPlayerId,
+      fromPlayerName: this.players.get(fromPlayerId)?.name || 'Player',
+      message: text,
+    });
   }
 
+  // Players only — spectators are listed separately so games don't draw them
   getPlayerList() {
-    return Array.from(this.players.entries()).map(([id, player]) => ({
-      id,
-      name: player.name,
-      isHost: player.isHost,
-    }));
+    return Array.from(this.players.entries())
+      .filter(([, player]) => !player.isSpectator)
+      .map(([id, player]) => ({
+        id,
+        name: player.name,
+        isHost: player.isHost,
+        status: player.status || 'connected',
+        muted: !!player.muted,
+      }));
+  }
+
+  getSpectatorList() {
+    return Array.from(this.players.entries())
+      .filter(([, player]) => player.isSpectator)
+      .map(([id, player]) => ({ id, name: player.name, status: player.status || 'connected' }));
+  }
+
+  isSpectator(playerId) {
+    return !!this.players.get(playerId)?.isSpectator;
+  }
+
+  // Socket dropped: keep the slot and per-player state for RECONNECT_GRACE_MS.
+  // Returns the disconnect timestamp, or null if the socket was already replaced by a resume.
+  async markReconnecting(playerId, ws) {
+    // Room already closed — don't write it back to the registry
+    if (!(await this.refresh())) return null;
+    let player = null;
+    const saved = await this.persist(() => {
+      player = this.players.get(playerId);
+      if (!player || player.ws !== ws) return false;
+      player.ws = null;
+      player.status = 'reconnecting';
+      player.disconnectedAt = Date.now();
+    });
+    if (!saved) return null;
+
+    this.broadcast(
+      {
+        type: 'player_reconnecting',
+        playerId,
+        playerName: player.name,
+        players: this.getPlayerList(),
+      },
+      playerId,
+      { rosterChanged: true },
+    );
+    return player.disconnectedAt;
+  }
+
+  // Resolves false if the player was removed (e.g. kicked on another instance) meanwhile
+  async resumePlayer(playerId, ws, { resumeToken, chatLimit }) {
+    const previousWs = this.players.get(playerId)?.ws;
+    let player = null;
+    const saved = await this.persist(() => {
+      player = this.players.get(playerId);
+      if (!player) return false;
+      player.ws = ws;
+      player.status = 'connected';
+      player.disconnectedAt = null;
+      player.instanceId = registry.instanceId;
+      player.resumeTokenHash = hashResumeToken(resumeToken);
+      player.chatLimit = chatLimit;
+    });
+    if (!saved) return false;
+
+    // Half-open socket the server hadn't noticed yet — retire it
+    if (previousWs && previousWs !== ws && previousWs.readyState === 1) {
+      previousWs.close(4000, 'Resumed on another connection');
+    }
+
+    this.broadcast(
+      {
+        type: 'player_reconnected',
+        playerId,
+        playerName: player.name,
+        players: this.getPlayerList(),
+      },
+      playerId,
+      { rosterChanged: true },
+    );
+    return true;
   }
 
-  broadcast(message, excludePlayerId = null) {
+  // Send to sockets on this instance only
+  deliverLocal(message, excludePlayerId = null, targetPlayerId = null) {
     const data = JSON.stringify(message);
     for (const [playerId, player] of this.players) {
-      if (playerId !== excludePlayerId && player.ws.readyState === 1) {
+      if (targetPlayerId && playerId !== targetPlayerId) continue;
+      if (playerId !== excludePlayerId && player.ws && player.ws.readyState === 1) {
         player.ws.send(data);
       }
     }
   }
 
+  broadcast(message, excludePlayerId = null, { rosterChanged = false } = {}) {
+    // Recorded once, by the instance that originates the message
+    if (this.recording) this._record(message);
+    this.deliverLocal(message, excludePlayerId);
+    registry
+      .publish(this.code, { message, excludePlayerId, rosterChanged })
+      .catch((err) => log.error({ err, roomCode: this.code }, 'Could not publish room message'));
+  }
+
   sendTo(playerId, message) {
     const player = this.players.get(playerId);
-    if (player && player.ws.readyState === 1) {
-      player.ws.send(JSON.stringify(message));
+    if (!player) return;
+    if (player.ws) {
+      if (player.ws.readyState === 1) player.ws.send(JSON.stringify(message));
+      return;
     }
+    registry
+      .publish(this.code, { message, targetPlayerId: playerId })
+      .catch((err) => log.error({ err, roomCode: this.code }, 'Could not publish room message'));
   }
 
   updateGameState(playerId, state) {
     const sanitized = sanitizeGameState(state);
     if (!sanitized) return;
-    this.gameState = { ...this.gameState, ...sanitized, lastUpdatedBy: playerId };
+    const merged = { ...this.gameState, ...sanitized, lastUpdatedBy: playerId };
+    if (JSON.stringify(merged).length > MAX_STATE_SIZE) {
+      this.sendTo(playerId, { type: 'error', message: 'Game state is too big to share.' });
+      return;
+    }
+    this.gameState = merged;
+    const mine = { ...this.playerStates[playerId], ...sanitized };
+    if (JSON.stringify(mine).length <= MAX_STATE_SIZE) this.playerStates[playerId] = mine;
+    this._pendingDeltas.set(playerId, { ...this._pendingDeltas.get(playerId), ...sanitized, lastUpdatedBy: playerId });
+    this.schedulePersist();
+    this._scheduleTick();
+  }
 
-    this.broadcast(
-      {
-        type: 'game_state',
-        state: this.gameState,
-        fromPlayerId: playerId,
-      },
-      playerId,
-    );
+  setTickRate(tickRate) {
+    this.tickRate = clampTickRate(tickRate);
+    this.schedulePersist();
+    this.broadcast({ type: 'tick_rate_changed', tickRate: this.tickRate });
+  }
+
+  // Full authoritative state for late joiners (and anyone who asks)
+  getSnapshot() {
+    return { state: this.gameState, tick: this.tick, tickRate: this.tickRate };
+  }
+
+  _scheduleTick() {
+    if (this._tickTimer) return;
+    const interval = 1000 / this.tickRate;
+    const wait = Math.max(0, this._lastTickAt + interval - Date.now());
+    this._tickTimer = setTimeout(() => this.flushTick(), wait);
+  }
+
+  // Broadcast what each player changed since the last tick — one message per sender, so two
+  // players writing the same keys (x, y) in one tick don't overwrite each other
+  flushTick() {
+    this._tickTimer = null;
+    if (this._pendingDeltas.size === 0) return;
+    const deltas = this._pendingDeltas;
+    this._pendingDeltas = new Map();
+    this._lastTickAt = Date.now();
+    this.tick++;
+
+    for (const [fromPlayerId, delta] of deltas) {
+      this.broadcast(
+        {
+          type: 'game_state',
+          tick: this.tick,
+          delta,
+          state: { ...this.gameState, ...delta },
+          fromPlayerId,
+        },
+        fromPlayerId,
+      );
+    }
+  }
+
+  // This instance no longer holds sockets for the room — hand off pending work, then stop timers
+  async release() {
+    this.flushTick();
+    if (this._persistTimer) await this.persist();
+    this.dispose();
+  }
+
+  dispose() {
+    clearTimeout(this._tickTimer);
+    clearTimeout(this._persistTimer);
+    this._tickTimer = null;
+    this._persistTimer = null;
+    this._pendingDeltas.clear();
   }
 
   sendGameInput(fromPlayerId, input) {
@@ -191,13 +736,145 @@ class GameRoom {
   }
 }
 
+// Load a room for this instance: local cache first, hydrated/refreshed from the registry
+async function loadRoom(code) {
+  const snapshot = await registry.getRoom(code);
+  const local = rooms.get(code);
+  if (!snapshot) {
+    if (local && !local.hasLocalPlayers()) {
+      local.dispose();
+      rooms.delete(code);
+    }
+    return null;
+  }
+  if (local) {
+    local.syncFromSnapshot(snapshot);
+    return local;
+  }
+  const room = GameRoom.fromSnapshot(snapshot);
+  rooms.set(code, room);
+  return room;
+}
+
+async function leaveRoom(room, playerId) {
+  const isEmpty = await room.removePlayer(playerId);
+  if (isEmpty) {
+    rooms.delete(room.code);
+    log.info({ roomCode: room.code }, 'Room closed (empty)');
+  } else if (!room.hasLocalPlayers()) {
+    rooms.delete(room.code);
+    await room.release();
+  }
+}
+
+// Socket closed without leave_room (Wi-Fi drop, tab sleep): hold the slot for the grace window
+async function handleDisconnect(room, playerId, ws) {
+  const disconnectedAt = await room.markReconnecting(playerId, ws);
+  if (!room.hasLocalPlayers()) {
+    rooms.delete(room.code);
+    await room.release();
+  }
+  if (disconnectedAt === null) return;
+
+  log.info({ roomCode: room.code, playerId }, 'Player disconnected — holding slot for reconnect');
+  setTimeout(() => {
+    expireReconnect(room.code, playerId, disconnectedAt).catch((err) =>
+      log.error({ err, roomCode: room.code }, 'Could not expire reconnecting player'),
+    );
+  }, RECONNECT_GRACE_MS).unref();
+}
+
+// Grace window over — remove the player unless they resumed (possibly on another instance)
+async function expireReconnect(code, playerId, disconnectedAt) {
+  const room = await loadRoom(code);
+  if (!room) return;
+  const player = room.players.get(playerId);
+  if (!player || player.status !== 'reconnecting' || player.disconnectedAt !== disconnectedAt) {
+    if (!room.hasLocalPlayers()) rooms.delete(code);
+    return;
+  }
+  log.info({ roomCode: code, playerId }, 'Reconnect window expired — removing player');
+  await leaveRoom(room, playerId);
+}
+
+// Catch reconnecting players whose grace timer died with another instance
+async function expireAbandonedReconnects() {
+  const cutoff = Date.now() - RECONNECT_GRACE_MS * 2;
+  for (const snapshot of await registry.listRooms()) {
+    for (const p of snapshot.players || []) {
+      if (p.status === 'reconnecting' && p.disconnectedAt && p.disconnectedAt < cutoff) {
+        await expireReconnect(snapshot.code, p.id, p.disconnectedAt);
+      }
+    }
+  }
+}
+
+// Relay messages published by other instances to the sockets connected here
+async function handleRegistryMessage(envelope) {
+  if (envelope.instanceId === registry.instanceId) return;
+  const room = rooms.get(envelope.code);
+  if (!room) return;
+
+  if (envelope.rosterChanged) {
+    const exists = await room.refresh();
+    if (!exists) {
+      room.dispose();
+      rooms.delete(room.code);
+      return;
+    }
+  }
+  if (envelope.message?.type === 'game_state') {
+    // Merge rather than replace so deltas batched on this instance aren't lost
+    const { delta, fromPlayerId } = envelope.message;
+    room.gameState = { ...room.gameState, ...delta };
+    if (fromPlayerId) {
+      const { lastUpdatedBy: _lastUpdatedBy, ...own } = delta || {};
+      room.playerStates[fromPlayerId] = { ...room.playerStates[fromPlayerId], ...own };
+    }
+    room.tick = Math.max(room.tick, envelope.message.tick || 0);
+  } else if (envelope.message?.type === 'tick_rate_changed') {
+    room.tickRate = clampTickRate(envelope.message.tickRate);
+  } else if (envelope.message?.type === 'room_closed') {
+    room.deliverLocal(envelope.message);
+    room.players.clear();
+    room.dispose();
+    rooms.delete(room.code);
+    return;
+  }
+  room.deliverLocal(envelope.message, envelope.excludePlayerId, envelope.targetPlayerId);
+  if (!room.hasLocalPlayers()) {
+    room.dispose();
+    rooms.delete(room.code);
+  }
+}
+
 // Initialize WebSocket server (requires session store for auth)
-export function initMultiplayer(server, sessions) {
+export async function initMultiplayer(server, sessions) {
+  await registry.load();
+  registry.onMessage((envelope) => {
+    handleRegistryMessage(envelope).catch((err) => log.error({ err }, 'Multiplayer relay error'));
+  });
+
+  // Keep rooms with live sockets fresh in the registry and prune abandoned ones
+  setInterval(async () => {
+    try {
+      for (const room of rooms.values()) {
+        if (room.hasLocalPlayers()) await room.persist();
+      }
+      await expireAbandonedReconnects();
+      const pruned = await registry.pruneStale(MULTIPLAYER_ROOM_IDLE_TTL_MS);
+      if (pruned > 0) log.info({ pruned }, 'Pruned idle multiplayer rooms');
+    } catch (err) {
+      log.error({ err }, 'Multiplayer room heartbeat failed');
+    }
+  }, ROOM_HEARTBEAT_MS).unref();
+
   const wss = new WebSocketServer({ server, path: '/ws/multiplayer' });
 
   wss.on('connection', async (ws, req) => {
     let playerId;
     let playerDisplayName;
+    let chatLimit;
     try {
       const url = new URL(req.url, `http://${req.headers.host}`);
       const token = url.searchParams.get('token');
@@ -219,6 +896,7 @@ export function initMultiplayer(server, sessions) {
         ws.close(4003, check.reason || 'Multiplayer not allowed');
         return;
       }
+      chatLimit = chatLimitForUser(user);
     } catch (err) {
       log.error({ err }, 'WebSocket auth error');
       ws.close(4001, 'Authentication failed');
@@ -226,6 +904,9 @@ export function initMultiplayer(server, sessions) {
     }
 
     let currentRoom = null;
+    // Handed to the client in 'welcome'; presenting it later resumes this player's slot
+    const resumeToken = randomBytes(24).toString('base64url');
+    const client = { resumeToken, chatLimit };
 
     const revalidateInterval = setInterval(async () => {
       try {
@@ -246,31 +927,37 @@ export function initMultiplayer(server, sessions) {
     }, SESSION_RECHECK_MS);
 
     ws.on('message', (data) => {
+      let message;
       try {
-        const message = JSON.parse(data.toString());
-        handleMessage(
-          ws,
-          playerId,
-          message,
-          (room) => {
-            currentRoom = room;
-          },
-          playerDisplayName,
-        );
+        message = JSON.parse(data.toString());
       } catch (err) {
         log.error({ err }, 'WebSocket message error');
         ws.send(JSON.stringify({ type: 'error', message: 'Invalid message format' }));
+        return;
       }
+      handleMessage(
+        ws,
+        playerId,
+        message,
+        (room) => {
+          currentRoom = room;
+        },
+        playerDisplayName,
+        client,
+      ).catch((err) => {
+        log.error({ err, type: message?.type }, 'WebSocket message error');
+        if (ws.readyState === 1) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Something went wrong. Please try again.' }));
+        }
+      });
     });
 
     ws.on('close', () => {
       clearInterval(revalidateInterval);
       if (currentRoom) {
-        const isEmpty = currentRoom.removePlayer(playerId);
-        if (isEmpty) {
-          rooms.delete(currentRoom.code);
-          log.info({ roomCode: currentRoom.code }, 'Room closed (empty)');
-        }
+        handleDisconnect(currentRoom, playerId, ws).catch((err) =>
+          log.error({ err, roomCode: currentRoom.code }, 'Could not mark player as reconnecting'),
+        );
       }
     });
 
@@ -282,6 +969,7 @@ export function initMultiplayer(server, sessions) {
       JSON.stringify({
         type: 'welcome',
         playerId,
+        resumeToken,
       }),
     );
   });
@@ -291,37 +979,93 @@ export function initMultiplayer(server, sessions) {
   return wss;
 }
 
+async function openRoom(ws, playerId, client, { projectId, playerName, tickRate, chatMode, isPublic = false }) {
+  const room = new GameRoom(projectId, playerId, playerName, await generateUniqueRoomCode());
+  if (tickRate !== undefined) room.tickRate = clampTickRate(tickRate);
+  // Default to the most the host is allowed — phrases for under-13 unless a parent enabled typed chat
+  room.chatMode = CHAT_MODES.includes(chatMode) ? chatMode : client.chatLimit;
+  room.isPublic = isPublic;
+  rooms.set(room.code, room);
+  await room.addPlayer(playerId, ws, playerName, true, client);
+
+  log.info({ roomCode: room.code, projectId, isPublic }, 'Room created');
+  return room;
+}
+
+function sendRoomCreated(ws, room, playerId, extra = {}) {
+  ws.send(
+    JSON.stringify({
+      type: 'room_created',
+      roomCode: room.code,
+      playerId,
+      players: room.getPlayerList(),
+      tickRate: room.tickRate,
+      maxPlayers: room.maxPlayers,
+      locked: room.locked,
+      isPublic: room.isPublic,
+      recording: !!room.recording,
+      chatMode: room.getChatMode(),
+      chatPhrases: getAllowedChatPhrases(),
+      ...extra,
+    }),
+  );
+}
+
+function sendRoomJoined(ws, room, playerId, isSpectator, extra = {}) {
+  ws.send(
+    JSON.stringify({
+      type: 'room_joined',
+      roomCode: room.code,
+      projectId: room.projectId,
+      playerId,
+      players: room.getPlayerList(),
+      spectators: room.getSpectatorList(),
+      isSpectator,
+      gameState: room.gameState,
+      snapshot: room.getSnapshot(),
+      maxPlayers: room.maxPlayers,
+      locked: room.locked,
+      isPublic: room.isPublic,
+      recording: !!room.recording,
+      chatMode: room.getChatMode(),
+      chatPhrases: getAllowedChatPhrases(),
+      ...extra,
+    }),
+  );
+}
+
+// Public rooms and quick play are only for games shared in the gallery
+async function isGalleryProject(projectId) {
+  if (typeof projectId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(projectId)) return false;
+  try {
+    const project = await readProject(projectId);
+    return !!project?.isPublic;
+  } catch {
+    return false;
+  }
+}
+
 // Handle incoming messages
-function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
+async function handleMessage(ws, playerId, message, setRoom, _authenticatedName, client) {
   switch (message.type) {
     case 'create_room': {
       const { projectId, playerName } = message;
-
-      const room = new GameRoom(projectId, playerId, playerName);
-      room.addPlayer(playerId, ws, playerName, true);
-      rooms.set(room.code, room);
+      const isPublic = message.public === true && (await isGalleryProject(projectId));
+      const room = await openRoom(ws, playerId, client, {
+        projectId,
+        playerName,
+        tickRate: message.tickRate,
+        chatMode: message.chatMode,
+        isPublic,
+      });
       setRoom(room);
-
-      log.info({ roomCode: room.code, projectId }, 'Room created');
-
-      ws.send(
-        JSON.stringify({
-          type: 'room_created',
-          roomCode: room.code,
-          playerId,
-          players: room.getPlayerList(),
-        }),
-      );
+      sendRoomCreated(ws, room, playerId);
       break;
     }
 
     case 'join_room': {
       const { playerName } = message;
-      const rawCode = (message.roomCode || '').toString().trim();
-      const roomCode = rawCode
-        .replace(/[^A-Za-z0-9]/g, '')
-        .toUpperCase()
-        .slice(0, 4);
+      const roomCode = normalizeRoomCode(message.roomCode);
 
       if (!roomCode || roomCode.length !== 4) {
         ws.send(
@@ -333,10 +1077,9 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
         return;
       }
 
-      const room = rooms.get(roomCode);
+      const room = await loadRoom(roomCode);
       if (!room) {
-        const activeCodes = Array.from(rooms.keys());
-        log.info({ roomCode, activeCodes }, 'Join failed — room not found');
+        log.info({ roomCode }, 'Join failed — room not found');
         ws.send(
           JSON.stringify({
             type: 'error',
@@ -346,7 +1089,10 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
         return;
       }
 
-      const result = room.addPlayer(playerId, ws, playerName);
+      const result = await room.addPlayer(playerId, ws, playerName, false, {
+        ...client,
+        isSpectator: message.spectator === true,
+      });
       if (!result.success) {
         ws.send(
           JSON.stringify({
@@ -358,16 +1104,87 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
       }
 
       setRoom(room);
-      log.info({ playerName, roomCode }, 'Player joined room');
+      log.info({ playerName, roomCode, spectator: result.isSpectator }, 'Player joined room');
+      sendRoomJoined(ws, room, playerId, result.isSpectator);
+      break;
+    }
+
+    case 'list_rooms': {
+      const projectId = String(message.projectId || '');
+      ws.send(JSON.stringify({ type: 'room_list', projectId, rooms: await getLobbyRooms(projectId) }));
+      break;
+    }
+
+    // Drop the kid into the oldest public room with a free slot, or open a new public room
+    case 'quick_play': {
+      const { projectId, playerName } = message;
+      if (!(await isGalleryProject(projectId))) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Quick play only works for games in the gallery.' }));
+        return;
+      }
+
+      for (const candidate of await getLobbyRooms(projectId)) {
+        const room = await loadRoom(candidate.code);
+        if (!room) continue;
+        // Filled up, locked or kicked since the lobby was read — try the next one
+        const result = await room.addPlayer(playerId, ws, playerName, false, client);
+        if (!result.success) {
+          if (!room.hasLocalPlayers()) rooms.delete(room.code);
+          continue;
+        }
+        setRoom(room);
+        log.info({ roomCode: room.code, projectId }, 'Quick play joined room');
+        sendRoomJoined(ws, room, playerId, false, { quickPlay: true });
+        return;
+      }
+
+      const room = await openRoom(ws, playerId, client, { projectId, playerName, isPublic: true });
+      setRoom(room);
+      sendRoomCreated(ws, room, playerId, { quickPlay: true });
+      break;
+    }
+
+    case 'resume': {
+      const roomCode = normalizeRoomCode(message.roomCode);
+      const room = roomCode.length === 4 ? await loadRoom(roomCode) : null;
+      const player = room?.players.get(playerId);
+      // The token must match AND belong to this authenticated user (and they may have been removed meanwhile)
+      if (
+        !player ||
+        !player.resumeTokenHash ||
+        player.resumeTokenHash !== hashResumeToken(message.resumeToken) ||
+        !(await room.resumePlayer(playerId, ws, client))
+      ) {
+        if (room && !room.hasLocalPlayers()) rooms.delete(room.code);
+        ws.send(
+          JSON.stringify({
+            type: 'resume_failed',
+            message: 'Your game ended while you were away. Join again with the room code!',
+          }),
+        );
+        return;
+      }
+
+      setRoom(room);
+      log.info({ roomCode: room.code, playerId }, 'Player resumed after reconnect');
 
       ws.send(
         JSON.stringify({
-          type: 'room_joined',
+          type: 'resumed',
           roomCode: room.code,
           projectId: room.projectId,
           playerId,
           players: room.getPlayerList(),
-          gameState: room.gameState,
+          spectators: room.getSpectatorList(),
+          isSpectator: room.isSpectator(playerId),
+          snapshot: room.getSnapshot(),
+          playerState: room.playerStates[playerId] || {},
+          maxPlayers: room.maxPlayers,
+          locked: room.locked,
+          isPublic: room.isPublic,
+          recording: !!room.recording,
+          chatMode: room.getChatMode(),
+          chatPhrases: getAllowedChatPhrases(),
         }),
       );
       break;
@@ -376,12 +1193,8 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
     case 'leave_room': {
       const room = getRoomByPlayerId(playerId);
       if (room) {
-        const isEmpty = room.removePlayer(playerId);
-        if (isEmpty) {
-          rooms.delete(room.code);
-          log.info({ roomCode: room.code }, 'Room closed (empty)');
-        }
         setRoom(null);
+        await leaveRoom(room, playerId);
       }
 
       ws.send(JSON.stringify({ type: 'room_left' }));
@@ -390,15 +1203,104 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
 
     case 'game_state': {
       const room = getRoomByPlayerId(playerId);
-      if (room) {
+      // Spectators watch; their state and input never reach the game
+      if (room && !room.isSpectator(playerId)) {
         room.updateGameState(playerId, message.state);
       }
       break;
     }
 
-    case 'player_input': {
+    case 'request_snapshot': {
       const room = getRoomByPlayerId(playerId);
       if (room) {
+        ws.send(JSON.stringify({ type: 'state_snapshot', snapshot: room.getSnapshot() }));
+      }
+      break;
+    }
+
+    case 'set_tick_rate': {
+      const room = getRoomByPlayerId(playerId);
+      if (room && room.hostId === playerId) {
+        room.setTickRate(message.tickRate);
+      }
+      break;
+    }
+
+    case 'set_chat_mode': {
+      const room = getRoomByPlayerId(playerId);
+      if (!room || room.hostId !== playerId) break;
+      if (!CHAT_MODES.includes(message.chatMode)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Unknown chat mode.' }));
+        break;
+      }
+      await room.setChatMode(message.chatMode);
+      log.info({ roomCode: room.code, chatMode: message.chatMode }, 'Room chat mode changed');
+      break;
+    }
+
+    case 'set_room_public': {
+      const room = getRoomByPlayerId(playerId);
+      if (!room || room.hostId !== playerId) break;
+      if (message.public === true && !(await isGalleryProject(room.projectId))) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Share your game to the gallery to open a public room.' }));
+        break;
+      }
+      await room.setPublic(message.public === true);
+      break;
+    }
+
+    case 'kick_player':
+    case 'mute_player': {
+      const room = getRoomByPlayerId(playerId);
+      if (!room || room.hostId !== playerId) break;
+      const targetId = String(message.playerId || '');
+      const action = message.type === 'kick_player' ? 'kick' : message.muted === false ? 'unmute' : 'mute';
+      const target =
+        action === 'kick' ? await room.kickPlayer(targetId) : await room.mutePlayer(targetId, action === 'mute');
+      if (!target) {
+        ws.send(JSON.stringify({ type: 'error', message: "Couldn't find that player." }));
+        break;
+      }
+      log.info({ roomCode: room.code, action, targetId }, 'Host moderation action');
+      recordRoomModeration({
+        action,
+        roomCode: room.code,
+        projectId: room.projectId,
+        hostId: playerId,
+        targetId,
+        targetName: target.name,
+      }).catch((err) => log.error({ err, roomCode: room.code }, 'Could not record moderation action'));
+      break;
+    }
+
+    case 'lock_room': {
+      const room = getRoomByPlayerId(playerId);
+      if (room && room.hostId === playerId) {
+        await room.setLocked(message.locked !== false);
+      }
+      break;
+    }
+
+    case 'set_recording': {
+      const room = getRoomByPlayerId(playerId);
+      if (room && room.hostId === playerId) {
+        await room.setRecording(message.enabled === true, 'host');
+        log.info({ roomCode: room.code, enabled: message.enabled === true }, 'Room recording toggled by host');
+      }
+      break;
+    }
+
+    case 'set_max_players': {
+      const room = getRoomByPlayerId(playerId);
+      if (room && room.hostId === playerId) {
+        await room.setMaxPlayers(message.maxPlayers);
+      }
+      break;
+    }
+
+    case 'player_input': {
+      const room = getRoomByPlayerId(playerId);
+      if (room && !room.isSpectator(playerId)) {
         room.sendGameInput(playerId, message.input);
       }
       break;
@@ -407,7 +1309,26 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
     case 'chat': {
       const room = getRoomByPlayerId(playerId);
       if (room) {
-        const chatText = (message.text || '').slice(0, 200);
+        if (room.players.get(playerId)?.muted) {
+          ws.send(JSON.stringify({ type: 'chat_blocked', message: 'The host muted your chat.' }));
+          break;
+        }
+        const chatMode = room.getChatMode();
+        const chatText = String(message.text || '').slice(0, 200);
+        if (chatMode === 'off') {
+          ws.send(JSON.stringify({ type: 'chat_blocked', message: 'Chat is turned off in this room.' }));
+          break;
+        }
+        if (chatMode === 'phrases') {
+          // Exact matches only — nothing typed reaches the other players
+          const phrase = ALLOWED_CHAT_PHRASES.find((p) => p === chatText.trim());
+          if (!phrase) {
+            ws.send(JSON.stringify({ type: 'chat_blocked', message: 'Pick one of the chat phrases!' }));
+            break;
+          }
+          room.sendChat(playerId, phrase);
+          break;
+        }
         const chatCheck = filterContent(chatText, { source: 'multiplayer-chat' });
         if (chatCheck.blocked) {
           ws.send(JSON.stringify({ type: 'chat_blocked', message: "Let's keep chat friendly!" }));
@@ -419,22 +1340,10 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
               ws.send(JSON.stringify({ type: 'chat_blocked', message: "Let's keep chat friendly!" }));
               return;
             }
-            const player = room.players.get(playerId);
-            room.broadcast({
-              type: 'chat',
-              fromPlayerId: playerId,
-              fromPlayerName: player?.name || 'Player',
-              message: chatText,
-            });
+            room.sendChat(playerId, chatText);
           })
           .catch(() => {
-            const player = room.players.get(playerId);
-            room.broadcast({
-              type: 'chat',
-              fromPlayerId: playerId,
-              fromPlayerName: player?.name || 'Player',
-              message: chatText,
-            });
+            room.sendChat(playerId, chatText);
           });
       }
       break;
@@ -455,31 +1364,41 @@ function handleMessage(ws, playerId, message, setRoom, _authenticatedName) {
   }
 }
 
-// Find room by player ID
+// Find the room a player is connected to on this instance
 function getRoomByPlayerId(playerId) {
   for (const room of rooms.values()) {
-    if (room.players.has(playerId)) {
+    if (room.players.get(playerId)?.ws) {
       return room;
     }
   }
   return null;
 }
 
-// REST API endpoints for room info
-export function getRoomInfo(roomCode) {
-  const room = rooms.get(roomCode.toUpperCase());
-  if (!room) return null;
-
+// What the REST endpoints and lobby show about a room (read from the shared registry, not the local cache)
+function summarizeRoom(snapshot) {
   return {
-    code: room.code,
-    projectId: room.projectId,
-    hostName: room.hostName,
-    playerCount: room.players.size,
-    maxPlayers: room.maxPlayers,
-    createdAt: room.createdAt,
+    code: snapshot.code,
+    projectId: snapshot.projectId,
+    hostName: snapshot.hostName,
+    playerCount: snapshot.players.filter((p) => !p.isSpectator).length,
+    spectatorCount: snapshot.players.filter((p) => p.isSpectator).length,
+    maxPlayers: snapshot.maxPlayers,
+    locked: !!snapshot.locked,
+    isPublic: !!snapshot.isPublic,
+    recording: !!snapshot.recording,
+    createdAt: snapshot.createdAt,
+    chatMode: resolveChatMode(
+      snapshot.chatMode,
+      snapshot.players.map((p) => p.chatLimit),
+    ),
   };
 }
 
+export async function getRoomInfo(roomCode) {
+  const snapshot = await registry.getRoom(roomCode.toUpperCase());
+  return snapshot ? summarizeRoom(snapshot) : null;
+}
+
 const ALLOWED_CHAT_PHRASES = [
   'Good game!',
   'Nice move!',
@@ -512,18 +1431,29 @@ export function getAllowedChatPhrases() {
   return [...ALLOWED_CHAT_PHRASES];
 }
 
-export function getActiveRooms(projectId = null) {
-  const result = [];
-  for (const room of rooms.values()) {
-    if (!projectId || room.projectId === projectId) {
-      result.push({
-        code: room.code,
-        projectId: room.projectId,
-        hostName: room.hostName,
-        playerCount: room.players.size,
-        maxPlayers: room.maxPlayers,
-      });
-    }
+export async function getActiveRooms(projectId = null) {
+  const snapshots = await registry.listRooms({ projectId });
+  return snapshots.map(summarizeRoom);
+}
+
+// Public lobby for a gallery project: public, unlocked rooms with a free player slot, oldest first
+export async function getLobbyRooms(projectId) {
+  if (!projectId) return [];
+  const snapshots = await registry.listRooms({ projectId });
+  return snapshots
+    .map(summarizeRoom)
+    .filter((room) => room.isPublic && !room.locked && room.playerCount < room.maxPlayers)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// Admin switch for a room's recording; works from any instance, whether or not it holds the room's sockets
+export async function setRoomRecording(roomCode, enabled) {
+  const room = await loadRoom(normalizeRoomCode(roomCode));
+  if (!room) return null;
+  await room.setRecording(enabled, 'admin');
+  if (!room.hasLocalPlayers()) {
+    rooms.delete(room.code);
+    await room.release();
   }
-  return result;
+  return { roomCode: room.code, recording: room.recording };
 }
@@ -672,22 +672,58 @@ You do NOT need to load any library for it. Just use window.VibeMultiplayer.
 THE GAME HOSTS THE MULTIPLAYER UI. Build Create Room / Join Room controls INSIDE your game — never rely on platform UI.
 
 API REFERENCE:
-- window.VibeMultiplayer.createRoom(playerName)   — create a room; playerName is required (e.g. from input)
-- window.VibeMultiplayer.joinRoom(roomCode, playerName) — join using a 4-character room code
+- window.VibeMultiplayer.createRoom(playerName, { tickRate, chatMode, public }) — create a room; playerName is required (e.g. from input); tickRate is optional (updates/sec, 1-30, default 15); chatMode is optional ('off', 'phrases' or 'filtered'); public: true lists it in the game's lobby (gallery games only)
+- window.VibeMultiplayer.quickPlay(playerName)   — join the first open public room for this game, or start a new one (answered via onRoomJoined or onRoomCreated)
+- window.VibeMultiplayer.listRooms()             — ask for the game's public lobby (answered via onRoomList)
+- window.VibeMultiplayer.setRoomPublic(isPublic) — host only: show or hide this room in the lobby
+- window.VibeMultiplayer.setRecording(enabled)    — host only: record the match so the VibeCodeKidz team can replay it when a bug is reported
+- window.VibeMultiplayer.joinRoom(roomCode, playerName, { spectator }) — join using a 4-character room code; { spectator: true } joins to watch (doesn't take a player slot)
 - window.VibeMultiplayer.leaveRoom()             — leave the current room
 - window.VibeMultiplayer.roomCode                — current room code (null if not in a room); set after create/join
 - window.VibeMultiplayer.playerId                — this player's unique ID string
-- window.VibeMultiplayer.players                 — array of { id, name, isHost } for all connected players
-- window.VibeMultiplayer.sendState(obj)          — broadcast a game-state object to ALL other players
+- window.VibeMultiplayer.players                 — array of { id, name, isHost, status, muted } for all players; status is 'connected' or 'reconnecting'
+- window.VibeMultiplayer.sendState(obj)          — send changed game-state keys; the server merges them into the room's shared state and broadcasts them at the room tick rate
+- window.VibeMultiplayer.setTickRate(hz)         — host only: change how many state updates per second the room broadcasts (1-30)
+- window.VibeMultiplayer.tickRate                — current room tick rate (updates per second)
+- window.VibeMultiplayer.requestSnapshot()       — ask the server for the full shared state (answered via onSnapshot)
 - window.VibeMultiplayer.sendInput(obj)          — send a single action/move to ALL other players
+- window.VibeMultiplayer.sendChat(text)          — send a chat message; in 'phrases' mode text must be one of chatPhrases exactly
+- window.VibeMultiplayer.setChatMode(mode)       — host only: 'off', 'phrases' or 'filtered' (the server may keep it stricter for younger players)
+- window.VibeMultiplayer.chatMode                — the room's chat mode right now: 'off', 'phrases' or 'filtered'
+- window.VibeMultiplayer.chatPhrases             — array of allowed chat phrases (for the phrase picker)
+- window.VibeMultiplayer.kickPlayer(playerId)    — host only: remove a player from the room (they can't rejoin it)
+- window.VibeMultiplayer.mutePlayer(playerId, muted) — host only: mute (true) or unmute (false) a player's chat
+- window.VibeMultiplayer.lockRoom(locked)        — host only: true stops new players joining with the code, false reopens it
+- window.VibeMultiplayer.setMaxPlayers(n)        — host only: player cap, 2-8
+- window.VibeMultiplayer.locked                  — true when the host has locked the room
+- window.VibeMultiplayer.maxPlayers              — current player cap
+- window.VibeMultiplayer.isPublic                — true when the room is listed in the lobby
+- window.VibeMultiplayer.isRecording             — true while the match is being recorded (host or admin turned it on)
+- window.VibeMultiplayer.isSpectator             — true when this client is watching, not playing
+- window.VibeMultiplayer.spectators              — array of { id, name, status } for everyone watching (not in players)
 - window.VibeMultiplayer.onRoomCreated(roomCode, players)  — callback when room is created (host)
 - window.VibeMultiplayer.onRoomJoined(roomCode, players)   — callback when joined a room
 - window.VibeMultiplayer.onRoomLeft()            — callback when leaving or kicked
 - window.VibeMultiplayer.onError(message)        — callback when an error occurs (e.g. invalid code, connection failed)
-- window.VibeMultiplayer.onStateReceived         — callback: function(state, fromPlayerId) {}
+- window.VibeMultiplayer.onStateReceived         — callback: function(state, fromPlayerId, delta, tick) {} — state is the full shared state, delta only what fromPlayerId changed
+- window.VibeMultiplayer.onSnapshot              — callback: function(state, tick) {} — full shared state; fires right after onRoomJoined so late joiners can pick up mid-match
 - window.VibeMultiplayer.onInputReceived         — callback: function(input, fromPlayerId, fromPlayerName) {}
 - window.VibeMultiplayer.onPlayerJoined         — callback: function(updatedPlayersArray) {}
 - window.VibeMultiplayer.onPlayerLeft           — callback: function(updatedPlayersArray) {}
+- window.VibeMultiplayer.onChatReceived         — callback: function(message, fromPlayerId, fromPlayerName) {}
+- window.VibeMultiplayer.onChatModeChanged      — callback: function(chatMode) {} — redraw the chat UI for the new mode
+- window.VibeMultiplayer.onPlayerKicked         — callback: function(updatedPlayersArray, playerId, playerName) {} — the host removed someone (a kicked player gets onRoomLeft + onError instead)
+- window.VibeMultiplayer.onPlayerMuted          — callback: function(updatedPlayersArray, playerId, muted) {}
+- window.VibeMultiplayer.onRoomLocked           — callback: function(locked) {}
+- window.VibeMultiplayer.onMaxPlayersChanged    — callback: function(maxPlayers) {}
+- window.VibeMultiplayer.onSpectatorJoined      — callback: function(spectatorsArray, spectatorName) {} — e.g. show "👀 2 watching"
+- window.VibeMultiplayer.onSpectatorLeft        — callback: function(spectatorsArray, spectatorName) {}
+- window.VibeMultiplayer.onRecordingChanged     — callback: function(isRecording) {} — show a small "● Recording" badge while true
+- window.VibeMultiplayer.onRoomList             — callback: function(rooms) {} — each room is { code, hostName, playerCount, maxPlayers, spectatorCount }
+- window.VibeMultiplayer.onConnectionLost       — callback: function() {} — this player's connection dropped; the API is reconnecting automatically
+- window.VibeMultiplayer.onReconnected          — callback: function(roomCode, players, myState) {} — back in the same room and slot; myState is this player's last sent state (onSnapshot follows)
+- window.VibeMultiplayer.onPlayerReconnecting   — callback: function(updatedPlayersArray, playerId) {} — another player dropped; their slot is held for about 45 seconds
+- window.VibeMultiplayer.onPlayerReconnected    — callback: function(updatedPlayersArray, playerId) {} — that player is back
 
 STARTUP PATTERN (MUST follow this):
 1. On DOMContentLoaded or window.onload, check if window.VibeMultiplayer exists.
@@ -715,7 +751,15 @@ STARTUP PATTERN (MUST follow this):
    d. Set VibeMultiplayer.onError = function(message) { /* Show error to user (e.g. "Room not found") */ };
    e. Set VibeMultiplayer.onRoomLeft = function() { /* Return to create/join UI */ };
    f. Use VibeMultiplayer.onPlayerJoined to detect when a second player arrives, then start the game.
-   g. NEVER mention links or URLs. Players join using the 4-character ROOM CODE only.
+   g. Set VibeMultiplayer.onSnapshot = function(state, tick) { /* Restore score, positions, level, etc. from state if the match is already running */ };
+   h. NEVER mention links or URLs. Players join using the 4-character ROOM CODE only.
+
+LOBBY (public rooms for games shared in the gallery):
+- Next to Create/Join, add a "Quick Play" button — onClick: VibeMultiplayer.quickPlay(playerName).
+  It fires onRoomJoined when an open room was found, or onRoomCreated when it had to start one.
+- Optionally show an "Open Rooms" list: call VibeMultiplayer.listRooms() and render each room from onRoomList
+  as "{hostName}'s room — {playerCount}/{maxPlayers}" with a button that calls joinRoom(room.code, playerName).
+- Quick Play and public rooms only work once the game is in the gallery; show onError's message otherwise.
 
 TURN-BASED GAMES (chess, checkers, tic-tac-toe, connect-4, battleship, etc.):
 - Keep a "currentTurn" variable. Host goes first.
@@ -745,6 +789,7 @@ REAL-TIME GAMES (pong, racing, co-op shooters, etc.):
 - Each frame (in requestAnimationFrame or Phaser update), send local player state:
     VibeMultiplayer.sendState({ x: player.x, y: player.y, score: myScore });
 - THROTTLE sendState to 15-30 updates per second (e.g. every 2-3 frames), not every frame — avoid flooding the network.
+  The server batches state at the room tick rate anyway; fast action games can call VibeMultiplayer.setTickRate(30) after creating the room.
 - Receive opponent state and update their visual representation:
     VibeMultiplayer.onStateReceived = function(state, fromPlayerId) {
       opponent.x = state.x; opponent.y = state.y;
@@ -767,8 +812,28 @@ REAL-TIME: FIGHTING, BATTLE, SPORTS (both players act simultaneously — NO turn
 - Keep state payloads SMALL: only x, y, facing, health, score — not full game state.
 
 PLAYER DISCONNECT:
-- VibeMultiplayer.onPlayerLeft is called when the opponent disconnects.
+- A dropped connection is held open for about 45 seconds before the player really leaves.
+- VibeMultiplayer.onPlayerReconnecting fires first — pause and show "Waiting for <name> to reconnect...".
+- VibeMultiplayer.onPlayerReconnected fires if they come back — hide the message and resume.
+- VibeMultiplayer.onPlayerLeft is called when the opponent leaves for good (or never came back).
 - Show a "Player disconnected" message and pause or end the game gracefully.
+- On this player's side: onConnectionLost → show "Reconnecting..."; onReconnected(roomCode, players, myState) → restore from myState and keep playing.
+
+CHAT (only if the game has chat):
+- 'phrases' → show buttons for each entry in VibeMultiplayer.chatPhrases. NO text box.
+- 'filtered' → a short text box is OK (max 200 characters).
+- 'off' → hide chat entirely.
+- Read VibeMultiplayer.chatMode after onRoomCreated/onRoomJoined and update on onChatModeChanged.
+
+SPECTATORS:
+- On the join screen, add a "Watch" button next to "Join" → joinRoom(code, name, { spectator: true }).
+- When VibeMultiplayer.isSpectator is true: hide all controls/buttons, don't create a local player, never call sendState/sendInput
+  (the server ignores them anyway). Render every player from onSnapshot + onStateReceived and show a "Watching" badge.
+- Spectators are NOT in VibeMultiplayer.players — never draw them as players.
+
+HOST CONTROLS (lobby / pause menu, only shown when this player's entry in players has isHost true):
+- Next to each other player: a "Remove" button → kickPlayer(id) and, if the game has chat, a "Mute" toggle → mutePlayer(id, !player.muted).
+- A "Lock room" toggle → lockRoom(!VibeMultiplayer.locked). Keep the buttons big and friendly.
 
 RULES:
 - NEVER import or load a multiplayer library — VibeMultiplayer is already injected.
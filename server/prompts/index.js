@@ -17,9 +17,10 @@ import {
   MULTIPLAYER_GAME_RULES,
   detectMultiplayerIntent,
 } from './genres.js';
-import { MODIFICATION_SAFETY_RULES } from './safety.js';
+import { MODIFICATION_SAFETY_RULES, MULTI_FILE_RULES } from './safety.js';
 import { ENABLE_3D_STUDIO } from '../config/index.js';
 import { CANVAS_DRAWING_SKILLS } from './canvasSkills.js';
+import { applyPromptVariant } from './variants.js';
 
 // Re-export detectGameGenre for use in routes
 export { detectGameGenre };
@@ -278,6 +279,9 @@ export function sanitizeOutput(message) {
  * @param {string} userPrompt - The user's current message (for multiplayer detection)
  * @param {object|null} engineProfile - Resolved Vibe engine profile
  * @param {object|null} editorContext - Structured paid editor state summary
+ * @param {string} selectedAssetsBlock - Asset instructions from the asset matcher
+ * @param {string} designMemoryBlock - The kid's earlier design decisions (stands in for trimmed chat turns)
+ * @param {string|null} promptVariant - Prompt experiment variant id (see prompts/variants.js)
  * @returns {{ staticPrompt: string, dynamicContext: string }}
  */
 export function getSystemPrompt(
@@ -289,9 +293,11 @@ export function getSystemPrompt(
   engineProfile = null,
   editorContext = null,
   selectedAssetsBlock = '',
+  designMemoryBlock = '',
+  promptVariant = null,
 ) {
-  // ===== STATIC PART (cacheable - same for every request) =====
-  const staticPrompt = SYSTEM_PROMPT + '\n\n' + GAME_KNOWLEDGE_BASE;
+  // ===== STATIC PART (cacheable - same for every request of a prompt variant) =====
+  const staticPrompt = applyPromptVariant(promptVariant, 'system', SYSTEM_PROMPT) + '\n\n' + GAME_KNOWLEDGE_BASE;
 
   // ===== DYNAMIC PART (per-request, NOT cached) =====
   const dynamicParts = [];
@@ -377,7 +383,7 @@ ENGINE INTENT:
   const is2DEngineRequest = engineProfile?.engineId === 'vibe-2d' || gameConfig?.dimension === '2d';
   if (isPhaserCode || is2DEngineRequest) {
     dynamicParts.push(PHASER_GAME_RULES);
-    dynamicParts.push(CANVAS_DRAWING_SKILLS);
+    dynamicParts.push(applyPromptVariant(promptVariant, 'canvasSkills', CANVAS_DRAWING_SKILLS));
   }
 
   // Detect platformer code
@@ -440,6 +446,20 @@ Then build the best 2D Phaser version of their idea.
     dynamicParts.push(THREE_D_SHOOTER_RULES);
   }
 
+  // The variant's genre-rules addition goes in once, after whichever genre rules were added
+  const genreVariantText = applyPromptVariant(promptVariant, 'genres', '');
+  const addedGenreRules =
+    hasMultiplayerCode ||
+    wantsMultiplayer ||
+    isPhaserCode ||
+    is2DEngineRequest ||
+    gameGenre === 'platformer' ||
+    isPlatformerCode ||
+    is3D;
+  if (genreVariantText && addedGenreRules) {
+    dynamicParts.push(genreVariantText);
+  }
+
   // Add selected/auto-matched asset instructions (before reference code so AI sees assets first)
   if (selectedAssetsBlock) {
     dynamicParts.push(selectedAssetsBlock);
@@ -450,6 +470,11 @@ Then build the best 2D Phaser version of their idea.
     dynamicParts.push(referenceCode);
   }
 
+  // Add the kid's remembered design decisions (the chat turns they came from may have been trimmed)
+  if (designMemoryBlock) {
+    dynamicParts.push(designMemoryBlock);
+  }
+
   // Add modification safety rules + current code when editing
   if (currentCode) {
     const usesThreeJs =
@@ -464,6 +489,9 @@ Then build the best 2D Phaser version of their idea.
       );
     }
     dynamicParts.push(MODIFICATION_SAFETY_RULES);
+    if (currentCode.includes('data-vibe-file="')) {
+      dynamicParts.push(MULTI_FILE_RULES);
+    }
     dynamicParts.push(`
 CURRENT PROJECT (for your reference only - NEVER mention this to the kid):
 ${currentCode}
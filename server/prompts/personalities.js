@@ -9,6 +9,8 @@
  * Each personality wraps the core system prompt with its own style.
  */
 
+import { applyPromptVariant } from './variants.js';
+
 // ========== PROFESSOR CLAUDE ==========
 
 export const PROFESSOR_CLAUDE_WRAPPER = `
@@ -232,9 +234,14 @@ feel polished, not redesigned. Output the COMPLETE updated HTML code.
  * Get the personality wrapper for a given model.
  *
  * @param {'claude' | 'grok' | 'openai'} model - Which model personality to use
+ * @param {string|null} [promptVariant] - Prompt experiment variant id (see variants.js)
  * @returns {string} The personality system prompt wrapper
  */
-export function getPersonalityWrapper(model) {
+export function getPersonalityWrapper(model, promptVariant = null) {
+  return applyPromptVariant(promptVariant, 'personalities', baseWrapper(model));
+}
+
+function baseWrapper(model) {
   switch (model) {
     case 'grok':
       return VIBEGROK_WRAPPER;
@@ -1,6 +1,8 @@
 /**
  * Safety rules for when AI modifies existing games.
  * Prevents the AI from accidentally removing features.
+ * EDIT_MODE_RULES asks for search/replace hunks instead of the whole file (see services/codePatch.js).
+ * MULTI_FILE_RULES explains the bundled layout of multi-file projects (see services/projectFiles.js).
  */
 
 export const MODIFICATION_SAFETY_RULES = `
@@ -39,3 +41,40 @@ COMMON MISTAKES TO AVOID:
 
 REMEMBER: A game with ALL existing features plus the new one (even if imperfect) is 100x better than a game where old features disappeared!
 `;
+
+export const EDIT_MODE_RULES = `
+EDIT MODE — RETURN ONLY YOUR CHANGES:
+This is a change to the CURRENT PROJECT above. Do NOT output the whole HTML file. Write a short friendly message for the kid, then one or more edit blocks in EXACTLY this format:
+
+<<<<<<< SEARCH
+(lines copied exactly from the CURRENT PROJECT, including indentation)
+=======
+(the lines that replace them)
+>>>>>>> REPLACE
+
+EDIT BLOCK RULES:
+1. The SEARCH lines must match the CURRENT PROJECT character for character and appear only ONCE — include a line or two of surrounding code if needed to make them unique.
+2. Keep each SEARCH small: just the lines around the change, not whole functions unless the whole function changes.
+3. To ADD code, SEARCH for the line just before where it goes, and REPLACE with that same line followed by the new code.
+4. To REMOVE code, leave the part between ======= and >>>>>>> REPLACE empty.
+5. Use as many blocks as you need, in the order they appear in the file. Blocks must not overlap.
+6. Put the markers on their own lines and do NOT wrap the blocks in \`\`\` fences.
+7. All the preservation rules above still apply — change only what the kid asked for.
+8. If the request needs most of the file rewritten (a different game, a new framework), ignore this format and output the COMPLETE HTML instead.
+9. In a MULTI-FILE PROJECT, name the file after SEARCH — \`<<<<<<< SEARCH game.js\` — and the block only applies inside that file. Leave the name off (or use index.html) for the page itself.
+`;
+
+export const MULTI_FILE_RULES = `
+MULTI-FILE PROJECT:
+This kid's project is split into files. The CURRENT PROJECT is index.html with every other file inlined where it loads, each marked with its file name:
+- <script data-vibe-file="game.js">…</script> is the file game.js
+- <style data-vibe-file="style.css">…</style> is the file style.css
+- <script type="application/json" data-vibe-file="levels.json">…</script> is a data file the game loads with fetch('levels.json')
+
+FILE RULES:
+1. Keep every data-vibe-file element and its exact data-vibe-file name — the studio uses them to show the kid their files. Never merge files together.
+2. Put each change in the file it belongs to: game logic in the .js files, looks in the .css files, level and item data in the .json files.
+3. To add a file, add a new element in the same format with a short lowercase name (e.g. <script data-vibe-file="enemies.js">). JSON files must stay valid JSON.
+4. Leave the <script data-vibe-runtime="files"> element exactly as it is.
+5. When the kid asks about "my game.js" or another file by name, that's the element with that data-vibe-file name.
+`;
@@ -0,0 +1,76 @@
+/**
+ * Prompt Variants
+ *
+ * Named alternatives to the prompt text in system.js, genres.js,
+ * personalities.js and canvasSkills.js, for A/B testing prompt changes
+ * before they replace the original (see services/promptExperiments.js).
+ *
+ * A variant appends text to one or more prompt surfaces:
+ *   system        — the static SYSTEM_PROMPT
+ *   genres        — added once after the genre rules the composer injects
+ *   personalities — the buddy's personality wrapper
+ *   canvasSkills  — the procedural art examples
+ *
+ * 'control' is the prompts as they are today. Variant ids are recorded on
+ * generate and engine outcome events, so never reuse an id for different text.
+ */
+
+export const PROMPT_SURFACES = ['system', 'genres', 'personalities', 'canvasSkills'];
+
+export const PROMPT_VARIANTS = {
+  control: {
+    label: 'Current prompts',
+    surfaces: {},
+  },
+
+  'restart-first': {
+    label: 'Game-over and restart loop spelled out in the genre rules',
+    surfaces: {
+      genres: `
+GAME OVER CHECKLIST (do all of these):
+- Show a clear "Game Over" or "You Win!" message in big text when the round ends
+- Show the final score right under it
+- Add a "Play Again" button AND let SPACE or a tap restart (this.scene.restart())
+- Reset score, lives and timers when the scene restarts
+`,
+    },
+  },
+
+  'short-replies': {
+    label: 'Shorter chat replies from every buddy',
+    surfaces: {
+      personalities: `
+REPLY LENGTH: Keep your chat message to 2-3 short sentences plus one idea for what to try next.
+Kids want to play the game, not read about it.
+`,
+    },
+  },
+
+  'hud-polish': {
+    label: 'Readable HUD and self-check before answering',
+    surfaces: {
+      system: `
+BEFORE YOU ANSWER, CHECK:
+- The score (and lives or timer if the game has them) is always visible in the top corner
+- HUD text has a dark stroke or shadow so it reads on any background
+- The kid can tell how to play within the first 3 seconds (a short on-screen hint)
+`,
+      canvasSkills: `
+HUD TEXT: Draw HUD labels with a 4px dark stroke (setStroke('#000', 4)) and keep them at least 20px tall.
+`,
+    },
+  },
+};
+
+/**
+ * Apply a variant's text for one prompt surface.
+ *
+ * @param {string|null} variantId - Assigned variant (null or unknown = prompts unchanged)
+ * @param {'system'|'genres'|'personalities'|'canvasSkills'} surface
+ * @param {string} text - The original prompt text
+ * @returns {string}
+ */
+export function applyPromptVariant(variantId, surface, text) {
+  const addition = variantId ? PROMPT_VARIANTS[variantId]?.surfaces[surface] : null;
+  return addition ? text + addition : text;
+}
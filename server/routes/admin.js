@@ -18,13 +18,24 @@ import {
   readProject,
   writeProject,
 } from '../services/storage.js';
-import { getUsageStats } from '../services/ai.js';
+import { getUsageStats, getTemplateCacheStats, clearTemplateCache } from '../services/ai.js';
 import { getResponseCacheStats, clearResponseCache } from '../services/responseCache.js';
+import { queryAIUsage, USAGE_BUCKETS, USAGE_GROUPS } from '../services/aiUsageLedger.js';
 import { getModelPerformanceStats } from '../services/modelPerformance.js';
 import { logAdminAction, readAuditLog } from '../services/adminAuditLog.js';
 import { getContentFilterStats } from '../services/contentFilterStats.js';
 import { readDemoEvents } from '../services/demoEvents.js';
+import { getPromptExperimentReport } from '../services/promptExperiments.js';
+import {
+  deleteGalleryCollection,
+  listGalleryCollections,
+  normalizeGalleryCollection,
+  saveGalleryCollection,
+} from '../services/galleryCollections.js';
 import { listReports, resolveReport } from '../services/moderation.js';
+import { listRoomModeration, summarizeRoomModeration } from '../services/multiplayerModeration.js';
+import { listRoomRecordings, readRoomRecording, readRoomRecordingText } from '../services/roomRecordings.js';
+import { setRoomRecording } from '../multiplayer.js';
 import { getBugReport, listBugReports, resolveBugReport, updateBugReportTriage } from '../services/bugReports.js';
 import { triageBugReport } from '../services/bugReportTriage.js';
 import { runRetentionCleanup } from '../services/dataRetention.js';
@@ -37,7 +48,15 @@ function getAdminIp(req) {
   return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || null;
 }
 
-const DATA_ACCESS_ROUTES = new Set(['/users', '/projects', '/moderation', '/bug-reports', '/rate-limit-stats']);
+const DATA_ACCESS_ROUTES = new Set([
+  '/users',
+  '/projects',
+  '/moderation',
+  '/multiplayer-moderation',
+  '/multiplayer-recordings',
+  '/bug-reports',
+  '/rate-limit-stats',
+]);
 
 router.use((req, _res, next) => {
   if (req.method === 'GET' && DATA_ACCESS_ROUTES.has(req.path)) {
@@ -375,21 +394,38 @@ router.post('/users/:id/set-tier', async (req, res) => {
 });
 
 // AI usage stats
-router.get('/ai-usage', (_req, res) => {
+// Live counters since restart, plus ledger spend in time buckets:
+//   ?bucket=hour|day|month (default day) &from=&to= (ISO dates) &groupBy=provider|model|buddy|tier|user|household
+const DEFAULT_USAGE_WINDOW_MS = { hour: 48 * 3600000, day: 30 * 86400000, month: 365 * 86400000 };
+
+router.get('/ai-usage', async (req, res) => {
   try {
-    const stats = getUsageStats();
-    res.json(stats);
+    const bucket = req.query.bucket || 'day';
+    const groupBy = req.query.groupBy || null;
+    if (!USAGE_BUCKETS.includes(bucket)) {
+      return res.status(400).json({ error: `bucket must be one of ${USAGE_BUCKETS.join(', ')}` });
+    }
+    if (groupBy && !USAGE_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of ${USAGE_GROUPS.join(', ')}` });
+    }
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_USAGE_WINDOW_MS[bucket]);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+
+    const ledger = await queryAIUsage({ from, to, bucket, groupBy });
+    res.json({ ...getUsageStats(), ledger });
   } catch (error) {
     console.error('AI usage error:', error);
     res.status(500).json({ error: 'Could not load AI usage stats' });
   }
 });
 
-// Cache stats (response cache + pattern cache)
+// Cache stats (response + template caches with memory/persistent hit rates, pattern cache)
 router.get('/cache-stats', (_req, res) => {
   try {
-    const stats = getResponseCacheStats();
-    res.json(stats);
+    res.json({ ...getResponseCacheStats(), templateCache: getTemplateCacheStats() });
   } catch (error) {
     console.error('Cache stats error:', error);
     res.status(500).json({ error: 'Could not load cache stats' });
@@ -397,11 +433,11 @@ router.get('/cache-stats', (_req, res) => {
 });
 
 // Clear response cache (for testing/debugging)
-router.post('/cache-clear', (req, res) => {
+router.post('/cache-clear', async (req, res) => {
   try {
-    clearResponseCache();
+    await Promise.all([clearResponseCache(), clearTemplateCache()]);
     logAdminAction({ action: 'cache-clear', ip: getAdminIp(req) }).catch(() => {});
-    res.json({ success: true, message: 'Response cache cleared' });
+    res.json({ success: true, message: 'Response and template caches cleared' });
   } catch (error) {
     console.error('Cache clear error:', error);
     res.status(500).json({ error: 'Could not clear cache' });
@@ -671,6 +707,60 @@ router.get('/ab-stats', async (req, res) => {
   }
 });
 
+// Prompt A/B stats (prompt variants experiment — see server/prompts/variants.js)
+router.get('/prompt-ab-stats', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '30', 10) || 30;
+    res.json(await getPromptExperimentReport({ sinceDays: days }));
+  } catch (error) {
+    console.error('Prompt AB stats error:', error);
+    res.status(500).json({ error: 'Could not load prompt A/B stats' });
+  }
+});
+
+// Gallery collections (curated shelves on /gallery)
+router.get('/gallery-collections', async (_req, res) => {
+  try {
+    res.json({ collections: await listGalleryCollections() });
+  } catch (error) {
+    console.error('Gallery collections error:', error);
+    res.status(500).json({ error: 'Could not load collections' });
+  }
+});
+
+router.put('/gallery-collections/:id', async (req, res) => {
+  try {
+    const { collection, error } = normalizeGalleryCollection(req.params.id, req.body);
+    if (error) return res.status(400).json({ error });
+
+    const saved = await saveGalleryCollection(collection);
+    logAdminAction({
+      action: 'gallery-collection-save',
+      targetId: saved.id,
+      details: { title: saved.title, gameCount: saved.projectIds.length },
+      ip: getAdminIp(req),
+    }).catch(() => {});
+    res.json({ success: true, collection: saved });
+  } catch (error) {
+    console.error('Save gallery collection error:', error);
+    res.status(500).json({ error: 'Could not save collection' });
+  }
+});
+
+router.delete('/gallery-collections/:id', async (req, res) => {
+  try {
+    const deleted = await deleteGalleryCollection(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Collection not found' });
+    logAdminAction({ action: 'gallery-collection-delete', targetId: req.params.id, ip: getAdminIp(req) }).catch(
+      () => {},
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete gallery collection error:', error);
+    res.status(500).json({ error: 'Could not delete collection' });
+  }
+});
+
 // Safety alert status
 router.get('/alerts', (_req, res) => {
   try {
@@ -746,6 +836,91 @@ router.post('/moderation/:id/resolve', async (req, res) => {
   }
 });
 
+// Host kicks/mutes in multiplayer rooms, plus the players most often on the receiving end
+router.get('/multiplayer-moderation', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days || '30', 10) || 30, 365);
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const actions = await listRoomModeration({ sinceDays: days, targetId: req.query.targetId || null });
+    res.json({
+      actions: actions.slice(0, limit),
+      total: actions.length,
+      repeatTargets: summarizeRoomModeration(actions),
+    });
+  } catch (error) {
+    console.error('Multiplayer moderation list error:', error);
+    res.status(500).json({ error: 'Could not load multiplayer moderation log' });
+  }
+});
+
+// ========== MULTIPLAYER RECORDINGS ==========
+
+router.get('/multiplayer-recordings', async (req, res) => {
+  try {
+    const recordings = await listRoomRecordings({
+      projectId: req.query.projectId || null,
+      roomCode: req.query.roomCode ? String(req.query.roomCode).toUpperCase() : null,
+    });
+    res.json({ recordings });
+  } catch (error) {
+    console.error('Multiplayer recordings list error:', error);
+    res.status(500).json({ error: 'Could not load recordings' });
+  }
+});
+
+// Raw JSONL download
+router.get('/multiplayer-recordings/:id', async (req, res) => {
+  try {
+    const text = await readRoomRecordingText(req.params.id);
+    if (text === null) return res.status(404).json({ error: 'Recording not found' });
+    logAdminAction({ action: 'download-recording', targetId: req.params.id, ip: getAdminIp(req) }).catch(() => {});
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}.jsonl"`);
+    res.send(text);
+  } catch (error) {
+    console.error('Multiplayer recording download error:', error);
+    res.status(500).json({ error: 'Could not load recording' });
+  }
+});
+
+// Parsed events plus the project's current code, for the studio replay viewer
+router.get('/multiplayer-recordings/:id/replay', async (req, res) => {
+  try {
+    const recording = await readRoomRecording(req.params.id);
+    if (!recording) return res.status(404).json({ error: 'Recording not found' });
+    let project = null;
+    if (recording.meta.projectId) {
+      project = await readProject(recording.meta.projectId).catch(() => null);
+    }
+    logAdminAction({ action: 'replay-recording', targetId: req.params.id, ip: getAdminIp(req) }).catch(() => {});
+    res.json({
+      ...recording,
+      code: project?.code || null,
+      projectTitle: project?.title || null,
+    });
+  } catch (error) {
+    console.error('Multiplayer recording replay error:', error);
+    res.status(500).json({ error: 'Could not load recording' });
+  }
+});
+
+router.post('/multiplayer-recordings/rooms/:code', async (req, res) => {
+  try {
+    const enabled = req.body?.enabled === true;
+    const result = await setRoomRecording(req.params.code, enabled);
+    if (!result) return res.status(404).json({ error: 'Room not found' });
+    logAdminAction({
+      action: enabled ? 'start-room-recording' : 'stop-room-recording',
+      targetId: result.roomCode,
+      ip: getAdminIp(req),
+    }).catch(() => {});
+    res.json({ success: true, roomCode: result.roomCode, recordingId: result.recording?.id || null });
+  } catch (error) {
+    console.error('Multiplayer recording toggle error:', error);
+    res.status(500).json({ error: 'Could not change room recording' });
+  }
+});
+
 router.get('/bug-reports', async (req, res) => {
   try {
     const status = req.query.status || null;
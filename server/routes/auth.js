@@ -626,6 +626,8 @@ export default function createAuthRouter(sessions) {
           createdAt: p.createdAt,
           views: p.views || 0,
           likes: p.likes || 0,
+          remixCount: p.remixCount || 0,
+          remixedFrom: p.remixedFrom || null,
         }))
         .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
@@ -22,6 +22,7 @@ import {
 import { generateOrIterateGame } from '../services/gameHandler.js';
 import { logDemoEvent } from '../services/demoEvents.js';
 import { buildStarterFallback } from '../services/starterFallback.js';
+import { runWithUsageContext } from '../services/aiUsageLedger.js';
 
 const router = Router();
 
@@ -104,10 +105,8 @@ router.post('/generate', async (req, res) => {
 
     // Template cache check
     const cacheKey = getTemplateCacheKey(cleanMessage, safeGameConfig);
-    const cached = getCachedTemplate(cacheKey);
+    const cached = await getCachedTemplate(cacheKey);
     if (cached) {
-      cached.hits++;
-
       logDemoEvent({
         type: 'generation',
         generationId,
@@ -132,17 +131,19 @@ router.post('/generate', async (req, res) => {
 
     const aiAvailable = isClaudeAvailable() || isGrokAvailable() || isOpenAIAvailable();
     const result = aiAvailable
-      ? await generateOrIterateGame({
-          prompt: cleanMessage,
-          currentCode: null,
-          mode: 'default',
-          conversationHistory: [],
-          gameConfig: safeGameConfig,
-          image: null,
-          userId: null,
-          lastModelUsed: null,
-          debugAttempt: 0,
-        })
+      ? await runWithUsageContext({ tier: 'demo', generationId }, () =>
+          generateOrIterateGame({
+            prompt: cleanMessage,
+            currentCode: null,
+            mode: 'default',
+            conversationHistory: [],
+            gameConfig: safeGameConfig,
+            image: null,
+            userId: null,
+            lastModelUsed: null,
+            debugAttempt: 0,
+          }),
+        )
       : await buildStarterFallback({
           prompt: cleanMessage,
           currentCode: null,
@@ -152,7 +153,7 @@ router.post('/generate', async (req, res) => {
         });
 
     if (result.code && !result.wasTruncated && cacheKey) {
-      cacheTemplate(cacheKey, result.code, result.response);
+      await cacheTemplate(cacheKey, result.code, result.response);
     }
 
     // Filter output for PII, manipulation, and content before sending to child
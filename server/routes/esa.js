@@ -158,6 +158,7 @@ export default function createEsaRouter(sessions) {
         privacyAcceptedAt: now.toISOString(),
         publishingEnabled: !needsConsent,
         multiplayerEnabled: !needsConsent,
+        freeChatEnabled: !needsConsent,
         parentVerifiedMethod: null,
         parentVerifiedAt: null,
         parentDashboardToken: null,
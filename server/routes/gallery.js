@@ -1,49 +1,82 @@
 /**
  * Gallery Route
  *
- * GET /api/gallery - Public game gallery listing.
+ * GET /api/gallery             - Public game gallery: ?q=&sort=new|top|trending&category=&genre=&collection=
+ * GET /api/gallery/collections - Curated collections with a few games each
+ * GET /api/gallery/genres      - Genre families to filter by
  */
 
 import { Router } from 'express';
-import { listProjects } from '../services/storage.js';
 import { resolvePublicCreatorAlias } from '../utils/publicCreatorAlias.js';
+import { listGalleryGenres, normalizeGalleryQuery, queryGallery } from '../services/galleryIndex.js';
+import { getGalleryCollection, listGalleryCollections } from '../services/galleryCollections.js';
 
 const router = Router();
+const COLLECTION_PREVIEW_SIZE = 4;
+
+async function toPublicGames(games, userCache) {
+  return Promise.all(
+    games.map(async (p) => ({
+      id: p.id,
+      title: p.title,
+      creatorName: await resolvePublicCreatorAlias(p, userCache),
+      category: p.category,
+      genreFamily: p.genreFamily,
+      multiplayer: p.multiplayer,
+      createdAt: p.createdAt,
+      views: p.views,
+      likes: p.likes,
+      thumbnail: p.thumbnail,
+      previewUrl: p.previewUrl,
+      remixCount: p.remixCount,
+      remixedFrom: p.remixedFrom,
+    })),
+  );
+}
 
 router.get('/', async (req, res) => {
   try {
-    const { category, limit = 30, offset = 0 } = req.query;
-    const lim = Math.min(parseInt(limit) || 30, 100);
-    const off = parseInt(offset) || 0;
-    const userCache = new Map();
-
-    const allProjects = await listProjects();
-    const visibleProjects = allProjects
-      .filter((p) => p.isPublic && p.code)
-      .filter((p) => !category || p.category === category);
-
-    const filtered = await Promise.all(
-      visibleProjects.map(async (p) => ({
-        id: p.id,
-        title: p.title,
-        creatorName: await resolvePublicCreatorAlias(p, userCache),
-        category: p.category,
-        multiplayer: p.multiplayer || false,
-        createdAt: p.createdAt,
-        views: p.views || 0,
-        likes: p.likes || 0,
-        thumbnail: p.thumbnail || null,
-      })),
-    );
+    let projectIds = null;
+    if (req.query.collection) {
+      const collection = await getGalleryCollection(String(req.query.collection));
+      if (!collection) return res.status(404).json({ error: 'Collection not found' });
+      projectIds = collection.projectIds;
+    }
 
-    filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    const paged = filtered.slice(off, off + lim);
-    res.json({ games: paged, total: filtered.length, hasMore: off + lim < filtered.length });
+    const query = normalizeGalleryQuery(req.query, projectIds);
+    const { games, total, hasMore } = await queryGallery(query);
+    res.json({ games: await toPublicGames(games, new Map()), total, hasMore, sort: query.sort });
   } catch (error) {
     console.error('Gallery error:', error);
     res.status(500).json({ error: 'Could not load gallery' });
   }
 });
 
+router.get('/collections', async (_req, res) => {
+  try {
+    const userCache = new Map();
+    const collections = await Promise.all(
+      (await listGalleryCollections()).map(async (collection) => {
+        const query = normalizeGalleryQuery({ limit: COLLECTION_PREVIEW_SIZE }, collection.projectIds);
+        const { games, total } = await queryGallery(query);
+        return {
+          id: collection.id,
+          title: collection.title,
+          description: collection.description,
+          gameCount: total,
+          games: await toPublicGames(games, userCache),
+        };
+      }),
+    );
+    res.json({ collections: collections.filter((c) => c.gameCount > 0) });
+  } catch (error) {
+    console.error('Gallery collections error:', error);
+    res.status(500).json({ error: 'Could not load collections' });
+  }
+});
+
+router.get('/genres', (_req, res) => {
+  res.json({ genres: listGalleryGenres() });
+});
+
 export default router;
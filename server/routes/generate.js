@@ -4,16 +4,25 @@
  * POST /api/generate - Generate or modify game code using tri-model AI system.
  *
  * Supports:
- * - Mode-based routing (default/claude/grok/openai/creative/debug/ask-other-buddy/critic)
+ * - Mode-based routing (default/claude/grok/openai/creative/debug/ask-other-buddy/critic/best-of-n/explain)
  * - Response caching across ALL models
  * - Template cache for brand-new games
  * - Auto-detection of creative/debug intent from prompt
  * - Token usage tracking per user per model
  *
  * Request body fields:
- * - mode: 'default' | 'claude' | 'grok' | 'openai' | 'creative' | 'debug' | 'ask-other-buddy' | 'critic'
+ * - mode: 'default' | 'claude' | 'grok' | 'openai' | 'creative' | 'debug' | 'ask-other-buddy' | 'critic' | 'best-of-n' | 'explain'
+ * - codeSelection: { file, startLine, endLine } (explain mode: the editor lines to explain; omitted = whole file)
  * - lastModelUsed: 'claude' | 'grok' | 'openai' (for ask-other-buddy routing)
  * - debugAttempt: number (for debug escalation tracking)
+ *
+ * SSE (Accept: text/event-stream or ?stream=1) events:
+ * - status: { stage, message } progress stages
+ * - code_delta: { text } chunks of the draft as the model writes it, or { reset: true }
+ * - result: the final payload (same shape as the JSON response) / error: { error }
+ *
+ * Closing the request early (the studio's Stop button) aborts the model call and
+ * the generation doesn't count toward usage limits.
  */
 
 import { Router } from 'express';
@@ -31,16 +40,69 @@ import {
   isGrokAvailable,
   isClaudeAvailable,
   isOpenAIAvailable,
+  GenerationCancelledError,
 } from '../services/ai.js';
 import { generateOrIterateGame } from '../services/gameHandler.js';
+import { createCodeDeltaStream } from '../services/codeStream.js';
 import { logGenerateEvent } from '../services/eventStore.js';
 import { logEngineOutcomeGeneration } from '../services/engineOutcomes.js';
 import { resolveEngineProfile } from '../services/engineRegistry.js';
-import { readUser } from '../services/storage.js';
+import { readProject, readUser, updateProjectFields } from '../services/storage.js';
 import { recordViolation } from '../services/discipline.js';
 import { checkAbuse } from '../services/abuseDetection.js';
 import { ageGate } from '../middleware/ageGate.js';
 import { buildStarterFallback } from '../services/starterFallback.js';
+import { householdIdFor, runWithUsageContext } from '../services/aiUsageLedger.js';
+import {
+  DESIGN_MEMORY_SECTIONS,
+  extractDesignDecisions,
+  mergeDesignMemory,
+  normalizeDesignMemory,
+  updateDesignMemory,
+} from '../services/designMemory.js';
+import { assignPromptVariant } from '../services/promptExperiments.js';
+
+const PROJECT_ID_REGEX = /^[a-z0-9]{6}$/;
+
+/**
+ * The design memory a generation builds on. A saved project the kid owns is
+ * read from storage — what the studio sends is only used for games that
+ * haven't been saved yet. Either way it ends up in the system prompt, so every
+ * item goes through the same content filter as the kid's message.
+ *
+ * @returns {Promise<{ memory: object|null, projectId: string|null }>} projectId is set when
+ *   the memory came from (and should be written back to) a stored project
+ */
+async function loadDesignMemory({ projectId, userId, clientMemory }) {
+  let memory = clientMemory;
+  let ownedProjectId = null;
+  if (userId && typeof projectId === 'string' && PROJECT_ID_REGEX.test(projectId)) {
+    try {
+      const project = await readProject(projectId);
+      if (project.userId === userId) {
+        memory = project.designMemory;
+        ownedProjectId = projectId;
+      }
+    } catch {
+      /* not saved yet */
+    }
+  }
+  const normalized = normalizeDesignMemory(memory);
+  if (!normalized) return { memory: null, projectId: ownedProjectId };
+  const screened = { ...normalized };
+  for (const section of DESIGN_MEMORY_SECTIONS) {
+    screened[section] = normalized[section].filter((item) => !filterContent(item, { source: 'design_memory' }).blocked);
+  }
+  return { memory: normalizeDesignMemory(screened), projectId: ownedProjectId };
+}
+
+/**
+ * Store the updated memory on the project, so the next turn reads it even before the studio autosaves.
+ * Only the designMemory field is written — the autosave this response triggers may already have saved new code.
+ */
+async function saveDesignMemory(projectId, memory) {
+  await updateProjectFields(projectId, { designMemory: memory });
+}
 
 export default function createGenerateRouter(sessions) {
   const router = Router();
@@ -59,6 +121,15 @@ export default function createGenerateRouter(sessions) {
   }
 
   router.post('/', piiScannerMiddleware, async (req, res) => {
+    // The studio's Stop button aborts its fetch, which closes this response before we
+    // finish — tear down the upstream model request with it.
+    const abortController = new AbortController();
+    let codeStream = null;
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+      codeStream?.close();
+    });
+
     try {
       const {
         message,
@@ -68,13 +139,17 @@ export default function createGenerateRouter(sessions) {
         gameConfig = null,
         editorContext = null,
         selectedAssetIds = [],
+        designMemory = null,
         // ---- DUAL-MODEL FIELDS ----
         mode: requestedMode = 'default',
         lastModelUsed = null,
         debugAttempt = 0,
         // ---- MONITORING FIELDS ----
+        projectId = null,
         sessionId = null,
         startingModel = null,
+        // ---- EXPLAIN MODE ----
+        codeSelection = null,
       } = req.body;
       let mode = requestedMode;
       const generationId = `gen_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
@@ -187,12 +262,17 @@ export default function createGenerateRouter(sessions) {
       // ===== TEMPLATE CACHE CHECK (for brand-new survey-based games) =====
       const isNewGame = !currentCode || isDefaultCode(currentCode);
       const hasNoHistory = conversationHistory.length === 0;
+      // A brand-new game starts with a clean slate; otherwise carry the project's remembered choices
+      const storedDesignMemory =
+        isNewGame && hasNoHistory
+          ? { memory: null, projectId: null }
+          : await loadDesignMemory({ projectId, userId, clientMemory: designMemory });
+      const priorDesignMemory = storedDesignMemory.memory;
 
       if (isNewGame && hasNoHistory && !image && mode === 'default') {
         const cacheKey = getTemplateCacheKey(message, gameConfig);
-        const cached = getCachedTemplate(cacheKey);
+        const cached = await getCachedTemplate(cacheKey);
         if (cached) {
-          cached.hits++;
           await incrementUsage(userId, 'generate');
           const usage = userId ? calculateUsageRemaining(tierCheck.user) : null;
 
@@ -264,6 +344,8 @@ export default function createGenerateRouter(sessions) {
             isCacheHit: true,
             cached: true,
             generationId,
+            // Keyword rules only — a cache hit shouldn't wait on a model call
+            designMemory: mergeDesignMemory(null, extractDesignDecisions(message)),
           });
         }
       }
@@ -281,6 +363,7 @@ export default function createGenerateRouter(sessions) {
       const wantsSSE = req.headers.accept === 'text/event-stream' || req.query.stream === '1';
 
       let onStatus = null;
+      let onDelta = null;
       if (wantsSSE) {
         res.writeHead(200, {
           'Content-Type': 'text/event-stream',
@@ -291,31 +374,88 @@ export default function createGenerateRouter(sessions) {
         onStatus = (stage, message) => {
           res.write(`event: status\ndata: ${JSON.stringify({ stage, message })}\n\n`);
         };
+        codeStream = createCodeDeltaStream((payload) => {
+          res.write(`event: code_delta\ndata: ${JSON.stringify(payload)}\n\n`);
+        });
+        onDelta = codeStream.push;
       }
 
       // ===== GENERATION / STARTER FALLBACK =====
-      const result = aiAvailable
-        ? await generateOrIterateGame({
-            prompt: message,
-            currentCode,
-            mode,
-            conversationHistory: cleanedHistory,
-            gameConfig,
-            editorContext,
-            image,
-            userId,
-            lastModelUsed,
-            debugAttempt,
-            onStatus,
-            selectedAssetIds: Array.isArray(selectedAssetIds) ? selectedAssetIds : [],
-          })
-        : await buildStarterFallback({
-            prompt: message,
-            currentCode,
-            gameConfig,
-            genre: gameGenre,
-            isNewGame,
-          });
+      // Every model call below is written to the usage ledger against this generation
+      const usageContext = {
+        userId,
+        householdId: householdIdFor(tierCheck.user),
+        tier: tierCheck.user?.membershipTier || 'free',
+        projectId: typeof projectId === 'string' ? projectId.slice(0, 100) : null,
+        generationId,
+        economy: tierCheck.aiBudget?.action === 'downgrade',
+      };
+      if (usageContext.economy) {
+        log.info({ userId, scope: tierCheck.aiBudget.scope }, 'Daily AI budget spent — using the economy model');
+      }
+
+      // Sticky prompt A/B bucket (null when no experiment is running, or nothing uses the game prompts)
+      const promptVariant =
+        aiAvailable && mode !== 'explain'
+          ? assignPromptVariant({ userId, sessionId: typeof sessionId === 'string' ? sessionId : null })
+          : null;
+
+      // ===== DESIGN MEMORY =====
+      // Summarize the kid's choices alongside the generation (it only needs their message);
+      // the result is kept only if the generation succeeds. Debug turns are bug reports and explain
+      // turns are questions — neither is a design choice.
+      const designMemoryUpdate =
+        mode === 'debug' || mode === 'explain'
+          ? Promise.resolve(priorDesignMemory)
+          : runWithUsageContext(usageContext, () =>
+              updateDesignMemory({ memory: priorDesignMemory, prompt: message, userId }),
+            ).catch((err) => {
+              log.warn({ userId, err: err.message }, 'Design memory update failed');
+              return priorDesignMemory;
+            });
+      // Explain mode has its own offline explainer, so it never falls back to a starter game
+      const result =
+        aiAvailable || mode === 'explain'
+          ? await runWithUsageContext(usageContext, () =>
+              generateOrIterateGame({
+                prompt: message,
+                currentCode,
+                mode,
+                conversationHistory: cleanedHistory,
+                gameConfig,
+                editorContext,
+                image,
+                userId,
+                lastModelUsed,
+                debugAttempt,
+                onStatus,
+                onDelta,
+                signal: abortController.signal,
+                selectedAssetIds: Array.isArray(selectedAssetIds) ? selectedAssetIds : [],
+                designMemory: priorDesignMemory,
+                // Best-of-N drafts across buddies; under-13s stay off Grok there too
+                excludeBuddies: userAgeBracket === 'under13' ? ['grok'] : [],
+                promptVariant,
+                codeSelection: codeSelection && typeof codeSelection === 'object' ? codeSelection : null,
+                ageBracket: userAgeBracket,
+              }),
+            )
+          : await buildStarterFallback({
+              prompt: message,
+              currentCode,
+              gameConfig,
+              genre: gameGenre,
+              isNewGame,
+            });
+
+      codeStream?.close();
+
+      // Cancelled after the model finished (or on a path that can't be aborted) — the kid
+      // never sees this result, so it doesn't count toward their limits
+      if (abortController.signal.aborted) {
+        log.info({ userId, generationId }, 'Generation cancelled by client');
+        return;
+      }
 
       // Increment usage
       await incrementUsage(userId, 'generate');
@@ -324,7 +464,7 @@ export default function createGenerateRouter(sessions) {
       if (isNewGame && hasNoHistory && result.code && !result.wasTruncated) {
         const cacheKey = getTemplateCacheKey(message, gameConfig);
         if (cacheKey) {
-          cacheTemplate(cacheKey, result.code, result.response);
+          await cacheTemplate(cacheKey, result.code, result.response);
         }
       }
 
@@ -354,6 +494,7 @@ export default function createGenerateRouter(sessions) {
         generationId,
         message: cleanedMessage,
         code: cleanedCode,
+        designMemory: cleanedCode ? await designMemoryUpdate : priorDesignMemory,
         usage,
         modelUsed: result.modelUsed,
         isCacheHit: result.isCacheHit,
@@ -361,9 +502,19 @@ export default function createGenerateRouter(sessions) {
         openaiAvailable: isOpenAIAvailable(),
       };
 
-      // Include alternate response for critic/side-by-side modes
-      if (result.alternateResponse) {
-        responsePayload.alternateResponse = result.alternateResponse;
+      // Include alternate response for critic/side-by-side modes (and every best-of-N runner-up).
+      // Alternates can be played too, so they go through the same output filter; blocked ones are dropped.
+      const alternates = (result.alternateResponses || (result.alternateResponse ? [result.alternateResponse] : []))
+        .map((alternate) => {
+          const altText = filterOutputText(alternate.response);
+          const altCode = filterOutputCode(alternate.code);
+          if (altText.flagged || altCode.blocked) return null;
+          return { ...alternate, response: altText.text, code: altCode.code };
+        })
+        .filter(Boolean);
+      if (alternates.length > 0) {
+        responsePayload.alternateResponse = alternates[0];
+        if (result.alternateResponses) responsePayload.alternateResponses = alternates;
       }
 
       // Include debug info if in debug mode
@@ -397,46 +548,71 @@ export default function createGenerateRouter(sessions) {
           modelUsed: result.modelUsed,
           mode,
           hasCode: !!result.code,
+          editMode: result.editTelemetry?.editMode,
+          patchApplied: result.editTelemetry?.patchApplied,
+          patchFallback: result.editTelemetry?.patchFallback,
+          wasTruncated: result.wasTruncated,
+          promptVariant,
           userId: ageBracket === 'under13' ? null : userId,
           ageBracket,
           improvementOptOut,
         }).catch((err) => console.error('Event log error:', err?.message));
 
-        const telemetry = result.engineTelemetry || {};
-        const engineProfile =
-          telemetry.engineProfile ||
-          resolveEngineProfile({
-            prompt: message,
-            genre: gameGenre,
-            gameConfig,
-            currentCode,
-          });
-        logEngineOutcomeGeneration({
-          generationId,
-          sessionId,
-          startingModel,
-          modelUsed: result.modelUsed,
-          mode,
-          hasCode: !!cleanedCode,
-          userId: ageBracket === 'under13' ? null : userId,
-          ageBracket,
-          improvementOptOut,
-          isCacheHit: result.isCacheHit,
-          isNewGame,
-          code: cleanedCode,
-          referenceSources: result.referenceSources || [],
-          engineId: engineProfile.engineId,
-          dimension: engineProfile.dimension,
-          genreFamily: engineProfile.genreFamily,
-          starterTemplateId: engineProfile.starterTemplateId,
-          templateGenre: engineProfile.templateGenre,
-          validationProfile: engineProfile.validationProfile,
-          validationSafe: telemetry.validationSafe ?? null,
-          validationWarningsCount: telemetry.validationWarningsCount ?? 0,
-          validationViolationsCount: telemetry.validationViolationsCount ?? 0,
-          repairAttempted: telemetry.repairAttempted ?? false,
-          repairSucceeded: telemetry.repairSucceeded ?? false,
-        }).catch((err) => console.error('Engine outcome log error:', err?.message));
+        // Explanations don't produce a game — scoring them would only drag down the engine rankings
+        if (mode !== 'explain') {
+          const telemetry = result.engineTelemetry || {};
+          const engineProfile =
+            telemetry.engineProfile ||
+            resolveEngineProfile({
+              prompt: message,
+              genre: gameGenre,
+              gameConfig,
+              currentCode,
+            });
+          logEngineOutcomeGeneration({
+            generationId,
+            sessionId,
+            startingModel,
+            modelUsed: result.modelUsed,
+            mode,
+            promptVariant,
+            hasCode: !!cleanedCode,
+            userId: ageBracket === 'under13' ? null : userId,
+            ageBracket,
+            improvementOptOut,
+            isCacheHit: result.isCacheHit,
+            isNewGame,
+            code: cleanedCode,
+            referenceSources: result.referenceSources || [],
+            engineId: engineProfile.engineId,
+            dimension: engineProfile.dimension,
+            genreFamily: engineProfile.genreFamily,
+            starterTemplateId: engineProfile.starterTemplateId,
+            templateGenre: engineProfile.templateGenre,
+            validationProfile: engineProfile.validationProfile,
+            validationSafe: telemetry.validationSafe ?? null,
+            validationWarningsCount: telemetry.validationWarningsCount ?? 0,
+            validationViolationsCount: telemetry.validationViolationsCount ?? 0,
+            repairAttempted: telemetry.repairAttempted ?? false,
+            repairSucceeded: telemetry.repairSucceeded ?? false,
+            runtimeVerdict: telemetry.runtimeVerdict ?? null,
+            runtimeReasons: telemetry.runtimeReasons ?? [],
+            runtimeErrorCount: telemetry.runtimeErrorCount ?? 0,
+            runtimeFrameCount: telemetry.runtimeFrameCount ?? null,
+            runtimeCanvasDrawn: telemetry.runtimeCanvasDrawn ?? null,
+            runtimeRepairAttempted: telemetry.runtimeRepairAttempted ?? false,
+            runtimeRepairSucceeded: telemetry.runtimeRepairSucceeded ?? false,
+            codeParsed: telemetry.codeParsed ?? null,
+            autoFixes: telemetry.autoFixes ?? [],
+            securityFindings: telemetry.securityFindings ?? [],
+          }).catch((err) => console.error('Engine outcome log error:', err?.message));
+        }
+      }
+
+      if (storedDesignMemory.projectId && responsePayload.designMemory !== priorDesignMemory) {
+        saveDesignMemory(storedDesignMemory.projectId, responsePayload.designMemory).catch((err) =>
+          log.warn({ userId, err: err.message }, 'Design memory save failed'),
+        );
       }
 
       if (wantsSSE) {
@@ -446,6 +622,12 @@ export default function createGenerateRouter(sessions) {
         res.json(responsePayload);
       }
     } catch (error) {
+      codeStream?.close();
+      if (error instanceof GenerationCancelledError || abortController.signal.aborted) {
+        log.info('Generation cancelled by client');
+        return;
+      }
+
       console.error('API Error:', error.message || error);
       console.error('Stack:', error.stack);
 
@@ -117,9 +117,10 @@ router.get('/verify', async (req, res) => {
           user.status = 'approved';
           user.approvedAt = nowIso;
           if (consent.action === 'consent') {
-            // Default: publishing and multiplayer OFF for under-13 until parent enables
+            // Default: publishing, multiplayer and typed chat OFF for under-13 until parent enables
             if (user.publishingEnabled === undefined) user.publishingEnabled = false;
             if (user.multiplayerEnabled === undefined) user.multiplayerEnabled = false;
+            if (user.freeChatEnabled === undefined) user.freeChatEnabled = false;
           }
           // Generate Parent Command Center token
           grantedDashToken = await createParentDashboardToken(consent.userId);
@@ -280,6 +280,7 @@ router.get('/children', requireParentAuth, async (req, res) => {
         consentVersion: child.consentPolicyVersion || null,
         publishingEnabled: !!child.publishingEnabled,
         multiplayerEnabled: !!child.multiplayerEnabled,
+        freeChatEnabled: !!child.freeChatEnabled,
       };
     });
 
@@ -292,15 +293,17 @@ router.get('/children', requireParentAuth, async (req, res) => {
 
 /**
  * POST /api/parent-dashboard/child/:userId/toggle
- * Toggle publishing or multiplayer for a child account.
+ * Toggle publishing, multiplayer or typed multiplayer chat for a child account.
  */
 router.post('/child/:userId/toggle', requireParentAuth, async (req, res) => {
   try {
     const { userId } = req.params;
     const { setting } = req.body;
 
-    if (!['publishingEnabled', 'multiplayerEnabled'].includes(setting)) {
-      return res.status(400).json({ error: 'Invalid setting. Use publishingEnabled or multiplayerEnabled.' });
+    if (!['publishingEnabled', 'multiplayerEnabled', 'freeChatEnabled'].includes(setting)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid setting. Use publishingEnabled, multiplayerEnabled or freeChatEnabled.' });
     }
 
     const user = await readUser(userId);
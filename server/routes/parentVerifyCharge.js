@@ -134,6 +134,7 @@ router.post('/confirm', async (req, res) => {
         user.approvedAt = nowIso;
         if (user.publishingEnabled === undefined) user.publishingEnabled = false;
         if (user.multiplayerEnabled === undefined) user.multiplayerEnabled = false;
+        if (user.freeChatEnabled === undefined) user.freeChatEnabled = false;
         const dashboardToken = await createParentDashboardToken(consent.userId);
         user.parentDashboardToken = dashboardToken;
         await writeUser(consent.userId, user);
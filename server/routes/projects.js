@@ -1,17 +1,41 @@
 /**
  * Project Routes
  *
- * CRUD operations, sharing, gallery, versions, likes.
+ * CRUD operations, sharing, gallery, versions, likes, remixes, offline export.
  */
 
 import { Router } from 'express';
 import { randomBytes } from 'crypto';
-import { readProject, writeProject, deleteProject as removeProject, readUser } from '../services/storage.js';
+import {
+  readProject,
+  writeProject,
+  deleteProject as removeProject,
+  readUser,
+  readProjectMedia,
+  incrementRemixCount,
+} from '../services/storage.js';
 import { filterContent } from '../middleware/contentFilter.js';
 import { prePublishScan } from '../middleware/prePublishScan.js';
 import { checkTierLimits, incrementUsage, calculateUsageRemaining } from '../middleware/rateLimit.js';
 import { ageGate } from '../middleware/ageGate.js';
 import { resolvePublicCreatorAlias, resolveSessionCreatorAlias } from '../utils/publicCreatorAlias.js';
+import { normalizeDesignMemory } from '../services/designMemory.js';
+import { bundleProjectFiles, normalizeProjectFiles } from '../services/projectFiles.js';
+import { buildRemixProject, checkRemixAllowed } from '../services/projectRemix.js';
+import { normalizeGalleryQuery, noteGalleryActivity, queryGallery } from '../services/galleryIndex.js';
+import {
+  createCheckpoint,
+  getVersion,
+  listVersions,
+  recordVersion,
+  restoreVersionAsBranch,
+  syncHead,
+  toVersionHistory,
+} from '../services/projectVersions.js';
+import { diffLines } from '../services/lineDiff.js';
+import { PREVIEW_FILE, THUMBNAIL_FILE, publicGameMedia, scheduleGameCapture } from '../services/gameCapture.js';
+import { buildGameExport } from '../services/gameExport.js';
+import { checkAbuse } from '../services/abuseDetection.js';
 
 function generateProjectId() {
   const chars = 'abcdefghjkmnpqrstuvwxyz23456789';
@@ -24,14 +48,7 @@ function generateProjectId() {
 }
 
 const PROJECT_ID_REGEX = /^[a-z0-9]{6}$/;
-
-function serializeEditorScene(scene) {
-  try {
-    return JSON.stringify(scene || null);
-  } catch {
-    return 'null';
-  }
-}
+const MAX_LISTED_REMIXES = 100;
 
 export default function createProjectsRouter(sessions) {
   const router = Router();
@@ -56,6 +73,7 @@ export default function createProjectsRouter(sessions) {
         thumbnail,
         gameConfig = null,
         editorScene = null,
+        allowRemix = true,
       } = req.body;
 
       if (!code || !title) {
@@ -144,6 +162,7 @@ export default function createProjectsRouter(sessions) {
         isPublic: allowPublic,
         pendingParentApproval,
         multiplayer: allowMultiplayer,
+        allowRemix: allowRemix !== false,
         category: category || 'other',
         gameConfig,
         editorScene,
@@ -154,6 +173,7 @@ export default function createProjectsRouter(sessions) {
       };
 
       await writeProject(id, project);
+      scheduleGameCapture(project);
 
       if (userId) await incrementUsage(userId, 'save_game');
 
@@ -187,8 +207,20 @@ export default function createProjectsRouter(sessions) {
       const session = await sessions.get(token);
       if (!session) return res.status(401).json({ error: 'Session expired. Please log in again.' });
 
-      const { projectId, title, code, category = 'other', autoSave = false, gameConfig } = req.body;
+      const { projectId, title, category = 'other', autoSave = false, gameConfig, allowRemix } = req.body;
+      // The AI prompt that produced this code, recorded on the version (absent for hand edits)
+      const prompt = typeof req.body.prompt === 'string' ? req.body.prompt : null;
       const editorScene = req.body.editorScene ?? null;
+      // Multi-file projects send their files; the stored code is always the bundle built from them
+      const files = req.body.files == null ? null : normalizeProjectFiles(req.body.files);
+      if (req.body.files != null && !files) {
+        return res
+          .status(400)
+          .json({ error: "Some of your project's files have names we can't save. Try renaming them!" });
+      }
+      const code = files ? bundleProjectFiles(files) : req.body.code;
+      const designMemory =
+        req.body.designMemory === undefined ? undefined : normalizeDesignMemory(req.body.designMemory);
       if (!code) return res.status(400).json({ error: 'No code to save' });
 
       const projectTitle = title || 'My Project';
@@ -203,50 +235,15 @@ export default function createProjectsRouter(sessions) {
             return res.status(403).json({ error: 'You can only save your own projects' });
           }
 
-          if (!existing.versions) existing.versions = [];
-
-          const sceneChanged = serializeEditorScene(existing.editorScene) !== serializeEditorScene(editorScene);
-          if (existing.code !== code || sceneChanged) {
-            if (autoSave) {
-              // For auto-saves, replace the last version entry if it was also an auto-save
-              // to avoid flooding history with incremental auto-save snapshots
-              const lastVersion = existing.versions[existing.versions.length - 1];
-              if (lastVersion?.autoSave) {
-                existing.versions[existing.versions.length - 1] = {
-                  versionId: Date.now().toString(),
-                  code: existing.code,
-                  title: existing.title,
-                  editorScene: existing.editorScene ?? null,
-                  savedAt: now,
-                  autoSave: true,
-                };
-              } else {
-                existing.versions.push({
-                  versionId: Date.now().toString(),
-                  code: existing.code,
-                  title: existing.title,
-                  editorScene: existing.editorScene ?? null,
-                  savedAt: now,
-                  autoSave: true,
-                });
-              }
-            } else {
-              existing.versions.push({
-                versionId: Date.now().toString(),
-                code: existing.code,
-                title: existing.title,
-                editorScene: existing.editorScene ?? null,
-                savedAt: existing.updatedAt || existing.createdAt,
-                autoSave: false,
-              });
-            }
-            if (existing.versions.length > 20) {
-              existing.versions = existing.versions.slice(-20);
-            }
-          }
+          const { versionCount } = await recordVersion(
+            existing,
+            { code, files, editorScene, title: projectTitle },
+            { autoSave: Boolean(autoSave), prompt, now },
+          );
 
           existing.title = projectTitle;
           existing.code = code;
+          existing.files = files;
           existing.category = category;
           if (gameConfig !== undefined) {
             existing.gameConfig = gameConfig;
@@ -254,6 +251,12 @@ export default function createProjectsRouter(sessions) {
           if (editorScene !== undefined) {
             existing.editorScene = editorScene;
           }
+          if (designMemory !== undefined) {
+            existing.designMemory = designMemory;
+          }
+          if (typeof allowRemix === 'boolean') {
+            existing.allowRemix = allowRemix;
+          }
           existing.updatedAt = now;
 
           // Re-scan if project is public — revert to private if scan fails
@@ -266,6 +269,8 @@ export default function createProjectsRouter(sessions) {
           }
 
           await writeProject(projectId, existing);
+          // Published code changed — the gallery thumbnail is captured again
+          scheduleGameCapture(existing);
 
           return res.json({
             success: true,
@@ -274,7 +279,7 @@ export default function createProjectsRouter(sessions) {
               id: existing.id,
               title: existing.title,
               updatedAt: existing.updatedAt,
-              versionsCount: existing.versions.length,
+              versionsCount: versionCount,
             },
           });
         } catch (err) {
@@ -291,6 +296,8 @@ export default function createProjectsRouter(sessions) {
         category,
         gameConfig: gameConfig ?? null,
         editorScene,
+        designMemory: designMemory ?? null,
+        files,
         creatorName: resolveSessionCreatorAlias(session),
         userId: session.userId,
         isPublic: false,
@@ -299,15 +306,17 @@ export default function createProjectsRouter(sessions) {
         updatedAt: now,
         views: 0,
         likes: 0,
-        versions: [],
       };
 
+      await writeProject(id, newProject);
+      // The first version is the kid's original game, which is never pruned
+      await syncHead(newProject, { now, prompt });
       await writeProject(id, newProject);
 
       res.json({
         success: true,
         message: 'Project created!',
-        project: { id: newProject.id, title: newProject.title, createdAt: newProject.createdAt, versionsCount: 0 },
+        project: { id: newProject.id, title: newProject.title, createdAt: newProject.createdAt, versionsCount: 1 },
       });
     } catch (error) {
       console.error('Save project error:', error?.stack || error);
@@ -315,6 +324,40 @@ export default function createProjectsRouter(sessions) {
     }
   });
 
+  // Download the studio's current game as a zip that plays offline (assets, libraries and credits included)
+  router.post('/export', async (req, res) => {
+    try {
+      const token = req.headers.authorization?.replace('Bearer ', '');
+      if (!token) return res.status(401).json({ error: 'Please log in to download your game' });
+
+      const session = await sessions.get(token);
+      if (!session) return res.status(401).json({ error: 'Session expired. Please log in again.' });
+
+      const limit = checkAbuse(session.userId, 'export');
+      if (!limit.allowed) {
+        res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+        return res.status(429).json({ error: "That's a lot of downloads! Try again in a few minutes." });
+      }
+
+      const files = req.body.files == null ? null : normalizeProjectFiles(req.body.files);
+      const code = files ? bundleProjectFiles(files) : req.body.code;
+      if (!code || typeof code !== 'string') return res.status(400).json({ error: 'No code to download' });
+
+      const result = await buildGameExport({
+        code,
+        title: typeof req.body.title === 'string' && req.body.title.trim() ? req.body.title.trim() : 'My Game',
+        creatorName: resolveSessionCreatorAlias(session),
+      });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+
+      res.set('Content-Disposition', `attachment; filename="${result.fileName}"`);
+      res.type('application/zip').send(result.zip);
+    } catch (error) {
+      console.error('Export project error:', error?.stack || error);
+      res.status(500).json({ error: 'Could not build the download' });
+    }
+  });
+
   // Get single project — strips internal fields for unauthenticated/public requests
   router.get('/:id', async (req, res) => {
     try {
@@ -323,6 +366,7 @@ export default function createProjectsRouter(sessions) {
 
       const project = await readProject(id);
       project.views = (project.views || 0) + 1;
+      if (project.isPublic) await noteGalleryActivity(project, 'view');
       await writeProject(id, project);
 
       const token = req.headers.authorization?.replace('Bearer ', '');
@@ -339,9 +383,14 @@ export default function createProjectsRouter(sessions) {
           parentEmail: _pe,
           gameConfig: _gc,
           editorScene: _es,
+          designMemory: _dm,
+          files: _files,
+          activity: _activity,
+          capture: _capture,
           ...safeProject
         } = project;
         safeProject.creatorName = await resolvePublicCreatorAlias(project);
+        safeProject.thumbnail = publicGameMedia(project).thumbnail;
         return res.json(safeProject);
       }
 
@@ -353,6 +402,34 @@ export default function createProjectsRouter(sessions) {
     }
   });
 
+  // Captured gallery thumbnail / animated preview. Others only see a capture
+  // that passed image moderation; the owner can always see theirs.
+  router.get('/:id/media/:name', async (req, res) => {
+    try {
+      const { id, name } = req.params;
+      if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
+      if (name !== THUMBNAIL_FILE && name !== PREVIEW_FILE) return res.status(404).json({ error: 'Not found' });
+
+      const project = await readProject(id);
+      const visibleToAll = project.isPublic && project.capture?.status === 'ready';
+      if (!visibleToAll) {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        const session = token ? await sessions.get(token) : null;
+        if (!session || project.userId !== session.userId) return res.status(404).json({ error: 'Not found' });
+      }
+
+      const media = await readProjectMedia(id, name);
+      if (!media) return res.status(404).json({ error: 'Not found' });
+      // URLs carry the code hash, so a new capture is a new URL
+      res.set('Cache-Control', visibleToAll ? 'public, max-age=86400' : 'private, no-cache');
+      res.type(media.contentType).send(media.data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+      console.error('Get project media error:', error?.stack || error);
+      res.status(500).json({ error: 'Could not load image' });
+    }
+  });
+
   // Delete own project
   router.delete('/:id', async (req, res) => {
     try {
@@ -397,6 +474,7 @@ export default function createProjectsRouter(sessions) {
       }
       project.likedBy.push(session.userId);
       project.likes = project.likedBy.length;
+      if (project.isPublic) await noteGalleryActivity(project, 'like');
       await writeProject(id, project);
 
       res.json({ likes: project.likes });
@@ -433,40 +511,151 @@ export default function createProjectsRouter(sessions) {
     }
   });
 
-  // Version history
-  router.get('/:id/versions', async (req, res) => {
+  // Remix: copy a public game (or your own) into a new private draft
+  router.post('/:id/remix', async (req, res) => {
     try {
       const token = req.headers.authorization?.replace('Bearer ', '');
+      if (!token) return res.status(401).json({ error: 'Please log in to remix games' });
+      const session = await sessions.get(token);
+      if (!session) return res.status(401).json({ error: 'Session expired. Please log in again.' });
+
       const { id } = req.params;
       if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
 
-      const project = await readProject(id);
+      let remixer = null;
+      try {
+        remixer = await readUser(session.userId);
+      } catch {
+        /* ageGate denies a missing user */
+      }
+      const gate = ageGate(remixer, 'remix');
+      if (!gate.allowed) return res.status(403).json({ error: gate.reason });
+
+      const source = await readProject(id);
+      const check = checkRemixAllowed(source, session.userId);
+      if (!check.allowed) return res.status(check.status).json({ error: check.reason });
+
+      const tierCheck = await checkTierLimits(session.userId, 'save_game');
+      if (!tierCheck.allowed) {
+        return res.status(403).json({ error: tierCheck.message, upgradeRequired: tierCheck.upgradeRequired });
+      }
+
+      const remix = buildRemixProject(source, {
+        id: generateProjectId(),
+        userId: session.userId,
+        creatorName: resolveSessionCreatorAlias(session),
+        sourceCreatorName: await resolvePublicCreatorAlias(source),
+      });
+      await writeProject(remix.id, remix);
+      // The remix's history starts with the game as it was copied
+      await syncHead(remix, { now: remix.createdAt });
+      await writeProject(remix.id, remix);
+
+      // Counted in storage: `source` was read several awaits ago and may be older than the owner's last save
+      await incrementRemixCount(id);
+
+      await incrementUsage(session.userId, 'save_game');
 
-      if (token) {
-        const session = await sessions.get(token);
+      res.json({
+        success: true,
+        message: 'Remix created! Make it your own.',
+        project: {
+          id: remix.id,
+          title: remix.title,
+          createdAt: remix.createdAt,
+          versionsCount: 1,
+          remixedFrom: remix.remixedFrom,
+        },
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return res.status(404).json({ error: 'Project not found' });
+      console.error('Remix project error:', error?.stack || error);
+      res.status(500).json({ error: 'Could not remix project' });
+    }
+  });
+
+  // Public remixes of a game
+  router.get('/:id/remixes', async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
+
+      const project = await readProject(id);
+      if (!project.isPublic) {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        const session = token ? await sessions.get(token) : null;
         if (!session || project.userId !== session.userId) {
-          return res.status(403).json({ error: 'You can only view versions of your own projects' });
+          return res.status(404).json({ error: 'Project not found' });
         }
-      } else {
-        return res.status(401).json({ error: 'Please log in to view version history' });
       }
 
-      const versions = (project.versions || []).map((v, index) => ({
-        versionId: v.versionId,
-        title: v.title,
-        savedAt: v.savedAt,
-        versionNumber: index + 1,
-      }));
-
-      versions.push({
-        versionId: 'current',
-        title: project.title + ' (Current)',
-        savedAt: project.updatedAt || project.createdAt,
-        versionNumber: versions.length + 1,
-        isCurrent: true,
-      });
+      const userCache = new Map();
+      const { games } = await queryGallery(normalizeGalleryQuery({ limit: MAX_LISTED_REMIXES }, null, { remixOf: id }));
+      const remixes = await Promise.all(
+        games.map(async (p) => ({
+          id: p.id,
+          title: p.title,
+          creatorName: await resolvePublicCreatorAlias(p, userCache),
+          createdAt: p.createdAt,
+          views: p.views || 0,
+          likes: p.likes || 0,
+          thumbnail: p.thumbnail,
+        })),
+      );
+
+      res.json({ projectId: id, remixCount: project.remixCount || 0, remixes });
+    } catch (error) {
+      if (error.code === 'ENOENT') return res.status(404).json({ error: 'Project not found' });
+      console.error('Get remixes error:', error?.stack || error);
+      res.status(500).json({ error: 'Could not load remixes' });
+    }
+  });
+
+  // Versions live in their own store (services/projectVersions.js). Listing or
+  // comparing them can record the current game as the head version first, in
+  // which case the project is written back with its new headVersionId.
+  async function syncProjectHistory(project) {
+    const headBefore = project.headVersionId;
+    const hadLegacyVersions = Array.isArray(project.versions);
+    await syncHead(project);
+    if (hadLegacyVersions || project.headVersionId !== headBefore) await writeProject(project.id, project);
+  }
+
+  async function readOwnProject(req, res, id) {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      res.status(401).json({ error: 'Please log in to view version history' });
+      return null;
+    }
+    const session = await sessions.get(token);
+    if (!session) {
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+      return null;
+    }
+    const project = await readProject(id);
+    if (project.userId !== session.userId) {
+      res.status(403).json({ error: 'You can only access versions of your own projects' });
+      return null;
+    }
+    return project;
+  }
+
+  // Version history (a tree: restoring starts a branch)
+  router.get('/:id/versions', async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
 
-      res.json({ projectId: project.id, projectTitle: project.title, versions: versions.reverse() });
+      const project = await readOwnProject(req, res, id);
+      if (!project) return;
+      await syncProjectHistory(project);
+
+      res.json({
+        projectId: project.id,
+        projectTitle: project.title,
+        headVersionId: project.headVersionId,
+        versions: toVersionHistory(await listVersions(id), project.headVersionId),
+      });
     } catch (error) {
       if (error.code === 'ENOENT') return res.status(404).json({ error: 'Project not found' });
       console.error('Get versions error:', error?.stack || error);
@@ -474,44 +663,69 @@ export default function createProjectsRouter(sessions) {
     }
   });
 
+  // Line diff between two versions: ?from=<versionId>&to=<versionId|current>
+  router.get('/:id/versions/compare', async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
+      if (typeof req.query.from !== 'string' || typeof req.query.to !== 'string') {
+        return res.status(400).json({ error: 'Pick two versions to compare' });
+      }
+
+      const project = await readOwnProject(req, res, id);
+      if (!project) return;
+      await syncProjectHistory(project);
+
+      const resolve = (versionId) => (versionId === 'current' ? project.headVersionId : versionId);
+      const [from, to] = await Promise.all([
+        getVersion(id, resolve(req.query.from)),
+        getVersion(id, resolve(req.query.to)),
+      ]);
+      if (!from || !to) return res.status(404).json({ error: 'Version not found' });
+
+      res.json({ from: from.versionId, to: to.versionId, ...diffLines(from.code, to.code) });
+    } catch (error) {
+      if (error.code === 'ENOENT') return res.status(404).json({ error: 'Project not found' });
+      console.error('Compare versions error:', error?.stack || error);
+      res.status(500).json({ error: 'Could not compare versions' });
+    }
+  });
+
   // Load specific version
   router.get('/:id/versions/:versionId', async (req, res) => {
     try {
-      const token = req.headers.authorization?.replace('Bearer ', '');
       const { id, versionId } = req.params;
       if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
 
-      const project = await readProject(id);
-
-      if (token) {
-        const session = await sessions.get(token);
-        if (!session || project.userId !== session.userId) {
-          return res.status(403).json({ error: 'You can only access versions of your own projects' });
-        }
-      } else {
-        return res.status(401).json({ error: 'Please log in to access version history' });
-      }
+      const project = await readOwnProject(req, res, id);
+      if (!project) return;
 
       if (versionId === 'current') {
         return res.json({
-          versionId: 'current',
+          versionId: project.headVersionId || 'current',
           title: project.title,
           code: project.code,
           editorScene: project.editorScene ?? null,
+          files: project.files ?? null,
           savedAt: project.updatedAt || project.createdAt,
           isCurrent: true,
         });
       }
 
-      const version = (project.versions || []).find((v) => v.versionId === versionId);
+      const version = await getVersion(id, versionId);
       if (!version) return res.status(404).json({ error: 'Version not found' });
 
       res.json({
         versionId: version.versionId,
+        parentId: version.parentId,
         title: version.title,
         code: version.code,
         editorScene: version.editorScene ?? null,
+        files: version.files ?? null,
         savedAt: version.savedAt,
+        checkpointName: version.checkpointName,
+        prompt: version.prompt,
+        isCurrent: version.versionId === project.headVersionId,
       });
     } catch (error) {
       if (error.code === 'ENOENT') return res.status(404).json({ error: 'Project not found' });
@@ -520,51 +734,63 @@ export default function createProjectsRouter(sessions) {
     }
   });
 
-  // Restore version
+  // Named checkpoint ("before boss fight") — never pruned. Names the current
+  // game, or an older version when versionId is given.
+  router.post('/:id/checkpoints', async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
+
+      const project = await readOwnProject(req, res, id);
+      if (!project) return;
+
+      const { name, versionId = null } = req.body || {};
+      if (typeof name === 'string' && filterContent(name, { source: 'projects' }).blocked) {
+        return res.status(400).json({ error: 'Please choose a different checkpoint name' });
+      }
+
+      const headBefore = project.headVersionId;
+      const result = await createCheckpoint(project, name, typeof versionId === 'string' ? versionId : null);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      if (project.headVersionId !== headBefore) await writeProject(id, project);
+
+      res.json({
+        success: true,
+        message: `Checkpoint "${result.version.checkpointName}" saved!`,
+        versionId: result.version.versionId,
+        checkpointName: result.version.checkpointName,
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return res.status(404).json({ error: 'Project not found' });
+      console.error('Create checkpoint error:', error?.stack || error);
+      res.status(500).json({ error: 'Could not save checkpoint' });
+    }
+  });
+
+  // Restore as a branch: newer work stays in the history
   router.post('/:id/versions/:versionId/restore', async (req, res) => {
     try {
-      const token = req.headers.authorization?.replace('Bearer ', '');
       const { id, versionId } = req.params;
-
-      if (!token) return res.status(401).json({ error: 'Please log in to restore versions' });
-      const session = await sessions.get(token);
-      if (!session) return res.status(401).json({ error: 'Session expired' });
       if (!PROJECT_ID_REGEX.test(id)) return res.status(400).json({ error: 'Invalid project ID' });
 
-      const project = await readProject(id);
-      if (project.userId !== session.userId) {
-        return res.status(403).json({ error: 'You can only restore your own projects' });
-      }
+      const project = await readOwnProject(req, res, id);
+      if (!project) return;
 
       if (versionId === 'current') {
         return res.json({ success: true, message: 'Already on current version' });
       }
 
-      const version = (project.versions || []).find((v) => v.versionId === versionId);
+      const version = await restoreVersionAsBranch(project, versionId);
       if (!version) return res.status(404).json({ error: 'Version not found' });
-
-      if (!project.versions) project.versions = [];
-      project.versions.push({
-        versionId: Date.now().toString(),
-        code: project.code,
-        title: project.title,
-        editorScene: project.editorScene ?? null,
-        savedAt: project.updatedAt || project.createdAt,
-        autoSave: false,
-      });
-      if (project.versions.length > 20) project.versions = project.versions.slice(-20);
-
-      project.code = version.code;
-      project.editorScene = version.editorScene ?? project.editorScene ?? null;
-      project.updatedAt = new Date().toISOString();
-
       await writeProject(id, project);
 
       res.json({
         success: true,
-        message: 'Version restored!',
+        message: 'Version restored! Your newer work is still in the history.',
         code: project.code,
         editorScene: project.editorScene ?? null,
+        files: project.files ?? null,
+        headVersionId: project.headVersionId,
       });
     } catch (error) {
       if (error.code === 'ENOENT') return res.status(404).json({ error: 'Project not found' });
@@ -5,6 +5,7 @@
  *   - Rapid account creation (registration spam)
  *   - Excessive failed logins (credential stuffing)
  *   - Burst content generation (bot-like behavior)
+ *   - Repeated game downloads (each one reads and zips up to 40 MB of assets)
  *
  * All counters are in-memory with automatic expiry.
  * For multi-instance deployments, replace with Redis.
@@ -14,6 +15,8 @@ const WINDOWS = {
   registration: { maxPerWindow: 3, windowMs: 60 * 60 * 1000 },
   failedLogin:  { maxPerWindow: 15, windowMs: 15 * 60 * 1000 },
   generate:     { maxPerWindow: 30, windowMs: 5 * 60 * 1000 },
+  // Keyed by user id rather than IP
+  export:       { maxPerWindow: 10, windowMs: 15 * 60 * 1000 },
 };
 
 const counters = new Map();
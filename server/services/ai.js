@@ -1,68 +1,52 @@
 /**
  * AI Service (Tri-Model: Claude + Grok + OpenAI)
  *
- * Handles all AI API interactions with:
- * - Claude (Anthropic API) — "Professor Claude": patient teacher
- * - Grok (xAI API via OpenAI SDK) — "VibeGrok": hype gamer buddy
- * - OpenAI (GPT API via OpenAI SDK) — "Coach GPT": competitive game coach
- * - Prompt caching (cache_control) for static system prompts
- * - Streaming support for faster perceived response times
+ * Handles all AI API interactions for the three buddies:
+ * - Claude — "Professor Claude": patient teacher
+ * - Grok — "VibeGrok": hype gamer buddy
+ * - OpenAI — "Coach GPT": competitive game coach
+ * - One callModel() path over the provider registry (providers/), which maps each
+ *   buddy to a vendor API or the offline fixture provider
+ * - Token streaming from every model (onDelta) and cancellation (AbortSignal)
  * - Conversation history trimming to reduce token waste
  * - Token usage tracking and cost logging for ALL models
  * - Retry logic with exponential backoff
  * - Truncation recovery (continuation requests)
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import OpenAI from 'openai';
-import {
-  ANTHROPIC_API_KEY,
-  AI_MODEL,
-  AI_BASE_TOKENS,
-  AI_MAX_TOKENS,
-  AI_RETRY_COUNT,
-  AI_RETRY_DELAY_MS,
-  XAI_API_KEY,
-  GROK_MODEL,
-  GROK_BASE_URL,
-  OPENAI_API_KEY,
-  OPENAI_MODEL,
-} from '../config/index.js';
-
-const anthropic = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
-
-// Grok client — xAI API is OpenAI-compatible, just different baseURL
-const grokClient = XAI_API_KEY ? new OpenAI({ apiKey: XAI_API_KEY, baseURL: GROK_BASE_URL }) : null;
-
-// OpenAI client — uses the same SDK as Grok with default base URL
-const openaiClient = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+import { AI_BASE_TOKENS, AI_MAX_TOKENS, AI_RETRY_COUNT, AI_RETRY_DELAY_MS } from '../config/index.js';
+import { estimateCostCents, getBuddyProvider, getEconomyProvider } from './providers/index.js';
+import { getUsageContext, recordAIUsage } from './aiUsageLedger.js';
+import { createTieredCache } from './persistentCache.js';
+import { CACHE_SCHEMA_VERSION } from './responseCache.js';
 
 /**
- * Check if Claude is available (API key configured).
+ * Check whether a buddy ('claude' | 'grok' | 'openai') can answer — its configured
+ * provider has what it needs (an API key, or nothing at all for the fixture provider).
+ */
+export function isBuddyAvailable(buddy) {
+  return getBuddyProvider(buddy).isAvailable();
+}
+
+/**
+ * Check if Claude is available.
  */
 export function isClaudeAvailable() {
-  return !!anthropic;
+  return isBuddyAvailable('claude');
 }
 
 /**
- * Check if Grok is available (API key configured).
+ * Check if Grok is available.
  */
 export function isGrokAvailable() {
-  return !!grokClient;
+  return isBuddyAvailable('grok');
 }
 
 /**
- * Check if OpenAI is available (API key configured).
+ * Check if OpenAI is available.
  */
 export function isOpenAIAvailable() {
-  return !!openaiClient;
-}
-
-function requireClaude() {
-  if (!anthropic) {
-    throw new Error('ANTHROPIC_API_KEY is not configured. Set it in your .env file to enable Claude AI features.');
-  }
-  return anthropic;
+  return isBuddyAvailable('openai');
 }
 
 // ========== TOKEN USAGE TRACKING ==========
@@ -75,70 +59,53 @@ const usageStats = {
   cacheMisses: 0,
   totalCostCents: 0,
   byUser: new Map(),
+  byProvider: new Map(),
   startedAt: new Date().toISOString(),
 };
 
-// Claude Sonnet pricing (per million tokens)
-const PRICING = {
-  claude: {
-    input: 3.0, // $3.00 / 1M input tokens
-    output: 15.0, // $15.00 / 1M output tokens
-    cacheWrite: 3.75, // $3.75 / 1M tokens (cache write)
-    cacheRead: 0.3, // $0.30 / 1M tokens (cache hit)
-  },
-  // Grok-3-fast pricing (xAI) — updated Feb 2026
-  grok: {
-    input: 3.0, // $3.00 / 1M input tokens
-    output: 15.0, // $15.00 / 1M output tokens
-  },
-  // GPT-5.4 pricing (OpenAI) — March 2026
-  openai: {
-    input: 2.5, // $2.50 / 1M input tokens
-    output: 15.0, // $15.00 / 1M output tokens
-  },
-};
-
 /**
- * Track token usage and costs for any model (Claude, Grok, or OpenAI).
- * @param {object} response - API response with usage info
+ * Track token usage and cost for one call, whichever provider answered: live
+ * counters here, plus a durable row in the usage ledger.
+ * @param {import('./providers/index.js').NormalizedUsage} usage
+ * @param {import('./providers/index.js').AIProvider} provider
  * @param {string|null} userId - For per-user tracking
- * @param {'claude'|'grok'|'openai'} model - Which model was called
+ * @param {'claude'|'grok'|'openai'} buddy - Which buddy was called
  */
-function trackUsage(response, userId = null, model = 'claude') {
-  const usage = response.usage;
-  if (!usage) return;
-
-  let inputTokens, outputTokens, costCents;
-
-  if (model === 'grok' || model === 'openai') {
-    // OpenAI-compatible usage format (both Grok and OpenAI use this)
-    const pricing = PRICING[model];
-    inputTokens = usage.prompt_tokens || 0;
-    outputTokens = usage.completion_tokens || 0;
-    costCents = (inputTokens / 1_000_000) * pricing.input * 100 + (outputTokens / 1_000_000) * pricing.output * 100;
-  } else {
-    // Anthropic usage format
-    inputTokens = usage.input_tokens || 0;
-    outputTokens = usage.output_tokens || 0;
-    const cacheCreation = usage.cache_creation_input_tokens || 0;
-    const cacheRead = usage.cache_read_input_tokens || 0;
-
-    const regularInput = inputTokens - cacheCreation - cacheRead;
-    costCents =
-      (regularInput / 1_000_000) * PRICING.claude.input * 100 +
-      (outputTokens / 1_000_000) * PRICING.claude.output * 100 +
-      (cacheCreation / 1_000_000) * PRICING.claude.cacheWrite * 100 +
-      (cacheRead / 1_000_000) * PRICING.claude.cacheRead * 100;
-
-    if (cacheRead > 0) usageStats.cacheHits++;
-    if (cacheCreation > 0) usageStats.cacheMisses++;
-  }
+function trackUsage(usage, provider, userId = null, buddy = 'claude') {
+  const { inputTokens, outputTokens } = usage;
+  const costCents = estimateCostCents(usage, provider.pricing);
+
+  const context = getUsageContext();
+  recordAIUsage({
+    ...context,
+    userId: userId || context?.userId || null,
+    buddy,
+    provider: provider.id,
+    model: provider.model,
+    usage,
+    costCents,
+  }).catch((err) => console.error('⚠️ AI usage ledger write failed:', err.message));
+
+  if (usage.cacheReadTokens > 0) usageStats.cacheHits++;
+  if (usage.cacheWriteTokens > 0) usageStats.cacheMisses++;
 
   usageStats.totalRequests++;
   usageStats.totalInputTokens += inputTokens;
   usageStats.totalOutputTokens += outputTokens;
   usageStats.totalCostCents += costCents;
 
+  const providerStats = usageStats.byProvider.get(provider.id) || {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costCents: 0,
+  };
+  providerStats.requests++;
+  providerStats.inputTokens += inputTokens;
+  providerStats.outputTokens += outputTokens;
+  providerStats.costCents += costCents;
+  usageStats.byProvider.set(provider.id, providerStats);
+
   // Per-user tracking
   if (userId) {
     const userStats = usageStats.byUser.get(userId) || {
@@ -154,17 +121,15 @@ function trackUsage(response, userId = null, model = 'claude') {
     userStats.inputTokens += inputTokens;
     userStats.outputTokens += outputTokens;
     userStats.costCents += costCents;
-    if (model === 'grok') userStats.grokCalls++;
-    else if (model === 'openai') userStats.openaiCalls++;
-    else userStats.claudeCalls++;
+    userStats[`${buddy}Calls`] = (userStats[`${buddy}Calls`] || 0) + 1;
     usageStats.byUser.set(userId, userStats);
   }
 
   // Log summary
   const modelTags = { claude: '🧠 Claude', grok: '🤖 Grok', openai: '🏆 OpenAI' };
-  const modelTag = modelTags[model] || model;
+  const modelTag = modelTags[buddy] || buddy;
   console.log(
-    `💰 ${modelTag}: ${inputTokens}in/${outputTokens}out | $${(costCents / 100).toFixed(4)} | Total: $${(usageStats.totalCostCents / 100).toFixed(4)}`,
+    `💰 ${modelTag} [${provider.id}]: ${inputTokens}in/${outputTokens}out | $${(costCents / 100).toFixed(4)} | Total: $${(usageStats.totalCostCents / 100).toFixed(4)}`,
   );
 }
 
@@ -175,6 +140,7 @@ export function getUsageStats() {
   return {
     ...usageStats,
     byUser: Object.fromEntries(usageStats.byUser),
+    byProvider: Object.fromEntries(usageStats.byProvider),
     cacheHitRate:
       usageStats.totalRequests > 0 ? ((usageStats.cacheHits / usageStats.totalRequests) * 100).toFixed(1) + '%' : '0%',
   };
@@ -210,8 +176,10 @@ export function formatMessageContent(text, imageBase64) {
  * Trim conversation history to stay within token budget.
  * Strategy: Keep the first message (original game description) + last N messages.
  * This preserves context about what the game IS while keeping recent edits.
+ * With a design memory (see services/designMemory.js), the bridge points the AI at
+ * it so decisions from the dropped turns still count.
  */
-export function trimConversationHistory(messages, maxMessages = 10) {
+export function trimConversationHistory(messages, maxMessages = 10, { hasDesignMemory = false } = {}) {
   if (messages.length <= maxMessages) return messages;
 
   // Always keep: first user message + last (maxMessages - 1) messages
@@ -223,8 +191,9 @@ export function trimConversationHistory(messages, maxMessages = 10) {
     first,
     {
       role: 'user',
-      content:
-        '[Earlier conversation about building and modifying this game was trimmed for space. The current game code is provided in the system context.]',
+      content: hasDesignMemory
+        ? '[Earlier conversation about building and modifying this game was trimmed for space. The current game code is provided in the system context, and the DESIGN MEMORY there lists the choices I made in those messages — keep them.]'
+        : '[Earlier conversation about building and modifying this game was trimmed for space. The current game code is provided in the system context.]',
     },
     { role: 'assistant', content: 'Got it! I can see the current game. What would you like me to change? 🎮' },
     ...recent,
@@ -249,215 +218,79 @@ export function calculateMaxTokens(currentCode) {
   return maxTokens;
 }
 
-// ========== CLAUDE API CALLS ==========
+// ========== STREAMING & CANCELLATION ==========
 
 /**
- * Build the system prompt blocks with cache_control for prompt caching.
- *
- * Claude's prompt caching works by marking parts of the system prompt as cacheable.
- * The static parts (personality, rules, knowledge base) are cached.
- * The dynamic parts (current code, genre rules) are NOT cached.
+ * Thrown when the caller's AbortSignal fired (the kid hit Stop or closed the tab).
+ * Never retried — the upstream request is already torn down.
  */
-function buildSystemBlocks(staticPrompt, dynamicContext = '') {
-  const blocks = [
-    {
-      type: 'text',
-      text: staticPrompt,
-      cache_control: { type: 'ephemeral' },
-    },
-  ];
-
-  if (dynamicContext) {
-    blocks.push({
-      type: 'text',
-      text: dynamicContext,
-    });
+export class GenerationCancelledError extends Error {
+  constructor() {
+    super('Generation cancelled');
+    this.name = 'GenerationCancelledError';
   }
-
-  return blocks;
 }
 
-/**
- * Call Claude API with retry logic and prompt caching.
- *
- * @param {string} staticPrompt - The cacheable portion of the system prompt
- * @param {string} dynamicContext - The per-request dynamic context (current code, genre rules)
- * @param {Array} messages - Conversation messages
- * @param {number} maxTokens - Max output tokens
- * @param {string|null} userId - For usage tracking
- */
-export async function callClaude(staticPrompt, dynamicContext, messages, maxTokens, userId = null) {
-  const client = requireClaude();
-  const systemBlocks = buildSystemBlocks(staticPrompt, dynamicContext);
-
-  let response;
-  for (let attempt = 1; attempt <= AI_RETRY_COUNT; attempt++) {
-    try {
-      response = await client.messages.create({
-        model: AI_MODEL,
-        max_tokens: maxTokens,
-        system: systemBlocks,
-        messages,
-      });
-      trackUsage(response, userId);
-      return response;
-    } catch (apiError) {
-      console.error(`⚠️ Claude API attempt ${attempt}/${AI_RETRY_COUNT} failed:`, apiError.status, apiError.message);
-      if (attempt === AI_RETRY_COUNT) {
-        throw new Error(
-          `Claude API failed after ${AI_RETRY_COUNT} attempts: ${apiError.status || ''} ${apiError.message || 'Unknown error'}`,
-        );
-      }
-      // Exponential backoff: 1s, 2s, 4s...
-      await new Promise((r) => setTimeout(r, AI_RETRY_DELAY_MS * Math.pow(2, attempt - 1)));
-    }
-  }
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new GenerationCancelledError();
 }
 
-/**
- * Call Claude with streaming for real-time response delivery.
- * Returns an async iterator of text chunks.
- *
- * @param {string} staticPrompt - Cacheable system prompt
- * @param {string} dynamicContext - Per-request context
- * @param {Array} messages - Conversation messages
- * @param {number} maxTokens - Max output tokens
- * @param {string|null} userId - For usage tracking
- */
-export async function callClaudeStreaming(staticPrompt, dynamicContext, messages, maxTokens, _userId = null) {
-  const client = requireClaude();
-  const systemBlocks = buildSystemBlocks(staticPrompt, dynamicContext);
-
-  const stream = await client.messages.stream({
-    model: AI_MODEL,
-    max_tokens: maxTokens,
-    system: systemBlocks,
-    messages,
-  });
-
-  return stream;
-}
-
-// ========== GROK API CALLS ==========
+// ========== MODEL CALLS ==========
 
 /**
- * Call Grok (xAI) API via OpenAI-compatible SDK with retry logic.
+ * Call a buddy's configured provider with retry logic and usage tracking.
  *
- * @param {string} systemPrompt - The full system prompt (personality + context)
- * @param {Array} messages - Conversation messages [{role, content}]
- * @param {number} maxTokens - Max output tokens
- * @param {string|null} userId - For usage tracking
- * @returns {object} OpenAI-compatible response object
- */
-export async function callGrok(systemPrompt, messages, maxTokens, userId = null) {
-  if (!grokClient) {
-    throw new Error('Grok (xAI) API key not configured. Set XAI_API_KEY in .env');
-  }
-
-  // Convert Anthropic-style messages to OpenAI format
-  // (they're already {role, content} but we need to ensure the system prompt is first)
-  const openAIMessages = [
-    { role: 'system', content: systemPrompt },
-    ...messages.map((msg) => ({
-      role: msg.role,
-      // Handle Claude's multi-part content format (image + text) → flatten to text for Grok
-      content:
-        typeof msg.content === 'string'
-          ? msg.content
-          : Array.isArray(msg.content)
-            ? msg.content
-                .filter((p) => p.type === 'text')
-                .map((p) => p.text)
-                .join('\n')
-            : String(msg.content),
-    })),
-  ];
-
-  let response;
-  for (let attempt = 1; attempt <= AI_RETRY_COUNT; attempt++) {
-    try {
-      response = await grokClient.chat.completions.create({
-        model: GROK_MODEL,
-        max_tokens: maxTokens,
-        messages: openAIMessages,
-        temperature: 0.7, // Slightly creative for fun factor
-      });
-      trackUsage(response, userId, 'grok');
-      return response;
-    } catch (apiError) {
-      console.error(`⚠️ Grok API attempt ${attempt}/${AI_RETRY_COUNT} failed:`, apiError.status, apiError.message);
-      if (attempt === AI_RETRY_COUNT) {
-        throw new Error(
-          `Grok API failed after ${AI_RETRY_COUNT} attempts: ${apiError.status || ''} ${apiError.message || 'Unknown error'}`,
-        );
-      }
-      await new Promise((r) => setTimeout(r, AI_RETRY_DELAY_MS * Math.pow(2, attempt - 1)));
-    }
-  }
-}
-
-/**
- * Extract the text content from an OpenAI-format response (works for both Grok and OpenAI).
- * @param {object} response - OpenAI-compatible response
- * @returns {string} The assistant's reply text
- */
-export function extractOpenAIText(response) {
-  return response?.choices?.[0]?.message?.content || '';
-}
-
-// Keep backward-compatible alias
-export const extractGrokText = extractOpenAIText;
-
-// ========== OPENAI (GPT) API CALLS ==========
-
-/**
- * Call OpenAI GPT API with retry logic.
+ * When `onDelta` is set, the reply is streamed and each text chunk is passed to it
+ * as it arrives; before a retry it is called with null so the listener can drop the
+ * partial draft. `signal` aborts the upstream request.
  *
- * @param {string} systemPrompt - The full system prompt (personality + context)
- * @param {Array} messages - Conversation messages [{role, content}]
- * @param {number} maxTokens - Max output tokens
- * @param {string|null} userId - For usage tracking
- * @returns {object} OpenAI-compatible response object
+ * @param {'claude'|'grok'|'openai'} buddy
+ * @param {object} request
+ * @param {string} request.staticPrompt - The cacheable portion of the system prompt
+ * @param {string} [request.dynamicContext] - The per-request dynamic context (current code, genre rules)
+ * @param {Array} request.messages - Conversation messages (Claude format; providers convert)
+ * @param {number} request.maxTokens - Max output tokens
+ * @param {string|null} [request.userId] - For usage tracking
+ * @param {(text: string|null) => void} [request.onDelta]
+ * @param {AbortSignal} [request.signal]
+ * @returns {Promise<{ text: string, usage: import('./providers/index.js').NormalizedUsage, provider: string }>}
  */
-export async function callOpenAI(systemPrompt, messages, maxTokens, userId = null) {
-  if (!openaiClient) {
-    throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY in .env');
+export async function callModel(
+  buddy,
+  { staticPrompt, dynamicContext = '', messages, maxTokens, userId = null, onDelta, signal },
+) {
+  // Over the daily AI budget (see checkTierLimits) → the cheaper model answers instead
+  const provider = getUsageContext()?.economy ? getEconomyProvider(buddy) : getBuddyProvider(buddy);
+  if (!provider.isAvailable()) {
+    throw new Error(`${provider.label} is not configured. ${provider.setupHint}`);
   }
+  const request = { staticPrompt, dynamicContext, messages, maxTokens, signal };
 
-  const openAIMessages = [
-    { role: 'system', content: systemPrompt },
-    ...messages.map((msg) => ({
-      role: msg.role,
-      content:
-        typeof msg.content === 'string'
-          ? msg.content
-          : Array.isArray(msg.content)
-            ? msg.content
-                .filter((p) => p.type === 'text')
-                .map((p) => p.text)
-                .join('\n')
-            : String(msg.content),
-    })),
-  ];
-
-  let response;
   for (let attempt = 1; attempt <= AI_RETRY_COUNT; attempt++) {
+    throwIfCancelled(signal);
     try {
-      response = await openaiClient.chat.completions.create({
-        model: OPENAI_MODEL,
-        max_completion_tokens: maxTokens,
-        messages: openAIMessages,
-        temperature: 0.7,
-      });
-      trackUsage(response, userId, 'openai');
-      return response;
+      let result;
+      if (onDelta) {
+        if (attempt > 1) onDelta(null);
+        result = await provider.stream(request, onDelta);
+      } else {
+        result = await provider.generate(request);
+      }
+      trackUsage(result.usage, provider, userId, buddy);
+      return { ...result, provider: provider.id };
     } catch (apiError) {
-      console.error(`⚠️ OpenAI API attempt ${attempt}/${AI_RETRY_COUNT} failed:`, apiError.status, apiError.message);
+      throwIfCancelled(signal);
+      console.error(
+        `⚠️ ${provider.label} API attempt ${attempt}/${AI_RETRY_COUNT} failed:`,
+        apiError.status,
+        apiError.message,
+      );
       if (attempt === AI_RETRY_COUNT) {
         throw new Error(
-          `OpenAI API failed after ${AI_RETRY_COUNT} attempts: ${apiError.status || ''} ${apiError.message || 'Unknown error'}`,
+          `${provider.label} API failed after ${AI_RETRY_COUNT} attempts: ${apiError.status || ''} ${apiError.message || 'Unknown error'}`,
         );
       }
+      // Exponential backoff: 1s, 2s, 4s...
       await new Promise((r) => setTimeout(r, AI_RETRY_DELAY_MS * Math.pow(2, attempt - 1)));
     }
   }
@@ -517,11 +350,8 @@ export function extractPartialCode(text) {
  */
 export async function attemptContinuation(partialCode, userId = null) {
   try {
-    const client = requireClaude();
-    const response = await client.messages.create({
-      model: AI_MODEL,
-      max_tokens: 8192,
-      system: `You were generating an HTML game for a children's platform and your response was cut off. Continue EXACTLY where you left off. Do NOT repeat any code that was already written. Do NOT add any explanation text - ONLY output the remaining code to complete the HTML document. The code must end with </html>. IMPORTANT: Make sure ALL features from the original game are still present in the remaining code.
+    const { text: continuationText } = await callModel('claude', {
+      staticPrompt: `You were generating an HTML game for a children's platform and your response was cut off. Continue EXACTLY where you left off. Do NOT repeat any code that was already written. Do NOT add any explanation text - ONLY output the remaining code to complete the HTML document. The code must end with </html>. IMPORTANT: Make sure ALL features from the original game are still present in the remaining code.
 
 SAFETY RULES (these still apply during continuation):
 - No realistic blood, gore, or graphic violence
@@ -537,12 +367,10 @@ SAFETY RULES (these still apply during continuation):
           content: `Continue this HTML code. Pick up EXACTLY where it ends. Make sure all existing game features are preserved:\n\n${partialCode.slice(-3000)}`,
         },
       ],
+      maxTokens: 8192,
+      userId,
     });
 
-    trackUsage(response, userId);
-
-    const continuationText = response.content[0].text;
-
     // Clean up continuation
     let cleanContinuation = continuationText
       .replace(/^```\s*\w*\s*\n?/i, '')
@@ -571,14 +399,20 @@ SAFETY RULES (these still apply during continuation):
 // ========== TEMPLATE CACHE ==========
 
 /**
- * Simple in-memory cache for common game templates.
+ * Cache for common game templates.
  * When a user asks for a common game type with no modifications,
  * we can serve a cached template instead of burning AI tokens.
  *
- * Cache entries expire after 24 hours.
+ * Entries expire after 24 hours and are persisted (Postgres or files), so a
+ * deploy or another instance doesn't pay again for the same starter game.
  */
-const templateCache = new Map();
 const TEMPLATE_CACHE_TTL = 24 * 60 * 60 * 1000;
+const templateCache = createTieredCache({
+  namespace: 'template',
+  ttlMs: TEMPLATE_CACHE_TTL,
+  maxEntries: 200,
+  version: CACHE_SCHEMA_VERSION,
+});
 
 /**
  * Generate a cache key from the game request.
@@ -596,29 +430,27 @@ export function getTemplateCacheKey(message, gameConfig) {
 
 /**
  * Get a cached template if available and fresh.
+ * @returns {Promise<{ code: string, message: string, timestamp: number, hitCount: number, tier: string }|null>}
  */
-export function getCachedTemplate(key) {
-  if (!key) return null;
-  const entry = templateCache.get(key);
-  if (!entry) return null;
-  if (Date.now() - entry.timestamp > TEMPLATE_CACHE_TTL) {
-    templateCache.delete(key);
-    return null;
-  }
-  console.log(`📦 Template cache HIT: ${key}`);
+export async function getCachedTemplate(key) {
+  const entry = await templateCache.get(key);
+  if (entry) console.log(`📦 Template cache HIT: ${key} (${entry.tier})`);
   return entry;
 }
 
 /**
  * Store a generated game in the template cache.
  */
-export function cacheTemplate(key, code, message) {
+export async function cacheTemplate(key, code, message) {
   if (!key || !code) return;
-  templateCache.set(key, {
-    code,
-    message,
-    timestamp: Date.now(),
-    hits: 0,
-  });
-  console.log(`📦 Template cached: ${key} (${templateCache.size} total)`);
+  await templateCache.set(key, { code, message });
+  console.log(`📦 Template cached: ${key} (${templateCache.size} in memory)`);
+}
+
+export function getTemplateCacheStats() {
+  return templateCache.stats();
+}
+
+export async function clearTemplateCache() {
+  await templateCache.clear();
 }
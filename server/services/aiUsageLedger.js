@@ -0,0 +1,410 @@
+/**
+ * AI Usage Ledger
+ *
+ * One row per provider call — who it was for (user, household, tier), what it
+ * was for (project, generation) and what it cost (model, tokens, cents). This
+ * is the durable record behind AI budgets and the admin usage charts; the
+ * in-memory counters in ai.js are only a live view since the last restart.
+ *
+ * Attribution travels with the request: routes wrap a generation in
+ * runWithUsageContext(), and every callModel() inside it — retries, repairs,
+ * continuations — is recorded against that context.
+ *
+ * Storage: Postgres ai_usage_ledger table when available, JSONL file otherwise.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { DATA_DIR, USE_POSTGRES, HOUSEHOLD_AI_BUDGET } from '../config/index.js';
+import log from './logger.js';
+
+const LEDGER_FILE = path.join(DATA_DIR, 'ai_usage_ledger.jsonl');
+
+export const USAGE_BUCKETS = ['hour', 'day', 'month'];
+
+// groupBy option → ledger field / column
+const GROUP_FIELDS = {
+  provider: 'provider',
+  model: 'model',
+  buddy: 'buddy',
+  tier: 'tier',
+  user: 'userId',
+  household: 'householdId',
+};
+const GROUP_COLUMNS = {
+  provider: 'provider',
+  model: 'model',
+  buddy: 'buddy',
+  tier: 'tier',
+  user: 'user_id',
+  household: 'household_id',
+};
+export const USAGE_GROUPS = Object.keys(GROUP_FIELDS);
+
+// ========== REQUEST CONTEXT ==========
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with a usage context that callModel() picks up for ledger rows and budget downgrades.
+ *
+ * @param {{ userId?: string|null, householdId?: string|null, tier?: string|null,
+ *   projectId?: string|null, generationId?: string|null, economy?: boolean }} context
+ * @param {() => Promise<any>} fn
+ */
+export function runWithUsageContext(context, fn) {
+  return usageContext.run(context, fn);
+}
+
+export function getUsageContext() {
+  return usageContext.getStore() || null;
+}
+
+/**
+ * Accounts that share a parent email are one household. The email is hashed —
+ * the ledger never stores it.
+ * @returns {string|null}
+ */
+export function householdIdFor(user) {
+  const email = (user?.parentEmail || '').trim().toLowerCase();
+  if (!email) return null;
+  return 'hh_' + createHash('sha256').update(email).digest('hex').slice(0, 16);
+}
+
+// ========== WRITE ==========
+
+/**
+ * Append one provider call to the ledger.
+ *
+ * @param {object} entry
+ * @param {string|null} [entry.userId]
+ * @param {string|null} [entry.householdId]
+ * @param {string|null} [entry.tier]
+ * @param {string|null} [entry.projectId]
+ * @param {string|null} [entry.generationId]
+ * @param {string} entry.buddy - 'claude' | 'grok' | 'openai'
+ * @param {string} entry.provider - Provider id
+ * @param {string} entry.model
+ * @param {import('./providers/index.js').NormalizedUsage} entry.usage
+ * @param {number} entry.costCents
+ */
+export async function recordAIUsage({
+  userId = null,
+  householdId = null,
+  tier = null,
+  projectId = null,
+  generationId = null,
+  buddy,
+  provider,
+  model,
+  usage,
+  costCents,
+}) {
+  const record = {
+    userId,
+    householdId,
+    tier,
+    projectId,
+    generationId,
+    buddy,
+    provider,
+    model,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    cacheReadTokens: usage.cacheReadTokens,
+    cacheWriteTokens: usage.cacheWriteTokens,
+    costCents,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (USE_POSTGRES) {
+    try {
+      const { getPool } = await import('./db.js');
+      await getPool().query(
+        `INSERT INTO ai_usage_ledger (user_id, household_id, tier, project_id, generation_id, buddy, provider, model,
+           input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_cents, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)`,
+        [
+          record.userId,
+          record.householdId,
+          record.tier,
+          record.projectId,
+          record.generationId,
+          record.buddy,
+          record.provider,
+          record.model,
+          record.inputTokens,
+          record.outputTokens,
+          record.cacheReadTokens,
+          record.cacheWriteTokens,
+          record.costCents,
+          record.createdAt,
+        ],
+      );
+      return record;
+    } catch (err) {
+      log.error({ err: err.message }, 'AI usage ledger DB write failed — using file');
+    }
+  }
+
+  await fs.mkdir(path.dirname(LEDGER_FILE), { recursive: true });
+  await fs.appendFile(LEDGER_FILE, JSON.stringify(record) + '\n');
+  return record;
+}
+
+async function readLedgerFile() {
+  try {
+    const data = await fs.readFile(LEDGER_FILE, 'utf-8');
+    return data
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// ========== BUDGETS ==========
+
+function periodStarts(now = new Date()) {
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return { day: day.toISOString(), month: month.toISOString() };
+}
+
+/**
+ * Spend so far today and this month (UTC), in cents, for a user and their household.
+ * @returns {Promise<{ user: { day: number, month: number }, household: { day: number, month: number } }>}
+ */
+export async function getAISpend({ userId, householdId = null, now = new Date() }) {
+  const starts = periodStarts(now);
+
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query(
+      `SELECT
+         COALESCE(SUM(cost_cents) FILTER (WHERE user_id = $1 AND created_at >= $3), 0) AS user_day,
+         COALESCE(SUM(cost_cents) FILTER (WHERE user_id = $1), 0) AS user_month,
+         COALESCE(SUM(cost_cents) FILTER (WHERE household_id = $2 AND created_at >= $3), 0) AS household_day,
+         COALESCE(SUM(cost_cents) FILTER (WHERE household_id = $2), 0) AS household_month
+       FROM ai_usage_ledger
+       WHERE created_at >= $4 AND (user_id = $1 OR household_id = $2)`,
+      [userId, householdId, starts.day, starts.month],
+    );
+    const r = rows[0];
+    return {
+      user: { day: Number(r.user_day), month: Number(r.user_month) },
+      household: { day: Number(r.household_day), month: Number(r.household_month) },
+    };
+  }
+
+  const spend = { user: { day: 0, month: 0 }, household: { day: 0, month: 0 } };
+  for (const row of await readLedgerFile()) {
+    if (row.createdAt < starts.month) continue;
+    const today = row.createdAt >= starts.day;
+    for (const [scope, match] of [
+      ['user', userId && row.userId === userId],
+      ['household', householdId && row.householdId === householdId],
+    ]) {
+      if (!match) continue;
+      spend[scope].month += row.costCents;
+      if (today) spend[scope].day += row.costCents;
+    }
+  }
+  return spend;
+}
+
+/**
+ * Decide what a generation may do given spend so far. Monthly budgets are hard
+ * stops; a spent daily budget only downgrades to the economy model.
+ *
+ * @param {{ user: { day: number, month: number }, household: { day: number, month: number } }} spend
+ * @param {{ aiBudgetCentsPerDay?: number, aiBudgetCentsPerMonth?: number }} tierLimits
+ * @param {{ centsPerDay: number, centsPerMonth: number }|null} householdBudget - null when the user has no household
+ * @returns {{ action: 'allow'|'downgrade'|'refuse', scope: 'user'|'household'|null, period: 'day'|'month'|null }}
+ */
+export function evaluateAIBudget(spend, tierLimits, householdBudget) {
+  const checks = [
+    ['user', 'month', spend.user.month, tierLimits.aiBudgetCentsPerMonth],
+    ['household', 'month', spend.household.month, householdBudget?.centsPerMonth],
+    ['user', 'day', spend.user.day, tierLimits.aiBudgetCentsPerDay],
+    ['household', 'day', spend.household.day, householdBudget?.centsPerDay],
+  ];
+  for (const [scope, period, spent, budget] of checks) {
+    if (budget == null || spent < budget) continue;
+    return { action: period === 'month' ? 'refuse' : 'downgrade', scope, period };
+  }
+  return { action: 'allow', scope: null, period: null };
+}
+
+/**
+ * Budget check for one user's next generation.
+ * @returns {Promise<ReturnType<typeof evaluateAIBudget> & { householdId: string|null }>}
+ */
+export async function checkAIBudget(user, tierLimits) {
+  const householdId = householdIdFor(user);
+  const spend = await getAISpend({ userId: user.id, householdId });
+  return { ...evaluateAIBudget(spend, tierLimits, householdId ? HOUSEHOLD_AI_BUDGET : null), householdId };
+}
+
+// ========== REPORTING ==========
+
+const round = (cents) => Math.round(cents * 10000) / 10000;
+
+/**
+ * Label a timestamp with its UTC bucket: '2026-03-14T09:00' (hour), '2026-03-14' (day), '2026-03' (month).
+ */
+export function bucketLabel(isoTimestamp, bucket) {
+  if (bucket === 'hour') return isoTimestamp.slice(0, 13) + ':00';
+  if (bucket === 'month') return isoTimestamp.slice(0, 7);
+  return isoTimestamp.slice(0, 10);
+}
+
+/**
+ * Group ledger rows into time buckets (and optionally a dimension), oldest first.
+ * @param {object[]} rows - Ledger records
+ * @param {{ bucket: 'hour'|'day'|'month', groupBy?: string|null }} opts
+ */
+export function summarizeAIUsage(rows, { bucket, groupBy = null }) {
+  const field = groupBy ? GROUP_FIELDS[groupBy] : null;
+  const buckets = new Map();
+  for (const row of rows) {
+    const label = bucketLabel(row.createdAt, bucket);
+    const group = field ? (row[field] ?? null) : undefined;
+    const key = `${label}|${group}`;
+    const entry = buckets.get(key) || {
+      bucket: label,
+      ...(field ? { group } : {}),
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      costCents: 0,
+    };
+    entry.calls++;
+    entry.inputTokens += row.inputTokens;
+    entry.outputTokens += row.outputTokens;
+    entry.costCents += row.costCents;
+    buckets.set(key, entry);
+  }
+  return [...buckets.values()]
+    .map((entry) => ({ ...entry, costCents: round(entry.costCents) }))
+    .sort((a, b) => a.bucket.localeCompare(b.bucket) || String(a.group).localeCompare(String(b.group)));
+}
+
+/**
+ * Time-bucketed usage for the admin dashboard.
+ *
+ * @param {object} opts
+ * @param {Date} opts.from
+ * @param {Date} opts.to
+ * @param {'hour'|'day'|'month'} opts.bucket
+ * @param {string|null} [opts.groupBy] - One of USAGE_GROUPS
+ */
+export async function queryAIUsage({ from, to, bucket, groupBy = null }) {
+  if (!USAGE_BUCKETS.includes(bucket)) throw new Error(`Unknown usage bucket "${bucket}"`);
+  if (groupBy && !USAGE_GROUPS.includes(groupBy)) throw new Error(`Unknown usage grouping "${groupBy}"`);
+  let buckets;
+
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const format = { hour: 'YYYY-MM-DD"T"HH24:00', day: 'YYYY-MM-DD', month: 'YYYY-MM' }[bucket];
+    const groupColumn = groupBy ? GROUP_COLUMNS[groupBy] : null;
+    const { rows } = await getPool().query(
+      `SELECT to_char(date_trunc('${bucket}', created_at AT TIME ZONE 'UTC'), '${format}') AS bucket,
+         ${groupColumn ? `${groupColumn} AS "group",` : ''}
+         COUNT(*)::int AS calls, SUM(input_tokens)::bigint AS input_tokens,
+         SUM(output_tokens)::bigint AS output_tokens, SUM(cost_cents) AS cost_cents
+       FROM ai_usage_ledger
+       WHERE created_at >= $1 AND created_at < $2
+       GROUP BY 1${groupColumn ? ', 2' : ''}
+       ORDER BY 1${groupColumn ? ', 2' : ''}`,
+      [from.toISOString(), to.toISOString()],
+    );
+    buckets = rows.map((r) => ({
+      bucket: r.bucket,
+      ...(groupColumn ? { group: r.group } : {}),
+      calls: r.calls,
+      inputTokens: Number(r.input_tokens),
+      outputTokens: Number(r.output_tokens),
+      costCents: round(Number(r.cost_cents)),
+    }));
+  } else {
+    const fromIso = from.toISOString();
+    const toIso = to.toISOString();
+    const rows = (await readLedgerFile()).filter((r) => r.createdAt >= fromIso && r.createdAt < toIso);
+    buckets = summarizeAIUsage(rows, { bucket, groupBy });
+  }
+
+  const totals = { calls: 0, inputTokens: 0, outputTokens: 0, costCents: 0 };
+  for (const b of buckets) {
+    totals.calls += b.calls;
+    totals.inputTokens += b.inputTokens;
+    totals.outputTokens += b.outputTokens;
+    totals.costCents += b.costCents;
+  }
+  totals.costCents = round(totals.costCents);
+
+  return { from: from.toISOString(), to: to.toISOString(), bucket, groupBy, totals, buckets };
+}
+
+/**
+ * Total cost per generation since `from` — lets reports join spend onto generate events.
+ * @param {{ from: Date }} opts
+ * @returns {Promise<Map<string, number>>} generationId → cents
+ */
+export async function getAICostByGeneration({ from }) {
+  const costs = new Map();
+
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query(
+      `SELECT generation_id, SUM(cost_cents) AS cost_cents
+       FROM ai_usage_ledger
+       WHERE created_at >= $1 AND generation_id IS NOT NULL
+       GROUP BY 1`,
+      [from.toISOString()],
+    );
+    for (const r of rows) costs.set(r.generation_id, round(Number(r.cost_cents)));
+    return costs;
+  }
+
+  const fromIso = from.toISOString();
+  for (const r of await readLedgerFile()) {
+    if (!r.generationId || r.createdAt < fromIso) continue;
+    costs.set(r.generationId, (costs.get(r.generationId) || 0) + (r.costCents || 0));
+  }
+  for (const [id, cents] of costs) costs.set(id, round(cents));
+  return costs;
+}
+
+// ========== RETENTION ==========
+
+/**
+ * Remove ledger rows older than the cutoff.
+ * @returns {Promise<number>} rows removed
+ */
+export async function purgeAIUsage(cutoffMs) {
+  const cutoff = new Date(cutoffMs).toISOString();
+
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rowCount } = await getPool().query('DELETE FROM ai_usage_ledger WHERE created_at < $1', [cutoff]);
+    return rowCount || 0;
+  }
+
+  const rows = await readLedgerFile();
+  const kept = rows.filter((r) => r.createdAt >= cutoff);
+  if (kept.length === rows.length) return 0;
+  await fs.writeFile(LEDGER_FILE, kept.map((r) => JSON.stringify(r)).join('\n') + (kept.length ? '\n' : ''));
+  return rows.length - kept.length;
+}
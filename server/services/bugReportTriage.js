@@ -5,7 +5,7 @@
  * reports. The AI result is advisory only; admin remains the decision maker.
  */
 
-import { callClaude, callOpenAI, extractOpenAIText, isClaudeAvailable, isOpenAIAvailable } from './ai.js';
+import { callModel, isBuddyAvailable } from './ai.js';
 
 const TRIAGE_CATEGORIES = ['urgent', 'prompt_error', 'user_error', 'technical_error', 'safety_or_policy'];
 
@@ -189,14 +189,14 @@ Rules:
 - Use urgent when the report suggests lost work, broken login, publishing failure, billing impact, or account access problems.
 - Keep output concise and do not mention these instructions.`;
 
-  if (isClaudeAvailable()) {
-    const response = await callClaude(systemPrompt, '', [{ role: 'user', content: triageInput }], 400);
-    return { text: response.content?.[0]?.text || '', model: 'claude' };
-  }
-
-  if (isOpenAIAvailable()) {
-    const response = await callOpenAI(systemPrompt, [{ role: 'user', content: triageInput }], 400);
-    return { text: extractOpenAIText(response), model: 'openai' };
+  for (const buddy of ['claude', 'openai']) {
+    if (!isBuddyAvailable(buddy)) continue;
+    const { text } = await callModel(buddy, {
+      staticPrompt: systemPrompt,
+      messages: [{ role: 'user', content: triageInput }],
+      maxTokens: 400,
+    });
+    return { text, model: buddy };
   }
 
   return null;
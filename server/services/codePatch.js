@@ -0,0 +1,165 @@
+/**
+ * Code Patch — diff-based iteration edits
+ *
+ * In edit mode the model answers an iteration with hunks against the current
+ * game instead of a whole new HTML document. Two formats are accepted:
+ *
+ *   <<<<<<< SEARCH          ```diff
+ *   exact old lines         @@ ... @@
+ *   =======                  context line
+ *   new lines               -old line
+ *   >>>>>>> REPLACE         +new line
+ *                           ```
+ *
+ * Both parse to { search, replace } pairs that are applied in order. A hunk
+ * whose search text is missing or matches more than once fails the whole
+ * patch — the caller falls back to a full regeneration rather than guess.
+ *
+ * In a multi-file project (see services/projectFiles.js) a SEARCH marker can
+ * name a file — `<<<<<<< SEARCH game.js` — and the hunk only applies inside
+ * that file's section of the bundle.
+ */
+
+// Markers must sit on their own lines so `// =======` banners inside the game code don't split a block
+const EDIT_BLOCK_RE =
+  /^<{7} SEARCH(?:[ \t]+([\w./-]+))?[^\n]*\n([\s\S]*?)^={7}[ \t]*\n([\s\S]*?)^>{7} REPLACE[^\n]*$/gm;
+const SEARCH_MARKER_RE = /^<{7} SEARCH/gm;
+const DIFF_FENCE_RE = /```(?:diff|patch)\s*\n([\s\S]*?)```/gi;
+
+function parseUnifiedDiff(diffText) {
+  const hunks = [];
+  let current = null;
+  for (const line of diffText.split('\n')) {
+    if (line.startsWith('@@')) {
+      current = { search: [], replace: [] };
+      hunks.push(current);
+    } else if (!current || line.startsWith('--- ') || line.startsWith('+++ ')) {
+      continue;
+    } else if (line.startsWith('-')) {
+      current.search.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      current.replace.push(line.slice(1));
+    } else if (line !== '\\ No newline at end of file') {
+      // Context line (a blank line may have lost its leading space in transit)
+      const text = line.startsWith(' ') ? line.slice(1) : line;
+      current.search.push(text);
+      current.replace.push(text);
+    }
+  }
+  return hunks
+    .map((h) => {
+      // Trailing blank context is usually the fence's own newline, not part of the file
+      while (h.search.length && h.search.at(-1) === '' && h.replace.at(-1) === '') {
+        h.search.pop();
+        h.replace.pop();
+      }
+      return { search: h.search.join('\n'), replace: h.replace.join('\n') };
+    })
+    .filter((h) => h.search !== h.replace);
+}
+
+/**
+ * Pull edit hunks out of a model reply. `incomplete` means a SEARCH block was opened
+ * but never closed (the reply was cut off) — applying the rest would be half an edit.
+ *
+ * @param {string} text
+ * @returns {{ blocks: Array<{ search: string, replace: string, file?: string }>, incomplete: boolean }}
+ */
+export function parseEditBlocks(text) {
+  if (!text) return { blocks: [], incomplete: false };
+  const blocks = [];
+  const dropFinalNewline = (part) => part.replace(/\r?\n$/, '');
+  for (const match of text.matchAll(EDIT_BLOCK_RE)) {
+    const block = { search: dropFinalNewline(match[2]), replace: dropFinalNewline(match[3]) };
+    if (match[1]) block.file = match[1].replace(/^\.?\//, '');
+    blocks.push(block);
+  }
+  const opened = (text.match(SEARCH_MARKER_RE) || []).length;
+  if (opened > 0) return { blocks, incomplete: opened > blocks.length };
+
+  for (const match of text.matchAll(DIFF_FENCE_RE)) {
+    blocks.push(...parseUnifiedDiff(match[1]));
+  }
+  return { blocks, incomplete: false };
+}
+
+/** Remove edit hunks from a reply so only the friendly message is left for the kid. */
+export function stripEditBlocks(text) {
+  return (text || '').replace(EDIT_BLOCK_RE, '').replace(DIFF_FENCE_RE, '');
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + 1)) count++;
+  return count;
+}
+
+// Models often get indentation or trailing spaces slightly wrong — match on trimmed lines instead
+function findLineWindow(lines, searchLines) {
+  const wanted = searchLines.map((l) => l.trim());
+  let found = -1;
+  for (let i = 0; i + wanted.length <= lines.length; i++) {
+    let matches = true;
+    for (let j = 0; j < wanted.length; j++) {
+      if (lines[i + j].trim() !== wanted[j]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) {
+      if (found !== -1) return { index: -1, ambiguous: true };
+      found = i;
+    }
+  }
+  return { index: found, ambiguous: false };
+}
+
+function applyOne(code, { search, replace }) {
+  if (!search.trim()) return { error: 'empty_search' };
+
+  const exact = countOccurrences(code, search);
+  if (exact === 1) {
+    const at = code.indexOf(search);
+    return { code: code.slice(0, at) + replace + code.slice(at + search.length) };
+  }
+  if (exact > 1) return { error: 'ambiguous' };
+
+  const lines = code.split('\n');
+  const searchLines = search.split('\n');
+  const { index, ambiguous } = findLineWindow(lines, searchLines);
+  if (ambiguous) return { error: 'ambiguous' };
+  if (index === -1) return { error: 'not_found' };
+  lines.splice(index, searchLines.length, ...(replace === '' ? [] : replace.split('\n')));
+  return { code: lines.join('\n') };
+}
+
+// A file-scoped hunk edits only the inside of that file's <script>/<style> in the bundle
+function applyToFile(code, block) {
+  if (!block.file || block.file === 'index.html') return applyOne(code, block);
+  const path = block.file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const section = new RegExp(`(<(script|style)\\b[^>]*\\bdata-vibe-file="${path}"[^>]*>)([\\s\\S]*?)(</\\2>)`).exec(
+    code,
+  );
+  if (!section) return { error: 'unknown_file' };
+  const applied = applyOne(section[3], block);
+  if (applied.error) return applied;
+  const start = section.index + section[1].length;
+  return { code: code.slice(0, start) + applied.code + code.slice(start + section[3].length) };
+}
+
+/**
+ * Apply hunks to the current code, in order. All-or-nothing.
+ *
+ * @param {string} code
+ * @param {Array<{ search: string, replace: string, file?: string }>} blocks
+ * @returns {{ ok: true, code: string } | { ok: false, failedIndex: number, reason: 'empty_search'|'not_found'|'ambiguous'|'unknown_file' }}
+ */
+export function applyEditBlocks(code, blocks) {
+  let result = code;
+  for (let i = 0; i < blocks.length; i++) {
+    const applied = applyToFile(result, blocks[i]);
+    if (applied.error) return { ok: false, failedIndex: i, reason: applied.error };
+    result = applied.code;
+  }
+  return { ok: true, code: result };
+}
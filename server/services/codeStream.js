@@ -0,0 +1,69 @@
+/**
+ * Code Delta Stream
+ *
+ * Batches the raw text a model writes into `code_delta` SSE payloads for the
+ * studio's live partial preview. Chunks are flushed every FLUSH_INTERVAL_MS
+ * instead of once per token, and each flush re-runs the output filter over the
+ * draft so far: a draft that trips it is withdrawn ({ reset: true }) and nothing
+ * more is streamed, so the kid only ever sees the filtered final result.
+ *
+ * Payloads:
+ *   { text }         — the next chunk of the draft
+ *   { reset: true }  — drop everything streamed so far (model retry, or filter hit)
+ */
+
+import { filterOutputCode } from '../middleware/outputFilter.js';
+import log from './logger.js';
+
+export const FLUSH_INTERVAL_MS = 250;
+
+/**
+ * @param {(payload: { text?: string, reset?: boolean }) => void} send
+ * @param {object} [opts]
+ * @param {number} [opts.intervalMs]
+ * @returns {{ push: (text: string|null) => void, close: () => void }}
+ */
+export function createCodeDeltaStream(send, { intervalMs = FLUSH_INTERVAL_MS } = {}) {
+  let draft = '';
+  let pending = '';
+  let timer = null;
+  let halted = false;
+  let closed = false;
+
+  const flush = () => {
+    timer = null;
+    if (halted || closed || !pending) return;
+    const { warnings } = filterOutputCode(draft);
+    if (warnings.length > 0) {
+      halted = true;
+      log.warn({ warnings }, 'Streamed draft tripped the output filter — withdrawing live preview');
+      send({ reset: true });
+      return;
+    }
+    send({ text: pending });
+    pending = '';
+  };
+
+  return {
+    push(text) {
+      if (halted || closed) return;
+      if (text === null) {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        const hadOutput = draft.length > pending.length;
+        draft = '';
+        pending = '';
+        if (hadOutput) send({ reset: true });
+        return;
+      }
+      draft += text;
+      pending += text;
+      if (!timer) timer = setTimeout(flush, intervalMs);
+    },
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
@@ -5,9 +5,14 @@
  * Falls back gracefully to keyword-only filtering if the API key is not configured.
  *
  * Set PERSPECTIVE_API_KEY in .env to enable.
+ *
+ * Images (captured gallery thumbnails) go to the moderation endpoint in
+ * IMAGE_MODERATION_URL. Unlike text, an image that can't be checked because
+ * the endpoint failed is held back rather than shown.
  */
 
 const PERSPECTIVE_API_KEY = process.env.PERSPECTIVE_API_KEY;
+const IMAGE_MODERATION_URL = process.env.IMAGE_MODERATION_URL;
 const PERSPECTIVE_URL = 'https://commentanalyzer.googleapis.com/v1alpha1/comments:analyze';
 
 const TOXICITY_THRESHOLD = 0.7;
@@ -71,6 +76,45 @@ export async function moderateText(text) {
   }
 }
 
+/** Whether images can be checked at all — without an endpoint every image comes back skipped. */
+export function isImageModerationConfigured() {
+  return Boolean(IMAGE_MODERATION_URL);
+}
+
+/**
+ * Check an image with the configured moderation endpoint, which receives the
+ * raw image and answers { flagged: boolean, categories?: string[] }.
+ * Returns { flagged: boolean, categories: string[], skipped?: true, error?: string }
+ */
+export async function moderateImage(image, contentType) {
+  if (!IMAGE_MODERATION_URL) {
+    return { flagged: false, categories: [], skipped: true, reason: 'IMAGE_MODERATION_URL not configured' };
+  }
+
+  try {
+    const response = await fetch(IMAGE_MODERATION_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: image,
+      signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+      console.error(`Image moderation error: ${response.status}`);
+      return { flagged: false, categories: [], error: `API returned ${response.status}` };
+    }
+
+    const data = await response.json();
+    return {
+      flagged: data.flagged === true,
+      categories: Array.isArray(data.categories) ? data.categories.map(String).slice(0, 10) : [],
+    };
+  } catch (err) {
+    console.error('Image moderation call failed:', err.message);
+    return { flagged: false, categories: [], error: err.message };
+  }
+}
+
 /**
  * Combined moderation: keyword filter + ML moderation.
  * Returns { blocked: boolean, reason?: string, scores?: object }
@@ -12,15 +12,24 @@
  * 3. Demo analytics purge — remove demo events older than 90 days.
  *
  * 4. Moderation reports purge — remove resolved reports older than 90 days.
+ *
+ * 5. Multiplayer recordings purge — remove room recordings older than 14 days.
+ *
+ * 6. AI cache purge — remove expired persistent response/template cache entries.
+ *
+ * 7. AI usage ledger purge — remove per-call usage rows older than 400 days.
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import { DATA_RETENTION_DAYS, DATA_DIR, USE_POSTGRES } from '../config/index.js';
+import { DATA_RETENTION_DAYS, DATA_DIR, USE_POSTGRES, AI_USAGE_RETENTION_DAYS } from '../config/index.js';
 import { listUsers, deleteUser } from './storage.js';
 import { deleteUserData } from './consent.js';
 import log from './logger.js';
 import { purgeResolvedBugReports } from './bugReports.js';
+import { purgeRoomRecordings, RECORDING_RETENTION_DAYS } from './roomRecordings.js';
+import { purgeExpiredCacheEntries } from './persistentCache.js';
+import { purgeAIUsage } from './aiUsageLedger.js';
 
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 const PURGE_AFTER_DAYS = 30;
@@ -215,6 +224,45 @@ async function purgeResolvedBugReportsRetention() {
   }
 }
 
+async function purgeRoomRecordingsRetention() {
+  try {
+    const removed = await purgeRoomRecordings(Date.now() - RECORDING_RETENTION_DAYS * ONE_DAY_MS);
+    if (removed > 0) {
+      log.info({ removed }, 'Retention: purged old multiplayer recordings');
+    }
+    return removed;
+  } catch (err) {
+    log.error({ err: err.message }, 'Retention: multiplayer recordings purge error');
+    return 0;
+  }
+}
+
+async function purgeExpiredAICache() {
+  try {
+    const removed = await purgeExpiredCacheEntries();
+    if (removed > 0) {
+      log.info({ removed }, 'Retention: purged expired AI cache entries');
+    }
+    return removed;
+  } catch (err) {
+    log.error({ err: err.message }, 'Retention: AI cache purge error');
+    return 0;
+  }
+}
+
+async function purgeAIUsageRetention() {
+  try {
+    const removed = await purgeAIUsage(Date.now() - AI_USAGE_RETENTION_DAYS * ONE_DAY_MS);
+    if (removed > 0) {
+      log.info({ removed }, 'Retention: purged old AI usage ledger rows');
+    }
+    return removed;
+  } catch (err) {
+    log.error({ err: err.message }, 'Retention: AI usage ledger purge error');
+    return 0;
+  }
+}
+
 export async function runRetentionCleanup() {
   try {
     const users = await listUsers();
@@ -224,6 +272,9 @@ export async function runRetentionCleanup() {
     const marketingEventsRemoved = await purgeMarketingEvents();
     const reportsRemoved = await purgeResolvedReports();
     const bugReportsRemoved = await purgeResolvedBugReportsRetention();
+    const recordingsRemoved = await purgeRoomRecordingsRetention();
+    const aiCacheRemoved = await purgeExpiredAICache();
+    const aiUsageRemoved = await purgeAIUsageRetention();
 
     if (
       cleaned > 0 ||
@@ -231,10 +282,23 @@ export async function runRetentionCleanup() {
       demoEventsRemoved > 0 ||
       marketingEventsRemoved > 0 ||
       reportsRemoved > 0 ||
-      bugReportsRemoved > 0
+      bugReportsRemoved > 0 ||
+      recordingsRemoved > 0 ||
+      aiCacheRemoved > 0 ||
+      aiUsageRemoved > 0
     ) {
       log.info(
-        { cleaned, purged, demoEventsRemoved, marketingEventsRemoved, reportsRemoved, bugReportsRemoved },
+        {
+          cleaned,
+          purged,
+          demoEventsRemoved,
+          marketingEventsRemoved,
+          reportsRemoved,
+          bugReportsRemoved,
+          recordingsRemoved,
+          aiCacheRemoved,
+          aiUsageRemoved,
+        },
         'Retention sweep complete',
       );
     }
@@ -98,6 +98,7 @@ function rowToUser(row) {
     // COPPA parent controls + discipline
     publishingEnabled: row.publishing_enabled ?? false,
     multiplayerEnabled: row.multiplayer_enabled ?? false,
+    freeChatEnabled: row.free_chat_enabled ?? false,
     parentDashboardToken: row.parent_dashboard_token || null,
     parentVerifiedMethod: row.parent_verified_method || null,
     parentVerifiedAt: row.parent_verified_at?.toISOString() || null,
@@ -154,6 +155,7 @@ function userToRow(user) {
     // COPPA parent controls + discipline
     publishing_enabled: user.publishingEnabled ?? false,
     multiplayer_enabled: user.multiplayerEnabled ?? false,
+    free_chat_enabled: user.freeChatEnabled ?? false,
     parent_dashboard_token: user.parentDashboardToken || null,
     parent_verified_method: user.parentVerifiedMethod || null,
     parent_verified_at: user.parentVerifiedAt || null,
@@ -179,12 +181,17 @@ function rowToProject(row) {
     multiplayer: row.multiplayer,
     gameConfig: row.game_config || null,
     editorScene: row.editor_scene || null,
+    designMemory: row.design_memory || null,
+    files: row.files || null,
+    remixedFrom: row.remixed_from || null,
+    remixCount: row.remix_count || 0,
+    allowRemix: row.allow_remix !== false,
+    headVersionId: row.head_version_id || null,
+    capture: row.capture || null,
     views: row.views,
     likes: row.likes,
     createdAt: row.created_at?.toISOString(),
     updatedAt: row.updated_at?.toISOString(),
-    // Versions loaded separately
-    versions: [],
   };
 }
 
@@ -219,7 +226,7 @@ export async function writeUser(userId, userData) {
       payment_method, classwallet_order_id, esa_billing_period, improvement_opt_out,
       publishing_enabled, multiplayer_enabled, parent_dashboard_token,
       parent_verified_method, parent_verified_at, filter_violations, last_violation_at,
-      consent_policy_version
+      consent_policy_version, free_chat_enabled
     ) VALUES (
       $1, $2, $3, $4, $5, $6,
       $7, $8, $9, $10,
@@ -231,7 +238,8 @@ export async function writeUser(userId, userData) {
       $31, $32, $33, $34,
       $35, $36, $37, $38,
       $39, $40, $41,
-      $42, $43, $44, $45, $46
+      $42, $43, $44, $45, $46,
+      $47
     )
     ON CONFLICT (id) DO UPDATE SET
       username = EXCLUDED.username,
@@ -277,7 +285,8 @@ export async function writeUser(userId, userData) {
       parent_verified_at = EXCLUDED.parent_verified_at,
       filter_violations = EXCLUDED.filter_violations,
       last_violation_at = EXCLUDED.last_violation_at,
-      consent_policy_version = EXCLUDED.consent_policy_version
+      consent_policy_version = EXCLUDED.consent_policy_version,
+      free_chat_enabled = EXCLUDED.free_chat_enabled
   `,
     [
       r.id,
@@ -326,6 +335,7 @@ export async function writeUser(userId, userData) {
       r.filter_violations,
       r.last_violation_at,
       r.consent_policy_version,
+      r.free_chat_enabled,
     ],
   );
 }
@@ -370,23 +380,7 @@ export async function readProject(projectId) {
     throw err;
   }
 
-  const project = rowToProject(rows[0]);
-
-  // Load versions
-  const versionsResult = await db.query(
-    'SELECT version_id, code, title, auto_save, saved_at, editor_scene FROM project_versions WHERE project_id = $1 ORDER BY saved_at ASC',
-    [projectId],
-  );
-  project.versions = versionsResult.rows.map((v) => ({
-    versionId: v.version_id,
-    code: v.code,
-    title: v.title,
-    editorScene: v.editor_scene || null,
-    autoSave: v.auto_save,
-    savedAt: v.saved_at?.toISOString(),
-  }));
-
-  return project;
+  return rowToProject(rows[0]);
 }
 
 export async function writeProject(projectId, projectData) {
@@ -397,8 +391,9 @@ export async function writeProject(projectId, projectData) {
     INSERT INTO projects (
       id, user_id, title, code, creator_name, category,
       is_public, is_draft, multiplayer, views, likes,
-      game_config, editor_scene, created_at, updated_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      game_config, editor_scene, design_memory, files,
+      remixed_from, remix_count, allow_remix, head_version_id, capture, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
     ON CONFLICT (id) DO UPDATE SET
       title = EXCLUDED.title,
       code = EXCLUDED.code,
@@ -411,6 +406,13 @@ export async function writeProject(projectId, projectData) {
       likes = EXCLUDED.likes,
       game_config = EXCLUDED.game_config,
       editor_scene = EXCLUDED.editor_scene,
+      design_memory = EXCLUDED.design_memory,
+      files = EXCLUDED.files,
+      remixed_from = EXCLUDED.remixed_from,
+      remix_count = EXCLUDED.remix_count,
+      allow_remix = EXCLUDED.allow_remix,
+      head_version_id = EXCLUDED.head_version_id,
+      capture = EXCLUDED.capture,
       updated_at = EXCLUDED.updated_at
   `,
     [
@@ -427,30 +429,53 @@ export async function writeProject(projectId, projectData) {
       projectData.likes || 0,
       projectData.gameConfig || null,
       projectData.editorScene || null,
+      projectData.designMemory || null,
+      // pg would send a JS array as a Postgres array, not JSON
+      projectData.files ? JSON.stringify(projectData.files) : null,
+      projectData.remixedFrom || null,
+      projectData.remixCount || 0,
+      projectData.allowRemix !== false,
+      projectData.headVersionId || null,
+      projectData.capture || null,
       projectData.createdAt || new Date().toISOString(),
       projectData.updatedAt || new Date().toISOString(),
     ],
   );
+}
+
+/** Count one more remix of a project, in the database so concurrent remixes all count. */
+export async function incrementRemixCount(projectId) {
+  const db = getPool();
+  await db.query('UPDATE projects SET remix_count = remix_count + 1 WHERE id = $1', [projectId]);
+}
+
+// Columns a partial update may touch, by project field
+const PROJECT_FIELD_COLUMNS = {
+  designMemory: 'design_memory',
+  capture: 'capture',
+};
 
-  // Sync versions: delete existing and re-insert
-  // (Simple approach -- fine for <=20 versions per project)
-  if (projectData.versions && projectData.versions.length > 0) {
-    await db.query('DELETE FROM project_versions WHERE project_id = $1', [projectId]);
-
-    for (const v of projectData.versions) {
-      await db.query(
-        'INSERT INTO project_versions (project_id, version_id, code, title, auto_save, saved_at, editor_scene) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-        [
-          projectId,
-          v.versionId,
-          v.code,
-          v.title || null,
-          v.autoSave || false,
-          v.savedAt || new Date().toISOString(),
-          v.editorScene || null,
-        ],
-      );
-    }
+/**
+ * Update only some fields of a stored project, leaving the rest (code, head
+ * version, title) as the latest save wrote them.
+ * @param {Partial<Record<keyof typeof PROJECT_FIELD_COLUMNS, any>>} fields
+ */
+export async function updateProjectFields(projectId, fields) {
+  const db = getPool();
+  const entries = Object.entries(fields);
+  const assignments = entries.map(([field], i) => {
+    const column = PROJECT_FIELD_COLUMNS[field];
+    if (!column) throw new Error(`Project field can't be updated on its own: ${field}`);
+    return `${column} = $${i + 2}`;
+  });
+  const { rowCount } = await db.query(`UPDATE projects SET ${assignments.join(', ')} WHERE id = $1`, [
+    projectId,
+    ...entries.map(([, value]) => value ?? null),
+  ]);
+  if (rowCount === 0) {
+    const err = new Error(`Project not found: ${projectId}`);
+    err.code = 'ENOENT';
+    throw err;
   }
 }
 
@@ -470,6 +495,36 @@ export async function listProjects() {
   return rows.map(rowToProject);
 }
 
+// ========== PROJECT MEDIA ==========
+// Captured gallery thumbnails and previews (services/gameCapture.js)
+
+export async function writeProjectMedia(projectId, name, { data, contentType }) {
+  const db = getPool();
+  await db.query(
+    `INSERT INTO project_media (project_id, name, content_type, data, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (project_id, name) DO UPDATE SET
+       content_type = EXCLUDED.content_type,
+       data = EXCLUDED.data,
+       updated_at = EXCLUDED.updated_at`,
+    [projectId, name, contentType, data],
+  );
+}
+
+export async function readProjectMedia(projectId, name) {
+  const db = getPool();
+  const { rows } = await db.query('SELECT content_type, data FROM project_media WHERE project_id = $1 AND name = $2', [
+    projectId,
+    name,
+  ]);
+  return rows[0] ? { data: rows[0].data, contentType: rows[0].content_type } : null;
+}
+
+export async function deleteProjectMedia(projectId, name) {
+  const db = getPool();
+  await db.query('DELETE FROM project_media WHERE project_id = $1 AND name = $2', [projectId, name]);
+}
+
 // ========== ESA ORDER OPERATIONS ==========
 
 export async function createEsaOrder({ orderRef, userId, tier, billingPeriod, amountCents }) {
@@ -0,0 +1,200 @@
+/**
+ * Design Memory
+ *
+ * A rolling, structured summary of the decisions a kid has made about their
+ * game — characters, rules, colors, controls — kept with the project. Long
+ * chats get trimmed before they reach the model; without this, "make the
+ * dragon purple" from twenty turns ago is forgotten and quietly undone.
+ *
+ * After each successful generation the memory is updated from the kid's
+ * request: a small model call merges it (and resolves changed decisions),
+ * with a keyword extractor as the fallback. The memory is injected into the
+ * system prompt's dynamic context (see getSystemPrompt) in place of the
+ * trimmed turns.
+ */
+
+import { callModel } from './ai.js';
+import { getBuddyProvider } from './providers/index.js';
+
+export const DESIGN_MEMORY_SECTIONS = ['characters', 'rules', 'colors', 'controls', 'other'];
+const MAX_ITEMS_PER_SECTION = 8;
+const MAX_ITEM_CHARS = 120;
+
+const SECTION_LABELS = {
+  characters: 'Characters',
+  rules: 'Rules',
+  colors: 'Colors & look',
+  controls: 'Controls',
+  other: 'Other choices',
+};
+
+const SUMMARIZER_PROMPT = `You keep the design notes for a kid's video game. You get the current notes (JSON) and the kid's latest request.
+Return the updated notes as JSON with exactly these keys: "characters", "rules", "colors", "controls", "other".
+Each is an array of short phrases (max ${MAX_ITEMS_PER_SECTION} per key, each under ${MAX_ITEM_CHARS} characters), e.g. "dragon is purple", "5 lives", "space bar jumps".
+- Record decisions the kid made about how the game should be. Keep every earlier decision unless the new request changes it.
+- When the kid changes an earlier decision, replace the old phrase instead of keeping both.
+- Don't record bug reports, questions, or vague asks like "make it better".
+Reply with the JSON object only.`;
+
+// ========== NORMALIZATION ==========
+
+/**
+ * Coerce client- or model-supplied memory into the known shape, dropping
+ * anything unexpected. Returns null when there's nothing worth keeping.
+ */
+export function normalizeDesignMemory(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const memory = {};
+  let total = 0;
+  for (const section of DESIGN_MEMORY_SECTIONS) {
+    const items = Array.isArray(raw[section]) ? raw[section] : [];
+    memory[section] = items
+      .filter((item) => typeof item === 'string')
+      .map((item) => item.replace(/\s+/g, ' ').trim().slice(0, MAX_ITEM_CHARS))
+      .filter(Boolean)
+      .slice(-MAX_ITEMS_PER_SECTION);
+    total += memory[section].length;
+  }
+  if (total === 0) return null;
+  memory.updatedAt = typeof raw.updatedAt === 'string' ? raw.updatedAt : new Date().toISOString();
+  return memory;
+}
+
+/**
+ * The dynamic-context block for getSystemPrompt. Empty string when there's no memory.
+ */
+export function formatDesignMemoryForPrompt(memory) {
+  const normalized = normalizeDesignMemory(memory);
+  if (!normalized) return '';
+  const lines = DESIGN_MEMORY_SECTIONS.filter((s) => normalized[s].length > 0).map(
+    (s) => `- ${SECTION_LABELS[s]}: ${normalized[s].join('; ')}`,
+  );
+  return `
+DESIGN MEMORY (decisions the kid already made in earlier messages — later entries win):
+${lines.join('\n')}
+
+Keep every one of these in the game unless the kid's new message changes it. Never undo them on your own.
+`;
+}
+
+// ========== KEYWORD FALLBACK ==========
+
+const COLOR_RE =
+  /\b(red|orange|yellow|green|blue|purple|violet|pink|black|white|gr[ae]y|brown|gold(en)?|silver|rainbow|teal|cyan|neon|dark|bright)\b/i;
+const CONTROLS_RE =
+  /\b(arrow keys?|wasd|space ?bar|spacebar|click|tap|swipe|mouse|keyboard|joystick|controls?|press(ing)?|key)\b/i;
+const RULES_RE =
+  /\b(\d+\s*(lives|hearts|points|levels?|seconds|coins|enemies|rounds)|lives|hearts|health|score|points|timer|levels?|win|lose|game over|speed|gravity)\b/i;
+const CHARACTERS_RE =
+  /\b(player|hero|character|enemy|enemies|boss|monster|villain|pet|sidekick|named|called|dragon|robot|ninja|princess|knight|wizard|alien|cat|dog|unicorn)\b/i;
+const VAGUE_RE =
+  /^(fix|make it (better|cooler|more fun|awesome)|it (doesn'?t|does not|isn'?t) work|help|why|how|what)\b/i;
+
+const STOP_WORDS = new Set(
+  'a an the it its be is are was should have has to of with and or my me i you can please want so that more all set change turn into now instead make give let add use like just also really very actually instead now oh wait okay ok'.split(
+    ' ',
+  ),
+);
+
+// What a decision is about, ignoring the value: "make the dragon purple" and "dragon should be green" → "dragon"
+function decisionSubject(phrase) {
+  return phrase
+    .toLowerCase()
+    .replace(new RegExp(COLOR_RE.source, 'gi'), ' ')
+    .replace(/\d+/g, ' ')
+    .split(/[^a-z]+/)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Pull decisions out of a kid's message with keyword rules — the fallback when
+ * no model is available to summarize.
+ * @returns {Record<string, string[]>} Phrases per section
+ */
+export function extractDesignDecisions(prompt) {
+  const decisions = Object.fromEntries(DESIGN_MEMORY_SECTIONS.map((s) => [s, []]));
+  const clauses = String(prompt || '')
+    .split(/[.!?;\n]+|,\s*|\s+and\s+(?=(?:make|the|give|add|use|let|i want)\b)/i)
+    .map((c) => c.trim().replace(/^(and|also|then|but|so)\s+/i, ''))
+    .filter((c) => c.length >= 4 && !VAGUE_RE.test(c));
+
+  for (const clause of clauses) {
+    const phrase = clause.slice(0, MAX_ITEM_CHARS);
+    if (COLOR_RE.test(clause)) decisions.colors.push(phrase);
+    else if (CONTROLS_RE.test(clause)) decisions.controls.push(phrase);
+    else if (RULES_RE.test(clause)) decisions.rules.push(phrase);
+    else if (CHARACTERS_RE.test(clause)) decisions.characters.push(phrase);
+  }
+  return decisions;
+}
+
+/**
+ * Merge new decisions into memory. A decision about the same subject replaces
+ * the older one; otherwise entries accumulate, oldest dropped first.
+ */
+export function mergeDesignMemory(memory, decisions) {
+  const base = normalizeDesignMemory(memory) || Object.fromEntries(DESIGN_MEMORY_SECTIONS.map((s) => [s, []]));
+  const merged = {};
+  for (const section of DESIGN_MEMORY_SECTIONS) {
+    let items = [...base[section]];
+    for (const phrase of decisions[section] || []) {
+      const subject = decisionSubject(phrase);
+      items = items.filter((item) => item.toLowerCase() !== phrase.toLowerCase() && decisionSubject(item) !== subject);
+      items.push(phrase);
+    }
+    merged[section] = items;
+  }
+  return normalizeDesignMemory({ ...merged, updatedAt: new Date().toISOString() });
+}
+
+// ========== UPDATE ==========
+
+function parseSummary(text) {
+  const json = String(text || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  try {
+    return normalizeDesignMemory({ ...JSON.parse(json[0]), updatedAt: new Date().toISOString() });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fold the kid's latest request into the project's design memory.
+ *
+ * @param {object} params
+ * @param {object|null} params.memory - Current memory (from the project)
+ * @param {string} params.prompt - The kid's message that just produced a game
+ * @param {string|null} [params.userId] - For usage tracking
+ * @returns {Promise<object|null>} Updated memory (null if there's still nothing to remember)
+ */
+export async function updateDesignMemory({ memory, prompt, userId = null }) {
+  const current = normalizeDesignMemory(memory);
+  const fallback = () => mergeDesignMemory(current, extractDesignDecisions(prompt));
+
+  // The offline fixture provider only knows how to return games
+  const provider = getBuddyProvider('claude');
+  if (!provider.isAvailable() || provider.id === 'fixture') return fallback();
+
+  try {
+    const { text } = await callModel('claude', {
+      staticPrompt: SUMMARIZER_PROMPT,
+      messages: [
+        {
+          role: 'user',
+          content: `Current notes:\n${JSON.stringify(current ? { ...current, updatedAt: undefined } : {})}\n\nThe kid's latest request:\n"${String(prompt).slice(0, 2000)}"`,
+        },
+      ],
+      maxTokens: 600,
+      userId,
+    });
+    const summary = parseSummary(text);
+    if (summary) return summary;
+    console.warn('⚠️ Design memory summary was not valid JSON — using keyword fallback');
+  } catch (err) {
+    console.warn('⚠️ Design memory summary failed — using keyword fallback:', err.message);
+  }
+  return fallback();
+}
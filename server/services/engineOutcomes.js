@@ -65,6 +65,7 @@ export function scoreEngineOutcome({
   usedSpriteAssets,
   usedModelAssets,
   feedbackOutcome = null,
+  runtimeVerdict = null,
 }) {
   let score = 0;
 
@@ -80,6 +81,10 @@ export function scoreEngineOutcome({
   if (usedSpriteAssets) score += 1;
   if (usedModelAssets) score += 1;
 
+  // Headless test-play: a game that actually ran beats one that only looked right
+  if (runtimeVerdict === 'passed') score += 1;
+  else if (runtimeVerdict === 'failed') score -= 2;
+
   if (feedbackOutcome === 'thumbsUp') score += 3;
   if (feedbackOutcome === 'thumbsDown') score -= 3;
 
@@ -248,6 +253,7 @@ export async function logEngineOutcomeGeneration(event, opts = {}) {
     repairSucceeded: !!event.repairSucceeded,
     usedSpriteAssets: assetUsage.usedSpriteAssets,
     usedModelAssets: assetUsage.usedModelAssets,
+    runtimeVerdict: event.runtimeVerdict,
   });
 
   const record = {
@@ -261,6 +267,7 @@ export async function logEngineOutcomeGeneration(event, opts = {}) {
     mode: event.mode || 'default',
     modelUsed: event.modelUsed || null,
     startingModel: event.startingModel || null,
+    promptVariant: event.promptVariant || null,
     isNewGame: !!event.isNewGame,
     isCacheHit: !!event.isCacheHit,
     hasCode: !!event.hasCode,
@@ -276,6 +283,16 @@ export async function logEngineOutcomeGeneration(event, opts = {}) {
     validationViolationsCount: event.validationViolationsCount ?? 0,
     repairAttempted: !!event.repairAttempted,
     repairSucceeded: !!event.repairSucceeded,
+    runtimeVerdict: event.runtimeVerdict || null,
+    runtimeReasons: Array.isArray(event.runtimeReasons) ? event.runtimeReasons : [],
+    runtimeErrorCount: event.runtimeErrorCount ?? 0,
+    runtimeFrameCount: event.runtimeFrameCount ?? null,
+    runtimeCanvasDrawn: typeof event.runtimeCanvasDrawn === 'boolean' ? event.runtimeCanvasDrawn : null,
+    runtimeRepairAttempted: !!event.runtimeRepairAttempted,
+    runtimeRepairSucceeded: !!event.runtimeRepairSucceeded,
+    codeParsed: typeof event.codeParsed === 'boolean' ? event.codeParsed : null,
+    autoFixes: Array.isArray(event.autoFixes) ? event.autoFixes : [],
+    securityFindings: Array.isArray(event.securityFindings) ? event.securityFindings : [],
     referenceSources: Array.isArray(event.referenceSources) ? event.referenceSources : [],
     usedSpriteAssets: assetUsage.usedSpriteAssets,
     usedModelAssets: assetUsage.usedModelAssets,
@@ -447,6 +464,8 @@ export function buildEngineOutcomeRankingSnapshot(events = []) {
   const families = {};
   const starters = {};
   const sources = {};
+  // Per family and buddy ("platformAction:claude") — lets best-of-N judging lean on which buddy tends to win a family
+  const models = {};
 
   for (const generation of generations) {
     const feedback = generation.generationId ? feedbackByGenerationId.get(generation.generationId) : null;
@@ -457,6 +476,9 @@ export function buildEngineOutcomeRankingSnapshot(events = []) {
     for (const source of generation.referenceSources || []) {
       addAggregate(sources, source, combinedScore, feedback);
     }
+    if (generation.genreFamily && generation.modelUsed) {
+      addAggregate(models, `${generation.genreFamily}:${generation.modelUsed}`, combinedScore, feedback);
+    }
   }
 
   return {
@@ -464,6 +486,7 @@ export function buildEngineOutcomeRankingSnapshot(events = []) {
     families,
     starters,
     sources,
+    models,
   };
 }
 
@@ -516,6 +539,9 @@ export async function getEngineOutcomeAdminSummary(opts = {}, storage = {}) {
     validationPasses: generationEvents.filter((event) => event.validationSafe === true).length,
     repairAttempts: generationEvents.filter((event) => event.repairAttempted).length,
     repairSuccesses: generationEvents.filter((event) => event.repairSucceeded).length,
+    runtimePasses: generationEvents.filter((event) => event.runtimeVerdict === 'passed').length,
+    runtimeFailures: generationEvents.filter((event) => event.runtimeVerdict === 'failed').length,
+    runtimeRepairs: generationEvents.filter((event) => event.runtimeVerdict === 'repaired').length,
   };
 
   return {
@@ -1,10 +1,12 @@
+import { analyzeGameCode } from './codeAnalyzer.js';
+
 export const VALIDATION_RULES = {
   'vibe-2d-platform-action': {
     required: [/Phaser\.Game/, /arcade/i],
     warnings: [
       { pattern: /startFollow\(/, label: 'missing camera follow or forward motion cue' },
       { pattern: /touch-action:\s*none/i, label: 'missing touch-action protection' },
-      { pattern: /Scale\.FIT|autoCenter/i, label: 'missing responsive scale config' },
+      { pattern: /Scale\.FIT|autoCenter/i, ast: 'responsiveScale', label: 'missing responsive scale config' },
     ],
   },
   'vibe-2d-top-down': {
@@ -134,18 +136,42 @@ export const VALIDATION_RULES = {
   },
 };
 
-function collectMatches(code, patterns) {
+// Once the scripts parse, these required patterns must be real call sites — a mention
+// in a comment or a string literal doesn't start a game
+const REQUIRED_CALL_SITES = {
+  'Phaser\\.Game': 'new Phaser.Game',
+  'THREE\\.Scene': 'new THREE.Scene',
+  'THREE\\.PerspectiveCamera': 'new THREE.PerspectiveCamera',
+  requestAnimationFrame: 'requestAnimationFrame',
+};
+
+// Parser-backed replacements for warning patterns (used when the scripts parse)
+const AST_WARNING_CHECKS = {
+  responsiveScale: (analysis) => analysis.phaser.games.length === 0 || analysis.phaser.responsiveScale,
+};
+
+const RESTART_CONTRACT = /restart|retry|replay/i;
+
+function collectMatches(code, patterns, analysis) {
   const missing = [];
   for (const pattern of patterns) {
     pattern.lastIndex = 0;
-    if (!pattern.test(code)) {
+    const callSite = analysis?.parsed ? REQUIRED_CALL_SITES[pattern.source] : null;
+    if (!pattern.test(code) || (callSite && !analysis.callSites.has(callSite))) {
       missing.push(pattern.source);
     }
   }
   return missing;
 }
 
-export function validateEngineOutput(code, engineProfile) {
+/**
+ * Check generated code against the engine profile's contract.
+ * @param {string} code
+ * @param {object} engineProfile
+ * @param {object} [analysis] - analyzeGameCode(code), if the caller already has it
+ * @returns {{ safe: boolean, violations: string[], warnings: string[] }}
+ */
+export function validateEngineOutput(code, engineProfile, analysis = null) {
   if (!code || !engineProfile) {
     return { safe: true, violations: [], warnings: [] };
   }
@@ -155,14 +181,26 @@ export function validateEngineOutput(code, engineProfile) {
     return { safe: true, violations: [], warnings: [] };
   }
 
-  const violations = collectMatches(code, rules.required || []);
+  const codeAnalysis = analysis || analyzeGameCode(code);
+  // Regex rules only see real code once comments are blanked out; unparseable scripts fall back to the raw text
+  const source = codeAnalysis.parsed ? codeAnalysis.codeWithoutComments : code;
+
+  const violations = collectMatches(source, rules.required || [], codeAnalysis);
   const warnings = [];
   for (const warning of rules.warnings || []) {
     warning.pattern.lastIndex = 0;
-    if (!warning.pattern.test(code)) {
+    const astCheck = codeAnalysis.parsed ? AST_WARNING_CHECKS[warning.ast] : null;
+    if (astCheck ? !astCheck(codeAnalysis) : !warning.pattern.test(source)) {
       warnings.push(warning.label);
     }
   }
+  if (
+    codeAnalysis.parsed &&
+    !codeAnalysis.restart.present &&
+    RESTART_CONTRACT.test(engineProfile.architecture?.failureContract || '')
+  ) {
+    warnings.push('missing restart handler');
+  }
 
   return {
     safe: violations.length === 0,
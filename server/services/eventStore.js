@@ -47,6 +47,11 @@ function hashUserId(userId) {
  * @param {string} event.modelUsed - 'claude' | 'grok'
  * @param {string} event.mode
  * @param {boolean} event.hasCode
+ * @param {'full'|'diff'} [event.editMode] - How the game code was produced (null for cache hits)
+ * @param {boolean} [event.patchApplied] - diff mode: the hunks applied cleanly
+ * @param {boolean} [event.patchFallback] - diff mode: a patch failed and the game was regenerated in full
+ * @param {boolean} [event.wasTruncated] - The model ran out of tokens before finishing the code
+ * @param {string|null} [event.promptVariant] - Prompt experiment variant (see services/promptExperiments.js)
  * @param {string|null} [event.userId]
  * @param {string} [event.ageBracket]
  * @param {boolean} [event.improvementOptOut]
@@ -65,6 +70,11 @@ export async function logGenerateEvent(event) {
     modelUsed: event.modelUsed || null,
     mode: event.mode || 'default',
     hasCode: !!event.hasCode,
+    editMode: event.editMode || null,
+    patchApplied: !!event.patchApplied,
+    patchFallback: !!event.patchFallback,
+    wasTruncated: !!event.wasTruncated,
+    promptVariant: event.promptVariant || null,
     userIdHash: hashUserId(event.userId),
     ageBracket: event.ageBracket || null,
   };
@@ -6,7 +6,7 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import { USERS_DIR, PROJECTS_DIR } from '../config/index.js';
+import { USERS_DIR, PROJECTS_DIR, PROJECT_VERSIONS_DIR, PROJECT_MEDIA_DIR } from '../config/index.js';
 
 // ========== USER OPERATIONS ==========
 
@@ -64,14 +64,53 @@ export async function readProject(projectId) {
   return JSON.parse(data);
 }
 
+// Project writes run one at a time per project, so a partial update's read and
+// write can't straddle another save
+const projectWrites = new Map();
+
+function withProjectLock(projectId, fn) {
+  const run = (projectWrites.get(projectId) || Promise.resolve()).then(fn, fn);
+  const tail = run.catch(() => {});
+  projectWrites.set(projectId, tail);
+  tail.then(() => {
+    if (projectWrites.get(projectId) === tail) projectWrites.delete(projectId);
+  });
+  return run;
+}
+
 export async function writeProject(projectId, projectData) {
   const filePath = path.join(PROJECTS_DIR, `${projectId}.json`);
-  await fs.writeFile(filePath, JSON.stringify(projectData, null, 2));
+  await withProjectLock(projectId, () => fs.writeFile(filePath, JSON.stringify(projectData, null, 2)));
+}
+
+/** Count one more remix of a project without writing back the rest of a copy read earlier. */
+export async function incrementRemixCount(projectId) {
+  const filePath = path.join(PROJECTS_DIR, `${projectId}.json`);
+  await withProjectLock(projectId, async () => {
+    const project = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    project.remixCount = (project.remixCount || 0) + 1;
+    await fs.writeFile(filePath, JSON.stringify(project, null, 2));
+  });
+}
+
+/**
+ * Update only some fields of a stored project, leaving the rest (code, head
+ * version, title) as the latest save wrote them.
+ */
+export async function updateProjectFields(projectId, fields) {
+  const filePath = path.join(PROJECTS_DIR, `${projectId}.json`);
+  await withProjectLock(projectId, async () => {
+    const project = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    await fs.writeFile(filePath, JSON.stringify({ ...project, ...fields }, null, 2));
+  });
 }
 
 export async function deleteProject(projectId) {
   const filePath = path.join(PROJECTS_DIR, `${projectId}.json`);
   await fs.unlink(filePath);
+  // Version history (services/projectVersions.js) and captured media go with it
+  await fs.rm(path.join(PROJECT_VERSIONS_DIR, `${projectId}.json`), { force: true });
+  await fs.rm(path.join(PROJECT_MEDIA_DIR, projectId), { recursive: true, force: true });
 }
 
 export async function listProjects() {
@@ -89,6 +128,31 @@ export async function listProjects() {
   return projects;
 }
 
+// ========== PROJECT MEDIA ==========
+// Captured gallery thumbnails and previews (services/gameCapture.js), one folder per project.
+// The content type comes from the file extension.
+
+const MEDIA_TYPES = { '.jpg': 'image/jpeg', '.png': 'image/png' };
+
+export async function writeProjectMedia(projectId, name, { data }) {
+  const dir = path.join(PROJECT_MEDIA_DIR, projectId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, name), data);
+}
+
+export async function readProjectMedia(projectId, name) {
+  try {
+    const data = await fs.readFile(path.join(PROJECT_MEDIA_DIR, projectId, name));
+    return { data, contentType: MEDIA_TYPES[path.extname(name)] || 'application/octet-stream' };
+  } catch {
+    return null;
+  }
+}
+
+export async function deleteProjectMedia(projectId, name) {
+  await fs.rm(path.join(PROJECT_MEDIA_DIR, projectId, name), { force: true });
+}
+
 // ========== ESA ORDER OPERATIONS (file-based) ==========
 
 const ESA_ORDERS_FILE = path.join(path.dirname(USERS_DIR), 'esa_orders.json');
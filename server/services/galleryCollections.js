@@ -0,0 +1,134 @@
+/**
+ * Gallery Collections
+ *
+ * Admin-curated sets of published games ("Best Platformers of October"),
+ * shown as shelves in the gallery. A collection is an ordered list of
+ * project ids; games that are unpublished later simply drop out of it when
+ * the gallery is queried.
+ *
+ * Stored in Postgres (gallery_collections) or, without a database, in
+ * data/gallery_collections.json.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DATA_DIR, USE_POSTGRES } from '../config/index.js';
+
+const COLLECTIONS_FILE = path.join(DATA_DIR, 'gallery_collections.json');
+const COLLECTION_ID_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const PROJECT_ID_RE = /^[a-z0-9]{6}$/;
+export const MAX_COLLECTION_GAMES = 48;
+
+/**
+ * Validate an admin's collection edit.
+ *
+ * @param {string} id - URL slug, e.g. "best-platformers-october"
+ * @param {{ title?: string, description?: string, projectIds?: string[] }} input
+ * @returns {{ collection?: object, error?: string }}
+ */
+export function normalizeGalleryCollection(id, input = {}) {
+  if (typeof id !== 'string' || id.length > 60 || !COLLECTION_ID_RE.test(id)) {
+    return { error: 'Collection id must be lowercase letters, numbers and dashes' };
+  }
+  const title = typeof input.title === 'string' ? input.title.trim().slice(0, 80) : '';
+  if (!title) return { error: 'Collection title is required' };
+  if (!Array.isArray(input.projectIds) || !input.projectIds.every((p) => PROJECT_ID_RE.test(p))) {
+    return { error: 'projectIds must be a list of project ids' };
+  }
+  return {
+    collection: {
+      id,
+      title,
+      description: typeof input.description === 'string' ? input.description.trim().slice(0, 300) : '',
+      projectIds: [...new Set(input.projectIds)].slice(0, MAX_COLLECTION_GAMES),
+    },
+  };
+}
+
+function mapCollectionRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description || '',
+    projectIds: row.project_ids || [],
+    createdAt: row.created_at?.toISOString?.() || row.created_at,
+    updatedAt: row.updated_at?.toISOString?.() || row.updated_at,
+  };
+}
+
+async function readFileCollections() {
+  try {
+    return JSON.parse(await fs.readFile(COLLECTIONS_FILE, 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+async function writeFileCollections(collections) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(COLLECTIONS_FILE, JSON.stringify(collections, null, 2));
+}
+
+/** All collections, newest first. */
+export async function listGalleryCollections() {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query('SELECT * FROM gallery_collections ORDER BY created_at DESC');
+    return rows.map(mapCollectionRow);
+  }
+  const collections = await readFileCollections();
+  return collections.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/** @returns {Promise<object|null>} */
+export async function getGalleryCollection(id) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query('SELECT * FROM gallery_collections WHERE id = $1', [id]);
+    return rows[0] ? mapCollectionRow(rows[0]) : null;
+  }
+  return (await readFileCollections()).find((c) => c.id === id) || null;
+}
+
+/**
+ * Create or replace a collection (already normalized).
+ * @returns {Promise<object>} The stored collection
+ */
+export async function saveGalleryCollection({ id, title, description, projectIds }) {
+  const now = new Date().toISOString();
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query(
+      `INSERT INTO gallery_collections (id, title, description, project_ids, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $5)
+       ON CONFLICT (id) DO UPDATE SET
+         title = EXCLUDED.title,
+         description = EXCLUDED.description,
+         project_ids = EXCLUDED.project_ids,
+         updated_at = EXCLUDED.updated_at
+       RETURNING *`,
+      [id, title, description, JSON.stringify(projectIds), now],
+    );
+    return mapCollectionRow(rows[0]);
+  }
+
+  const collections = await readFileCollections();
+  const existing = collections.find((c) => c.id === id);
+  const collection = { id, title, description, projectIds, createdAt: existing?.createdAt || now, updatedAt: now };
+  await writeFileCollections([...collections.filter((c) => c.id !== id), collection]);
+  return collection;
+}
+
+/** @returns {Promise<boolean>} false if there was no such collection */
+export async function deleteGalleryCollection(id) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rowCount } = await getPool().query('DELETE FROM gallery_collections WHERE id = $1', [id]);
+    return rowCount > 0;
+  }
+  const collections = await readFileCollections();
+  const remaining = collections.filter((c) => c.id !== id);
+  if (remaining.length === collections.length) return false;
+  await writeFileCollections(remaining);
+  return true;
+}
@@ -0,0 +1,349 @@
+/**
+ * Gallery Index
+ *
+ * The query layer behind GET /api/gallery: text search, sort modes, genre
+ * family / category filters and curated collections.
+ *
+ *   Search   — every query word must prefix-match a word of the title or the
+ *              gameConfig theme / character ("spa" finds "Space Jumper")
+ *   Sorts    — new (createdAt), top (likes, then views) and trending
+ *              (views + likes over the last TRENDING_DAYS, older days decayed)
+ *   Filters  — category, genreFamily (engineRegistry families), a
+ *              collection's project ids (then "curated" keeps the admin's order),
+ *              and remixOf (public remixes of one game)
+ *
+ * Postgres answers with one indexed query (search_vector, likes and
+ * genre-family indexes plus the project_activity table, see schema.sql).
+ * File storage keeps an in-memory index of public games — summaries plus a
+ * word → project id map — refreshed incrementally by file mtime, so a
+ * gallery request never re-parses every project.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { PROJECTS_DIR, USE_POSTGRES } from '../config/index.js';
+import { ENGINE_FAMILY_PROFILES } from './engineRegistry.js';
+import { publicGameMedia } from './gameCapture.js';
+import log from './logger.js';
+
+export const GALLERY_SORTS = ['new', 'top', 'trending', 'curated'];
+export const TRENDING_DAYS = 7;
+const TRENDING_DECAY = 0.8;
+const LIKE_WEIGHT = 3;
+const MAX_QUERY_TERMS = 5;
+const MAX_TERM_LENGTH = 30;
+const MAX_PAGE_SIZE = 100;
+const FILE_INDEX_REFRESH_MS = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ========== QUERY ==========
+
+/** Lowercased unique words (letters and digits) of a piece of text. */
+export function searchTerms(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  return [...new Set((words || []).map((w) => w.slice(0, MAX_TERM_LENGTH)))];
+}
+
+/**
+ * Validate raw query-string input.
+ *
+ * @param {object} raw - { q, sort, category, genre, limit, offset }
+ * @param {string[]|null} [projectIds] - A collection's games, in curated order
+ * @param {object} [opts]
+ * @param {string|null} [opts.remixOf] - Only remixes of this project
+ */
+export function normalizeGalleryQuery(raw = {}, projectIds = null, { remixOf = null } = {}) {
+  const sort = GALLERY_SORTS.includes(raw.sort) && (raw.sort !== 'curated' || projectIds) ? raw.sort : null;
+  return {
+    terms: searchTerms(raw.q).slice(0, MAX_QUERY_TERMS),
+    sort: sort || (projectIds ? 'curated' : 'new'),
+    category: typeof raw.category === 'string' && raw.category ? raw.category : null,
+    genreFamily: ENGINE_FAMILY_PROFILES[raw.genre] ? raw.genre : null,
+    projectIds,
+    remixOf,
+    limit: Math.min(parseInt(raw.limit) || 30, MAX_PAGE_SIZE),
+    offset: Math.max(parseInt(raw.offset) || 0, 0),
+  };
+}
+
+/** Genre families kids can filter by. */
+export function listGalleryGenres() {
+  return Object.entries(ENGINE_FAMILY_PROFILES).map(([id, profile]) => ({ id, label: profile.label }));
+}
+
+// ========== ACTIVITY ==========
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Trending score from daily buckets: views + 3×likes, decayed 20% per day of age.
+ * @param {Record<string, { views?: number, likes?: number }>} activity - 'YYYY-MM-DD' → counts
+ */
+export function trendingScore(activity, now = new Date()) {
+  const today = Date.parse(dayKey(now));
+  let score = 0;
+  for (const [day, counts] of Object.entries(activity || {})) {
+    const age = Math.round((today - Date.parse(day)) / DAY_MS);
+    if (!(age >= 0 && age < TRENDING_DAYS)) continue;
+    score += ((counts.views || 0) + LIKE_WEIGHT * (counts.likes || 0)) * TRENDING_DECAY ** age;
+  }
+  return score;
+}
+
+/**
+ * Count a play or a like toward trending. File storage keeps the daily
+ * buckets on the project (the caller writes it); Postgres adds to
+ * project_activity.
+ *
+ * @param {object} project - Mutated in file mode
+ * @param {'view'|'like'} kind
+ */
+export async function noteGalleryActivity(project, kind, now = new Date()) {
+  const views = kind === 'view' ? 1 : 0;
+  const likes = kind === 'like' ? 1 : 0;
+
+  if (USE_POSTGRES) {
+    try {
+      const { getPool } = await import('./db.js');
+      await getPool().query(
+        `INSERT INTO project_activity (project_id, day, views, likes) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (project_id, day) DO UPDATE SET
+           views = project_activity.views + EXCLUDED.views,
+           likes = project_activity.likes + EXCLUDED.likes`,
+        [project.id, dayKey(now), views, likes],
+      );
+    } catch (err) {
+      log.warn({ err: err.message, projectId: project.id }, 'Could not record gallery activity');
+    }
+    return;
+  }
+
+  const oldest = dayKey(new Date(now.getTime() - (TRENDING_DAYS - 1) * DAY_MS));
+  const activity = Object.fromEntries(Object.entries(project.activity || {}).filter(([day]) => day >= oldest));
+  const today = activity[dayKey(now)] || { views: 0, likes: 0 };
+  activity[dayKey(now)] = { views: today.views + views, likes: today.likes + likes };
+  project.activity = activity;
+}
+
+// ========== FILE INDEX ==========
+
+/** The gallery's view of a public project, or null if it isn't listed. */
+export function toGalleryEntry(project) {
+  if (!project?.isPublic || !project.code) return null;
+  return {
+    id: project.id,
+    title: project.title,
+    userId: project.userId || null,
+    creatorName: project.creatorName,
+    category: project.category,
+    genreFamily: project.gameConfig?.genreFamily || null,
+    multiplayer: project.multiplayer || false,
+    createdAt: project.createdAt,
+    views: project.views || 0,
+    likes: project.likes || 0,
+    ...publicGameMedia(project),
+    remixCount: project.remixCount || 0,
+    remixedFrom: project.remixedFrom || null,
+    activity: project.activity || null,
+    terms: searchTerms(
+      [project.title, project.gameConfig?.theme, project.gameConfig?.character].filter(Boolean).join(' '),
+    ),
+  };
+}
+
+/** An empty index: entries by id plus a word → ids map for search. */
+export function createGalleryIndex() {
+  return { entries: new Map(), words: new Map() };
+}
+
+/** Add, replace or (entry = null) remove a project in the index. */
+export function updateGalleryIndex(index, id, entry) {
+  const previous = index.entries.get(id);
+  for (const word of previous?.terms || []) {
+    const ids = index.words.get(word);
+    ids?.delete(id);
+    if (ids?.size === 0) index.words.delete(word);
+  }
+  index.entries.delete(id);
+  if (!entry) return;
+
+  index.entries.set(id, entry);
+  for (const word of entry.terms) {
+    if (!index.words.has(word)) index.words.set(word, new Set());
+    index.words.get(word).add(id);
+  }
+}
+
+function matchTerms(index, terms) {
+  let matched = null;
+  for (const term of terms) {
+    const ids = new Set();
+    for (const [word, wordIds] of index.words) {
+      if (word.startsWith(term)) wordIds.forEach((id) => ids.add(id));
+    }
+    matched = matched ? new Set([...matched].filter((id) => ids.has(id))) : ids;
+    if (matched.size === 0) break;
+  }
+  return matched;
+}
+
+const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+/**
+ * Filter, sort and page the index.
+ * @returns {{ games: object[], total: number }}
+ */
+export function searchGalleryIndex(index, query, now = new Date()) {
+  const matched = query.terms.length ? matchTerms(index, query.terms) : null;
+  const inCollection = query.projectIds ? new Set(query.projectIds) : null;
+
+  const results = [];
+  for (const entry of index.entries.values()) {
+    if (matched && !matched.has(entry.id)) continue;
+    if (inCollection && !inCollection.has(entry.id)) continue;
+    if (query.category && entry.category !== query.category) continue;
+    if (query.genreFamily && entry.genreFamily !== query.genreFamily) continue;
+    if (query.remixOf && entry.remixedFrom?.projectId !== query.remixOf) continue;
+    results.push(entry);
+  }
+
+  if (query.sort === 'top') {
+    results.sort((a, b) => b.likes - a.likes || b.views - a.views || byNewest(a, b));
+  } else if (query.sort === 'trending') {
+    const scores = new Map(results.map((e) => [e.id, trendingScore(e.activity, now)]));
+    results.sort((a, b) => scores.get(b.id) - scores.get(a.id) || byNewest(a, b));
+  } else if (query.sort === 'curated') {
+    const position = new Map(query.projectIds.map((id, i) => [id, i]));
+    results.sort((a, b) => position.get(a.id) - position.get(b.id));
+  } else {
+    results.sort(byNewest);
+  }
+
+  return { games: results.slice(query.offset, query.offset + query.limit), total: results.length };
+}
+
+const fileIndex = { index: createGalleryIndex(), mtimes: new Map(), refreshedAt: 0, refreshing: null };
+
+async function refreshFileIndex() {
+  const files = (await fs.readdir(PROJECTS_DIR)).filter((f) => f.endsWith('.json'));
+  const seen = new Set();
+  for (const file of files) {
+    const id = file.slice(0, -'.json'.length);
+    seen.add(id);
+    try {
+      const { mtimeMs } = await fs.stat(path.join(PROJECTS_DIR, file));
+      if (fileIndex.mtimes.get(id) === mtimeMs) continue;
+      const project = JSON.parse(await fs.readFile(path.join(PROJECTS_DIR, file), 'utf-8'));
+      updateGalleryIndex(fileIndex.index, id, toGalleryEntry(project));
+      fileIndex.mtimes.set(id, mtimeMs);
+    } catch {
+      // Skip invalid or half-written files; they're retried on the next refresh
+    }
+  }
+  for (const id of fileIndex.mtimes.keys()) {
+    if (!seen.has(id)) {
+      updateGalleryIndex(fileIndex.index, id, null);
+      fileIndex.mtimes.delete(id);
+    }
+  }
+  fileIndex.refreshedAt = Date.now();
+}
+
+async function getFileIndex() {
+  if (Date.now() - fileIndex.refreshedAt >= FILE_INDEX_REFRESH_MS) {
+    fileIndex.refreshing ??= refreshFileIndex().finally(() => {
+      fileIndex.refreshing = null;
+    });
+    await fileIndex.refreshing;
+  }
+  return fileIndex.index;
+}
+
+// ========== POSTGRES ==========
+
+function rowToGalleryEntry(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    userId: row.user_id,
+    creatorName: row.creator_name,
+    category: row.category,
+    genreFamily: row.genre_family || null,
+    multiplayer: row.multiplayer,
+    createdAt: row.created_at?.toISOString?.() || row.created_at,
+    views: row.views || 0,
+    likes: row.likes || 0,
+    // Postgres keeps no browser-supplied thumbnail, only server captures
+    ...publicGameMedia({ id: row.id, capture: row.capture, thumbnail: null }),
+    remixCount: row.remix_count || 0,
+    remixedFrom: row.remixed_from || null,
+  };
+}
+
+async function queryPostgresGallery(query) {
+  const { getPool } = await import('./db.js');
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const where = ['p.is_public = true', "p.code <> ''"];
+  if (query.category) where.push(`p.category = ${param(query.category)}`);
+  if (query.genreFamily) where.push(`p.game_config->>'genreFamily' = ${param(query.genreFamily)}`);
+  if (query.remixOf) where.push(`p.remixed_from->>'projectId' = ${param(query.remixOf)}`);
+  if (query.terms.length) {
+    // Terms are letters and digits only, so they're safe as tsquery prefix lexemes
+    where.push(`p.search_vector @@ to_tsquery('simple', ${param(query.terms.map((t) => `${t}:*`).join(' & '))})`);
+  }
+  let collectionParam = null;
+  if (query.projectIds) {
+    collectionParam = param(query.projectIds);
+    where.push(`p.id = ANY(${collectionParam}::text[])`);
+  }
+
+  let join = '';
+  let orderBy = 'p.created_at DESC';
+  if (query.sort === 'top') {
+    orderBy = 'p.likes DESC, p.views DESC, p.created_at DESC';
+  } else if (query.sort === 'trending') {
+    join = `LEFT JOIN (
+      SELECT project_id, SUM((views + ${LIKE_WEIGHT} * likes) * POWER(${TRENDING_DECAY}, CURRENT_DATE - day)) AS score
+      FROM project_activity WHERE day > CURRENT_DATE - ${TRENDING_DAYS} GROUP BY project_id
+    ) a ON a.project_id = p.id`;
+    orderBy = 'COALESCE(a.score, 0) DESC, p.created_at DESC';
+  } else if (query.sort === 'curated') {
+    orderBy = `array_position(${collectionParam}::text[], p.id)`;
+  }
+
+  const { rows } = await getPool().query(
+    `SELECT p.id, p.title, p.user_id, p.creator_name, p.category, p.multiplayer, p.created_at,
+            p.views, p.likes, p.remix_count, p.remixed_from, p.capture, p.game_config->>'genreFamily' AS genre_family,
+            COUNT(*) OVER() AS total
+     FROM projects p ${join}
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${orderBy}
+     LIMIT ${param(query.limit)} OFFSET ${param(query.offset)}`,
+    params,
+  );
+  return { games: rows.map(rowToGalleryEntry), total: rows.length ? Number(rows[0].total) : 0 };
+}
+
+/**
+ * Run a gallery query against whichever storage is active.
+ *
+ * @param {ReturnType<typeof normalizeGalleryQuery>} query
+ * @returns {Promise<{ games: object[], total: number, hasMore: boolean }>} Games still carry userId — resolve the
+ *   public alias before sending them
+ */
+export async function queryGallery(query) {
+  const { games, total } = USE_POSTGRES
+    ? await queryPostgresGallery(query)
+    : searchGalleryIndex(await getFileIndex(), query);
+  return { games, total, hasMore: query.offset + query.limit < total };
+}
@@ -0,0 +1,256 @@
+/**
+ * Game Capture
+ *
+ * Gallery thumbnails made by the server instead of whatever the publishing
+ * browser sent. When a game is published, or its published code changes, it
+ * is played in the runtime verifier's headless sandbox and two images are kept
+ * through the storage layer:
+ *
+ *   thumbnail.jpg — a 400x300 still after a moment of play
+ *   preview.png   — GAME_PREVIEW_FRAMES frames as a looping animated PNG
+ *
+ * Every captured image goes through the image moderation hook first. Flagged
+ * captures are never stored or shown and the game goes into the admin report
+ * queue; captures the service couldn't check are held back. Without
+ * IMAGE_MODERATION_URL nothing could ever be shown, so no capture runs at all.
+ * The outcome is recorded on the project:
+ *
+ *   project.capture = { codeHash, status: 'ready'|'flagged'|'held'|'skipped',
+ *                       capturedAt, hasPreview, reasons }
+ *
+ * Whatever the outcome, the same code is captured only once; the next capture
+ * waits for a code change. Captures run in the background one at a time — the
+ * save that triggers one never waits for it — and only the capture field is
+ * written back, so a save made meanwhile is kept.
+ */
+
+import { createHash } from 'crypto';
+import { GAME_CAPTURE, GAME_PREVIEW_FRAMES } from '../config/index.js';
+import { captureGameMedia } from './runtimeVerifier.js';
+import { isImageModerationConfigured, moderateImage } from './contentModeration.js';
+import { createReport } from './moderation.js';
+import { deleteProjectMedia, readProject, updateProjectFields, writeProjectMedia } from './storage.js';
+import { crc32 } from '../utils/zip.js';
+import log from './logger.js';
+
+export const THUMBNAIL_FILE = 'thumbnail.jpg';
+export const PREVIEW_FILE = 'preview.png';
+const PREVIEW_FRAME_INTERVAL_MS = 250;
+const MAX_PREVIEW_BYTES = 2 * 1024 * 1024;
+
+/** Short hash of a game's code, to notice when published code changes. */
+export function gameCodeHash(code) {
+  return createHash('sha256')
+    .update(String(code || ''))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Whether a project's current code hasn't been captured yet. Any outcome is
+ * final for that code — a held or skipped capture is not retried on every
+ * autosave, only once the code changes.
+ */
+export function needsCapture(project) {
+  if (!GAME_CAPTURE || !project?.isPublic || !project.code) return false;
+  return project.capture?.codeHash !== gameCodeHash(project.code);
+}
+
+/**
+ * The images the gallery may show for a project. A captured thumbnail that
+ * passed moderation wins over one the browser supplied; while a new capture
+ * runs, the last approved one stays up.
+ *
+ * @returns {{ thumbnail: string|null, previewUrl: string|null }}
+ */
+export function publicGameMedia(project) {
+  const { capture } = project;
+  if (capture?.status === 'ready') {
+    const base = `/api/projects/${project.id}/media`;
+    return {
+      thumbnail: `${base}/${THUMBNAIL_FILE}?v=${capture.codeHash}`,
+      previewUrl: capture.hasPreview ? `${base}/${PREVIEW_FILE}?v=${capture.codeHash}` : null,
+    };
+  }
+  if (capture?.status === 'flagged') return { thumbnail: null, previewUrl: null };
+  return { thumbnail: project.thumbnail || null, previewUrl: null };
+}
+
+// ========== ANIMATED PNG ==========
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function pngChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/** @returns {Array<{ type: string, data: Buffer }>|null} null if it isn't a PNG */
+function readPngChunks(png) {
+  if (!Buffer.isBuffer(png) || !png.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+/**
+ * Stitch same-sized PNG screenshots into a looping animated PNG. The frames'
+ * compressed image data is reused as-is, so nothing is re-encoded.
+ *
+ * @param {Buffer[]} frames - PNG images with identical headers (size, colour type)
+ * @param {number} delayMs - How long each frame shows
+ * @returns {Buffer|null} null if the frames can't be combined
+ */
+export function assembleApng(frames, delayMs) {
+  const parsed = frames.map(readPngChunks);
+  if (parsed.length < 2 || parsed.some((chunks) => !chunks || chunks[0]?.type !== 'IHDR')) return null;
+  const header = parsed[0][0].data;
+  if (parsed.some((chunks) => !chunks[0].data.equals(header))) return null;
+
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  let sequence = 0;
+  const frameControl = () => {
+    const data = Buffer.alloc(26);
+    data.writeUInt32BE(sequence++, 0);
+    data.writeUInt32BE(width, 4);
+    data.writeUInt32BE(height, 8);
+    // x/y offset 0, delay in ms, dispose none, blend source
+    data.writeUInt16BE(Math.round(delayMs), 20);
+    data.writeUInt16BE(1000, 22);
+    return pngChunk('fcTL', data);
+  };
+
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(parsed.length, 0); // frames; 0 plays = loop forever
+
+  const out = [PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('acTL', animationControl)];
+  parsed.forEach((chunks, index) => {
+    // Ancillary chunks (colour space, DPI) are taken from the first frame only
+    if (index === 0) {
+      for (const { type, data } of chunks) {
+        if (type !== 'IHDR' && type !== 'IDAT' && type !== 'IEND') out.push(pngChunk(type, data));
+      }
+    }
+    out.push(frameControl());
+    for (const { type, data } of chunks) {
+      if (type !== 'IDAT') continue;
+      if (index === 0) {
+        out.push(pngChunk('IDAT', data));
+      } else {
+        const sequenceNumber = Buffer.alloc(4);
+        sequenceNumber.writeUInt32BE(sequence++);
+        out.push(pngChunk('fdAT', Buffer.concat([sequenceNumber, data])));
+      }
+    }
+  });
+  out.push(pngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(out);
+}
+
+// ========== CAPTURE ==========
+
+/**
+ * Run every image through the moderation hook. Only images the service
+ * actually looked at can be 'ready'.
+ * @returns {Promise<{ status: 'ready'|'flagged'|'held', reasons: string[] }>}
+ */
+export async function moderateCapture(images) {
+  const results = await Promise.all(images.map(({ data, contentType }) => moderateImage(data, contentType)));
+  const flagged = results.filter((r) => r.flagged);
+  if (flagged.length) {
+    return { status: 'flagged', reasons: [...new Set(flagged.flatMap((r) => r.categories))] };
+  }
+  if (results.some((r) => r.skipped)) return { status: 'held', reasons: ['moderation_not_configured'] };
+  if (results.some((r) => r.error)) return { status: 'held', reasons: ['moderation_unavailable'] };
+  return { status: 'ready', reasons: [] };
+}
+
+/**
+ * Capture the project's current code and record the result. Does nothing if
+ * the project no longer needs a capture, and throws the result away if the
+ * code changed while it ran (that save scheduled its own capture).
+ */
+export async function captureProject(projectId) {
+  const project = await readProject(projectId);
+  if (!needsCapture(project)) return;
+  const codeHash = gameCodeHash(project.code);
+
+  const media = await captureGameMedia(project.code, {
+    frames: GAME_PREVIEW_FRAMES > 1 ? GAME_PREVIEW_FRAMES : 0,
+    frameIntervalMs: PREVIEW_FRAME_INTERVAL_MS,
+  });
+
+  let capture;
+  let preview = null;
+  if (media.status !== 'captured') {
+    capture = { status: 'skipped', reasons: media.reasons };
+  } else {
+    preview = media.frames.length > 1 ? assembleApng(media.frames, PREVIEW_FRAME_INTERVAL_MS) : null;
+    if (preview && preview.length > MAX_PREVIEW_BYTES) preview = null;
+    const images = [{ data: media.thumbnail, contentType: 'image/jpeg' }];
+    // Each frame is checked on its own — moderation services look at one image at a time
+    if (preview) images.push(...media.frames.map((data) => ({ data, contentType: 'image/png' })));
+    capture = await moderateCapture(images);
+  }
+
+  const latest = await readProject(projectId);
+  if (gameCodeHash(latest.code) !== codeHash) return;
+
+  if (capture.status === 'ready') {
+    await writeProjectMedia(projectId, THUMBNAIL_FILE, { data: media.thumbnail, contentType: 'image/jpeg' });
+    if (preview) {
+      await writeProjectMedia(projectId, PREVIEW_FILE, { data: preview, contentType: 'image/png' });
+    } else {
+      await deleteProjectMedia(projectId, PREVIEW_FILE);
+    }
+  }
+  if (capture.status === 'flagged') {
+    log.warn({ projectId, reasons: capture.reasons }, 'Captured game thumbnail flagged by image moderation');
+    await createReport({
+      projectId,
+      reason: `Automatic: the gallery thumbnail was flagged by image moderation${capture.reasons.length ? ` (${capture.reasons.join(', ')})` : ''}`,
+    });
+  }
+
+  await updateProjectFields(projectId, {
+    capture: {
+      codeHash,
+      status: capture.status,
+      capturedAt: new Date().toISOString(),
+      hasPreview: capture.status === 'ready' && Boolean(preview),
+      reasons: capture.reasons,
+    },
+  });
+}
+
+const pending = new Set();
+let captureQueue = Promise.resolve();
+
+/**
+ * Queue a capture if the project is public and its code hasn't been captured.
+ * A project already waiting in the queue isn't queued twice — the job reads
+ * the latest code when it runs.
+ */
+export function scheduleGameCapture(project) {
+  // Unchecked captures are never shown, so there's no point playing the game
+  if (!isImageModerationConfigured() || !needsCapture(project) || pending.has(project.id)) return;
+  pending.add(project.id);
+  captureQueue = captureQueue
+    .then(() => {
+      pending.delete(project.id);
+      return captureProject(project.id);
+    })
+    .catch((err) => log.warn({ err: err.message, projectId: project.id }, 'Game capture failed'));
+}
@@ -0,0 +1,460 @@
+/**
+ * Game Export
+ *
+ * Packs a game into a zip that plays without the site — offline, or handed
+ * in for school:
+ *
+ *   index.html         the game, with /assets/... paths made relative
+ *   assets/...         every library sprite, sound and model it uses, plus
+ *                      the textures those models point at
+ *   lib/...            local copies of the CDN libraries it loads (Phaser,
+ *                      Three.js and its add-ons, ...)
+ *   offline-assets.js  the assets again as data URIs — browsers block fetch()
+ *                      and XHR on pages opened straight from disk, which is
+ *                      how Phaser and GLTFLoader load files
+ *   CREDITS.txt        the asset packs and libraries used, with licenses,
+ *                      from the asset manifest
+ *   README.txt         how to play it, and anything that still needs the internet
+ *
+ * Only files under public/assets and libraries from KNOWN_LIBRARIES are
+ * packed. Asset paths built at runtime ('/assets/.../tile_' + n + '.png') are
+ * covered by packing the files that match the written part of the path.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ASSET_MANIFEST, EXTRA_MODEL_PACKS, EXTRA_PACKS, MODEL_MANIFEST } from '../assets/assetManifest.js';
+import { createZip } from '../utils/zip.js';
+import log from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+export const MAX_EXPORT_ASSET_BYTES = 40 * 1024 * 1024;
+// A runtime-built path ('/assets/sprites/kenney-food/tile_' + n) packs at most this many matches
+const MAX_PREFIX_MATCHES = 150;
+const MAX_LIBRARY_BYTES = 5 * 1024 * 1024;
+const LIBRARY_FETCH_TIMEOUT_MS = 15000;
+const MAX_CACHED_LIBRARIES = 16;
+
+const ASSET_REF_RE = /(['"`(])\/(assets\/(?:sprites|models|sounds)\/[^'"`)\s?#$]*)/g;
+const SCRIPT_SRC_RE = /(<script\b[^>]*?\bsrc\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi;
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.glb': 'model/gltf-binary',
+  '.gltf': 'model/gltf+json',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+};
+
+/** CDN libraries the generator uses, with what CREDITS.txt says about them. */
+export const KNOWN_LIBRARIES = [
+  {
+    pattern: /^https:\/\/cdn\.jsdelivr\.net\/npm\/phaser@[\d.]+\/dist\/phaser(?:\.min)?\.js$/,
+    name: 'Phaser',
+    license: 'MIT License',
+    homepage: 'https://phaser.io',
+  },
+  {
+    pattern:
+      /^https:\/\/(?:cdnjs\.cloudflare\.com\/ajax\/libs\/three\.js\/r\d+\/three(?:\.min)?\.js|cdn\.jsdelivr\.net\/npm\/three@[\d.]+\/build\/three(?:\.min)?\.js)$/,
+    name: 'Three.js',
+    license: 'MIT License',
+    homepage: 'https://threejs.org',
+  },
+  {
+    pattern: /^https:\/\/cdn\.jsdelivr\.net\/npm\/three@[\d.]+\/examples\/js\/[\w/]+\.js$/,
+    name: 'Three.js add-ons',
+    license: 'MIT License',
+    homepage: 'https://threejs.org',
+  },
+  {
+    pattern: /^https:\/\/cdn\.jsdelivr\.net\/npm\/nipplejs@[\d.]+\/dist\/nipplejs(?:\.min)?\.js$/,
+    name: 'nipplejs',
+    license: 'MIT License',
+    homepage: 'https://github.com/yoannmoinet/nipplejs',
+  },
+  {
+    pattern: /^https:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/tone\/[\d.]+\/Tone(?:\.min)?\.js$/,
+    name: 'Tone.js',
+    license: 'MIT License',
+    homepage: 'https://tonejs.github.io',
+  },
+  {
+    pattern: /^https:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/p5\.js\/[\d.]+\/p5(?:\.min)?\.js$/,
+    name: 'p5.js',
+    license: 'GNU LGPL 2.1',
+    homepage: 'https://p5js.org',
+  },
+];
+
+// ========== ASSETS ==========
+
+/**
+ * Library asset paths a game mentions, without the leading slash.
+ * @returns {string[]} e.g. ['assets/sprites/kenney-animals/Round/bear.png']
+ */
+export function findAssetReferences(code) {
+  const refs = new Set();
+  for (const match of String(code || '').matchAll(ASSET_REF_RE)) refs.add(match[2]);
+  return [...refs].sort();
+}
+
+/** '/assets/x.png' → 'assets/x.png', so the game loads from next to index.html. */
+export function rewriteAssetPaths(code) {
+  return String(code || '').replace(/(['"`(])\/assets\//g, '$1assets/');
+}
+
+/** The file under public/ for an asset path, or null if it would leave public/assets. */
+function assetFilePath(ref) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(ref);
+  } catch {
+    return null;
+  }
+  const filePath = path.resolve(PUBLIC_DIR, decoded);
+  return filePath.startsWith(path.join(PUBLIC_DIR, 'assets') + path.sep) ? filePath : null;
+}
+
+async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/** Textures and buffers a .glb loads from files next to it (Kenney kits share Textures/colormap.png). */
+async function glbExternalFiles(ref, filePath) {
+  try {
+    const glb = await fs.readFile(filePath);
+    if (glb.toString('ascii', 0, 4) !== 'glTF') return [];
+    const json = JSON.parse(glb.toString('utf8', 20, 20 + glb.readUInt32LE(12)));
+    return [...(json.images || []), ...(json.buffers || [])]
+      .map((entry) => entry.uri)
+      .filter((uri) => uri && !/^[a-z]+:/i.test(uri))
+      .map((uri) => path.posix.normalize(path.posix.join(path.posix.dirname(ref), uri)));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Work out which files under public/assets to pack.
+ *
+ * @param {string[]} refs - From findAssetReferences
+ * @returns {Promise<{ files: Map<string, string>, unresolved: string[] }>} zip path → file on disk,
+ *   and the references nothing was found for
+ */
+export async function resolveAssetFiles(refs) {
+  const files = new Map();
+  const unresolved = [];
+  const seen = new Set();
+  const queue = [...refs];
+
+  while (queue.length) {
+    const ref = queue.shift();
+    if (seen.has(ref)) continue;
+    seen.add(ref);
+    const filePath = assetFilePath(ref);
+    if (!filePath) {
+      unresolved.push(ref);
+      continue;
+    }
+
+    if (await isFile(filePath)) {
+      // Zip paths are real file names ("my%20ship.png" is stored as "my ship.png")
+      files.set(path.relative(PUBLIC_DIR, filePath).split(path.sep).join('/'), filePath);
+      if (ref.toLowerCase().endsWith('.glb')) queue.push(...(await glbExternalFiles(ref, filePath)));
+      continue;
+    }
+
+    // Built at runtime: pack the files in that folder that start with the written part
+    const dir = ref.endsWith('/') ? filePath : path.dirname(filePath);
+    const prefix = ref.endsWith('/') ? '' : path.basename(filePath);
+    let matches = [];
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      matches = entries.filter((e) => e.isFile() && e.name.startsWith(prefix)).map((e) => e.name);
+    } catch {
+      /* no such folder */
+    }
+    if (!matches.length || matches.length > MAX_PREFIX_MATCHES) {
+      unresolved.push(ref);
+      continue;
+    }
+    const folder = ref.endsWith('/') ? ref : path.posix.dirname(ref) + '/';
+    for (const name of matches.sort()) queue.push(folder + encodeURIComponent(name));
+  }
+
+  return { files, unresolved };
+}
+
+/**
+ * A script that swaps asset URLs for data URIs when the game is opened from
+ * disk, for the loaders that use fetch() / XHR. Served normally (a web host,
+ * a school server) it does nothing and the files in assets/ are used.
+ */
+export function offlineAssetsScript(assets) {
+  const dataUris = {};
+  for (const [name, data] of assets) {
+    const type = MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+    dataUris[name] = `data:${type};base64,${data.toString('base64')}`;
+  }
+  return `// Lets the game load its pictures, sounds and models when index.html is opened straight from disk.
+(function () {
+  if (location.protocol !== 'file:') return;
+  var files = ${JSON.stringify(dataUris)};
+  var base = location.href.replace(/[?#].*$/, '').replace(/[^/]*$/, '');
+  function local(url) {
+    var href;
+    try { href = new URL(String(url), location.href).href; } catch (e) { return url; }
+    if (href.indexOf(base) !== 0) return url;
+    var name = decodeURIComponent(href.slice(base.length).split(/[?#]/)[0]);
+    return files[name] || url;
+  }
+  var realFetch = window.fetch;
+  if (realFetch) {
+    window.fetch = function (input, init) {
+      return realFetch.call(this, typeof input === 'string' || input instanceof URL ? local(input) : input, init);
+    };
+  }
+  var realOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    var args = Array.prototype.slice.call(arguments);
+    args[1] = local(url);
+    return realOpen.apply(this, args);
+  };
+})();
+`;
+}
+
+// ========== LIBRARIES ==========
+
+const libraryCache = new Map();
+
+/** Script tags that load a library from the internet, and what we know about each. */
+export function findLibraryScripts(code) {
+  const urls = new Set();
+  for (const match of String(code || '').matchAll(SCRIPT_SRC_RE)) urls.add(match[3]);
+  return [...urls].map((url) => ({ url, library: KNOWN_LIBRARIES.find((lib) => lib.pattern.test(url)) || null }));
+}
+
+/** Download a known library (cached in memory); null if it can't be had. */
+async function fetchLibrary(url) {
+  if (libraryCache.has(url)) return libraryCache.get(url);
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(LIBRARY_FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = Buffer.from(await res.arrayBuffer());
+    if (data.length > MAX_LIBRARY_BYTES) throw new Error(`too large (${data.length} bytes)`);
+    if (libraryCache.size >= MAX_CACHED_LIBRARIES) libraryCache.delete(libraryCache.keys().next().value);
+    libraryCache.set(url, data);
+    return data;
+  } catch (err) {
+    log.warn({ err: err.message, url }, 'Could not download library for game export');
+    return null;
+  }
+}
+
+/** lib/ file names for library URLs — the URL's file name, numbered if two clash. */
+export function libraryFileNames(urls) {
+  const taken = new Set();
+  const names = new Map();
+  for (const url of urls) {
+    const base = url.split('/').pop() || 'library.js';
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = base.replace(/(\.min)?\.js$/, `-${n}$&`);
+    taken.add(name);
+    names.set(url, `lib/${name}`);
+  }
+  return names;
+}
+
+// ========== CREDITS ==========
+
+let manifestNotes = null;
+
+/** Asset path → the manifest's note for it ("player car"). */
+function assetNotes() {
+  if (!manifestNotes) {
+    manifestNotes = new Map();
+    for (const entry of Object.values(ASSET_MANIFEST)) {
+      for (const asset of [...(entry.sprites || []), ...(entry.sounds || [])]) {
+        if (asset?.path && asset.note) manifestNotes.set(asset.path.replace(/^\//, ''), asset.note);
+      }
+    }
+    for (const entry of Object.values(MODEL_MANIFEST)) {
+      for (const model of entry.models || []) {
+        if (model.path && model.note) manifestNotes.set(model.path.replace(/^\//, ''), model.note);
+      }
+    }
+  }
+  return manifestNotes;
+}
+
+/**
+ * CREDITS.txt: each asset pack the game uses and the libraries it bundles.
+ *
+ * @param {{ title: string, creatorName?: string, assetNames: string[], libraries: Array<{ name: string, license: string, homepage: string }> }} opts
+ */
+export function buildCredits({ title, creatorName, assetNames, libraries }) {
+  const lines = [
+    `${title}${creatorName ? ` by ${creatorName}` : ''}`,
+    'Made with Vibe Code Kidz — vibecodekidz.org',
+    '',
+  ];
+
+  const packs = new Map();
+  for (const name of assetNames) {
+    const [, kind, pack] = name.split('/');
+    const key = `${kind}/${pack}`;
+    if (!packs.has(key)) packs.set(key, { kind, pack, files: [] });
+    packs.get(key).files.push(name);
+  }
+
+  if (packs.size) {
+    lines.push('ASSETS', '======', '');
+    for (const { kind, pack, files } of [...packs.values()].sort((a, b) => a.pack.localeCompare(b.pack))) {
+      const extra = (kind === 'models' ? EXTRA_MODEL_PACKS : EXTRA_PACKS)[pack];
+      lines.push(pack);
+      if (pack.startsWith('kenney-')) {
+        lines.push(
+          '  Created by Kenney (www.kenney.nl)',
+          '  License: Creative Commons Zero (CC0) — http://creativecommons.org/publicdomain/zero/1.0/',
+        );
+      } else {
+        lines.push('  From the Vibe Code Kidz asset library');
+      }
+      if (extra?.note) lines.push(`  ${extra.note}`);
+      for (const file of files) {
+        const note = assetNotes().get(file);
+        lines.push(`  - ${file}${note ? ` (${note})` : ''}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (libraries.length) {
+    lines.push('LIBRARIES', '=========', '');
+    const seen = new Set();
+    for (const lib of libraries) {
+      if (seen.has(lib.name)) continue;
+      seen.add(lib.name);
+      lines.push(`${lib.name} — ${lib.license} — ${lib.homepage}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function buildReadme({ title, onlineOnly }) {
+  const lines = [
+    title,
+    '',
+    'To play: unzip this folder, then open index.html in a web browser (Chrome, Edge, Firefox or Safari).',
+    'Keep all the files together — the game needs the assets and lib folders next to index.html.',
+    '',
+    'CREDITS.txt lists the artists and libraries that helped make this game.',
+  ];
+  if (onlineOnly.length) {
+    lines.push('', 'These still load from the internet, so the game needs a connection for them:');
+    for (const item of onlineOnly) lines.push(`  - ${item}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ========== EXPORT ==========
+
+/** A file-system-friendly name for the zip. */
+export function exportFileName(title) {
+  const slug = String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+  return `${slug || 'my-game'}.zip`;
+}
+
+/**
+ * Build the offline zip for a game.
+ *
+ * @param {{ code: string, title: string, creatorName?: string }} game - code is the single-document
+ *   (bundled) game
+ * @returns {Promise<{ zip: Buffer, fileName: string } | { error: string, status: number }>}
+ */
+export async function buildGameExport({ code, title, creatorName }) {
+  const { files: assetFiles, unresolved } = await resolveAssetFiles(findAssetReferences(code));
+
+  const assets = new Map();
+  let assetBytes = 0;
+  for (const [name, filePath] of assetFiles) {
+    const data = await fs.readFile(filePath);
+    assetBytes += data.length;
+    if (assetBytes > MAX_EXPORT_ASSET_BYTES) {
+      return {
+        error: 'This game uses too many pictures and models to fit in one download. Try using fewer!',
+        status: 413,
+      };
+    }
+    assets.set(name, data);
+  }
+
+  const scripts = findLibraryScripts(code);
+  const known = scripts.filter((s) => s.library);
+  const fileNames = libraryFileNames(known.map((s) => s.url));
+  const libraries = [];
+  const onlineOnly = scripts.filter((s) => !s.library).map((s) => s.url);
+  for (const { url, library } of known) {
+    const data = await fetchLibrary(url);
+    if (data) {
+      libraries.push({ url, library, zipPath: fileNames.get(url), data });
+    } else {
+      onlineOnly.push(url);
+    }
+  }
+  onlineOnly.push(...unresolved.map((ref) => `/${ref} (not in the asset library)`));
+
+  let html = rewriteAssetPaths(code);
+  const localPaths = new Map(libraries.map((lib) => [lib.url, lib.zipPath]));
+  html = html.replace(SCRIPT_SRC_RE, (tag, start, quote, url) =>
+    localPaths.has(url) ? `${start}${quote}${localPaths.get(url)}${quote}` : tag,
+  );
+  if (assets.size) {
+    // First in <head>, so it's in place before any library starts loading
+    const shimTag = '<script src="offline-assets.js"></script>';
+    html = /<head\b[^>]*>/i.test(html)
+      ? html.replace(/<head\b[^>]*>/i, (head) => `${head}\n${shimTag}`)
+      : shimTag + html;
+  }
+
+  const gameTitle = String(title || 'My Game').slice(0, 80);
+  const entries = [
+    { name: 'index.html', data: html },
+    ...[...assets].map(([name, data]) => ({ name, data })),
+    ...libraries.map((lib) => ({ name: lib.zipPath, data: lib.data })),
+    {
+      name: 'CREDITS.txt',
+      data: buildCredits({
+        title: gameTitle,
+        creatorName,
+        assetNames: [...assets.keys()],
+        libraries: libraries.map((lib) => lib.library),
+      }),
+    },
+    { name: 'README.txt', data: buildReadme({ title: gameTitle, onlineOnly }) },
+  ];
+  if (assets.size) entries.splice(1, 0, { name: 'offline-assets.js', data: offlineAssetsScript(assets) });
+
+  return { zip: await createZip(entries), fileName: exportFileName(gameTitle) };
+}
@@ -17,6 +17,8 @@
  * 'debug'           │ Try Claude first (up to 2 attempts), then auto-route to OpenAI
  * 'ask-other-buddy' │ Send to the NEXT model in rotation
  * 'critic'          │ Claude generates → Grok critiques → Claude polishes
+ * 'best-of-n'       │ New games: N drafts in parallel across buddies, judged; runners-up become alternates
+ * 'explain'         │ Claude explains the selected code for the kid's age — never changes code
  * ─────────────────────────────────────────────────────────────
  *
  * Returns: { response, code, modelUsed, isCacheHit, alternateResponse? }
@@ -25,20 +27,18 @@
 import { getSystemPrompt } from '../prompts/index.js';
 import { detectMultiplayerIntent } from '../prompts/genres.js';
 import { getPersonalityWrapper, GROK_CRITIC_PROMPT, CLAUDE_POLISH_PROMPT } from '../prompts/personalities.js';
+import { EDIT_MODE_RULES } from '../prompts/safety.js';
 import {
   formatMessageContent,
   calculateMaxTokens,
   trimConversationHistory,
-  callClaude,
-  callGrok,
-  callOpenAI,
-  extractOpenAIText,
+  callModel,
   extractCode,
+  GenerationCancelledError,
   isTruncated,
   extractPartialCode,
   attemptContinuation,
-  isGrokAvailable,
-  isOpenAIAvailable,
+  isBuddyAvailable,
 } from './ai.js';
 import {
   generateCacheKey,
@@ -50,14 +50,27 @@ import {
 } from './responseCache.js';
 import { promises as fs } from 'fs';
 import path from 'path';
-import { DEBUG_MAX_CLAUDE_ATTEMPTS, ROOT_DIR } from '../config/index.js';
+import {
+  AI_EDIT_MODE,
+  BEST_OF_N_CANDIDATES,
+  DEBUG_MAX_CLAUDE_ATTEMPTS,
+  EDIT_MODE_MIN_CHARS,
+  ROOT_DIR,
+  RUNTIME_VERIFY,
+} from '../config/index.js';
 import { resolveReferences } from './referenceResolver.js';
 import { detectGameGenre } from '../prompts/index.js';
 import { injectSprites } from './spriteInjector.js';
 import { injectModels } from './modelInjector.js';
 import { resolveEngineProfile } from './engineRegistry.js';
 import { validateEngineOutput } from './engineValidators.js';
+import { analyzeGameCode, autoFixGameCode } from './codeAnalyzer.js';
+import { verifyGameRuntime, formatRuntimeReport } from './runtimeVerifier.js';
 import { matchAssets, formatMatchedAssetsForPrompt } from './assetMatcher.js';
+import { parseEditBlocks, applyEditBlocks, stripEditBlocks } from './codePatch.js';
+import { formatDesignMemoryForPrompt } from './designMemory.js';
+import { rankCandidates } from './candidateJudge.js';
+import { explainCode } from './codeExplainer.js';
 
 // ========== MODE DETECTION HELPERS ==========
 
@@ -175,13 +188,20 @@ export function autoDetectMode(prompt) {
  * @param {object} params
  * @param {string} params.prompt - The kid's message
  * @param {string|null} params.currentCode - Current game code (null for new games)
- * @param {string} params.mode - Routing mode (default/claude/grok/creative/debug/ask-other-buddy/critic)
+ * @param {string} params.mode - Routing mode (default/claude/grok/creative/debug/ask-other-buddy/critic/best-of-n/explain)
  * @param {Array} params.conversationHistory - Previous messages [{role, content}]
  * @param {object|null} params.gameConfig - Survey-based game config
  * @param {string|null} params.image - Base64 image (for screenshot-based requests)
  * @param {string|null} params.userId - For usage tracking
  * @param {string|null} params.lastModelUsed - Which model was used in the previous turn
  * @param {number} params.debugAttempt - Current attempt number for debug mode (internal)
+ * @param {Function|null} params.onStatus - (stage, message) progress callback
+ * @param {Function|null} params.onDelta - Raw text chunks of the first draft as the model writes it (null = restart)
+ * @param {AbortSignal|null} params.signal - Aborts the upstream model request; throws GenerationCancelledError
+ * @param {string[]} params.excludeBuddies - Buddies best-of-n must not draft with (e.g. Grok for under-13s)
+ * @param {string|null} params.promptVariant - Prompt experiment variant (see services/promptExperiments.js)
+ * @param {object|null} params.codeSelection - explain mode: { file, startLine, endLine } from the code editor
+ * @param {string|null} params.ageBracket - explain mode: pitches the explanation at the kid's age
  *
  * @returns {Promise<{
  *   response: string,
@@ -189,8 +209,11 @@ export function autoDetectMode(prompt) {
  *   modelUsed: 'claude'|'grok',
  *   isCacheHit: boolean,
  *   alternateResponse?: { response: string, code: string|null, modelUsed: string },
+ *   alternateResponses?: Array<{ response: string, code: string|null, modelUsed: string }>,
  *   wasTruncated: boolean,
- *   debugInfo?: { attempts: number, finalModel: string }
+ *   debugInfo?: { attempts: number, finalModel: string },
+ *   explanation?: { file: string, startLine: number, endLine: number, summary: string,
+ *     lines: Array<{ line: number, note: string }>, challenge: string }
  * }>}
  */
 export async function generateOrIterateGame({
@@ -205,17 +228,30 @@ export async function generateOrIterateGame({
   lastModelUsed = null,
   debugAttempt = 0,
   onStatus = null,
+  onDelta = null,
+  signal = null,
   selectedAssetIds = [],
+  designMemory = null,
+  promptVariant = null,
+  excludeBuddies = [],
+  codeSelection = null,
+  ageBracket = null,
 }) {
+  const emitStatus = (stage, message) => {
+    if (typeof onStatus === 'function') onStatus(stage, message);
+  };
+
+  // Explain mode only reads the code — no fresh-game reset, cache, engine checks or runtime test
+  if (mode === 'explain') {
+    return explainCode({ prompt, currentCode, codeSelection, ageBracket, userId, signal, emitStatus });
+  }
+
   const shouldResetToFreshGame = shouldTreatAsFreshGameRequest(prompt, currentCode, gameConfig);
   const effectiveCurrentCode = shouldResetToFreshGame ? null : currentCode;
   const effectiveConversationHistory = shouldResetToFreshGame ? [] : conversationHistory;
   if (shouldResetToFreshGame) {
     console.log('🧱 Fresh game request detected — clearing current draft context before generating.');
   }
-  const emitStatus = (stage, message) => {
-    if (typeof onStatus === 'function') onStatus(stage, message);
-  };
   // ===== AUTO-DETECT MODE (if mode is 'default') =====
   let effectiveMode = mode;
   if (mode === 'default') {
@@ -226,18 +262,22 @@ export async function generateOrIterateGame({
     }
   }
 
-  // If Grok isn't available, fall back to Claude
-  if (!isGrokAvailable() && effectiveMode === 'grok') {
-    console.log('⚠️ Grok not available (no XAI_API_KEY), falling back to Claude');
-    effectiveMode = 'claude';
-  }
-  if (!isGrokAvailable() && effectiveMode === 'critic') {
-    console.log('⚠️ Grok not available, critic mode → Claude only');
-    effectiveMode = 'claude';
+  const isEffectivelyNew =
+    !effectiveCurrentCode ||
+    (typeof effectiveCurrentCode === 'string' &&
+      (effectiveCurrentCode.includes('Tell me what you want to create') ||
+        effectiveCurrentCode.includes('Your game will appear here')));
+
+  // Best-of-N is for fresh games; judging iterations would throw away the kid's own edits
+  if (effectiveMode === 'best-of-n' && !isEffectivelyNew) {
+    console.log('🔀 best-of-n mode only runs for new games → default');
+    effectiveMode = 'default';
   }
-  // If OpenAI isn't available, fall back to Claude
-  if (!isOpenAIAvailable() && effectiveMode === 'openai') {
-    console.log('⚠️ OpenAI not available (no OPENAI_API_KEY), falling back to Claude');
+
+  // If the buddy a mode needs has no provider configured, fall back to Claude
+  const requiredBuddy = MODE_REQUIRES_BUDDY[effectiveMode];
+  if (requiredBuddy && !isBuddyAvailable(requiredBuddy)) {
+    console.log(`⚠️ ${requiredBuddy} not available, ${effectiveMode} mode → Claude only`);
     effectiveMode = 'claude';
   }
 
@@ -255,8 +295,8 @@ export async function generateOrIterateGame({
   );
 
   // ===== CACHE CHECK =====
-  const cacheKey = generateCacheKey(prompt, effectiveCurrentCode, targetModel, effectiveMode);
-  const cached = getCachedResponse(cacheKey);
+  const cacheKey = generateCacheKey(prompt, effectiveCurrentCode, targetModel, effectiveMode, promptVariant);
+  const cached = await getCachedResponse(cacheKey);
   if (cached) {
     return {
       response: cached.response,
@@ -279,12 +319,6 @@ export async function generateOrIterateGame({
   // ===== SERVE CURATED 3D TEMPLATES DIRECTLY =====
   // For new 3D games, the AI consistently fails to reproduce curated board layouts,
   // so we serve the starter template directly and let the AI customize on iteration.
-  const isEffectivelyNew =
-    !effectiveCurrentCode ||
-    (typeof effectiveCurrentCode === 'string' &&
-      (effectiveCurrentCode.includes('Tell me what you want to create') ||
-        effectiveCurrentCode.includes('Your game will appear here')));
-
   if (isEffectivelyNew && cachedEngineProfile.engineId === 'vibe-3d' && cachedEngineProfile.templateFile) {
     const templatePath = path.join(ROOT_DIR, 'server', 'templates', cachedEngineProfile.templateFile);
     try {
@@ -325,7 +359,30 @@ export async function generateOrIterateGame({
         editorContext,
         image,
         userId,
+        onDelta,
+        signal,
         selectedAssetIds,
+        designMemory,
+        promptVariant,
+      });
+      break;
+
+    case 'best-of-n':
+      result = await handleBestOfNMode({
+        prompt,
+        currentCode: effectiveCurrentCode,
+        conversationHistory: effectiveConversationHistory,
+        gameConfig,
+        editorContext,
+        image,
+        userId,
+        emitStatus,
+        onDelta,
+        signal,
+        selectedAssetIds,
+        designMemory,
+        promptVariant,
+        excludeBuddies,
       });
       break;
 
@@ -339,7 +396,11 @@ export async function generateOrIterateGame({
         image,
         userId,
         debugAttempt,
+        onDelta,
+        signal,
         selectedAssetIds,
+        designMemory,
+        promptVariant,
       });
       break;
 
@@ -353,7 +414,11 @@ export async function generateOrIterateGame({
         image,
         userId,
         lastModelUsed,
+        onDelta,
+        signal,
         selectedAssetIds,
+        designMemory,
+        promptVariant,
       });
       break;
 
@@ -369,11 +434,31 @@ export async function generateOrIterateGame({
         userId,
         targetModel,
         emitStatus,
+        onDelta,
+        signal,
         selectedAssetIds,
+        designMemory,
+        promptVariant,
       });
       break;
   }
 
+  // ===== RUNTIME CHECK (headless test-play + one auto repair) =====
+  if (result && result.code && RUNTIME_VERIFY) {
+    result = await verifyAndRepairRuntime(result, {
+      prompt,
+      conversationHistory: effectiveConversationHistory,
+      gameConfig,
+      editorContext,
+      userId,
+      signal,
+      selectedAssetIds,
+      designMemory,
+      promptVariant,
+      emitStatus,
+    });
+  }
+
   // ===== VALIDATE & SANITIZE AI OUTPUT =====
   if (result && result.code) {
     const { validateAIOutput, sanitizeAIOutput } = await import('./outputValidator.js');
@@ -385,8 +470,8 @@ export async function generateOrIterateGame({
   }
 
   // ===== CACHE THE RESULT =====
-  if (result && !result.wasTruncated) {
-    setCachedResponse(cacheKey, {
+  if (result && !result.wasTruncated && result.engineTelemetry?.runtimeVerdict !== 'failed') {
+    await setCachedResponse(cacheKey, {
       response: result.response,
       code: result.code,
       model: result.modelUsed,
@@ -396,35 +481,78 @@ export async function generateOrIterateGame({
   return result;
 }
 
-// ========== MODEL RESOLUTION ==========
+// ========== RUNTIME VERIFICATION ==========
 
 /**
- * Decide which model to call based on mode and context.
+ * Test-play the generated game headlessly. If it crashes, never starts its game loop
+ * or leaves the canvas blank, run one debug-mode repair with the real error text and
+ * keep the repair only if it passes the same check. The verdict lands in engineTelemetry:
+ * runtimeVerdict is 'passed' | 'failed' | 'skipped' (no browser) | 'repaired'.
  */
-const NEXT_BUDDY = { claude: 'openai', openai: 'claude', grok: 'claude' };
+async function verifyAndRepairRuntime(result, { emitStatus, ...debugParams }) {
+  emitStatus('testing', 'Test-playing your game...');
+  const runtime = await verifyGameRuntime(result.code, { signal: debugParams.signal });
+  if (debugParams.signal?.aborted) throw new GenerationCancelledError();
+  const engineTelemetry = {
+    ...(result.engineTelemetry || {}),
+    runtimeVerdict: runtime.status,
+    runtimeReasons: runtime.reasons,
+    runtimeErrorCount: runtime.pageErrors.length + runtime.consoleErrors.length,
+    runtimeFrameCount: runtime.frameCount,
+    runtimeCanvasDrawn: runtime.canvasDrawn,
+    runtimeRepairAttempted: false,
+    runtimeRepairSucceeded: false,
+  };
+  if (runtime.status !== 'failed') return { ...result, engineTelemetry };
 
-function resolveTargetModel(mode, lastModelUsed) {
-  switch (mode) {
-    case 'grok':
-      return 'grok';
-    case 'creative':
-      return 'openai';
-    case 'openai':
-      return 'openai';
-    case 'claude':
-    case 'default':
-    case 'debug':
-      return 'claude';
-    case 'ask-other-buddy': {
-      const next = NEXT_BUDDY[lastModelUsed] || 'openai';
-      if (next === 'openai' && !isOpenAIAvailable()) return 'claude';
-      return next;
+  console.warn(`🧪 Runtime check failed (${runtime.reasons.join(', ')}) — running a debug repair pass`);
+  emitStatus('repairing', 'Fixing a bug I found while testing...');
+  engineTelemetry.runtimeRepairAttempted = true;
+  try {
+    const repair = await handleDebugMode({
+      ...debugParams,
+      currentCode: result.code,
+      image: null,
+      debugAttempt: 0,
+      runtimeReport: formatRuntimeReport(runtime),
+    });
+    if (repair.code) {
+      const recheck = await verifyGameRuntime(repair.code, { signal: debugParams.signal });
+      if (recheck.status !== 'failed') {
+        console.log(`✅ Runtime repair succeeded (${recheck.status})`);
+        engineTelemetry.runtimeVerdict = 'repaired';
+        engineTelemetry.runtimeRepairSucceeded = true;
+        return { ...result, code: repair.code, engineTelemetry };
+      }
+      console.warn(`⚠️ Runtime repair still failing (${recheck.reasons.join(', ')}) — keeping the original draft`);
     }
-    case 'critic':
-      return 'claude';
-    default:
-      return 'claude';
+  } catch (repairErr) {
+    if (repairErr instanceof GenerationCancelledError) throw repairErr;
+    console.error('⚠️ Runtime repair failed:', repairErr.message);
   }
+  return { ...result, engineTelemetry };
+}
+
+// ========== MODEL RESOLUTION ==========
+
+// Which buddy answers in each mode (critic: Claude writes, Grok reviews)
+const MODE_BUDDY = { grok: 'grok', creative: 'openai', openai: 'openai', critic: 'claude' };
+// Modes that can't run without a particular buddy
+const MODE_REQUIRES_BUDDY = { grok: 'grok', critic: 'grok', creative: 'openai', openai: 'openai' };
+const NEXT_BUDDY = { claude: 'openai', openai: 'claude', grok: 'claude' };
+
+/** The buddy to hand off to after `lastModelUsed`, or Claude if that one isn't available. */
+function pickOtherBuddy(lastModelUsed) {
+  const next = NEXT_BUDDY[lastModelUsed] || 'openai';
+  return isBuddyAvailable(next) ? next : 'claude';
+}
+
+/**
+ * Decide which model to call based on mode and context.
+ */
+function resolveTargetModel(mode, lastModelUsed) {
+  if (mode === 'ask-other-buddy') return pickOtherBuddy(lastModelUsed);
+  return MODE_BUDDY[mode] || 'claude';
 }
 
 // ========== SINGLE MODEL HANDLER ==========
@@ -442,7 +570,11 @@ async function handleSingleModel({
   userId,
   targetModel,
   emitStatus = () => {},
+  onDelta = null,
+  signal = null,
   selectedAssetIds = [],
+  designMemory = null,
+  promptVariant = null,
 }) {
   // Detect genre for reference resolution
   const genre = gameConfig?.gameType || detectGameGenre(prompt || '') || null;
@@ -515,8 +647,10 @@ async function handleSingleModel({
     requestedEngineProfile,
     editorContext,
     selectedAssetsBlock,
+    formatDesignMemoryForPrompt(designMemory),
+    promptVariant,
   );
-  const personalityWrapper = getPersonalityWrapper(targetModel);
+  const personalityWrapper = getPersonalityWrapper(targetModel, promptVariant);
   const maxTokens = calculateMaxTokens(currentCode);
 
   // If multiplayer intent detected, prepend a hard reminder to the user message
@@ -536,34 +670,38 @@ async function handleSingleModel({
     })),
     { role: 'user', content: formatMessageContent(finalPrompt, image) },
   ];
-  const messages = trimConversationHistory(rawMessages, 12);
-
-  const requestAssistantText = async (messageList) => {
-    if (targetModel === 'grok') {
-      const fullSystemPrompt = personalityWrapper + '\n\n' + staticPrompt + '\n\n' + dynamicContext;
-      const response = await callGrok(fullSystemPrompt, messageList, maxTokens, userId);
-      return extractOpenAIText(response);
-    }
-    if (targetModel === 'openai') {
-      const fullSystemPrompt = personalityWrapper + '\n\n' + staticPrompt + '\n\n' + dynamicContext;
-      const response = await callOpenAI(fullSystemPrompt, messageList, maxTokens, userId);
-      return extractOpenAIText(response);
-    }
-
-    const fullStaticPrompt = personalityWrapper + '\n\n' + staticPrompt;
-    const response = await callClaude(fullStaticPrompt, dynamicContext, messageList, maxTokens, userId);
-    return response.content[0].text;
+  const messages = trimConversationHistory(rawMessages, 12, { hasDesignMemory: !!designMemory });
+
+  // Only the first full draft streams to the kid's preview; retries and repairs run quietly behind it.
+  // editMode asks for search/replace hunks against currentCode instead of the whole file.
+  const requestAssistantText = async (messageList, { streamDeltas = false, editMode = false } = {}) => {
+    const { text } = await callModel(targetModel, {
+      staticPrompt: personalityWrapper + '\n\n' + staticPrompt,
+      dynamicContext: editMode ? dynamicContext + '\n' + EDIT_MODE_RULES : dynamicContext,
+      messages: messageList,
+      maxTokens,
+      userId,
+      onDelta: streamDeltas && onDelta ? onDelta : undefined,
+      signal: signal || undefined,
+    });
+    return text;
   };
 
   const applyEnginePostProcessing = async (candidateCode) => {
     if (!candidateCode) return candidateCode;
+    let processed = candidateCode;
     if (requestedEngineProfile.engineId === 'vibe-2d') {
-      return injectSprites(candidateCode, requestedEngineProfile.templateGenre || genre);
+      processed = await injectSprites(candidateCode, requestedEngineProfile.templateGenre || genre);
+    } else if (requestedEngineProfile.engineId === 'vibe-3d') {
+      processed = await injectModels(candidateCode, requestedEngineProfile);
     }
-    if (requestedEngineProfile.engineId === 'vibe-3d') {
-      return injectModels(candidateCode, requestedEngineProfile);
+    // Deterministic fixes (touch-action, Phaser scale mode) so validation judges the fixed game
+    const autoFix = autoFixGameCode(processed);
+    for (const fix of autoFix.fixes) {
+      if (!engineTelemetry.autoFixes.includes(fix)) engineTelemetry.autoFixes.push(fix);
     }
-    return candidateCode;
+    if (autoFix.fixes.length > 0) console.log(`🔧 Auto-fixed: ${autoFix.fixes.join(', ')}`);
+    return autoFix.code;
   };
 
   const buildEngineRepairPrompt = (validation) => `CRITICAL ENGINE REPAIR: The last draft did not satisfy the ${
@@ -594,12 +732,58 @@ Only output the full HTML game.`;
     repairAttempted: false,
     repairSucceeded: false,
     isNewGame,
+    autoFixes: [],
+    codeParsed: null,
+    securityFindings: [],
   };
 
-  assistantText = await requestAssistantText(messages);
+  // ===== EDIT MODE (diff-based iteration) =====
+  // Iterating on a big game: ask for hunks and patch currentCode. A patch that doesn't
+  // apply cleanly, is cut off mid-hunk, or breaks an engine contract the game used to
+  // satisfy falls back to a full regeneration.
+  const useEditMode = AI_EDIT_MODE === 'diff' && !isNewGame && currentCode.length >= EDIT_MODE_MIN_CHARS;
+  const editTelemetry = {
+    editMode: useEditMode ? 'diff' : 'full',
+    patchHunks: 0,
+    patchApplied: false,
+    patchFallback: false,
+  };
+  let code = null;
+
+  if (useEditMode) {
+    const editText = await requestAssistantText(messages, { editMode: true });
+    const { blocks, incomplete } = parseEditBlocks(editText);
+    editTelemetry.patchHunks = blocks.length;
+    const patch = blocks.length > 0 && !incomplete ? applyEditBlocks(currentCode, blocks) : null;
+    const brokeEngine =
+      patch?.ok &&
+      !validateEngineOutput(patch.code, requestedEngineProfile).safe &&
+      validateEngineOutput(currentCode, requestedEngineProfile).safe;
+
+    if (patch?.ok && !brokeEngine) {
+      console.log(`🩹 Applied ${blocks.length} edit hunk(s) to the current game`);
+      assistantText = editText;
+      code = patch.code;
+      editTelemetry.patchApplied = true;
+    } else if (blocks.length > 0 || incomplete) {
+      const why = incomplete
+        ? 'reply cut off mid-hunk'
+        : brokeEngine
+          ? 'broke the engine contract'
+          : `hunk ${patch.failedIndex + 1} ${patch.reason}`;
+      console.warn(`⚠️ Edit patch did not apply (${why}) — regenerating the full game`);
+      editTelemetry.patchFallback = true;
+    } else {
+      // No hunks: the model either sent the whole game (too big a change for hunks) or just chatted
+      assistantText = editText;
+      code = extractCode(editText);
+    }
+  }
 
-  // Extract code from the response
-  let code = extractCode(assistantText);
+  if (assistantText === undefined) {
+    assistantText = await requestAssistantText(messages, { streamDeltas: true });
+    code = extractCode(assistantText);
+  }
 
   // Handle truncation (Claude only — Grok typically doesn't truncate the same way)
   if (!code && isTruncated(assistantText)) {
@@ -637,6 +821,7 @@ Only output the full HTML game.`;
         console.log('⚠️ Multiplayer auto-retry did not produce VibeMultiplayer code — using original.');
       }
     } catch (retryErr) {
+      if (retryErr instanceof GenerationCancelledError) throw retryErr;
       console.error('⚠️ Multiplayer auto-retry failed:', retryErr.message);
     }
   }
@@ -647,7 +832,11 @@ Only output the full HTML game.`;
   code = await applyEnginePostProcessing(code);
 
   if (code) {
-    let engineValidation = validateEngineOutput(code, requestedEngineProfile);
+    const analysis = analyzeGameCode(code);
+    engineTelemetry.codeParsed = analysis.parsed;
+    engineTelemetry.securityFindings = [...new Set(analysis.security.map((finding) => finding.reason))];
+    if (!analysis.parsed) console.warn(`⚠️ Game script did not parse: ${analysis.parseErrors[0]}`);
+    let engineValidation = validateEngineOutput(code, requestedEngineProfile, analysis);
     engineTelemetry.validationSafe = engineValidation.safe;
     engineTelemetry.validationWarningsCount = engineValidation.warnings.length;
     engineTelemetry.validationViolationsCount = engineValidation.violations.length;
@@ -703,6 +892,7 @@ Only output the full HTML game.`;
           code = null;
         }
       } catch (repairErr) {
+        if (repairErr instanceof GenerationCancelledError) throw repairErr;
         console.error('⚠️ Engine repair retry failed:', repairErr.message);
         code = null;
       }
@@ -722,7 +912,7 @@ Only output the full HTML game.`;
   }
 
   // Build the friendly response message
-  let response = cleanAssistantMessage(assistantText, wasTruncated, !!code);
+  let response = cleanAssistantMessage(stripEditBlocks(assistantText), wasTruncated, !!code);
 
   return {
     response,
@@ -732,6 +922,7 @@ Only output the full HTML game.`;
     wasTruncated,
     referenceSources,
     engineTelemetry,
+    editTelemetry,
   };
 }
 
@@ -771,6 +962,8 @@ function summarizeCodeChange(prompt, category) {
 /**
  * Debug mode: Try Claude first. If it doesn't fix the issue after
  * DEBUG_MAX_CLAUDE_ATTEMPTS, auto-route to OpenAI for a second pass.
+ * `runtimeReport` (from the headless test-play) replaces the kid's description
+ * of the problem with the errors the browser actually saw.
  */
 async function handleDebugMode({
   prompt,
@@ -781,14 +974,22 @@ async function handleDebugMode({
   image,
   userId,
   debugAttempt,
+  onDelta = null,
+  signal = null,
   selectedAssetIds = [],
+  designMemory = null,
+  promptVariant = null,
+  runtimeReport = null,
 }) {
   const attempt = debugAttempt + 1;
+  const issue = runtimeReport
+    ? `A test-play of the game in a headless browser found these problems:\n${runtimeReport}`
+    : `The kid says something isn't working: "${prompt}"`;
   console.log(`🔧 Debug mode — attempt ${attempt}/${DEBUG_MAX_CLAUDE_ATTEMPTS}`);
 
   if (attempt <= DEBUG_MAX_CLAUDE_ATTEMPTS) {
     // Try Claude first
-    const debugPrompt = `The kid says something isn't working: "${prompt}"\n\nPlease carefully debug the current code. Check for:\n1. Missing event listeners\n2. Broken collision detection\n3. Game loop issues\n4. Off-by-one errors\n5. Variables used before initialization\n\nFix the issues and output the COMPLETE corrected HTML.`;
+    const debugPrompt = `${issue}\n\nPlease carefully debug the current code. Check for:\n1. Missing event listeners\n2. Broken collision detection\n3. Game loop issues\n4. Off-by-one errors\n5. Variables used before initialization\n\nFix the issues and output the COMPLETE corrected HTML.`;
 
     const result = await handleSingleModel({
       prompt: debugPrompt,
@@ -799,7 +1000,11 @@ async function handleDebugMode({
       image,
       userId,
       targetModel: 'claude',
+      onDelta,
+      signal,
       selectedAssetIds,
+      designMemory,
+      promptVariant,
     });
 
     return {
@@ -810,7 +1015,7 @@ async function handleDebugMode({
     // Claude didn't fix it — try OpenAI for a second set of eyes
     console.log('🔀 Claude debug attempts exhausted — routing to OpenAI for fresh eyes');
 
-    const openAIDebugPrompt = `Coach GPT stepping in to debug this game. The kid said: "${prompt}"\n\nHere's the code that's NOT working. Find the bugs, fix them, and make it work.\nBe thorough — check EVERYTHING. Then output the COMPLETE fixed HTML.\n\nIf you can, add a little extra polish while you're in there.`;
+    const openAIDebugPrompt = `Coach GPT stepping in to debug this game. ${issue}\n\nHere's the code that's NOT working. Find the bugs, fix them, and make it work.\nBe thorough — check EVERYTHING. Then output the COMPLETE fixed HTML.\n\nIf you can, add a little extra polish while you're in there.`;
 
     const result = await handleSingleModel({
       prompt: openAIDebugPrompt,
@@ -821,7 +1026,11 @@ async function handleDebugMode({
       image,
       userId,
       targetModel: 'openai',
+      onDelta,
+      signal,
       selectedAssetIds,
+      designMemory,
+      promptVariant,
     });
 
     return {
@@ -855,10 +1064,13 @@ async function handleAskOtherBuddy({
   image,
   userId,
   lastModelUsed,
+  onDelta = null,
+  signal = null,
   selectedAssetIds = [],
+  designMemory = null,
+  promptVariant = null,
 }) {
-  const otherModel = NEXT_BUDDY[lastModelUsed] || 'openai';
-  const finalModel = otherModel === 'openai' && !isOpenAIAvailable() ? 'claude' : otherModel;
+  const finalModel = pickOtherBuddy(lastModelUsed);
   console.log(`🔄 Ask Other Buddy: switching from ${lastModelUsed || 'unknown'} → ${finalModel}`);
 
   const contextPrompt = BUDDY_HANDOFF_PROMPTS[finalModel](prompt);
@@ -872,7 +1084,11 @@ async function handleAskOtherBuddy({
     image,
     userId,
     targetModel: finalModel,
+    onDelta,
+    signal,
     selectedAssetIds,
+    designMemory,
+    promptVariant,
   });
 
   return result;
@@ -894,7 +1110,11 @@ async function handleCriticMode({
   editorContext,
   image,
   userId,
+  onDelta = null,
+  signal = null,
   selectedAssetIds = [],
+  designMemory = null,
+  promptVariant = null,
 }) {
   console.log('🔄 Critic mode: Claude → Grok review → Claude polish');
 
@@ -909,7 +1129,11 @@ async function handleCriticMode({
     image,
     userId,
     targetModel: 'claude',
+    onDelta,
+    signal,
     selectedAssetIds,
+    designMemory,
+    promptVariant,
   });
 
   if (!claudeResult.code) {
@@ -930,6 +1154,8 @@ async function handleCriticMode({
     image: null,
     userId,
     targetModel: 'grok',
+    signal,
+    promptVariant,
   });
 
   // Step 3: Claude polishes with Grok's feedback
@@ -944,6 +1170,8 @@ async function handleCriticMode({
     image: null,
     userId,
     targetModel: 'claude',
+    signal,
+    promptVariant,
   });
 
   return {
@@ -963,6 +1191,97 @@ async function handleCriticMode({
   };
 }
 
+// ========== BEST-OF-N HANDLER ==========
+
+const CANDIDATE_BUDDIES = ['claude', 'openai', 'grok'];
+
+/** `count` draft buddies, round-robin over the available ones (Claude if none are). */
+function pickCandidateBuddies(count, excludeBuddies = []) {
+  const pool = CANDIDATE_BUDDIES.filter((buddy) => !excludeBuddies.includes(buddy) && isBuddyAvailable(buddy));
+  if (pool.length === 0) pool.push('claude');
+  return Array.from({ length: count }, (_, i) => pool[i % pool.length]);
+}
+
+/**
+ * Best-of-N: BEST_OF_N_CANDIDATES independent drafts of a new game, generated in
+ * parallel across the available buddies and scored by the candidate judge.
+ * The winner is served; runners-up with code come back as alternates. Only the
+ * first draft streams to the preview, so the preview may swap to the winner.
+ */
+async function handleBestOfNMode({
+  prompt,
+  currentCode,
+  conversationHistory,
+  gameConfig,
+  editorContext,
+  image,
+  userId,
+  emitStatus = () => {},
+  onDelta = null,
+  signal = null,
+  selectedAssetIds = [],
+  designMemory = null,
+  promptVariant = null,
+  excludeBuddies = [],
+}) {
+  const buddies = pickCandidateBuddies(BEST_OF_N_CANDIDATES, excludeBuddies);
+  console.log(`🏁 Best-of-${buddies.length} mode: ${buddies.join(', ')} drafting in parallel`);
+
+  const settled = await Promise.allSettled(
+    buddies.map((targetModel, index) =>
+      handleSingleModel({
+        prompt,
+        currentCode,
+        conversationHistory,
+        gameConfig,
+        editorContext,
+        image,
+        userId,
+        targetModel,
+        emitStatus: index === 0 ? emitStatus : undefined,
+        onDelta: index === 0 ? onDelta : null,
+        signal,
+        selectedAssetIds,
+        designMemory,
+        promptVariant,
+      }),
+    ),
+  );
+
+  const failures = settled.filter((outcome) => outcome.status === 'rejected').map((outcome) => outcome.reason);
+  const cancelled = failures.find((err) => err instanceof GenerationCancelledError);
+  if (cancelled) throw cancelled;
+  const candidates = settled.filter((outcome) => outcome.status === 'fulfilled').map((outcome) => outcome.value);
+  if (candidates.length === 0) throw failures[0];
+  for (const err of failures) {
+    console.warn(`  ⚠️ A best-of-N draft failed (judging the rest): ${err.message}`);
+  }
+
+  emitStatus('judging', 'Picking the best version...');
+  const ranked = rankCandidates(candidates, { engineProfile: candidates[0].engineTelemetry?.engineProfile });
+  console.log(
+    `  🏆 Judged: ${ranked.map(({ candidate, score }) => `${candidate.modelUsed}=${score.total}`).join(' | ')}`,
+  );
+
+  const [winner, ...runnersUp] = ranked;
+  const alternates = runnersUp
+    .filter(({ candidate }) => candidate.code)
+    .map(({ candidate }) => ({ response: candidate.response, code: candidate.code, modelUsed: candidate.modelUsed }));
+
+  return {
+    ...winner.candidate,
+    engineTelemetry: {
+      ...winner.candidate.engineTelemetry,
+      bestOfN: ranked.map(({ candidate, score }) => ({
+        modelUsed: candidate.modelUsed,
+        total: score.total,
+        axes: score.axes,
+      })),
+    },
+    ...(alternates.length > 0 && { alternateResponse: alternates[0], alternateResponses: alternates }),
+  };
+}
+
 // ========== MESSAGE CLEANUP ==========
 
 /** Refusal/error patterns from Claude when it fails to produce code. Replace with kid-friendly retry message. */
@@ -0,0 +1,126 @@
+/**
+ * Line Diff
+ *
+ * Compares two versions of a game line by line for the version history's
+ * compare view. Unchanged stretches are collapsed to a few lines of context
+ * around each change, like `git diff`.
+ *
+ * Uses a longest-common-subsequence table over the lines between the common
+ * start and end. Past MAX_DIFF_CELLS (two very different, very long games)
+ * the changed middle is shown as removed-then-added instead.
+ */
+
+const MAX_DIFF_CELLS = 4_000_000;
+const DEFAULT_CONTEXT = 3;
+
+function splitLines(text) {
+  const lines = String(text ?? '').split('\n');
+  // A trailing newline doesn't add a line
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/** @returns {Array<{ type: ' '|'-'|'+', text: string }>} */
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    return [...a.map((text) => ({ type: '-', text })), ...b.map((text) => ({ type: '+', text }))];
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..], flattened
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[i] === b[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: '-', text: a[i++] });
+    } else {
+      ops.push({ type: '+', text: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', text: a[i++] });
+  while (j < m) ops.push({ type: '+', text: b[j++] });
+  return ops;
+}
+
+/**
+ * Diff two texts by line.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @param {{ context?: number }} [opts] - Unchanged lines to keep around each change
+ * @returns {{ added: number, removed: number, hunks: Array<{ oldStart: number, newStart: number, lines: Array<{ type: ' '|'-'|'+', text: string }> }> }}
+ */
+export function diffLines(before, after, { context = DEFAULT_CONTEXT } = {}) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = [
+    ...a.slice(0, prefix).map((text) => ({ type: ' ', text })),
+    ...diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...a.slice(a.length - suffix).map((text) => ({ type: ' ', text })),
+  ];
+
+  // Line numbers (1-based) of each op in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map((op) => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  numbered.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    if (current && start <= lastChange + context + 1) {
+      current.end = index;
+    } else {
+      current = { start, end: index };
+      hunks.push(current);
+    }
+    lastChange = index;
+  });
+
+  return {
+    added: ops.filter((op) => op.type === '+').length,
+    removed: ops.filter((op) => op.type === '-').length,
+    hunks: hunks.map(({ start, end }) => {
+      const slice = numbered.slice(start, Math.min(numbered.length, end + context + 1));
+      return {
+        oldStart: slice[0].oldLine,
+        newStart: slice[0].newLine,
+        lines: slice.map(({ type, text }) => ({ type, text })),
+      };
+    }),
+  };
+}
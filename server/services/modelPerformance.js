@@ -1,7 +1,8 @@
 /**
  * Model Performance — Aggregate stats from generate + feedback events
  *
- * Used by admin dashboard to compare Claude vs Grok.
+ * Used by admin dashboard to compare Claude vs Grok, and full-file
+ * regeneration vs diff-based edits for iterations.
  */
 
 import { readEvents, readFeedbackEvents } from './eventStore.js';
@@ -21,6 +22,10 @@ export async function getModelPerformanceStats(opts = {}) {
   const generationsByModel = { claude: 0, grok: 0 };
   const successByModel = { claude: { total: 0, withCode: 0 }, grok: { total: 0, withCode: 0 } };
   const uniqueSessions = new Set();
+  const editModes = {
+    full: { total: 0, withCode: 0 },
+    diff: { total: 0, withCode: 0, patchApplied: 0, patchFallback: 0 },
+  };
 
   for (const e of events) {
     if (e.sessionId) uniqueSessions.add(e.sessionId);
@@ -35,6 +40,16 @@ export async function getModelPerformanceStats(opts = {}) {
       successByModel[model].total++;
       if (e.hasCode) successByModel[model].withCode++;
     }
+
+    const edit = editModes[e.editMode];
+    if (edit) {
+      edit.total++;
+      if (e.hasCode) edit.withCode++;
+      if (e.editMode === 'diff') {
+        if (e.patchApplied) edit.patchApplied++;
+        if (e.patchFallback) edit.patchFallback++;
+      }
+    }
   }
 
   const totalGenerations = events.length;
@@ -70,6 +85,9 @@ export async function getModelPerformanceStats(opts = {}) {
       grok: { total: successByModel.grok.total, withCode: successByModel.grok.withCode },
     },
     eventCount: events.length,
+    editModes,
+    patchFallbackRate:
+      editModes.diff.total > 0 ? ((editModes.diff.patchFallback / editModes.diff.total) * 100).toFixed(1) + '%' : null,
     feedbackTotal,
     feedbackByModel,
     feedbackRateByModel: {
@@ -0,0 +1,155 @@
+/**
+ * Multiplayer Moderation Log
+ *
+ * Records host kicks and mutes in multiplayer rooms so admins can spot
+ * players who keep getting removed (or hosts who keep removing people).
+ *
+ * Storage: Postgres multiplayer_moderation table when available, JSONL file otherwise.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { DATA_DIR, USE_POSTGRES } from '../config/index.js';
+import log from './logger.js';
+
+const MODERATION_FILE = path.join(DATA_DIR, 'multiplayer_moderation.jsonl');
+
+/**
+ * Record a host moderation action.
+ *
+ * @param {object} entry
+ * @param {'kick'|'mute'|'unmute'} entry.action
+ * @param {string} entry.roomCode
+ * @param {string} [entry.projectId]
+ * @param {string} entry.hostId - player who took the action
+ * @param {string} entry.targetId - player it was taken against
+ * @param {string} [entry.targetName]
+ */
+export async function recordRoomModeration({ action, roomCode, projectId, hostId, targetId, targetName }) {
+  const record = {
+    id: `mpm_${randomBytes(8).toString('hex')}`,
+    action,
+    roomCode,
+    projectId: projectId || null,
+    hostId,
+    targetId,
+    targetName: (targetName || '').slice(0, 20) || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (USE_POSTGRES) {
+    try {
+      const { getPool } = await import('./db.js');
+      await getPool().query(
+        `INSERT INTO multiplayer_moderation (id, action, room_code, project_id, host_id, target_id, target_name, created_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+        [
+          record.id,
+          record.action,
+          record.roomCode,
+          record.projectId,
+          record.hostId,
+          record.targetId,
+          record.targetName,
+          record.createdAt,
+        ],
+      );
+      return record;
+    } catch (err) {
+      log.error({ err: err.message }, 'Multiplayer moderation DB write failed — using file');
+    }
+  }
+
+  await fs.mkdir(path.dirname(MODERATION_FILE), { recursive: true });
+  await fs.appendFile(MODERATION_FILE, JSON.stringify(record) + '\n');
+  return record;
+}
+
+/**
+ * List recent moderation actions, newest first.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.sinceDays=30]
+ * @param {string} [opts.targetId]
+ * @returns {Promise<object[]>}
+ */
+export async function listRoomModeration({ sinceDays = 30, targetId = null } = {}) {
+  const cutoff = new Date(Date.now() - sinceDays * 86400000).toISOString();
+
+  if (USE_POSTGRES) {
+    try {
+      const { getPool } = await import('./db.js');
+      const params = [cutoff];
+      let query = 'SELECT * FROM multiplayer_moderation WHERE created_at >= $1';
+      if (targetId) {
+        query += ' AND target_id = $2';
+        params.push(targetId);
+      }
+      const { rows } = await getPool().query(query + ' ORDER BY created_at DESC', params);
+      return rows.map((r) => ({
+        id: r.id,
+        action: r.action,
+        roomCode: r.room_code,
+        projectId: r.project_id,
+        hostId: r.host_id,
+        targetId: r.target_id,
+        targetName: r.target_name,
+        createdAt: r.created_at?.toISOString?.() || r.created_at,
+      }));
+    } catch {
+      /* fall through to file */
+    }
+  }
+
+  try {
+    const data = await fs.readFile(MODERATION_FILE, 'utf-8');
+    return data
+      .trim()
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter((r) => r && r.createdAt >= cutoff && (!targetId || r.targetId === targetId))
+      .reverse();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Group actions by target player: how often they were kicked or muted, by how many
+ * different hosts. Several hosts acting against the same player is the signal to look at.
+ *
+ * @param {object[]} actions - from listRoomModeration
+ * @param {number} [limit=20]
+ */
+export function summarizeRoomModeration(actions, limit = 20) {
+  const byTarget = new Map();
+  for (const a of actions) {
+    if (a.action === 'unmute') continue;
+    const entry = byTarget.get(a.targetId) || {
+      targetId: a.targetId,
+      targetName: a.targetName,
+      kicks: 0,
+      mutes: 0,
+      hosts: new Set(),
+      lastActionAt: a.createdAt,
+    };
+    if (a.action === 'kick') entry.kicks++;
+    if (a.action === 'mute') entry.mutes++;
+    entry.hosts.add(a.hostId);
+    if (a.createdAt > entry.lastActionAt) entry.lastActionAt = a.createdAt;
+    byTarget.set(a.targetId, entry);
+  }
+
+  return Array.from(byTarget.values(), ({ hosts, ...entry }) => ({ ...entry, distinctHosts: hosts.size }))
+    .sort((a, b) => b.distinctHosts - a.distinctHosts || b.kicks + b.mutes - (a.kicks + a.mutes))
+    .slice(0, limit);
+}
@@ -4,8 +4,19 @@
  * Scans AI-generated game code for dangerous patterns before returning to the client.
  * Game code runs in a sandboxed iframe (allow-scripts only, no allow-same-origin),
  * but we still want defense-in-depth.
+ *
+ * When the inline scripts parse, their real call sites come from codeAnalyzer.js
+ * (so a comment or string can't trip a check, and `window['ev' + 'al']` can't
+ * dodge one); the regexes still cover the markup around them — inline event
+ * handlers, attributes — and whole-page indicators like miner names.
+ *
+ * Sanitizing replaces each flagged expression the analyzer found with an inert
+ * stand-in of the same shape (a rejected promise for fetch, a no-op storage
+ * object, `undefined` for a navigation), so the rest of the game still runs.
  */
 
+import { analyzeGameCode, extractInlineScripts } from './codeAnalyzer.js';
+
 const DANGEROUS_PATTERNS = [
   // Data exfiltration from parent frame
   { pattern: /window\s*\.\s*(parent|top|opener)\b/gi, reason: 'parent frame access' },
@@ -32,14 +43,39 @@ const DANGEROUS_PATTERNS = [
   { pattern: /\beval\s*\(/gi, reason: 'eval()' },
   { pattern: /new\s+Function\s*\(/gi, reason: 'new Function()' },
 
-  // Crypto mining indicators
-  { pattern: /CoinHive|coinhive|cryptonight|minero/gi, reason: 'crypto miner' },
+  // Crypto mining indicators (checked across the whole page, strings included)
+  { pattern: /CoinHive|coinhive|cryptonight|minero/gi, reason: 'crypto miner', wholePage: true },
 
   // WebRTC / WebSocket to external (data exfil channel)
   { pattern: /new\s+WebSocket\s*\(\s*(['"`])wss?:\/\//gi, reason: 'external WebSocket' },
   { pattern: /RTCPeerConnection/gi, reason: 'WebRTC' },
 ];
 
+const NOOP_STORAGE =
+  'Object({ length: 0, getItem() { return null; }, setItem() {}, removeItem() {}, clear() {}, key() { return null; } })';
+
+// What a flagged expression is replaced with, by finding reason. Each one starts with an
+// identifier (never a bracket, so a line without a semicolon before it can't swallow it)
+// and binds tighter than any operator around it.
+const NEUTRALIZED = {
+  'parent frame access': 'window',
+  'cookie access': "Object({ cookie: '' }).cookie",
+  'storage access': NOOP_STORAGE,
+  'external fetch': "Promise.reject(new Error('Network requests are blocked'))",
+  'dynamic fetch': "Promise.reject(new Error('Network requests are blocked'))",
+  'XHR request': 'Object({ open() {}, send() {}, setRequestHeader() {}, abort() {} })',
+  sendBeacon: 'false',
+  'external WebSocket': 'Object({ send() {}, close() {}, addEventListener() {} })',
+  'external EventSource': 'Object({ close() {}, addEventListener() {} })',
+  WebRTC: 'Object({ close() {}, addEventListener() {} })',
+  'eval()': 'undefined',
+  'new Function()': 'Function.prototype',
+  'string timer': '0',
+  'dynamic script creation': "document.createElement('template')",
+  'external script source': 'undefined',
+  'external navigation': 'undefined',
+};
+
 const _ALLOWLISTED_PATTERNS = [/Phaser\.Game/i, /THREE\./i, /requestAnimationFrame/i];
 
 /**
@@ -49,11 +85,20 @@ const _ALLOWLISTED_PATTERNS = [/Phaser\.Game/i, /THREE\./i, /requestAnimationFra
 export function validateAIOutput(code) {
   if (!code || typeof code !== 'string') return { safe: true, violations: [] };
 
-  const violations = [];
+  const analysis = analyzeGameCode(code);
+  const violations = analysis.parsed ? [...new Set(analysis.security.map((finding) => finding.reason))] : [];
+
+  // With parsed scripts the regexes only need the markup outside them
+  let markup = code;
+  if (analysis.parsed) {
+    for (const script of extractInlineScripts(code).reverse()) {
+      markup = markup.slice(0, script.offset) + markup.slice(script.offset + script.code.length);
+    }
+  }
 
-  for (const { pattern, reason } of DANGEROUS_PATTERNS) {
+  for (const { pattern, reason, wholePage } of DANGEROUS_PATTERNS) {
     pattern.lastIndex = 0;
-    if (pattern.test(code)) {
+    if (!violations.includes(reason) && pattern.test(wholePage ? code : markup)) {
       violations.push(reason);
     }
   }
@@ -65,12 +110,34 @@ export function validateAIOutput(code) {
 }
 
 /**
- * Sanitize AI-generated code by removing or neutralizing dangerous patterns.
- * Returns the cleaned code.
+ * Replace every expression the analyzer flagged in one script with its inert
+ * stand-in. A finding inside one that is already replaced (`window.parent`
+ * inside `window.parent.location.href = …`) goes with it.
+ *
+ * @param {{ code: string, offset: number }} script - From extractInlineScripts()
+ * @param {Array<{ reason: string, detail: string, offset: number, end: number }>} findings - Page offsets
  */
-export function sanitizeAIOutput(code) {
-  if (!code || typeof code !== 'string') return code;
+function neutralizeFindings(script, findings) {
+  const scriptEnd = script.offset + script.code.length;
+  const outermost = [];
+  const inScript = findings.filter((f) => f.offset >= script.offset && f.end <= scriptEnd);
+  for (const finding of inScript.sort((a, b) => a.offset - b.offset || b.end - a.end)) {
+    if (outermost.length && finding.offset < outermost[outermost.length - 1].end) continue;
+    outermost.push(finding);
+  }
+  let cleaned = script.code;
+  for (const { reason, detail, offset, end } of outermost.reverse()) {
+    // indexedDB has no synchronous stand-in; games check for it before use
+    const replacement = reason === 'storage access' && detail.endsWith('indexedDB') ? 'undefined' : NEUTRALIZED[reason];
+    if (!replacement) continue;
+    const [start, stop] = [offset - script.offset, end - script.offset];
+    cleaned = `${cleaned.slice(0, start)}/* [blocked: ${reason}] */ ${replacement}${cleaned.slice(stop)}`;
+  }
+  return cleaned;
+}
 
+/** The regex fallback: used on markup, and on whole pages whose scripts don't parse. */
+function neutralizePatterns(code) {
   let cleaned = code;
 
   // Remove window.parent/top/opener references
@@ -90,3 +157,23 @@ export function sanitizeAIOutput(code) {
 
   return cleaned;
 }
+
+/**
+ * Sanitize AI-generated code by removing or neutralizing dangerous patterns.
+ * Returns the cleaned code.
+ */
+export function sanitizeAIOutput(code) {
+  if (!code || typeof code !== 'string') return code;
+
+  const analysis = analyzeGameCode(code);
+  if (!analysis.parsed) return neutralizePatterns(code);
+
+  // Scripts get their flagged expressions replaced; the regexes only rewrite the markup around them
+  let cleaned = '';
+  let position = 0;
+  for (const script of extractInlineScripts(code)) {
+    cleaned += neutralizePatterns(code.slice(position, script.offset)) + neutralizeFindings(script, analysis.security);
+    position = script.offset + script.code.length;
+  }
+  return cleaned + neutralizePatterns(code.slice(position));
+}
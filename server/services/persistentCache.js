@@ -0,0 +1,230 @@
+/**
+ * Tiered AI Cache
+ *
+ * An in-memory LRU in front of a storage-backed tier, so cached AI results
+ * survive deploys and are shared between instances:
+ *   - Postgres ai_cache table when USE_POSTGRES
+ *   - otherwise one JSON file per entry under DATA_DIR/ai_cache/<namespace>/
+ *
+ * Lookups try memory, then storage (a storage hit warms memory). Every entry
+ * carries the cache's schema version; entries from another version or past
+ * their TTL are treated as misses and purged by the retention sweep.
+ * Storage errors are logged and degrade to a miss — the cache never fails a
+ * generation.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { DATA_DIR, USE_POSTGRES } from '../config/index.js';
+import log from './logger.js';
+
+const CACHE_DIR = path.join(DATA_DIR, 'ai_cache');
+// File backend: sweep expired entries every this many writes (Postgres relies on the retention sweep)
+const PRUNE_EVERY_WRITES = 200;
+
+const fileName = (key) => createHash('sha256').update(key).digest('hex').slice(0, 32) + '.json';
+
+// ========== STORAGE TIER ==========
+
+async function readStored(namespace, key, version) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query(
+      `UPDATE ai_cache SET hit_count = hit_count + 1
+       WHERE namespace = $1 AND cache_key = $2 AND schema_version = $3 AND expires_at > NOW()
+       RETURNING payload, created_at, hit_count`,
+      [namespace, key, version],
+    );
+    if (!rows[0]) return null;
+    return { value: rows[0].payload, storedAt: new Date(rows[0].created_at).getTime(), hitCount: rows[0].hit_count };
+  }
+
+  try {
+    const entry = JSON.parse(await fs.readFile(path.join(CACHE_DIR, namespace, fileName(key)), 'utf-8'));
+    if (entry.key !== key || entry.version !== version || entry.expiresAt <= Date.now()) return null;
+    return { value: entry.value, storedAt: entry.storedAt, hitCount: 0 };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function writeStored(namespace, key, version, value, storedAt, expiresAt) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    await getPool().query(
+      `INSERT INTO ai_cache (namespace, cache_key, schema_version, payload, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (namespace, cache_key) DO UPDATE SET
+         schema_version = EXCLUDED.schema_version, payload = EXCLUDED.payload,
+         created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at, hit_count = 0`,
+      [namespace, key, version, JSON.stringify(value), new Date(storedAt), new Date(expiresAt)],
+    );
+    return;
+  }
+
+  const dir = path.join(CACHE_DIR, namespace);
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, fileName(key));
+  // Write-then-rename so a reader on another instance never sees half an entry
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ key, version, value, storedAt, expiresAt }));
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Remove expired entries from the storage tier (all namespaces, or one).
+ * @returns {Promise<number>} entries removed
+ */
+export async function purgeExpiredCacheEntries(namespace = null) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rowCount } = namespace
+      ? await getPool().query('DELETE FROM ai_cache WHERE namespace = $1 AND expires_at <= NOW()', [namespace])
+      : await getPool().query('DELETE FROM ai_cache WHERE expires_at <= NOW()');
+    return rowCount || 0;
+  }
+
+  let namespaces;
+  try {
+    namespaces = namespace ? [namespace] : await fs.readdir(CACHE_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+  let removed = 0;
+  for (const ns of namespaces) {
+    const dir = path.join(CACHE_DIR, ns);
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'));
+        if (entry.expiresAt > Date.now()) continue;
+      } catch {
+        // Unreadable (or a stale .tmp) — drop it
+      }
+      await fs.rm(path.join(dir, file), { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+async function clearStored(namespace) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    await getPool().query('DELETE FROM ai_cache WHERE namespace = $1', [namespace]);
+    return;
+  }
+  await fs.rm(path.join(CACHE_DIR, namespace), { recursive: true, force: true });
+}
+
+// ========== TIERED CACHE ==========
+
+const rate = (hits, lookups) => (lookups > 0 ? ((hits / lookups) * 100).toFixed(1) + '%' : '0%');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.namespace - Storage partition ('response', 'template')
+ * @param {number} opts.ttlMs
+ * @param {number} opts.maxEntries - Memory tier size (LRU eviction)
+ * @param {string} opts.version - Schema version; entries stored under another version never hit
+ */
+export function createTieredCache({ namespace, ttlMs, maxEntries, version }) {
+  const memory = new Map();
+  const stats = { lookups: 0, memoryHits: 0, persistentHits: 0, evictions: 0, persistentErrors: 0 };
+  let writesSincePrune = 0;
+
+  // Map insertion order doubles as recency: hits are re-inserted, the first key is the LRU
+  const remember = (key, value, storedAt, hitCount) => {
+    memory.delete(key);
+    if (memory.size >= maxEntries) {
+      memory.delete(memory.keys().next().value);
+      stats.evictions++;
+    }
+    const entry = { value, storedAt, hitCount };
+    memory.set(key, entry);
+    return entry;
+  };
+
+  const toResult = (entry, tier) => ({ ...entry.value, timestamp: entry.storedAt, hitCount: entry.hitCount, tier });
+
+  return {
+    /**
+     * @returns {Promise<object|null>} the cached value plus { timestamp, hitCount, tier: 'memory'|'persistent' }
+     */
+    async get(key) {
+      if (!key) return null;
+      stats.lookups++;
+
+      const entry = memory.get(key);
+      if (entry && Date.now() - entry.storedAt <= ttlMs) {
+        stats.memoryHits++;
+        entry.hitCount++;
+        memory.delete(key);
+        memory.set(key, entry);
+        return toResult(entry, 'memory');
+      }
+      if (entry) memory.delete(key);
+
+      try {
+        const stored = await readStored(namespace, key, version);
+        if (stored) {
+          stats.persistentHits++;
+          return toResult(remember(key, stored.value, stored.storedAt, stored.hitCount), 'persistent');
+        }
+      } catch (err) {
+        stats.persistentErrors++;
+        log.warn({ err: err.message, namespace }, 'Persistent AI cache read failed');
+      }
+      return null;
+    },
+
+    async set(key, value) {
+      if (!key) return;
+      const storedAt = Date.now();
+      remember(key, value, storedAt, 0);
+      try {
+        await writeStored(namespace, key, version, value, storedAt, storedAt + ttlMs);
+      } catch (err) {
+        stats.persistentErrors++;
+        log.warn({ err: err.message, namespace }, 'Persistent AI cache write failed');
+      }
+      if (!USE_POSTGRES && ++writesSincePrune >= PRUNE_EVERY_WRITES) {
+        writesSincePrune = 0;
+        purgeExpiredCacheEntries(namespace).catch(() => {});
+      }
+    },
+
+    async clear() {
+      memory.clear();
+      await clearStored(namespace);
+    },
+
+    get size() {
+      return memory.size;
+    },
+
+    stats() {
+      const persistentLookups = stats.lookups - stats.memoryHits;
+      const hits = stats.memoryHits + stats.persistentHits;
+      return {
+        entries: memory.size,
+        maxSize: maxEntries,
+        hits,
+        misses: stats.lookups - hits,
+        hitRate: rate(hits, stats.lookups),
+        evictions: stats.evictions,
+        memory: { hits: stats.memoryHits, lookups: stats.lookups, hitRate: rate(stats.memoryHits, stats.lookups) },
+        persistent: {
+          backend: USE_POSTGRES ? 'postgres' : 'file',
+          hits: stats.persistentHits,
+          lookups: persistentLookups,
+          hitRate: rate(stats.persistentHits, persistentLookups),
+          errors: stats.persistentErrors,
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,14 @@
+// Types for the studio, which imports the bundle format from projectFiles.js
+export interface BundledFile {
+  path: string;
+  content: string;
+}
+
+export const ENTRY_FILE: string;
+export const MAX_PROJECT_FILES: number;
+
+export function sortProjectFiles<T extends { path: string }>(files: T[]): T[];
+export function isValidFilePath(path: string): boolean;
+export function normalizeProjectFiles(files: unknown): BundledFile[] | null;
+export function bundleProjectFiles(files: BundledFile[]): string;
+export function unbundleProjectFiles(code: string): BundledFile[] | null;
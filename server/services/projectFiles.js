@@ -0,0 +1,147 @@
+/**
+ * Project Files
+ *
+ * A project can hold several files (index.html, game.js, style.css,
+ * levels.json) instead of one HTML blob. Everything that runs or checks a
+ * game — the preview iframe, the arcade, the AI pipeline, the safety scans —
+ * still works on a single HTML document, so a file set is stored alongside a
+ * bundled `code` that inlines it:
+ *
+ *   <script src="game.js"></script>          → <script data-vibe-file="game.js">…</script>
+ *   <link rel="stylesheet" href="style.css"> → <style data-vibe-file="style.css">…</style>
+ *   levels.json (or any unreferenced file)   → <script type="application/json" data-vibe-file="levels.json">…</script>
+ *
+ * Data files sit at the top of <head> with a small fetch() shim, so
+ * `fetch('levels.json')` works inside the sandboxed iframe. The markers let
+ * unbundleProjectFiles split a bundle back into files, and let the AI target
+ * one file at a time.
+ *
+ * This is the one copy of the bundle format: the studio imports it too
+ * (src/utils/projectFiles.ts, typed by projectFiles.d.ts), so it must stay
+ * free of Node APIs.
+ */
+
+export const ENTRY_FILE = 'index.html';
+export const MAX_PROJECT_FILES = 12;
+
+// index.html, or a .js/.css/.json file, optionally in a folder: "levels/level1.json"
+const FILE_PATH_RE = /^(?:[a-z0-9][a-z0-9_-]*\/)*[a-z0-9][a-z0-9_.-]*\.(?:js|css|json)$/i;
+
+const FETCH_SHIM = `(function(){var d=document;window.vibeFile=function(p){var el=d.querySelector('script[data-vibe-file="'+String(p).replace(/^\\.?\\//,'').split(/[?#]/)[0]+'"][type]');return el?el.textContent:null};var f=window.fetch;if(!f)return;window.fetch=function(input){var url=typeof input==='string'?input:'';var text=url&&!/^[a-z]+:/i.test(url)?window.vibeFile(url):null;if(text===null)return f.apply(this,arguments);return Promise.resolve(new Response(text,{status:200,headers:{'Content-Type':/\\.json$/i.test(url.split(/[?#]/)[0])?'application/json':'text/plain'}}))}})();`;
+
+const RUNTIME_RE = /\n?<script data-vibe-runtime="files">[\s\S]*?<\/script>/;
+const DATA_FILE_RE =
+  /\n?<script type="(?:application\/json|text\/plain)" data-vibe-file="([^"]+)">\n?([\s\S]*?)\n?<\/script>/g;
+const INLINE_FILE_RE = /<(script|style) data-vibe-file="([^"]+)">\n?([\s\S]*?)\n?<\/\1>/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// index.html first, then alphabetical, so a round trip is stable
+function compareFiles(a, b) {
+  if (a.path === ENTRY_FILE) return -1;
+  if (b.path === ENTRY_FILE) return 1;
+  return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+}
+
+/**
+ * A file set in its stable order: index.html first, then alphabetical.
+ * @template {{ path: string }} T
+ * @param {T[]} files
+ * @returns {T[]}
+ */
+export function sortProjectFiles(files) {
+  return [...files].sort(compareFiles);
+}
+
+/** Whether a path can name a project file other than index.html. */
+export function isValidFilePath(path) {
+  return FILE_PATH_RE.test(path);
+}
+
+/**
+ * Validate a client-supplied file set.
+ * @param {unknown} files
+ * @returns {Array<{ path: string, content: string }> | null} Sorted files, or null if the set isn't valid
+ */
+export function normalizeProjectFiles(files) {
+  if (!Array.isArray(files) || files.length === 0 || files.length > MAX_PROJECT_FILES) return null;
+  const seen = new Set();
+  const normalized = [];
+  for (const file of files) {
+    if (!file || typeof file.path !== 'string' || typeof file.content !== 'string') return null;
+    const path = file.path.trim().replace(/^\.?\//, '');
+    if (path !== ENTRY_FILE && !isValidFilePath(path)) return null;
+    if (seen.has(path.toLowerCase())) return null;
+    seen.add(path.toLowerCase());
+    normalized.push({ path, content: file.content });
+  }
+  if (!seen.has(ENTRY_FILE)) return null;
+  return sortProjectFiles(normalized);
+}
+
+/**
+ * Inline a file set into one HTML document.
+ * @param {Array<{ path: string, content: string }>} files - A normalized file set
+ * @returns {string}
+ */
+export function bundleProjectFiles(files) {
+  let html = files.find((f) => f.path === ENTRY_FILE)?.content || '';
+  const dataFiles = [];
+
+  for (const file of sortProjectFiles(files)) {
+    if (file.path === ENTRY_FILE) continue;
+    const ref = escapeRegExp(file.path);
+    let inlined = false;
+    if (file.path.endsWith('.js')) {
+      const tag = new RegExp(`<script\\b[^>]*\\bsrc=["'](?:\\./)?${ref}["'][^>]*>\\s*</script>`, 'i');
+      html = html.replace(tag, () => {
+        inlined = true;
+        return `<script data-vibe-file="${file.path}">\n${file.content.replace(/<\/script/gi, '<\\/script')}\n</script>`;
+      });
+    } else if (file.path.endsWith('.css')) {
+      const tag = new RegExp(
+        `<link\\b(?=[^>]*\\brel=["']stylesheet["'])[^>]*\\bhref=["'](?:\\./)?${ref}["'][^>]*>`,
+        'i',
+      );
+      html = html.replace(tag, () => {
+        inlined = true;
+        return `<style data-vibe-file="${file.path}">\n${file.content.replace(/<\/style/gi, '<\\/style')}\n</style>`;
+      });
+    }
+    if (!inlined) dataFiles.push(file);
+  }
+
+  if (dataFiles.length === 0) return html;
+  const block =
+    `\n<script data-vibe-runtime="files">${FETCH_SHIM}</script>` +
+    dataFiles
+      .map(
+        (file) =>
+          `\n<script type="${file.path.endsWith('.json') ? 'application/json' : 'text/plain'}" data-vibe-file="${file.path}">\n${file.content.replace(/<\/script/gi, '<\\/script')}\n</script>`,
+      )
+      .join('');
+  const head = html.match(/<head\b[^>]*>/i);
+  return head ? html.replace(head[0], () => head[0] + block) : block + html;
+}
+
+/**
+ * Split a bundle back into its files — the inverse of bundleProjectFiles.
+ * @param {string} code
+ * @returns {Array<{ path: string, content: string }> | null} null for a plain single-file game
+ */
+export function unbundleProjectFiles(code) {
+  if (!code || !code.includes('data-vibe-file="')) return null;
+  const files = [];
+  let html = code.replace(RUNTIME_RE, '');
+  html = html.replace(DATA_FILE_RE, (_match, path, content) => {
+    files.push({ path, content });
+    return '';
+  });
+  html = html.replace(INLINE_FILE_RE, (_match, tag, path, content) => {
+    files.push({ path, content });
+    return tag === 'style' ? `<link rel="stylesheet" href="${path}">` : `<script src="${path}"></script>`;
+  });
+  return sortProjectFiles([{ path: ENTRY_FILE, content: html }, ...files]);
+}
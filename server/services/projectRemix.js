@@ -0,0 +1,79 @@
+/**
+ * Project Remix
+ *
+ * Remixing copies a game the kid can see (a public game, or one of their
+ * own) into a new private draft they own, keeping a record of where it came
+ * from:
+ *
+ *   remix.remixedFrom = { projectId, creatorName, title }
+ *   source.remixCount  — how many times the game has been remixed
+ *
+ * A game's public remixes are listed through the gallery index (remixOf).
+ *
+ * creatorName is the source creator's public alias at the time of the remix
+ * (resolvePublicCreatorAlias), never a user id. Creators can turn remixing
+ * off per game (allowRemix: false); their own games stay remixable to them.
+ */
+
+const REMIX_SUFFIX = ' Remix';
+const MAX_TITLE_LENGTH = 50;
+
+/**
+ * Whether this user may remix the project.
+ *
+ * @param {object} source - The project to remix
+ * @param {string|null} userId - The remixer
+ * @returns {{ allowed: boolean, status?: number, reason?: string }}
+ */
+export function checkRemixAllowed(source, userId) {
+  const isOwner = Boolean(userId) && source.userId === userId;
+  if (!isOwner && !source.isPublic) {
+    return { allowed: false, status: 404, reason: 'Project not found' };
+  }
+  if (!isOwner && source.allowRemix === false) {
+    return { allowed: false, status: 403, reason: "This game's creator has turned off remixing for it." };
+  }
+  return { allowed: true };
+}
+
+function remixTitle(title) {
+  const base = String(title || 'Untitled Game').slice(0, MAX_TITLE_LENGTH - REMIX_SUFFIX.length);
+  return base.endsWith(REMIX_SUFFIX.trim()) ? base : base + REMIX_SUFFIX;
+}
+
+/**
+ * The new private draft for a remix. Chat-driven state (design memory) and
+ * the source's history, likes and views are not copied.
+ *
+ * @param {object} source - The project being remixed
+ * @param {object} opts
+ * @param {string} opts.id - New project id
+ * @param {string} opts.userId - The remixer
+ * @param {string} opts.creatorName - The remixer's alias
+ * @param {string} opts.sourceCreatorName - The source creator's public alias
+ * @param {string} [opts.now] - ISO timestamp
+ */
+export function buildRemixProject(
+  source,
+  { id, userId, creatorName, sourceCreatorName, now = new Date().toISOString() },
+) {
+  return {
+    id,
+    title: remixTitle(source.title),
+    code: source.code,
+    files: source.files ?? null,
+    category: source.category || 'other',
+    gameConfig: source.gameConfig ?? null,
+    editorScene: source.editorScene ?? null,
+    designMemory: null,
+    creatorName,
+    userId,
+    isPublic: false,
+    isDraft: true,
+    remixedFrom: { projectId: source.id, creatorName: sourceCreatorName, title: source.title || null },
+    createdAt: now,
+    updatedAt: now,
+    views: 0,
+    likes: 0,
+  };
+}
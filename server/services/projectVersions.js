@@ -0,0 +1,498 @@
+/**
+ * Project Versions
+ *
+ * Version history lives outside the project document, as a tree:
+ *
+ *   version = { versionId, parentId, title, code, files, editorScene, savedAt,
+ *               autoSave, checkpointName, prompt }
+ *   project.headVersionId — the version the project's current game matches
+ *
+ * Every save that changes the game records the new state as a child of the
+ * head, with the AI prompt that produced it (null for hand edits). Restoring
+ * moves the head back to an older version instead of copying it forward, so
+ * the next save starts a branch and the newer work stays in the history.
+ *
+ * Named checkpoints ("before boss fight") and the original version are never
+ * pruned. Other versions beyond MAX_UNNAMED_VERSIONS are dropped oldest
+ * first, and their children are re-attached to the dropped version's parent.
+ *
+ * Stored in Postgres (project_versions) or, without a database, in
+ * data/project_versions/<projectId>.json.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { PROJECT_VERSIONS_DIR, USE_POSTGRES } from '../config/index.js';
+
+export const MAX_UNNAMED_VERSIONS = 20;
+export const MAX_CHECKPOINTS = 30;
+export const MAX_CHECKPOINT_NAME_LENGTH = 40;
+const MAX_PROMPT_LENGTH = 500;
+
+function newVersionId() {
+  return Date.now().toString() + randomBytes(2).toString('hex');
+}
+
+function serializeScene(scene) {
+  try {
+    return JSON.stringify(scene ?? null);
+  } catch {
+    return 'null';
+  }
+}
+
+/** Whether a version already holds this game state (the title alone doesn't count). */
+export function isSameGameState(a, b) {
+  return a.code === b.code && serializeScene(a.editorScene) === serializeScene(b.editorScene);
+}
+
+/**
+ * Clean up a kid's checkpoint name.
+ * @returns {string|null} null if nothing is left
+ */
+export function normalizeCheckpointName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.replace(/\s+/g, ' ').trim().slice(0, MAX_CHECKPOINT_NAME_LENGTH);
+  return trimmed || null;
+}
+
+function normalizePrompt(prompt) {
+  return typeof prompt === 'string' && prompt.trim() ? prompt.trim().slice(0, MAX_PROMPT_LENGTH) : null;
+}
+
+// ========== TREE HELPERS ==========
+
+/**
+ * Versions saved before history became a tree have no parent; they were a
+ * straight line, so each one hangs off the version saved before it. Only the
+ * original (first) version is a real root.
+ *
+ * @param {Array<object>} versions - Oldest first
+ * @returns {Array<object>}
+ */
+export function linkLegacyVersions(versions) {
+  return versions.map((v, i) => (i > 0 && !v.parentId ? { ...v, parentId: versions[i - 1].versionId } : v));
+}
+
+/**
+ * Which versions to drop so at most MAX_UNNAMED_VERSIONS unnamed ones remain.
+ * The original, checkpoints and the head are kept.
+ *
+ * @param {Array<object>} versions - Oldest first, linked
+ * @param {string|null} headVersionId
+ * @param {number} [limit]
+ * @returns {{ remove: string[], reparent: Array<{ versionId: string, parentId: string|null }> }}
+ */
+export function planVersionPrune(versions, headVersionId, limit = MAX_UNNAMED_VERSIONS) {
+  const prunable = versions.filter((v, i) => i > 0 && !v.checkpointName && v.versionId !== headVersionId);
+  const remove = prunable.slice(0, Math.max(0, prunable.length - limit)).map((v) => v.versionId);
+  if (!remove.length) return { remove, reparent: [] };
+
+  const removed = new Set(remove);
+  const parentOf = new Map(versions.map((v) => [v.versionId, v.parentId ?? null]));
+  const survivingAncestor = (id) => {
+    let current = id;
+    while (current && removed.has(current)) current = parentOf.get(current) ?? null;
+    return current;
+  };
+  const reparent = versions
+    .filter((v) => !removed.has(v.versionId) && v.parentId && removed.has(v.parentId))
+    .map((v) => ({ versionId: v.versionId, parentId: survivingAncestor(v.parentId) }));
+  return { remove, reparent };
+}
+
+/**
+ * The version list the history modal shows, newest first. A version whose
+ * parent isn't the one saved just before it starts a branch.
+ *
+ * @param {Array<object>} versions - Oldest first, linked (metadata only)
+ * @param {string|null} headVersionId
+ */
+export function toVersionHistory(versions, headVersionId) {
+  const numberOf = new Map(versions.map((v, i) => [v.versionId, i + 1]));
+  return versions
+    .map((v, i) => ({
+      versionId: v.versionId,
+      parentId: v.parentId ?? null,
+      title: v.title,
+      savedAt: v.savedAt,
+      versionNumber: i + 1,
+      autoSave: Boolean(v.autoSave),
+      checkpointName: v.checkpointName || null,
+      prompt: v.prompt || null,
+      fileCount: v.fileCount ?? 1,
+      isOriginal: i === 0,
+      isCurrent: v.versionId === headVersionId,
+      branchedFrom: i > 0 && v.parentId !== versions[i - 1].versionId ? numberOf.get(v.parentId) || null : null,
+    }))
+    .reverse();
+}
+
+// ========== STORAGE ==========
+
+function versionsFile(projectId) {
+  return path.join(PROJECT_VERSIONS_DIR, `${projectId}.json`);
+}
+
+async function readFileVersions(projectId) {
+  try {
+    return JSON.parse(await fs.readFile(versionsFile(projectId), 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+async function writeFileVersions(projectId, versions) {
+  await fs.mkdir(PROJECT_VERSIONS_DIR, { recursive: true });
+  await fs.writeFile(versionsFile(projectId), JSON.stringify(versions, null, 2));
+}
+
+function toMetadata(v) {
+  return {
+    versionId: v.versionId,
+    parentId: v.parentId ?? null,
+    title: v.title,
+    savedAt: v.savedAt,
+    autoSave: Boolean(v.autoSave),
+    checkpointName: v.checkpointName || null,
+    prompt: v.prompt || null,
+    fileCount: v.files?.length ?? 1,
+  };
+}
+
+function mapVersionRow(row) {
+  return {
+    versionId: row.version_id,
+    parentId: row.parent_id || null,
+    title: row.title,
+    code: row.code,
+    files: row.files || null,
+    editorScene: row.editor_scene || null,
+    savedAt: row.saved_at?.toISOString?.() || row.saved_at,
+    autoSave: row.auto_save,
+    checkpointName: row.checkpoint_name || null,
+    prompt: row.prompt || null,
+  };
+}
+
+/**
+ * A project's versions without their code, oldest first.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listVersions(projectId) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query(
+      `SELECT version_id, parent_id, title, auto_save, checkpoint_name, prompt, saved_at,
+              CASE WHEN jsonb_typeof(files) = 'array' THEN jsonb_array_length(files) ELSE 1 END AS file_count
+       FROM project_versions WHERE project_id = $1 ORDER BY id ASC`,
+      [projectId],
+    );
+    return linkLegacyVersions(rows.map((row) => ({ ...toMetadata(mapVersionRow(row)), fileCount: row.file_count })));
+  }
+  const versions = await readFileVersions(projectId);
+  return linkLegacyVersions(versions.map(toMetadata));
+}
+
+/** @returns {Promise<object|null>} The full version, code included */
+export async function getVersion(projectId, versionId) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const { rows } = await getPool().query('SELECT * FROM project_versions WHERE project_id = $1 AND version_id = $2', [
+      projectId,
+      versionId,
+    ]);
+    return rows[0] ? mapVersionRow(rows[0]) : null;
+  }
+  return (await readFileVersions(projectId)).find((v) => v.versionId === versionId) || null;
+}
+
+async function insertVersion(projectId, version) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    await getPool().query(
+      `INSERT INTO project_versions (project_id, version_id, parent_id, code, title, auto_save,
+         saved_at, editor_scene, files, checkpoint_name, prompt)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        projectId,
+        version.versionId,
+        version.parentId,
+        version.code,
+        version.title || null,
+        version.autoSave,
+        version.savedAt,
+        version.editorScene ?? null,
+        // pg would send a JS array as a Postgres array, not JSON
+        version.files ? JSON.stringify(version.files) : null,
+        version.checkpointName,
+        version.prompt,
+      ],
+    );
+    return;
+  }
+  const versions = await readFileVersions(projectId);
+  versions.push(version);
+  await writeFileVersions(projectId, versions);
+}
+
+/** Overwrite an auto-save with newer hand edits. */
+async function replaceVersionState(projectId, versionId, state) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    await getPool().query(
+      `UPDATE project_versions SET code = $3, files = $4, editor_scene = $5, title = $6, saved_at = $7
+       WHERE project_id = $1 AND version_id = $2`,
+      [
+        projectId,
+        versionId,
+        state.code,
+        state.files ? JSON.stringify(state.files) : null,
+        state.editorScene ?? null,
+        state.title || null,
+        state.savedAt,
+      ],
+    );
+    return;
+  }
+  const versions = await readFileVersions(projectId);
+  const version = versions.find((v) => v.versionId === versionId);
+  if (version) Object.assign(version, state);
+  await writeFileVersions(projectId, versions);
+}
+
+async function setCheckpointName(projectId, versionId, checkpointName) {
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    await getPool().query(
+      'UPDATE project_versions SET checkpoint_name = $3 WHERE project_id = $1 AND version_id = $2',
+      [projectId, versionId, checkpointName],
+    );
+    return;
+  }
+  const versions = await readFileVersions(projectId);
+  const version = versions.find((v) => v.versionId === versionId);
+  if (version) version.checkpointName = checkpointName;
+  await writeFileVersions(projectId, versions);
+}
+
+async function applyPrune(projectId, { remove, reparent }) {
+  if (!remove.length) return;
+  if (USE_POSTGRES) {
+    const { getPool } = await import('./db.js');
+    const db = getPool();
+    for (const { versionId, parentId } of reparent) {
+      await db.query('UPDATE project_versions SET parent_id = $3 WHERE project_id = $1 AND version_id = $2', [
+        projectId,
+        versionId,
+        parentId,
+      ]);
+    }
+    await db.query('DELETE FROM project_versions WHERE project_id = $1 AND version_id = ANY($2)', [projectId, remove]);
+    return;
+  }
+  const removed = new Set(remove);
+  const newParent = new Map(reparent.map((r) => [r.versionId, r.parentId]));
+  const versions = linkLegacyVersions(await readFileVersions(projectId))
+    .filter((v) => !removed.has(v.versionId))
+    .map((v) => (newParent.has(v.versionId) ? { ...v, parentId: newParent.get(v.versionId) } : v));
+  await writeFileVersions(projectId, versions);
+}
+
+// ========== HISTORY OPERATIONS ==========
+// These may set project.headVersionId or drop a legacy project.versions
+// array; callers write the project afterwards.
+
+/**
+ * Move a version array kept inside an older project document into the
+ * version store.
+ * @returns {Promise<boolean>} true if the project document changed
+ */
+export async function migrateLegacyVersions(project) {
+  if (!Array.isArray(project.versions)) return false;
+  const legacy = project.versions;
+  delete project.versions;
+  let parentId = null;
+  for (const v of legacy) {
+    if (!v?.versionId || typeof v.code !== 'string') continue;
+    await insertVersion(project.id, {
+      versionId: String(v.versionId),
+      parentId,
+      title: v.title || null,
+      code: v.code,
+      files: v.files ?? null,
+      editorScene: v.editorScene ?? null,
+      savedAt: v.savedAt || project.createdAt || new Date().toISOString(),
+      autoSave: Boolean(v.autoSave),
+      checkpointName: null,
+      prompt: null,
+    });
+    parentId = String(v.versionId);
+  }
+  return true;
+}
+
+/**
+ * The version the project's current game matches. If there is none (a new
+ * project, an older project, or one changed outside the history), the current
+ * game is recorded first so it can't be lost.
+ *
+ * @param {object} project
+ * @param {object} [opts]
+ * @param {string} [opts.now] - ISO timestamp
+ * @param {string|null} [opts.prompt] - The AI prompt behind the current game, when known (a brand new project)
+ * @returns {Promise<object>} The head version
+ */
+export async function syncHead(project, { now = new Date().toISOString(), prompt = null } = {}) {
+  await migrateLegacyVersions(project);
+
+  let head = project.headVersionId ? await getVersion(project.id, project.headVersionId) : null;
+  if (!head) {
+    const versions = await listVersions(project.id);
+    const latest = versions[versions.length - 1];
+    head = latest ? await getVersion(project.id, latest.versionId) : null;
+  }
+  if (head && isSameGameState(head, project)) {
+    project.headVersionId = head.versionId;
+    return head;
+  }
+
+  const snapshot = {
+    versionId: newVersionId(),
+    parentId: head?.versionId ?? null,
+    title: project.title || null,
+    code: project.code,
+    files: project.files ?? null,
+    editorScene: project.editorScene ?? null,
+    savedAt: project.updatedAt || project.createdAt || now,
+    autoSave: false,
+    checkpointName: null,
+    prompt: normalizePrompt(prompt),
+  };
+  await insertVersion(project.id, snapshot);
+  project.headVersionId = snapshot.versionId;
+  return snapshot;
+}
+
+/**
+ * Record a save. Call before applying the new state to the project.
+ *
+ * Auto-saves of hand edits fold into the previous auto-save (when nothing
+ * branches off it) so history isn't flooded with tiny snapshots; anything an
+ * AI prompt produced always gets its own version.
+ *
+ * @param {object} project - The stored project, still holding the previous game
+ * @param {{ code: string, files?: Array|null, editorScene?: object|null, title?: string }} next - The game being saved
+ * @param {object} [opts]
+ * @param {boolean} [opts.autoSave]
+ * @param {string|null} [opts.prompt] - The AI prompt that produced this game
+ * @param {string} [opts.now] - ISO timestamp
+ * @returns {Promise<{ version: object, versionCount: number }>}
+ */
+export async function recordVersion(
+  project,
+  next,
+  { autoSave = false, prompt = null, now = new Date().toISOString() } = {},
+) {
+  const head = await syncHead(project, { now });
+  const versionPrompt = normalizePrompt(prompt);
+  let versions = await listVersions(project.id);
+
+  if (isSameGameState(head, next)) {
+    return { version: head, versionCount: versions.length };
+  }
+
+  const headIsOriginal = versions[0]?.versionId === head.versionId;
+  const headHasChildren = versions.some((v) => v.parentId === head.versionId);
+  if (autoSave && !versionPrompt && head.autoSave && !head.checkpointName && !headIsOriginal && !headHasChildren) {
+    const state = {
+      code: next.code,
+      files: next.files ?? null,
+      editorScene: next.editorScene ?? null,
+      title: next.title || head.title,
+      savedAt: now,
+    };
+    await replaceVersionState(project.id, head.versionId, state);
+    return { version: { ...head, ...state }, versionCount: versions.length };
+  }
+
+  const version = {
+    versionId: newVersionId(),
+    parentId: head.versionId,
+    title: next.title || null,
+    code: next.code,
+    files: next.files ?? null,
+    editorScene: next.editorScene ?? null,
+    savedAt: now,
+    autoSave: Boolean(autoSave),
+    checkpointName: null,
+    prompt: versionPrompt,
+  };
+  await insertVersion(project.id, version);
+  project.headVersionId = version.versionId;
+
+  versions = [...versions, toMetadata(version)];
+  const prune = planVersionPrune(versions, version.versionId);
+  await applyPrune(project.id, prune);
+  return { version, versionCount: versions.length - prune.remove.length };
+}
+
+/**
+ * Name a version so it's never pruned. Without a versionId the current game
+ * becomes the checkpoint.
+ *
+ * @param {object} project
+ * @param {string} name - Already content-filtered
+ * @param {string|null} [versionId]
+ * @returns {Promise<{ version?: object, error?: string, status?: number }>}
+ */
+export async function createCheckpoint(project, name, versionId = null) {
+  const checkpointName = normalizeCheckpointName(name);
+  if (!checkpointName) return { error: 'Give your checkpoint a name', status: 400 };
+
+  let target = versionId ? await getVersion(project.id, versionId) : await syncHead(project);
+  if (!target) return { error: 'Version not found', status: 404 };
+
+  const versions = await listVersions(project.id);
+  const isNew = !target.checkpointName || (!versionId && target.checkpointName !== checkpointName);
+  if (isNew && versions.filter((v) => v.checkpointName).length >= MAX_CHECKPOINTS) {
+    return {
+      error: `You already have ${MAX_CHECKPOINTS} checkpoints. Rename an old one instead of adding another!`,
+      status: 400,
+    };
+  }
+
+  if (!versionId && target.checkpointName) {
+    // The current game is already a checkpoint — keep that name and add a new one on top
+    const copy = { ...target, versionId: newVersionId(), parentId: target.versionId, checkpointName, autoSave: false };
+    copy.savedAt = new Date().toISOString();
+    await insertVersion(project.id, copy);
+    project.headVersionId = copy.versionId;
+    return { version: copy };
+  }
+
+  await setCheckpointName(project.id, target.versionId, checkpointName);
+  target = { ...target, checkpointName };
+  return { version: target };
+}
+
+/**
+ * Go back to an older version without losing newer work: the current game is
+ * kept in the history and the head moves to the restored version, so the next
+ * save branches from it.
+ *
+ * @returns {Promise<object|null>} The restored version, or null if it doesn't exist
+ */
+export async function restoreVersionAsBranch(project, versionId, now = new Date().toISOString()) {
+  await syncHead(project, { now });
+  const version = await getVersion(project.id, versionId);
+  if (!version) return null;
+
+  project.code = version.code;
+  project.files = version.files ?? null;
+  project.editorScene = version.editorScene ?? project.editorScene ?? null;
+  project.headVersionId = version.versionId;
+  project.updatedAt = now;
+  return version;
+}
@@ -0,0 +1,184 @@
+/**
+ * Prompt Experiments
+ *
+ * A/B tests for prompt text. The variants live in prompts/variants.js; this
+ * module decides who gets which one and reports how each variant is doing.
+ *
+ * Assignment is per generation but sticky: the bucket comes from a hash of
+ * the experiment name and the user id (or the anonymous session id), so a
+ * kid sees the same prompts for the whole run. No id = not enrolled, and the
+ * prompts are unchanged.
+ *
+ * The report joins four sources on generationId:
+ *   generate events  — generations and truncation (eventStore)
+ *   engine outcomes  — outcome score and thumbs up/down (engineOutcomes)
+ *   usage ledger     — cost (aiUsageLedger)
+ */
+
+import crypto from 'crypto';
+import { PROMPT_EXPERIMENT, PROMPT_EXPERIMENT_VARIANTS } from '../config/index.js';
+import { PROMPT_VARIANTS } from '../prompts/variants.js';
+import { readEvents } from './eventStore.js';
+import { readEngineOutcomeEvents } from './engineOutcomes.js';
+import { getAICostByGeneration } from './aiUsageLedger.js';
+import log from './logger.js';
+
+/**
+ * Parse an experiment from its name and "id:weight" list. Unknown variant ids
+ * and non-positive weights are dropped; fewer than two variants = no experiment.
+ *
+ * @param {string} id - Experiment name (salts the bucketing)
+ * @param {string} spec - e.g. "control:2,restart-first:1" (weight defaults to 1)
+ * @returns {{ id: string, variants: Array<{ id: string, weight: number }> }|null}
+ */
+export function parsePromptExperiment(id, spec) {
+  if (!id || !spec) return null;
+  const variants = [];
+  for (const entry of spec.split(',')) {
+    const [variantId, weightText] = entry.trim().split(':');
+    if (!variantId) continue;
+    if (!PROMPT_VARIANTS[variantId]) {
+      log.warn({ experiment: id, variant: variantId }, 'Unknown prompt variant — skipped');
+      continue;
+    }
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (!(weight > 0) || variants.some((v) => v.id === variantId)) continue;
+    variants.push({ id: variantId, weight });
+  }
+  return variants.length >= 2 ? { id, variants } : null;
+}
+
+const activeExperiment = parsePromptExperiment(PROMPT_EXPERIMENT, PROMPT_EXPERIMENT_VARIANTS);
+
+export function getActivePromptExperiment() {
+  return activeExperiment;
+}
+
+/**
+ * Pick the prompt variant for a generation.
+ *
+ * @param {{ userId?: string|null, sessionId?: string|null }} subject
+ * @param {object|null} [experiment] - Defaults to the configured experiment
+ * @returns {string|null} Variant id, or null when no experiment is running or there's no id to bucket
+ */
+export function assignPromptVariant({ userId = null, sessionId = null } = {}, experiment = activeExperiment) {
+  const key = userId || sessionId;
+  if (!experiment || !key) return null;
+
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${key}`).digest('hex');
+  const totalWeight = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = (parseInt(hash.slice(0, 8), 16) / 0x100000000) * totalWeight;
+  for (const variant of experiment.variants) {
+    point -= variant.weight;
+    if (point < 0) return variant.id;
+  }
+  return experiment.variants[experiment.variants.length - 1].id;
+}
+
+const rate = (count, total) => (total > 0 ? Number((count / total).toFixed(3)) : null);
+
+/**
+ * Per-variant comparison from already-loaded events.
+ *
+ * @param {object} sources
+ * @param {Array<object>} sources.generateEvents - readEvents() records
+ * @param {Array<object>} sources.outcomeEvents - readEngineOutcomeEvents() records
+ * @param {Map<string, number>} [sources.costByGeneration] - generationId → cents
+ * @returns {Record<string, {
+ *   generations: number, truncated: number, truncationRate: number|null,
+ *   averageScore: number|null, thumbsUp: number, thumbsDown: number, thumbsUpRate: number|null,
+ *   costCents: number, costPerGeneration: number|null
+ * }>}
+ */
+export function buildPromptExperimentReport({ generateEvents = [], outcomeEvents = [], costByGeneration = new Map() }) {
+  const variants = {};
+  const variantByGeneration = new Map();
+  const statsFor = (variantId) => {
+    if (!variants[variantId]) {
+      variants[variantId] = {
+        generations: 0,
+        truncated: 0,
+        scored: 0,
+        totalScore: 0,
+        thumbsUp: 0,
+        thumbsDown: 0,
+        costCents: 0,
+      };
+    }
+    return variants[variantId];
+  };
+
+  for (const event of generateEvents) {
+    if (!event.promptVariant) continue;
+    const stats = statsFor(event.promptVariant);
+    stats.generations += 1;
+    if (event.wasTruncated) stats.truncated += 1;
+    if (event.generationId) {
+      variantByGeneration.set(event.generationId, event.promptVariant);
+      stats.costCents += costByGeneration.get(event.generationId) || 0;
+    }
+  }
+
+  for (const event of outcomeEvents) {
+    if (event.kind === 'generation' && event.promptVariant) {
+      const stats = statsFor(event.promptVariant);
+      stats.scored += 1;
+      stats.totalScore += Number(event.score || 0);
+      if (event.generationId && !variantByGeneration.has(event.generationId)) {
+        variantByGeneration.set(event.generationId, event.promptVariant);
+      }
+    }
+  }
+
+  // Feedback events don't carry the variant; they inherit it from their generation
+  for (const event of outcomeEvents) {
+    if (event.kind !== 'feedback') continue;
+    const variantId = variantByGeneration.get(event.generationId);
+    if (!variantId) continue;
+    if (event.outcome === 'thumbsUp') statsFor(variantId).thumbsUp += 1;
+    if (event.outcome === 'thumbsDown') statsFor(variantId).thumbsDown += 1;
+  }
+
+  return Object.fromEntries(
+    Object.entries(variants).map(([variantId, s]) => [
+      variantId,
+      {
+        generations: s.generations,
+        truncated: s.truncated,
+        truncationRate: rate(s.truncated, s.generations),
+        averageScore: s.scored > 0 ? Number((s.totalScore / s.scored).toFixed(3)) : null,
+        thumbsUp: s.thumbsUp,
+        thumbsDown: s.thumbsDown,
+        thumbsUpRate: rate(s.thumbsUp, s.thumbsUp + s.thumbsDown),
+        costCents: Math.round(s.costCents * 10000) / 10000,
+        costPerGeneration: s.generations > 0 ? Math.round((s.costCents / s.generations) * 10000) / 10000 : null,
+      },
+    ]),
+  );
+}
+
+/**
+ * Admin report: the running experiment and how each variant did over the last N days.
+ * @param {{ sinceDays?: number }} [opts]
+ */
+export async function getPromptExperimentReport({ sinceDays = 30 } = {}) {
+  const from = new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000);
+  const [generateEvents, outcomeEvents, costByGeneration] = await Promise.all([
+    readEvents({ sinceDays }),
+    readEngineOutcomeEvents({ sinceDays }),
+    getAICostByGeneration({ from }),
+  ]);
+
+  return {
+    periodDays: sinceDays,
+    experiment: activeExperiment && {
+      id: activeExperiment.id,
+      variants: activeExperiment.variants.map((v) => ({
+        ...v,
+        label: PROMPT_VARIANTS[v.id].label,
+        surfaces: Object.keys(PROMPT_VARIANTS[v.id].surfaces),
+      })),
+    },
+    variants: buildPromptExperimentReport({ generateEvents, outcomeEvents, costByGeneration }),
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Anthropic provider — "Professor Claude"
+ *
+ * The static system prompt is sent as a cache_control block so repeat requests
+ * hit Claude's prompt cache; the per-request dynamic context is appended
+ * uncached.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Anthropic reports cache reads/writes separately from input_tokens; fold them
+ * back into one prompt total so every provider's usage means the same thing.
+ *
+ * @param {object|null|undefined} usage - Anthropic `usage` block
+ * @returns {import('./index.js').NormalizedUsage}
+ */
+export function normalizeAnthropicUsage(usage) {
+  const cacheWriteTokens = usage?.cache_creation_input_tokens || 0;
+  const cacheReadTokens = usage?.cache_read_input_tokens || 0;
+  return {
+    inputTokens: (usage?.input_tokens || 0) + cacheWriteTokens + cacheReadTokens,
+    outputTokens: usage?.output_tokens || 0,
+    cacheWriteTokens,
+    cacheReadTokens,
+  };
+}
+
+/**
+ * Build the system prompt blocks with cache_control for prompt caching.
+ * The static parts (personality, rules, knowledge base) are cached; the
+ * dynamic parts (current code, genre rules) are not.
+ */
+function buildSystemBlocks(staticPrompt, dynamicContext = '') {
+  const blocks = [{ type: 'text', text: staticPrompt, cache_control: { type: 'ephemeral' } }];
+  if (dynamicContext) blocks.push({ type: 'text', text: dynamicContext });
+  return blocks;
+}
+
+function replyText(message) {
+  return (message.content || [])
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('');
+}
+
+/**
+ * @param {{ id?: string, label?: string, apiKey?: string, model: string, pricing: import('./index.js').ProviderPricing }} options
+ * @returns {import('./index.js').AIProvider}
+ */
+export function createAnthropicProvider({ id = 'anthropic', label = 'Claude', apiKey, model, pricing }) {
+  const client = apiKey ? new Anthropic({ apiKey }) : null;
+
+  const buildBody = ({ staticPrompt, dynamicContext, messages, maxTokens }) => ({
+    model,
+    max_tokens: maxTokens,
+    system: buildSystemBlocks(staticPrompt, dynamicContext),
+    messages,
+  });
+
+  return {
+    id,
+    label,
+    model,
+    pricing,
+    setupHint: 'Set ANTHROPIC_API_KEY in your .env file to enable Claude AI features.',
+    isAvailable: () => !!client,
+
+    async generate(request) {
+      const message = await client.messages.create(buildBody(request), { signal: request.signal });
+      return { text: replyText(message), usage: normalizeAnthropicUsage(message.usage) };
+    },
+
+    async stream(request, onDelta) {
+      const messageStream = client.messages.stream(buildBody(request), { signal: request.signal });
+      messageStream.on('text', (text) => onDelta(text));
+      const message = await messageStream.finalMessage();
+      return { text: replyText(message), usage: normalizeAnthropicUsage(message.usage) };
+    },
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Fixture provider — deterministic, offline
+ *
+ * Replays recorded responses so the whole /api/generate flow (and the Playwright
+ * game-builder bots) run with no network and no API keys. A recording is keyed
+ * by the kid's latest message:
+ *
+ *   <dir>/<sha256 of the normalized prompt, 16 hex chars>.json
+ *   { "prompt": "...", "text": "<full model reply>", "recordedAt": "...", "recordedFrom": "anthropic" }
+ *
+ * With no recording, the reply is the built-in starter for the prompt's engine
+ * (new game) or the current project unchanged (iteration), so every prompt still
+ * yields a playable game. When `recordFrom` returns a real provider, misses are
+ * answered by it and saved for next time.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { buildStarterFallback } from '../starterFallback.js';
+
+const CHUNK_SIZE = 400;
+const CURRENT_PROJECT_RE = /CURRENT PROJECT \(for your reference only[^\n]*\n([\s\S]*?)\n\nWhen they ask for changes/;
+
+/** Text of the last user message (image parts dropped). */
+export function lastUserText(messages = []) {
+  const last = [...messages].reverse().find((msg) => msg.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return (last.content || [])
+    .filter((part) => part.type === 'text')
+    .map((part) => part.text)
+    .join('\n');
+}
+
+/** Recording key for a prompt — case and whitespace don't matter. */
+export function fixtureKey(prompt) {
+  const normalized = (prompt || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+// Rough token count (~4 chars each) so usage stats still move in offline runs
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+async function defaultReply(prompt, dynamicContext) {
+  const currentCode = (dynamicContext || '').match(CURRENT_PROJECT_RE)?.[1] || '';
+  try {
+    const starter = await buildStarterFallback({ prompt, currentCode, isNewGame: !currentCode });
+    return `${starter.response}\n\n\`\`\`html\n${starter.code}\n\`\`\``;
+  } catch {
+    return "I don't have a recorded answer for that one yet! Try asking me to make a game. 🎮";
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new Error('Fixture replay aborted');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - Directory of recorded responses
+ * @param {(() => import('./index.js').AIProvider|null)|null} [options.recordFrom] - Real provider to record misses from
+ * @returns {import('./index.js').AIProvider}
+ */
+export function createFixtureProvider({ dir, recordFrom = null }) {
+  const fixturePath = (prompt) => path.join(dir, `${fixtureKey(prompt)}.json`);
+
+  const readRecording = async (prompt) => {
+    try {
+      const recording = JSON.parse(await fs.readFile(fixturePath(prompt), 'utf-8'));
+      return typeof recording.text === 'string' ? recording.text : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const record = async (prompt, request, onDelta) => {
+    const upstream = recordFrom?.();
+    if (!upstream?.isAvailable()) return null;
+    const result = onDelta ? await upstream.stream(request, onDelta) : await upstream.generate(request);
+    await fs.mkdir(dir, { recursive: true });
+    const recording = { prompt, text: result.text, recordedAt: new Date().toISOString(), recordedFrom: upstream.id };
+    await fs.writeFile(fixturePath(prompt), JSON.stringify(recording, null, 2) + '\n');
+    console.log(`📼 Recorded fixture for "${prompt.slice(0, 60)}" from ${upstream.label}`);
+    return result;
+  };
+
+  const respond = async (request, onDelta = null) => {
+    throwIfAborted(request.signal);
+    const prompt = lastUserText(request.messages);
+
+    let text = await readRecording(prompt);
+    if (text === null) {
+      const recorded = await record(prompt, request, onDelta);
+      if (recorded) return recorded;
+      text = await defaultReply(prompt, request.dynamicContext);
+    }
+    if (onDelta) {
+      for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+        throwIfAborted(request.signal);
+        onDelta(text.slice(i, i + CHUNK_SIZE));
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens((request.staticPrompt || '') + (request.dynamicContext || '') + prompt),
+        outputTokens: estimateTokens(text),
+        cacheWriteTokens: 0,
+        cacheReadTokens: 0,
+      },
+    };
+  };
+
+  return {
+    id: 'fixture',
+    label: 'Fixture',
+    model: 'fixture',
+    pricing: { input: 0, output: 0 },
+    setupHint: '',
+    isAvailable: () => true,
+    generate: (request) => respond(request),
+    stream: (request, onDelta) => respond(request, onDelta),
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * AI Provider Registry
+ *
+ * Every model vendor sits behind the same small interface, so ai.js has one
+ * retry/usage path and gameHandler only ever talks about buddies (claude, grok,
+ * openai). Which provider answers for a buddy comes from config (AI_PROVIDER,
+ * AI_PROVIDER_<BUDDY>) — e.g. AI_PROVIDER=fixture runs everything offline.
+ *
+ * Built in:
+ *   anthropic — Claude (prompt caching)
+ *   anthropic-economy — a cheaper Claude model, used once a kid's daily AI budget is spent
+ *   xai       — Grok, OpenAI-compatible API
+ *   openai    — GPT
+ *   fixture   — replays recorded responses, no network (see fixture.js)
+ */
+
+import {
+  ANTHROPIC_API_KEY,
+  AI_MODEL,
+  XAI_API_KEY,
+  GROK_MODEL,
+  GROK_BASE_URL,
+  OPENAI_API_KEY,
+  OPENAI_MODEL,
+  BUDDY_PROVIDERS,
+  AI_BUDGET_PROVIDER,
+  AI_ECONOMY_MODEL,
+  AI_FIXTURE_DIR,
+  AI_FIXTURE_RECORD,
+} from '../../config/index.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createFixtureProvider } from './fixture.js';
+
+/**
+ * @typedef {object} NormalizedUsage
+ * @property {number} inputTokens - All prompt tokens, including cached ones
+ * @property {number} outputTokens
+ * @property {number} cacheWriteTokens - Prompt tokens written to the provider's cache
+ * @property {number} cacheReadTokens - Prompt tokens served from the provider's cache
+ */
+
+/**
+ * USD per 1M tokens. Cache prices fall back to the input price.
+ * @typedef {{ input: number, output: number, cacheWrite?: number, cacheRead?: number }} ProviderPricing
+ */
+
+/**
+ * @typedef {object} GenerateRequest
+ * @property {string} staticPrompt - Cacheable part of the system prompt
+ * @property {string} [dynamicContext] - Per-request part (current code, genre rules)
+ * @property {Array<{ role: string, content: any }>} messages - Claude-format messages
+ * @property {number} maxTokens
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * @typedef {object} AIProvider
+ * @property {string} id
+ * @property {string} label - Shown in logs and errors
+ * @property {string} model
+ * @property {ProviderPricing} pricing
+ * @property {string} setupHint - What to configure when isAvailable() is false
+ * @property {() => boolean} isAvailable
+ * @property {(request: GenerateRequest) => Promise<{ text: string, usage: NormalizedUsage }>} generate
+ * @property {(request: GenerateRequest, onDelta: (text: string) => void) => Promise<{ text: string, usage: NormalizedUsage }>} stream
+ */
+
+const providers = new Map();
+
+/**
+ * Add (or replace) a provider. Returns it for chaining.
+ * @param {AIProvider} provider
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+/** @returns {AIProvider} */
+export function getProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${id}". Registered: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider;
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * The provider configured for a buddy ('claude' | 'grok' | 'openai').
+ * @returns {AIProvider}
+ */
+export function getBuddyProvider(buddy) {
+  return getProvider(BUDDY_PROVIDERS[buddy] || BUDDY_PROVIDERS.claude);
+}
+
+/**
+ * The provider a buddy drops to when its user is over their daily AI budget. Offline
+ * (fixture) buddies stay offline, and an unconfigured budget provider means no downgrade.
+ * @returns {AIProvider}
+ */
+export function getEconomyProvider(buddy) {
+  const standard = getBuddyProvider(buddy);
+  if (standard.id === 'fixture') return standard;
+  const economy = providers.get(AI_BUDGET_PROVIDER);
+  return economy?.isAvailable() ? economy : standard;
+}
+
+/**
+ * Cost of one call in cents.
+ * @param {NormalizedUsage} usage
+ * @param {ProviderPricing} pricing
+ */
+export function estimateCostCents(usage, pricing) {
+  const regularInput = Math.max(0, usage.inputTokens - usage.cacheWriteTokens - usage.cacheReadTokens);
+  const dollars =
+    (regularInput * pricing.input +
+      usage.outputTokens * pricing.output +
+      usage.cacheWriteTokens * (pricing.cacheWrite ?? pricing.input) +
+      usage.cacheReadTokens * (pricing.cacheRead ?? pricing.input)) /
+    1_000_000;
+  return dollars * 100;
+}
+
+// ========== BUILT-IN PROVIDERS ==========
+
+// Claude Sonnet pricing
+registerProvider(
+  createAnthropicProvider({
+    apiKey: ANTHROPIC_API_KEY,
+    model: AI_MODEL,
+    pricing: { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.3 },
+  }),
+);
+
+// Claude Haiku pricing
+registerProvider(
+  createAnthropicProvider({
+    id: 'anthropic-economy',
+    label: 'Claude (economy)',
+    apiKey: ANTHROPIC_API_KEY,
+    model: AI_ECONOMY_MODEL,
+    pricing: { input: 1.0, output: 5.0, cacheWrite: 1.25, cacheRead: 0.1 },
+  }),
+);
+
+// Grok-3-fast pricing (xAI) — updated Feb 2026
+registerProvider(
+  createOpenAICompatibleProvider({
+    id: 'xai',
+    label: 'Grok',
+    apiKey: XAI_API_KEY,
+    baseURL: GROK_BASE_URL,
+    model: GROK_MODEL,
+    pricing: { input: 3.0, output: 15.0 },
+    setupHint: 'Set XAI_API_KEY in .env',
+  }),
+);
+
+// GPT-5.4 pricing (OpenAI) — March 2026
+registerProvider(
+  createOpenAICompatibleProvider({
+    id: 'openai',
+    label: 'OpenAI',
+    apiKey: OPENAI_API_KEY,
+    model: OPENAI_MODEL,
+    pricing: { input: 2.5, output: 15.0 },
+    tokenParam: 'max_completion_tokens',
+    setupHint: 'Set OPENAI_API_KEY in .env',
+  }),
+);
+
+registerProvider(
+  createFixtureProvider({
+    dir: AI_FIXTURE_DIR,
+    recordFrom: AI_FIXTURE_RECORD ? () => getProvider(AI_FIXTURE_RECORD) : null,
+  }),
+);
@@ -0,0 +1,107 @@
+/**
+ * OpenAI-compatible provider — used for both Grok (xAI, different baseURL) and
+ * OpenAI's own GPT models.
+ *
+ * The whole system prompt goes in one system message (no prompt caching), and
+ * Claude-style multi-part message content (image + text) is flattened to text.
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * @param {object|null|undefined} usage - OpenAI-format `usage` block
+ * @returns {import('./index.js').NormalizedUsage}
+ */
+export function normalizeOpenAIUsage(usage) {
+  return {
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0,
+    cacheWriteTokens: 0,
+    cacheReadTokens: 0,
+  };
+}
+
+function toOpenAIMessages(systemPrompt, messages) {
+  return [
+    { role: 'system', content: systemPrompt },
+    ...messages.map((msg) => ({
+      role: msg.role,
+      content:
+        typeof msg.content === 'string'
+          ? msg.content
+          : Array.isArray(msg.content)
+            ? msg.content
+                .filter((p) => p.type === 'text')
+                .map((p) => p.text)
+                .join('\n')
+            : String(msg.content),
+    })),
+  ];
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.id - Registry id ('xai', 'openai')
+ * @param {string} options.label - Shown in logs and errors
+ * @param {string} [options.apiKey]
+ * @param {string} [options.baseURL] - Omit for api.openai.com
+ * @param {string} options.model
+ * @param {import('./index.js').ProviderPricing} options.pricing
+ * @param {'max_tokens'|'max_completion_tokens'} [options.tokenParam] - Newer OpenAI models only accept max_completion_tokens
+ * @param {string} options.setupHint
+ * @returns {import('./index.js').AIProvider}
+ */
+export function createOpenAICompatibleProvider({
+  id,
+  label,
+  apiKey,
+  baseURL,
+  model,
+  pricing,
+  tokenParam = 'max_tokens',
+  setupHint,
+}) {
+  const client = apiKey ? new OpenAI(baseURL ? { apiKey, baseURL } : { apiKey }) : null;
+
+  const buildBody = ({ staticPrompt, dynamicContext, messages, maxTokens }) => ({
+    model,
+    [tokenParam]: maxTokens,
+    messages: toOpenAIMessages([staticPrompt, dynamicContext].filter(Boolean).join('\n\n'), messages),
+    temperature: 0.7, // Slightly creative for fun factor
+  });
+
+  return {
+    id,
+    label,
+    model,
+    pricing,
+    setupHint,
+    isAvailable: () => !!client,
+
+    async generate(request) {
+      const response = await client.chat.completions.create(buildBody(request), { signal: request.signal });
+      return {
+        text: response?.choices?.[0]?.message?.content || '',
+        usage: normalizeOpenAIUsage(response.usage),
+      };
+    },
+
+    async stream(request, onDelta) {
+      const chunks = await client.chat.completions.create(
+        { ...buildBody(request), stream: true, stream_options: { include_usage: true } },
+        { signal: request.signal },
+      );
+      let text = '';
+      let usage = null;
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+      return { text, usage: normalizeOpenAIUsage(usage) };
+    },
+  };
+}
@@ -14,7 +14,7 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { REFERENCE_MAX_CHARS } from '../config/index.js';
+import { REFERENCE_MAX_CHARS, AI_OFFLINE } from '../config/index.js';
 import { getRelevantSnippets } from '../snippets/index.js';
 import { detectGitHubUrl, fetchRepoCode } from './githubFetcher.js';
 import {
@@ -221,7 +221,8 @@ export async function resolveReferences({
   sources.push(`engine:${engineProfile.engineId}:${engineProfile.genreFamily}`);
 
   // ===== 1. CHECK FOR GITHUB URL IN PROMPT =====
-  const githubRef = detectGitHubUrl(prompt);
+  // Offline (fixture) runs never reach GitHub
+  const githubRef = AI_OFFLINE ? null : detectGitHubUrl(prompt);
   if (githubRef) {
     console.log(`🔗 GitHub URL detected: ${githubRef.owner}/${githubRef.repo}`);
     const result = await fetchRepoCode(githubRef.owner, githubRef.repo);
@@ -236,7 +237,7 @@ export async function resolveReferences({
   }
 
   // ===== 2. CHECK KNOWN REPOS (by game name in prompt) =====
-  if (!githubRef) {
+  if (!githubRef && !AI_OFFLINE) {
     // Don't double-fetch if they already pasted a URL
     const known = await matchKnownRepo(prompt);
     if (known) {
@@ -8,31 +8,35 @@
  * Key features:
  * - Deterministic hash from prompt + code snapshot + model
  * - TTL-based expiration (default 1 hour)
- * - Max size cap with LRU eviction
- * - Stats tracking (hit rate, per-model hits)
+ * - Memory LRU backed by a persistent tier (Postgres or files) that survives
+ *   deploys and is shared across instances — see persistentCache.js
+ * - Stats tracking (memory vs persistent hit rate, per-model hits)
  */
 
 import { createHash } from 'crypto';
 import { RESPONSE_CACHE_TTL, RESPONSE_CACHE_MAX_SIZE } from '../config/index.js';
+import { createTieredCache } from './persistentCache.js';
+
+// Bump this whenever prompt assembly or post-processing changes in a way that
+// should invalidate previously cached AI code responses (in memory and in storage).
+export const CACHE_SCHEMA_VERSION = 'sprites-v2';
 
 // ========== CACHE STORAGE ==========
 
-const cache = new Map();
+const cache = createTieredCache({
+  namespace: 'response',
+  ttlMs: RESPONSE_CACHE_TTL,
+  maxEntries: RESPONSE_CACHE_MAX_SIZE,
+  version: CACHE_SCHEMA_VERSION,
+});
 
 const cacheStats = {
-  hits: 0,
-  misses: 0,
-  evictions: 0,
   claudeHits: 0,
   grokHits: 0,
   patternHits: 0,
   patternMisses: 0,
 };
 
-// Bump this whenever prompt assembly or post-processing changes in a way that
-// should invalidate previously cached AI code responses.
-const CACHE_SCHEMA_VERSION = 'sprites-v2';
-
 // ========== HASH FUNCTION ==========
 
 /**
@@ -51,9 +55,10 @@ const CACHE_SCHEMA_VERSION = 'sprites-v2';
  * @param {string|null} currentCode - The current game code (can be large)
  * @param {'claude'|'grok'} model - Which model to cache for
  * @param {string} mode - The routing mode
+ * @param {string|null} [promptVariant] - Prompt experiment variant, so variants never serve each other's answers
  * @returns {string} SHA-256 hex hash as cache key
  */
-export function generateCacheKey(prompt, currentCode, model, mode) {
+export function generateCacheKey(prompt, currentCode, model, mode, promptVariant = null) {
   // Normalize prompt: lowercase, trim, collapse whitespace
   const normalizedPrompt = (prompt || '').toLowerCase().trim().replace(/\s+/g, ' ');
 
@@ -68,48 +73,33 @@ export function generateCacheKey(prompt, currentCode, model, mode) {
     }
   }
 
-  const input = `${normalizedPrompt}::${codeFingerprint}::${model}::${mode}::${CACHE_SCHEMA_VERSION}`;
+  // Unenrolled requests keep the keys they had before prompt experiments existed
+  const variantPart = promptVariant ? `::${promptVariant}` : '';
+  const input = `${normalizedPrompt}::${codeFingerprint}::${model}::${mode}${variantPart}::${CACHE_SCHEMA_VERSION}`;
   return createHash('sha256').update(input).digest('hex');
 }
 
 // ========== CACHE OPERATIONS ==========
 
 /**
- * Look up a cached response.
+ * Look up a cached response (memory first, then the persistent tier).
  *
  * @param {string} key - Cache key from generateCacheKey()
- * @returns {object|null} Cached entry { response, code, model, timestamp } or null
+ * @returns {Promise<object|null>} Cached entry { response, code, model, timestamp, hitCount, tier } or null
  */
-export function getCachedResponse(key) {
-  if (!key) return null;
-
-  const entry = cache.get(key);
-  if (!entry) {
-    cacheStats.misses++;
-    return null;
-  }
-
-  // Check TTL
-  if (Date.now() - entry.timestamp > RESPONSE_CACHE_TTL) {
-    cache.delete(key);
-    cacheStats.misses++;
-    return null;
-  }
+export async function getCachedResponse(key) {
+  const entry = await cache.get(key);
+  if (!entry) return null;
 
-  // Cache hit!
-  cacheStats.hits++;
   if (entry.model === 'grok') cacheStats.grokHits++;
   else cacheStats.claudeHits++;
 
-  entry.lastAccessed = Date.now();
-  entry.hitCount++;
-
-  console.log(`📦 Response cache HIT [${entry.model}] (${entry.hitCount} hits) — serving instantly`);
+  console.log(`📦 Response cache HIT [${entry.model}] (${entry.tier}, ${entry.hitCount} hits) — serving instantly`);
   return entry;
 }
 
 /**
- * Store a response in the cache.
+ * Store a response in both cache tiers.
  *
  * @param {string} key - Cache key
  * @param {object} data - Data to cache
@@ -117,35 +107,10 @@ export function getCachedResponse(key) {
  * @param {string|null} data.code - The extracted game code
  * @param {'claude'|'grok'} data.model - Which model generated this
  */
-export function setCachedResponse(key, { response, code, model }) {
+export async function setCachedResponse(key, { response, code, model }) {
   if (!key || !response) return;
-
-  // Evict if at capacity (LRU: remove oldest-accessed entry)
-  if (cache.size >= RESPONSE_CACHE_MAX_SIZE) {
-    let oldestKey = null;
-    let oldestTime = Infinity;
-    for (const [k, v] of cache) {
-      if (v.lastAccessed < oldestTime) {
-        oldestTime = v.lastAccessed;
-        oldestKey = k;
-      }
-    }
-    if (oldestKey) {
-      cache.delete(oldestKey);
-      cacheStats.evictions++;
-    }
-  }
-
-  cache.set(key, {
-    response,
-    code,
-    model,
-    timestamp: Date.now(),
-    lastAccessed: Date.now(),
-    hitCount: 0,
-  });
-
-  console.log(`📦 Response cached [${model}] (${cache.size}/${RESPONSE_CACHE_MAX_SIZE} entries)`);
+  await cache.set(key, { response, code, model });
+  console.log(`📦 Response cached [${model}] (${cache.size}/${RESPONSE_CACHE_MAX_SIZE} in memory)`);
 }
 
 // ========== PATTERN CACHE (Prompt-Only, Ignores Code Context) ==========
@@ -280,19 +245,14 @@ export function storePatternSuccess(category, genre, model, prompt, codeSummary)
 // ========== STATS ==========
 
 /**
- * Get cache statistics for monitoring.
+ * Get cache statistics for monitoring. The response and template caches report
+ * memory and persistent hit rates separately.
  */
 export function getResponseCacheStats() {
-  const total = cacheStats.hits + cacheStats.misses;
   const patternTotal = cacheStats.patternHits + cacheStats.patternMisses;
   return {
     responseCache: {
-      entries: cache.size,
-      maxSize: RESPONSE_CACHE_MAX_SIZE,
-      hits: cacheStats.hits,
-      misses: cacheStats.misses,
-      evictions: cacheStats.evictions,
-      hitRate: total > 0 ? ((cacheStats.hits / total) * 100).toFixed(1) + '%' : '0%',
+      ...cache.stats(),
       claudeHits: cacheStats.claudeHits,
       grokHits: cacheStats.grokHits,
     },
@@ -307,9 +267,9 @@ export function getResponseCacheStats() {
 }
 
 /**
- * Clear the entire response cache (for admin/testing).
+ * Clear the entire response cache, both tiers (for admin/testing).
  */
-export function clearResponseCache() {
-  cache.clear();
+export async function clearResponseCache() {
+  await cache.clear();
   console.log('🗑️ Response cache cleared');
 }
@@ -0,0 +1,379 @@
+/**
+ * Multiplayer Room Recordings
+ *
+ * Optional per-room session recording for debugging multiplayer bug reports.
+ * While a room is recording, the instance that broadcasts each game_state tick,
+ * player_input and membership event appends it to that room's recording, so the
+ * stream can be downloaded by admins as JSONL and replayed into the game in the studio.
+ *
+ * JSONL layout:
+ *   line 1  — { kind: 'meta', id, roomCode, projectId, startedAt, startedBy, tickRate }
+ *   line 2  — { t: 0, kind: 'start', gameState, players }
+ *   then    — { t, kind, ... } events, t = ms since startedAt
+ *   last    — { t, kind: 'end', reason } when stopped, closed or full
+ *
+ * Storage: Postgres room_recordings / room_recording_lines tables when available,
+ * so every instance writes to (and admins list) the same recordings; otherwise one
+ * file per recording in DATA_DIR/room_recordings/<id>.jsonl (single instance).
+ *
+ * Recordings are off by default (the host or an admin turns them on per room),
+ * capped at MAX_RECORDING_BYTES in total, and purged after
+ * RECORDING_RETENTION_DAYS by the retention sweep.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { DATA_DIR, USE_POSTGRES } from '../config/index.js';
+import log from './logger.js';
+
+const RECORDINGS_DIR = path.join(DATA_DIR, 'room_recordings');
+const RECORDING_ID_RE = /^rec_[A-Z0-9]{4}_\d+_[a-f0-9]{6}$/;
+
+export const MAX_RECORDING_BYTES = 2 * 1024 * 1024;
+export const RECORDING_RETENTION_DAYS = 14;
+
+// Writer state for recordings this instance appends to: id -> { bytes, full, queue }.
+// bytes is only tracked for files; in Postgres the row's size_bytes is shared by all instances.
+const writers = new Map();
+
+function recordingPath(id) {
+  return path.join(RECORDINGS_DIR, `${id}.jsonl`);
+}
+
+export function isValidRecordingId(id) {
+  return typeof id === 'string' && RECORDING_ID_RE.test(id);
+}
+
+function getWriter(id) {
+  let writer = writers.get(id);
+  if (!writer) {
+    writer = { bytes: 0, full: false, queue: Promise.resolve() };
+    writers.set(id, writer);
+  }
+  return writer;
+}
+
+// Writes run one at a time per recording so lines land in broadcast order.
+// Resolves with the task's result (true if a failed write should be treated as kept).
+function enqueue(id, task) {
+  const writer = getWriter(id);
+  const result = writer.queue
+    .then(() => task(writer))
+    .catch((err) => {
+      log.error({ err: err.message, recordingId: id }, 'Could not write room recording');
+      return true;
+    });
+  writer.queue = result;
+  return result;
+}
+
+function endLine(recording, reason) {
+  return JSON.stringify({ t: Date.now() - recording.startedAt, kind: 'end', reason }) + '\n';
+}
+
+async function getDb() {
+  const { getPool } = await import('./db.js');
+  return getPool();
+}
+
+// Add a line unless that would take the recording past the cap. Checked and counted in one
+// statement, so instances writing the same recording share one budget.
+async function appendLine(recording, line, writer) {
+  if (writer.full) return false;
+  const bytes = Buffer.byteLength(line);
+
+  if (USE_POSTGRES) {
+    const db = await getDb();
+    const { rowCount } = await db.query(
+      `WITH grown AS (
+         UPDATE room_recordings SET size_bytes = size_bytes + $2, updated_at = NOW()
+         WHERE id = $1 AND NOT ended AND size_bytes + $2 <= $3
+         RETURNING id
+       )
+       INSERT INTO room_recording_lines (recording_id, line) SELECT id, $4 FROM grown`,
+      [recording.id, bytes, MAX_RECORDING_BYTES, line],
+    );
+    if (rowCount > 0) return true;
+    await endRecording(recording, 'limit', writer);
+    return false;
+  }
+
+  if (writer.bytes + bytes > MAX_RECORDING_BYTES) {
+    await endRecording(recording, 'limit', writer);
+    return false;
+  }
+  writer.bytes += bytes;
+  await fs.appendFile(recordingPath(recording.id), line);
+  return true;
+}
+
+// Write the end marker once, whichever instance (or reason) gets there first
+async function endRecording(recording, reason, writer) {
+  if (writer.full) return;
+  writer.full = true;
+  const line = endLine(recording, reason);
+
+  if (USE_POSTGRES) {
+    const db = await getDb();
+    await db.query(
+      `WITH ending AS (
+         UPDATE room_recordings SET ended = true, updated_at = NOW() WHERE id = $1 AND NOT ended RETURNING id
+       )
+       INSERT INTO room_recording_lines (recording_id, line) SELECT id, $2 FROM ending`,
+      [recording.id, line],
+    );
+    return;
+  }
+  await fs.appendFile(recordingPath(recording.id), line);
+}
+
+// Map a room broadcast to a recording event, or null for messages we don't keep (chat, moderation UI noise)
+export function toRecordingEvent(message) {
+  switch (message.type) {
+    case 'game_state':
+      return { kind: 'state', playerId: message.fromPlayerId, tick: message.tick, delta: message.delta };
+    case 'player_input':
+      return { kind: 'input', playerId: message.fromPlayerId, input: message.input };
+    case 'player_joined':
+      return { kind: 'join', playerId: message.playerId, name: message.playerName, players: message.players };
+    case 'player_left':
+      return { kind: 'leave', playerId: message.playerId, name: message.playerName, players: message.players };
+    case 'player_kicked':
+      return { kind: 'kick', playerId: message.playerId, name: message.playerName };
+    case 'player_reconnecting':
+    case 'player_reconnected':
+      return {
+        kind: message.type === 'player_reconnecting' ? 'reconnecting' : 'reconnected',
+        playerId: message.playerId,
+        players: message.players,
+      };
+    case 'spectator_joined':
+    case 'spectator_left':
+      return {
+        kind: message.type === 'spectator_joined' ? 'spectator_join' : 'spectator_leave',
+        playerId: message.spectatorId,
+        name: message.spectatorName,
+      };
+    case 'host_changed':
+      return { kind: 'host_changed', playerId: message.newHostId, name: message.newHostName };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Open a new recording for a room.
+ *
+ * @param {object} opts
+ * @param {string} opts.roomCode
+ * @param {string} [opts.projectId]
+ * @param {'host'|'admin'} opts.startedBy
+ * @param {number} opts.tickRate
+ * @param {object} opts.gameState - state at the moment recording starts
+ * @param {object[]} opts.players - getPlayerList() at the moment recording starts
+ * @returns {Promise<{ id: string, startedAt: number, startedBy: string }>} stored on the room snapshot
+ */
+export async function startRoomRecording({ roomCode, projectId, startedBy, tickRate, gameState, players }) {
+  const startedAt = Date.now();
+  const id = `rec_${roomCode}_${startedAt}_${randomBytes(3).toString('hex')}`;
+  const meta = {
+    kind: 'meta',
+    id,
+    roomCode,
+    projectId: projectId || null,
+    startedAt: new Date(startedAt).toISOString(),
+    startedBy,
+    tickRate,
+  };
+
+  const startLine = JSON.stringify({ t: 0, kind: 'start', gameState, players }) + '\n';
+  const head = JSON.stringify(meta) + '\n' + startLine;
+  if (USE_POSTGRES) {
+    const db = await getDb();
+    await db.query(
+      `INSERT INTO room_recordings (id, room_code, project_id, meta, size_bytes, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [id, roomCode, meta.projectId, meta, Buffer.byteLength(head), meta.startedAt],
+    );
+    await db.query('INSERT INTO room_recording_lines (recording_id, line) VALUES ($1, $2)', [id, startLine]);
+  } else {
+    await fs.mkdir(RECORDINGS_DIR, { recursive: true });
+    await fs.writeFile(recordingPath(id), head);
+    getWriter(id).bytes = Buffer.byteLength(head);
+  }
+
+  log.info({ recordingId: id, roomCode, startedBy }, 'Room recording started');
+  return { id, startedAt, startedBy };
+}
+
+/**
+ * Append a room broadcast to the recording if it's a recorded event type.
+ * Resolves false once the recording hit its size cap (the caller should stop
+ * recording; the end marker is already written). Never rejects.
+ *
+ * @param {{ id: string, startedAt: number }} recording
+ * @param {object} message - the message passed to GameRoom.broadcast
+ * @returns {Promise<boolean>}
+ */
+export function appendRoomRecording(recording, message) {
+  if (getWriter(recording.id).full) return Promise.resolve(false);
+  const event = toRecordingEvent(message);
+  if (!event) return Promise.resolve(true);
+
+  const line = JSON.stringify({ t: Date.now() - recording.startedAt, ...event }) + '\n';
+  return enqueue(recording.id, (writer) => appendLine(recording, line, writer));
+}
+
+/**
+ * Close a recording with an end marker.
+ *
+ * @param {{ id: string, startedAt: number }} recording
+ * @param {'stopped'|'room_closed'|'limit'} reason
+ */
+export async function stopRoomRecording(recording, reason) {
+  await enqueue(recording.id, (writer) => endRecording(recording, reason, writer));
+  writers.delete(recording.id);
+  log.info({ recordingId: recording.id, reason }, 'Room recording stopped');
+}
+
+async function readMeta(file) {
+  const handle = await fs.open(path.join(RECORDINGS_DIR, file), 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+    const firstLine = buffer.subarray(0, bytesRead).toString('utf-8').split('\n')[0];
+    const { size } = await handle.stat();
+    return { ...JSON.parse(firstLine), sizeBytes: size };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * List recordings, newest first.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.projectId]
+ * @param {string} [opts.roomCode]
+ * @returns {Promise<object[]>} meta lines plus sizeBytes
+ */
+export async function listRoomRecordings({ projectId = null, roomCode = null } = {}) {
+  if (USE_POSTGRES) {
+    const db = await getDb();
+    const { rows } = await db.query(
+      `SELECT meta, size_bytes FROM room_recordings
+       WHERE ($1::text IS NULL OR project_id = $1) AND ($2::text IS NULL OR room_code = $2)
+       ORDER BY started_at DESC`,
+      [projectId, roomCode],
+    );
+    return rows.map((row) => ({ ...row.meta, sizeBytes: row.size_bytes }));
+  }
+
+  let files;
+  try {
+    files = await fs.readdir(RECORDINGS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const recordings = [];
+  for (const file of files) {
+    if (!isValidRecordingId(file.replace(/\.jsonl$/, ''))) continue;
+    try {
+      const meta = await readMeta(file);
+      if (projectId && meta.projectId !== projectId) continue;
+      if (roomCode && meta.roomCode !== roomCode) continue;
+      recordings.push(meta);
+    } catch {
+      /* half-written or removed mid-listing */
+    }
+  }
+  return recordings.sort((a, b) => (b.startedAt > a.startedAt ? 1 : -1));
+}
+
+/**
+ * A whole recording as JSONL, for download, or null if it doesn't exist.
+ *
+ * @param {string} id
+ * @returns {Promise<string|null>}
+ */
+export async function readRoomRecordingText(id) {
+  if (!isValidRecordingId(id)) return null;
+
+  if (USE_POSTGRES) {
+    const db = await getDb();
+    const { rows } = await db.query('SELECT meta FROM room_recordings WHERE id = $1', [id]);
+    if (rows.length === 0) return null;
+    const lines = await db.query('SELECT line FROM room_recording_lines WHERE recording_id = $1 ORDER BY seq', [id]);
+    return JSON.stringify(rows[0].meta) + '\n' + lines.rows.map((row) => row.line).join('');
+  }
+
+  try {
+    return await fs.readFile(recordingPath(id), 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Read a whole recording.
+ *
+ * @param {string} id
+ * @returns {Promise<{ meta: object, events: object[] } | null>}
+ */
+export async function readRoomRecording(id) {
+  const text = await readRoomRecordingText(id);
+  if (text === null) return null;
+  const parsed = text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  const [meta, ...events] = parsed;
+  if (!meta || meta.kind !== 'meta') return null;
+  return { meta, events };
+}
+
+/**
+ * Delete recordings that were last written before the cutoff.
+ *
+ * @param {number} cutoffMs - epoch ms
+ * @returns {Promise<number>} number removed
+ */
+export async function purgeRoomRecordings(cutoffMs) {
+  if (USE_POSTGRES) {
+    const db = await getDb();
+    const { rowCount } = await db.query('DELETE FROM room_recordings WHERE updated_at < $1', [
+      new Date(cutoffMs).toISOString(),
+    ]);
+    return rowCount;
+  }
+
+  let files;
+  try {
+    files = await fs.readdir(RECORDINGS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+
+  let removed = 0;
+  for (const file of files) {
+    if (!file.endsWith('.jsonl')) continue;
+    const filePath = path.join(RECORDINGS_DIR, file);
+    const { mtimeMs } = await fs.stat(filePath);
+    if (mtimeMs < cutoffMs) {
+      await fs.unlink(filePath);
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,232 @@
+/**
+ * Multiplayer Room Registry (Auto-Switch)
+ *
+ * Holds a serializable snapshot of every multiplayer room and fans room
+ * messages out between server instances, so a socket on instance A can
+ * play with a socket on instance B and rooms survive a deploy restart.
+ *
+ * Backends (MULTIPLAYER_BACKEND):
+ *   - 'memory'   — in-process Map + EventEmitter (single instance, default without Postgres)
+ *   - 'postgres' — multiplayer_rooms table + LISTEN/NOTIFY (default when DATABASE_URL is set).
+ *                  Envelopes too large for NOTIFY ride through the multiplayer_relay table.
+ *
+ * Sockets never leave the instance that owns them; only snapshots and
+ * message envelopes travel through the registry.
+ *
+ * Snapshots carry a version. saveRoom writes only over the version the caller
+ * read (0 for a new room) and returns the new one, or null when another
+ * instance wrote first — the caller re-reads the room and applies its change
+ * again, so a join or kick on one instance isn't undone by a stale save on another.
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import { MULTIPLAYER_BACKEND } from '../config/index.js';
+import log from './logger.js';
+
+const NOTIFY_CHANNEL = 'multiplayer_events';
+// Postgres caps NOTIFY payloads at 8000 bytes — leave headroom for the envelope
+const MAX_NOTIFY_BYTES = 7500;
+
+// ========== IN-PROCESS REGISTRY ==========
+
+class MemoryRoomRegistry {
+  constructor() {
+    this.instanceId = randomBytes(6).toString('hex');
+    this._rooms = new Map();
+    this._bus = new EventEmitter();
+    this._bus.setMaxListeners(0);
+  }
+
+  async load() {
+    log.info({ backend: 'memory', instanceId: this.instanceId }, 'Multiplayer room registry ready');
+  }
+
+  async getRoom(code) {
+    const snapshot = this._rooms.get(code);
+    return snapshot ? structuredClone(snapshot) : null;
+  }
+
+  async saveRoom(snapshot) {
+    const expected = snapshot.version || 0;
+    if ((this._rooms.get(snapshot.code)?.version || 0) !== expected) return null;
+    const version = expected + 1;
+    this._rooms.set(snapshot.code, { ...structuredClone(snapshot), version, updatedAt: Date.now() });
+    return version;
+  }
+
+  async deleteRoom(code) {
+    this._rooms.delete(code);
+  }
+
+  async hasRoom(code) {
+    return this._rooms.has(code);
+  }
+
+  async listRooms({ projectId = null } = {}) {
+    const result = [];
+    for (const snapshot of this._rooms.values()) {
+      if (!projectId || snapshot.projectId === projectId) result.push(structuredClone(snapshot));
+    }
+    return result;
+  }
+
+  async pruneStale(maxIdleMs) {
+    const cutoff = Date.now() - maxIdleMs;
+    let pruned = 0;
+    for (const [code, snapshot] of this._rooms) {
+      if ((snapshot.updatedAt || 0) < cutoff) {
+        this._rooms.delete(code);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  async publish(code, envelope) {
+    this._bus.emit('message', { ...envelope, code, instanceId: this.instanceId });
+  }
+
+  onMessage(handler) {
+    this._bus.on('message', handler);
+  }
+}
+
+// ========== POSTGRES REGISTRY ==========
+
+class PgRoomRegistry {
+  constructor() {
+    this.instanceId = randomBytes(6).toString('hex');
+    this._pool = null;
+    this._listener = null;
+    this._handlers = [];
+  }
+
+  async load() {
+    const { getPool } = await import('./db.js');
+    this._pool = getPool();
+    await this._listen();
+    log.info({ backend: 'postgres', instanceId: this.instanceId }, 'Multiplayer room registry ready');
+  }
+
+  async _listen() {
+    this._listener = await this._pool.connect();
+    this._listener.on('notification', (msg) => {
+      if (msg.channel !== NOTIFY_CHANNEL || !msg.payload) return;
+      this._dispatch(msg.payload).catch((err) =>
+        log.error({ err: err.message }, 'Could not dispatch multiplayer notification'),
+      );
+    });
+    // A dropped LISTEN connection means we silently stop hearing other instances — reconnect
+    this._listener.on('error', (err) => {
+      log.error({ err: err.message }, 'Multiplayer LISTEN connection lost — reconnecting');
+      try {
+        this._listener.release(true);
+      } catch {
+        /* already released */
+      }
+      setTimeout(() => this._listen().catch((e) => log.error({ err: e.message }, 'LISTEN reconnect failed')), 2000);
+    });
+    await this._listener.query(`LISTEN ${NOTIFY_CHANNEL}`);
+  }
+
+  async _dispatch(payload) {
+    let envelope = JSON.parse(payload);
+    if (envelope.relayId) {
+      const { rows } = await this._pool.query('SELECT envelope FROM multiplayer_relay WHERE id = $1', [
+        envelope.relayId,
+      ]);
+      if (rows.length === 0) return;
+      envelope = rows[0].envelope;
+    }
+    for (const handler of this._handlers) handler(envelope);
+  }
+
+  async getRoom(code) {
+    const { rows } = await this._pool.query('SELECT snapshot, version FROM multiplayer_rooms WHERE code = $1', [code]);
+    return rows[0] ? { ...rows[0].snapshot, version: rows[0].version } : null;
+  }
+
+  async saveRoom(snapshot) {
+    const expected = snapshot.version || 0;
+    const stored = { ...snapshot, version: expected + 1, updatedAt: Date.now() };
+    const params = [snapshot.code, snapshot.projectId || null, stored, expected];
+    // A new room (or one written before versions existed) is inserted; anything else is
+    // only written over the version the caller read, never recreated after it closed
+    const { rows } =
+      expected === 0
+        ? await this._pool.query(
+            `INSERT INTO multiplayer_rooms (code, project_id, snapshot, version, updated_at)
+             VALUES ($1, $2, $3, $4::int + 1, NOW())
+             ON CONFLICT (code) DO UPDATE SET
+               project_id = EXCLUDED.project_id,
+               snapshot = EXCLUDED.snapshot,
+               version = EXCLUDED.version,
+               updated_at = NOW()
+             WHERE multiplayer_rooms.version = $4
+             RETURNING version`,
+            params,
+          )
+        : await this._pool.query(
+            `UPDATE multiplayer_rooms SET project_id = $2, snapshot = $3, version = $4::int + 1, updated_at = NOW()
+             WHERE code = $1 AND version = $4
+             RETURNING version`,
+            params,
+          );
+    return rows[0]?.version ?? null;
+  }
+
+  async deleteRoom(code) {
+    await this._pool.query('DELETE FROM multiplayer_rooms WHERE code = $1', [code]);
+  }
+
+  async hasRoom(code) {
+    const { rows } = await this._pool.query('SELECT 1 FROM multiplayer_rooms WHERE code = $1', [code]);
+    return rows.length > 0;
+  }
+
+  async listRooms({ projectId = null } = {}) {
+    const { rows } = projectId
+      ? await this._pool.query(
+          'SELECT snapshot, version FROM multiplayer_rooms WHERE project_id = $1 ORDER BY updated_at DESC',
+          [projectId],
+        )
+      : await this._pool.query('SELECT snapshot, version FROM multiplayer_rooms ORDER BY updated_at DESC');
+    return rows.map((r) => ({ ...r.snapshot, version: r.version }));
+  }
+
+  async pruneStale(maxIdleMs) {
+    const { rowCount } = await this._pool.query(
+      "DELETE FROM multiplayer_rooms WHERE updated_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')",
+      [maxIdleMs],
+    );
+    await this._pool.query("DELETE FROM multiplayer_relay WHERE created_at < NOW() - INTERVAL '5 minutes'");
+    return rowCount;
+  }
+
+  async publish(code, envelope) {
+    const full = { ...envelope, code, instanceId: this.instanceId };
+    let payload = JSON.stringify(full);
+    if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+      // Too big for NOTIFY (large game states) — park it in the relay table and send the row id
+      const { rows } = await this._pool.query('INSERT INTO multiplayer_relay (envelope) VALUES ($1) RETURNING id', [
+        full,
+      ]);
+      payload = JSON.stringify({ relayId: rows[0].id });
+    }
+    await this._pool.query('SELECT pg_notify($1, $2)', [NOTIFY_CHANNEL, payload]);
+  }
+
+  onMessage(handler) {
+    this._handlers.push(handler);
+  }
+}
+
+// ========== FACTORY ==========
+
+export function createRoomRegistry(backend = MULTIPLAYER_BACKEND) {
+  if (backend === 'postgres') return new PgRoomRegistry();
+  return new MemoryRoomRegistry();
+}
+
+export { MemoryRoomRegistry, PgRoomRegistry };
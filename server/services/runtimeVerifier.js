@@ -0,0 +1,334 @@
+/**
+ * Runtime Verifier — headless test-play of generated games
+ *
+ * validateEngineOutput only pattern-matches the source. This actually runs the
+ * game in headless Chromium for a few seconds and watches for:
+ *   - uncaught exceptions (the game throws on load)
+ *   - a game loop that never starts (no requestAnimationFrame callbacks)
+ *   - a canvas that never draws anything (one flat colour, usually black)
+ *
+ * The page is sandboxed: every request except the game CDNs is aborted,
+ * WebSockets never reach a server, WebRTC can't use local addresses, dialogs
+ * are dismissed, and WebGL contexts are forced to preserveDrawingBuffer so the
+ * canvas can be read back. One shared browser (playwright-core) is launched on
+ * first use and closed again after a minute idle. At most
+ * RUNTIME_VERIFY_CONCURRENCY runs share it; a run that waits longer than
+ * RUNTIME_VERIFY_QUEUE_MS for a slot, or whose request is cancelled, is
+ * 'skipped'. Without a Chromium install (npx playwright-core install chromium)
+ * every run reports status 'skipped' and a warning is logged once.
+ *
+ * Chromium is launched with its OS sandbox on. That needs unprivileged user
+ * namespaces (or the setuid chrome-sandbox helper) on the host, and must not run
+ * as root — in Docker, run the server as a non-root user and allow user
+ * namespaces (or use a seccomp profile that permits them). If the sandbox can't
+ * start, the launch fails and runs are 'skipped' like a missing browser.
+ *
+ * The same sandbox screenshots published games for their gallery thumbnails
+ * (captureGameMedia, used by services/gameCapture.js).
+ */
+
+import { RUNTIME_VERIFY_CONCURRENCY, RUNTIME_VERIFY_MS, RUNTIME_VERIFY_QUEUE_MS } from '../config/index.js';
+
+const ALLOWED_HOSTS = new Set(['cdn.jsdelivr.net', 'cdnjs.cloudflare.com']);
+const BROWSER_IDLE_MS = 60 * 1000;
+const LOAD_TIMEOUT_MS = 10000;
+const MAX_REPORTED_ERRORS = 5;
+const MAX_ERROR_CHARS = 300;
+
+// Runs in the page before any game script
+const INSTRUMENT_SCRIPT = `(() => {
+  window.__vibeFrames = 0;
+  const raf = window.requestAnimationFrame.bind(window);
+  window.requestAnimationFrame = (cb) => raf((t) => { window.__vibeFrames++; cb(t); });
+  const getContext = HTMLCanvasElement.prototype.getContext;
+  HTMLCanvasElement.prototype.getContext = function (type, attrs) {
+    if (/webgl/i.test(type)) attrs = Object.assign({}, attrs, { preserveDrawingBuffer: true });
+    return getContext.call(this, type, attrs);
+  };
+})();`;
+
+// Runs in the page after the test-play window: frames seen, and whether any canvas has 2+ colours
+/* global document, window */
+function inspectPage() {
+  const canvases = [...document.querySelectorAll('canvas')].filter((c) => c.width > 0 && c.height > 0);
+  let drawn = false;
+  for (const canvas of canvases) {
+    const probe = document.createElement('canvas');
+    probe.width = 32;
+    probe.height = 32;
+    const ctx = probe.getContext('2d');
+    try {
+      ctx.drawImage(canvas, 0, 0, 32, 32);
+      const data = ctx.getImageData(0, 0, 32, 32).data;
+      for (let i = 4; i < data.length && !drawn; i += 4) {
+        drawn = data[i] !== data[0] || data[i + 1] !== data[1] || data[i + 2] !== data[2] || data[i + 3] !== data[3];
+      }
+    } catch {
+      // Tainted by a cross-origin image — something was drawn
+      drawn = true;
+    }
+    if (drawn) break;
+  }
+  return { frameCount: window.__vibeFrames || 0, canvasCount: canvases.length, canvasDrawn: drawn };
+}
+
+/**
+ * Turn raw observations into a verdict. Console errors are reported but don't fail
+ * a game on their own (a missing sprite shouldn't trigger a rewrite).
+ *
+ * @param {{ pageErrors: string[], consoleErrors: string[], frameCount: number, canvasCount: number, canvasDrawn: boolean }} run
+ * @returns {{ status: 'passed'|'failed', reasons: string[] }}
+ */
+export function judgeRuntime({ pageErrors, frameCount, canvasCount, canvasDrawn }) {
+  const reasons = [];
+  if (pageErrors.length > 0) reasons.push('uncaught_exception');
+  if (canvasCount > 0 && frameCount === 0) reasons.push('no_animation_frames');
+  if (canvasCount > 0 && !canvasDrawn) reasons.push('blank_canvas');
+  return { status: reasons.length > 0 ? 'failed' : 'passed', reasons };
+}
+
+/**
+ * The problem list handed to the debug repair pass — the real error text, not a summary.
+ * @param {object} result - A failed verifyGameRuntime() result
+ */
+export function formatRuntimeReport(result) {
+  const lines = [];
+  for (const error of result.pageErrors) lines.push(`- Uncaught error: ${error}`);
+  if (result.reasons.includes('no_animation_frames')) {
+    lines.push('- The game loop never ran: requestAnimationFrame was not called once after the page loaded.');
+  }
+  if (result.reasons.includes('blank_canvas')) {
+    lines.push('- The canvas stayed one flat colour the whole time — nothing was ever drawn on it.');
+  }
+  for (const error of result.consoleErrors) lines.push(`- Console error: ${error}`);
+  return lines.join('\n');
+}
+
+// ========== BROWSER ==========
+
+let browserPromise = null;
+let browserUnavailable = false;
+let idleTimer = null;
+let activeRuns = 0;
+const waiting = [];
+
+async function getBrowser() {
+  if (browserUnavailable) return null;
+  if (!browserPromise) {
+    const launching = import('playwright-core')
+      .then(({ chromium }) =>
+        chromium.launch({
+          // The games are user-controlled code: keep Chromium's own OS sandbox on (Playwright turns it off by
+          // default) so a renderer exploit doesn't land in the server process
+          chromiumSandbox: true,
+          // WebRTC only through a proxy (there is none), so games can't reach local addresses over UDP
+          args: ['--disable-dev-shm-usage', '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'],
+        }),
+      )
+      .then((browser) => {
+        // A crashed browser is relaunched on the next run
+        browser.on('disconnected', () => {
+          if (browserPromise === launching) browserPromise = null;
+        });
+        return browser;
+      })
+      .catch((err) => {
+        browserUnavailable = true;
+        browserPromise = null;
+        console.warn(`⚠️ Runtime verification disabled — no headless browser: ${err.message.split('\n')[0]}`);
+        return null;
+      });
+    browserPromise = launching;
+  }
+  return browserPromise;
+}
+
+function scheduleBrowserClose() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    const closing = browserPromise;
+    browserPromise = null;
+    const browser = await closing;
+    await browser?.close().catch(() => {});
+  }, BROWSER_IDLE_MS);
+  idleTimer.unref?.();
+}
+
+const clip = (text) => String(text).slice(0, MAX_ERROR_CHARS);
+
+/**
+ * Load the game in a fresh sandboxed page and hand the page to fn.
+ * @param {object} [contextOptions] - Extra browser context options (e.g. deviceScaleFactor)
+ * @param {AbortSignal|null} [signal] - Closes the page early when the request is cancelled
+ */
+async function withGamePage(browser, code, contextOptions, fn, signal = null) {
+  const context = await browser.newContext({
+    viewport: { width: 800, height: 600 },
+    serviceWorkers: 'block',
+    ...contextOptions,
+  });
+  const onAbort = () => context.close().catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    await context.route('**/*', (route) => {
+      const url = new URL(route.request().url());
+      const allowed = url.protocol === 'data:' || url.protocol === 'blob:' || ALLOWED_HOSTS.has(url.hostname);
+      return allowed ? route.continue() : route.abort();
+    });
+    // context.route doesn't see WebSockets: answer every one here without connecting anywhere
+    await context.routeWebSocket(/.*/, (ws) => ws.close({ code: 1008, reason: 'Blocked by the test-play sandbox' }));
+    const page = await context.newPage();
+    const pageErrors = [];
+    const consoleErrors = [];
+    page.on('pageerror', (err) => pageErrors.push(clip(err.message)));
+    page.on('console', (msg) => {
+      // Blocked requests are the sandbox's doing, not the game's
+      if (msg.type() === 'error' && !msg.text().startsWith('Failed to load resource')) {
+        consoleErrors.push(clip(msg.text()));
+      }
+    });
+    page.on('dialog', (dialog) => dialog.dismiss().catch(() => {}));
+    await page.addInitScript(INSTRUMENT_SCRIPT);
+
+    await page.setContent(code, { waitUntil: 'load', timeout: LOAD_TIMEOUT_MS });
+    return await fn(page, { pageErrors, consoleErrors });
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    await context.close().catch(() => {});
+  }
+}
+
+async function runGame(browser, code, durationMs, signal) {
+  const startedAt = Date.now();
+  return withGamePage(
+    browser,
+    code,
+    {},
+    async (page, { pageErrors, consoleErrors }) => {
+      await page.waitForTimeout(durationMs);
+      const observed = await page.evaluate(inspectPage);
+
+      const run = {
+        pageErrors: pageErrors.slice(0, MAX_REPORTED_ERRORS),
+        consoleErrors: consoleErrors.slice(0, MAX_REPORTED_ERRORS),
+        ...observed,
+      };
+      return { ...run, ...judgeRuntime(run), durationMs: Date.now() - startedAt };
+    },
+    signal,
+  );
+}
+
+/**
+ * Wait for one of the RUNTIME_VERIFY_CONCURRENCY browser slots.
+ * @returns {Promise<'ok'|'queue_timeout'|'aborted'>}
+ */
+function acquireSlot(signal) {
+  if (signal?.aborted) return Promise.resolve('aborted');
+  if (activeRuns < RUNTIME_VERIFY_CONCURRENCY) {
+    activeRuns++;
+    return Promise.resolve('ok');
+  }
+  return new Promise((resolve) => {
+    const waiter = { resolve: (outcome) => finish(outcome) };
+    const timer = setTimeout(() => finish('queue_timeout'), RUNTIME_VERIFY_QUEUE_MS);
+    const onAbort = () => finish('aborted');
+    signal?.addEventListener('abort', onAbort, { once: true });
+    function finish(outcome) {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      const index = waiting.indexOf(waiter);
+      if (index !== -1) waiting.splice(index, 1);
+      resolve(outcome);
+    }
+    waiting.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  // Hand the slot straight to the next waiter, so activeRuns stays the same
+  const next = waiting.shift();
+  if (next) next.resolve('ok');
+  else activeRuns--;
+}
+
+/**
+ * Run a job on the shared browser once a slot is free. onSkip(reason) builds
+ * the result when the job can't run: 'queue_timeout', 'aborted',
+ * 'browser_unavailable' or 'harness_error'.
+ */
+async function runInBrowser(job, onSkip, label, signal = null) {
+  const slot = await acquireSlot(signal);
+  if (slot !== 'ok') return onSkip(slot);
+  clearTimeout(idleTimer);
+  try {
+    const browser = await getBrowser();
+    if (!browser) return onSkip('browser_unavailable');
+    return await job(browser);
+  } catch (err) {
+    if (signal?.aborted) return onSkip('aborted');
+    console.warn(`⚠️ ${label} could not run the game: ${err.message.split('\n')[0]}`);
+    return onSkip('harness_error');
+  } finally {
+    releaseSlot();
+    if (activeRuns === 0) scheduleBrowserClose();
+  }
+}
+
+/**
+ * Test-play a game in headless Chromium.
+ *
+ * @param {string} code - Full game HTML
+ * @param {{ durationMs?: number, signal?: AbortSignal|null }} [opts] - signal stops the run when the generation is cancelled
+ * @returns {Promise<{
+ *   status: 'passed'|'failed'|'skipped',
+ *   reasons: string[],
+ *   pageErrors: string[],
+ *   consoleErrors: string[],
+ *   frameCount: number|null,
+ *   canvasCount: number|null,
+ *   canvasDrawn: boolean|null,
+ *   durationMs: number,
+ * }>}
+ */
+export function verifyGameRuntime(code, { durationMs = RUNTIME_VERIFY_MS, signal = null } = {}) {
+  const skipped = (reason) => ({
+    status: 'skipped',
+    reasons: [reason],
+    pageErrors: [],
+    consoleErrors: [],
+    frameCount: null,
+    canvasCount: null,
+    canvasDrawn: null,
+    durationMs: 0,
+  });
+  return runInBrowser((browser) => runGame(browser, code, durationMs, signal), skipped, 'Runtime verification', signal);
+}
+
+/**
+ * Screenshot a game at half size (400x300) in the same sandbox: a JPEG still
+ * after warmupMs, then `frames` PNG frames frameIntervalMs apart for an
+ * animated preview.
+ *
+ * @param {string} code - Full game HTML
+ * @param {{ warmupMs?: number, frames?: number, frameIntervalMs?: number }} [opts]
+ * @returns {Promise<{ status: 'captured'|'skipped', reasons: string[], thumbnail: Buffer|null, frames: Buffer[] }>}
+ */
+export function captureGameMedia(code, { warmupMs = 1500, frames = 0, frameIntervalMs = 250 } = {}) {
+  const skipped = (reason) => ({ status: 'skipped', reasons: [reason], thumbnail: null, frames: [] });
+  return runInBrowser(
+    (browser) =>
+      withGamePage(browser, code, { deviceScaleFactor: 0.5 }, async (page) => {
+        await page.waitForTimeout(warmupMs);
+        const thumbnail = await page.screenshot({ type: 'jpeg', quality: 70 });
+        const captured = [];
+        for (let i = 0; i < frames; i++) {
+          if (i > 0) await page.waitForTimeout(frameIntervalMs);
+          captured.push(await page.screenshot({ type: 'png' }));
+        }
+        return { status: 'captured', reasons: [], thumbnail, frames: captured };
+      }),
+    skipped,
+    'Game capture',
+  );
+}
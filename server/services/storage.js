@@ -30,8 +30,13 @@ export const findUserBySubscriptionId = backend.findUserBySubscriptionId;
 export const deleteUser     = backend.deleteUser;
 export const readProject    = backend.readProject;
 export const writeProject   = backend.writeProject;
+export const updateProjectFields = backend.updateProjectFields;
+export const incrementRemixCount = backend.incrementRemixCount;
 export const deleteProject  = backend.deleteProject;
 export const listProjects   = backend.listProjects;
+export const writeProjectMedia  = backend.writeProjectMedia;
+export const readProjectMedia   = backend.readProjectMedia;
+export const deleteProjectMedia = backend.deleteProjectMedia;
 export const ensureDataDirs = backend.ensureDataDirs;
 
 // ESA / ClassWallet helpers
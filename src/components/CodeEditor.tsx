@@ -1,20 +1,113 @@
-import Editor from '@monaco-editor/react'
+import { useMemo, useRef, useState } from 'react'
+import Editor, { type OnMount } from '@monaco-editor/react'
+import {
+  ENTRY_FILE,
+  MAX_PROJECT_FILES,
+  addProjectFile,
+  bundleProjectFiles,
+  fileLanguage,
+  isValidFilePath,
+  removeProjectFile,
+  splitHtmlIntoFiles,
+  unbundleProjectFiles,
+} from '../utils/projectFiles'
+import type { CodeSelection, ProjectFile } from '../types'
 import './CodeEditor.css'
 
 interface CodeEditorProps {
+  /** The game as one HTML document — a multi-file project arrives bundled (see utils/projectFiles) */
   code: string
   onChange: (code: string) => void
+  /** Explain mode: the selected lines, or the lines on screen when nothing is selected */
+  onExplain?: (selection: CodeSelection) => void
+  /** Download the game as a zip that plays offline, with its sprites, models and libraries */
+  onExport?: () => void
 }
 
-export default function CodeEditor({ code, onChange }: CodeEditorProps) {
+const FILE_ICONS: Record<string, string> = { html: '📄', javascript: '⚙️', css: '🎨', json: '🗂️' }
+
+export default function CodeEditor({ code, onChange, onExplain, onExport }: CodeEditorProps) {
+  const files = useMemo(() => unbundleProjectFiles(code), [code])
+  const [selectedPath, setSelectedPath] = useState(ENTRY_FILE)
+  const activeFile = files?.find((f) => f.path === selectedPath) ?? files?.[0] ?? null
+  const editorRef = useRef<Parameters<OnMount>[0] | null>(null)
+
+  const updateFiles = (nextFiles: ProjectFile[]) => {
+    onChange(bundleProjectFiles(nextFiles))
+  }
+
   const handleEditorChange = (value: string | undefined) => {
-    if (value !== undefined) {
+    if (value === undefined) return
+    if (files && activeFile) {
+      updateFiles(files.map((f) => (f.path === activeFile.path ? { ...f, content: value } : f)))
+    } else {
       onChange(value)
     }
   }
 
+  const handleSplit = () => {
+    if (!window.confirm('Split your game into separate files (index.html, game.js, style.css)?')) return
+    const split = splitHtmlIntoFiles(code)
+    if (split.length === 1) {
+      alert("There's no script or style in this game to split out yet.")
+      return
+    }
+    updateFiles(split)
+    setSelectedPath(split.some((f) => f.path === 'game.js') ? 'game.js' : ENTRY_FILE)
+  }
+
+  const handleAddFile = () => {
+    if (!files) return
+    if (files.length >= MAX_PROJECT_FILES) {
+      alert(`A project can have up to ${MAX_PROJECT_FILES} files.`)
+      return
+    }
+    const path = window.prompt('Name your new file (like enemies.js, effects.css or levels.json):')?.trim()
+    if (!path) return
+    if (!isValidFilePath(path)) {
+      alert('File names need to end in .js, .css or .json and use only letters, numbers, - and _.')
+      return
+    }
+    if (files.some((f) => f.path.toLowerCase() === path.toLowerCase())) {
+      alert(`You already have a file called ${path}.`)
+      return
+    }
+    updateFiles(addProjectFile(files, path))
+    setSelectedPath(path)
+  }
+
+  const handleDeleteFile = (path: string) => {
+    if (!files || !window.confirm(`Delete ${path}? This can't be undone (but Version History can bring it back).`)) return
+    const remaining = removeProjectFile(files, path)
+    // Down to just index.html — back to a plain single-file game
+    onChange(remaining.length === 1 ? remaining[0].content : bundleProjectFiles(remaining))
+    setSelectedPath(ENTRY_FILE)
+  }
+
+  const handleExplain = () => {
+    const editor = editorRef.current
+    if (!editor || !onExplain) return
+    const selection = editor.getSelection()
+    let startLine: number
+    let endLine: number
+    if (selection && !selection.isEmpty()) {
+      startLine = selection.startLineNumber
+      // A drag that stops at the very start of a line doesn't really include that line
+      endLine =
+        selection.endColumn === 1 && selection.endLineNumber > startLine
+          ? selection.endLineNumber - 1
+          : selection.endLineNumber
+    } else {
+      const visible = editor.getVisibleRanges()[0]
+      if (!visible) return
+      startLine = visible.startLineNumber
+      endLine = visible.endLineNumber
+    }
+    onExplain({ ...(files && activeFile ? { file: activeFile.path } : {}), startLine, endLine })
+  }
+
   const handleCopy = () => {
-    navigator.clipboard.writeText(code)
+    navigator.clipboard.writeText(activeFile ? activeFile.content : code)
   }
 
   const handleDownload = () => {
@@ -34,41 +127,93 @@ export default function CodeEditor({ code, onChange }: CodeEditorProps) {
         Your Code
         <span className="editable-badge">You can edit!</span>
       </div>
-      
-      <div className="panel-content code-editor-wrapper">
-        <Editor
-          height="100%"
-          defaultLanguage="html"
-          value={code}
-          onChange={handleEditorChange}
-          theme="vs-light"
-          options={{
-            minimap: { enabled: false },
-            fontSize: 14,
-            fontFamily: "'Fira Code', 'Consolas', monospace",
-            lineNumbers: 'on',
-            wordWrap: 'on',
-            scrollBeyondLastLine: false,
-            automaticLayout: true,
-            padding: { top: 16, bottom: 16 },
-            renderLineHighlight: 'line',
-            folding: true,
-            lineDecorationsWidth: 10,
-            glyphMargin: false,
-            contextmenu: true,
-            quickSuggestions: true,
-            suggestOnTriggerCharacters: true,
-          }}
-        />
+
+      <div className={`panel-content code-editor-wrapper ${files ? 'has-file-tree' : ''}`}>
+        {files && (
+          <div className="file-tree" aria-label="Project files">
+            {files.map((file) => (
+              <div key={file.path} className={`file-tree-item ${file.path === activeFile?.path ? 'active' : ''}`}>
+                <button className="file-tree-name" onClick={() => setSelectedPath(file.path)} title={file.path}>
+                  <span>{FILE_ICONS[fileLanguage(file.path)]}</span> {file.path}
+                </button>
+                {file.path !== ENTRY_FILE && (
+                  <button
+                    className="file-tree-delete"
+                    onClick={() => handleDeleteFile(file.path)}
+                    aria-label={`Delete ${file.path}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+            <button className="file-tree-add" onClick={handleAddFile}>
+              ＋ New file
+            </button>
+          </div>
+        )}
+        <div className="code-editor-main">
+          <Editor
+            height="100%"
+            path={activeFile?.path ?? ENTRY_FILE}
+            language={fileLanguage(activeFile?.path ?? ENTRY_FILE)}
+            value={activeFile ? activeFile.content : code}
+            onChange={handleEditorChange}
+            onMount={(editor) => {
+              editorRef.current = editor
+            }}
+            theme="vs-light"
+            options={{
+              minimap: { enabled: false },
+              fontSize: 14,
+              fontFamily: "'Fira Code', 'Consolas', monospace",
+              lineNumbers: 'on',
+              wordWrap: 'on',
+              scrollBeyondLastLine: false,
+              automaticLayout: true,
+              padding: { top: 16, bottom: 16 },
+              renderLineHighlight: 'line',
+              folding: true,
+              lineDecorationsWidth: 10,
+              glyphMargin: false,
+              contextmenu: true,
+              quickSuggestions: true,
+              suggestOnTriggerCharacters: true,
+            }}
+          />
+        </div>
       </div>
-      
+
       <div className="code-actions">
         <button className="code-action-btn" onClick={handleCopy}>
-          <span>📋</span> Copy Code
+          <span>📋</span> {files ? 'Copy File' : 'Copy Code'}
         </button>
         <button className="code-action-btn" onClick={handleDownload}>
           <span>⬇️</span> Download
         </button>
+        {onExport && (
+          <button
+            className="code-action-btn"
+            onClick={onExport}
+            title="Download a zip with everything your game needs, so it plays without the internet"
+          >
+            <span>📦</span> Play Offline
+          </button>
+        )}
+        {onExplain && (
+          <button
+            className="code-action-btn"
+            onClick={handleExplain}
+            title="Select some lines (or scroll to a part), then tap to have Professor Claude explain it"
+          >
+            <span>🧑‍🏫</span> Explain This
+          </button>
+        )}
+        {!files && (
+          <button className="code-action-btn" onClick={handleSplit}>
+            <span>🗂️</span> Split into Files
+          </button>
+        )}
       </div>
     </div>
   )
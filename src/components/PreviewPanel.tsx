@@ -1,18 +1,43 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 import { enhanceSandboxedPreviewHtml } from '../utils/previewHtml';
+import { getReplayDuration, injectReplayBridge, replayEventToGameMessage } from '../utils/replayHtml';
+import type { MultiplayerReplay } from '../types';
 import './PreviewPanel.css';
 
+// Give the game a moment after load to find VibeMultiplayer and set its callbacks
+const REPLAY_START_DELAY_MS = 600;
+const REPLAY_FRAME_MS = 50;
+
 interface PreviewPanelProps {
   code: string;
+  /** Draft of the game the AI is still writing; shown instead of `code` until the result lands. */
+  partialCode?: string | null;
+  /** A multiplayer room recording to play back into the game instead of the live preview. */
+  replay?: MultiplayerReplay | null;
+  onExitReplay?: () => void;
+}
+
+function formatReplayTime(ms: number) {
+  return `${(ms / 1000).toFixed(1)}s`;
 }
 
-export default function PreviewPanel({ code }: PreviewPanelProps) {
+export default function PreviewPanel({ code, partialCode = null, replay = null, onExitReplay }: PreviewPanelProps) {
   const iframeRef = useRef<HTMLIFrameElement>(null);
   const fullscreenIframeRef = useRef<HTMLIFrameElement>(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [key, setKey] = useState(0);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [replayPosition, setReplayPosition] = useState(0);
+  const replayTimerRef = useRef<number | null>(null);
+  const replayCursorRef = useRef(0);
+  const replayStateRef = useRef<Record<string, unknown>>({});
+  const replayClockRef = useRef({ startedAt: 0, offset: 0 });
 
-  const enhancedCode = enhanceSandboxedPreviewHtml(code);
+  const isLiveDraft = !replay && !!partialCode;
+  const enhancedCode = enhanceSandboxedPreviewHtml(
+    replay?.code ? injectReplayBridge(replay.code) : isLiveDraft ? partialCode : code,
+  );
+  const replayDuration = replay ? getReplayDuration(replay) : 0;
 
   const focusIframe = useCallback((iframe: HTMLIFrameElement | null) => {
     if (!iframe) return;
@@ -38,10 +63,77 @@ export default function PreviewPanel({ code }: PreviewPanelProps) {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [isFullscreen]);
 
+  const stopReplayTimer = useCallback(() => {
+    if (replayTimerRef.current !== null) {
+      window.clearInterval(replayTimerRef.current);
+      replayTimerRef.current = null;
+    }
+  }, []);
+
+  const resetReplay = useCallback(() => {
+    stopReplayTimer();
+    replayCursorRef.current = 0;
+    replayStateRef.current = {};
+    replayClockRef.current = { startedAt: 0, offset: 0 };
+  }, [stopReplayTimer]);
+
+  // Post every event whose timestamp has passed, in order, in the shapes play.html would send
+  const runReplay = useCallback(() => {
+    if (!replay) return;
+    stopReplayTimer();
+    replayClockRef.current.startedAt = Date.now();
+    setIsReplaying(true);
+    replayTimerRef.current = window.setInterval(() => {
+      const clock = replayClockRef.current;
+      const elapsed = clock.offset + Date.now() - clock.startedAt;
+      const target = iframeRef.current?.contentWindow;
+      while (replayCursorRef.current < replay.events.length && replay.events[replayCursorRef.current].t <= elapsed) {
+        const event = replay.events[replayCursorRef.current++];
+        const message = replayEventToGameMessage(event, replay, replayStateRef.current);
+        if (message && target) target.postMessage(message, '*');
+      }
+      setReplayPosition(Math.min(elapsed, replayDuration));
+      if (replayCursorRef.current >= replay.events.length) {
+        stopReplayTimer();
+        setIsReplaying(false);
+      }
+    }, REPLAY_FRAME_MS);
+  }, [replay, replayDuration, stopReplayTimer]);
+
+  // A new recording starts from the top; stop the clock when it goes away
+  useEffect(() => {
+    resetReplay();
+    return stopReplayTimer;
+  }, [replay, resetReplay, stopReplayTimer]);
+
   const handleRefresh = () => {
+    resetReplay();
+    setIsReplaying(false);
+    setReplayPosition(0);
     setKey((prev) => prev + 1);
   };
 
+  const handlePreviewLoad = () => {
+    // Drafts reload every second while streaming — don't keep grabbing focus
+    if (!isLiveDraft) focusIframe(iframeRef.current);
+    if (replay && replayCursorRef.current === 0) {
+      window.setTimeout(runReplay, REPLAY_START_DELAY_MS);
+    }
+  };
+
+  const handleReplayToggle = () => {
+    if (isReplaying) {
+      stopReplayTimer();
+      const clock = replayClockRef.current;
+      clock.offset += Date.now() - clock.startedAt;
+      setIsReplaying(false);
+    } else if (replay && replayCursorRef.current >= replay.events.length) {
+      handleRefresh();
+    } else {
+      runReplay();
+    }
+  };
+
   const handlePlay = () => {
     setIsFullscreen(true);
   };
@@ -54,23 +146,46 @@ export default function PreviewPanel({ code }: PreviewPanelProps) {
     <>
       <div className="panel preview-panel">
         <div className="panel-header preview-header">
-          <button className="play-header-btn" onClick={handlePlay}>
-            <span className="play-text">Play My Creation!</span>
-          </button>
+          {replay ? (
+            <div className="replay-bar">
+              <button className="preview-control-btn" onClick={handleReplayToggle} title="Play or pause the replay">
+                {isReplaying ? '⏸' : '▶'}
+              </button>
+              <div className="replay-info">
+                <span className="replay-title">
+                  Replay {replay.meta.roomCode}
+                  {replay.projectTitle ? ` — ${replay.projectTitle}` : ''}
+                </span>
+                <span className="replay-time">
+                  {formatReplayTime(replayPosition)} / {formatReplayTime(replayDuration)}
+                </span>
+              </div>
+              {onExitReplay && (
+                <button className="replay-exit-btn" onClick={onExitReplay}>
+                  ✕ Close Replay
+                </button>
+              )}
+            </div>
+          ) : (
+            <button className="play-header-btn" onClick={handlePlay}>
+              <span className="play-text">Play My Creation!</span>
+            </button>
+          )}
           <button className="preview-control-btn" onClick={handleRefresh} title="Refresh Preview">
             🔄
           </button>
         </div>
 
         <div className="preview-iframe-wrapper">
+          {isLiveDraft && <div className="preview-live-badge">✏️ Building live...</div>}
           <iframe
-            key={key}
+            key={`${key}-${replay?.meta.id ?? 'live'}`}
             ref={iframeRef}
             srcDoc={enhancedCode}
             title="Preview"
             sandbox="allow-scripts allow-same-origin allow-pointer-lock"
             className="preview-iframe"
-            onLoad={() => focusIframe(iframeRef.current)}
+            onLoad={handlePreviewLoad}
           />
         </div>
       </div>
@@ -294,7 +294,11 @@ export default function ProjectsPanel({
                     )}
                     <span className="pp-item-meta">
                       {project.isPublic ? '🌐' : '🔒'} {project.views} views
+                      {project.remixCount ? ` · 🔀 ${project.remixCount}` : ''}
                     </span>
+                    {project.remixedFrom && (
+                      <span className="pp-item-meta">🔀 Remix of {project.remixedFrom.creatorName}'s game</span>
+                    )}
                   </div>
                   {project.id === currentProjectId && <span className="pp-item-active">●</span>}
                 </button>
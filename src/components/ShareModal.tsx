@@ -38,6 +38,7 @@ export default function ShareModal({
   const [category, setCategory] = useState('arcade');
   const [isPublic, setIsPublic] = useState(false);
   const [multiplayer, setMultiplayer] = useState(false);
+  const [allowRemix, setAllowRemix] = useState(true);
   const [isSharing, setIsSharing] = useState(false);
   const [shareResult, setShareResult] = useState<{ id: string; url: string } | null>(null);
   const [error, setError] = useState('');
@@ -68,6 +69,7 @@ export default function ShareModal({
           creatorName: creatorName.trim() || 'Anonymous Creator',
           isPublic,
           multiplayer,
+          allowRemix,
           category,
           thumbnail: thumbnail || undefined,
         }),
@@ -170,6 +172,18 @@ export default function ShareModal({
                 </p>
               </div>
 
+              {isPublic && (
+                <div className="form-group checkbox-group">
+                  <label className="checkbox-label">
+                    <input type="checkbox" checked={allowRemix} onChange={(e) => setAllowRemix(e.target.checked)} />
+                    <span className="checkbox-text">🔀 Let other kids remix it</span>
+                  </label>
+                  <p className="checkbox-hint">
+                    They get their own copy to change — your game stays just the way it is.
+                  </p>
+                </div>
+              )}
+
               <div className="form-group checkbox-group multiplayer-option">
                 <label className="checkbox-label">
                   <input type="checkbox" checked={multiplayer} onChange={(e) => setMultiplayer(e.target.checked)} />
@@ -1,23 +1,26 @@
 import { useState, useEffect } from 'react';
 import { enhanceSandboxedPreviewHtml } from '../utils/previewHtml';
-import type { EditorScene } from '../types';
+import type { EditorScene, ProjectVersion, VersionDiff } from '../types';
 import './VersionHistoryModal.css';
 
-interface Version {
-  versionId: string;
-  title: string;
-  savedAt: string;
-  versionNumber: number;
-  isCurrent?: boolean;
-  editorScene?: EditorScene | null;
-}
-
 interface VersionHistoryModalProps {
   isOpen: boolean;
   onClose: () => void;
   projectId: string;
   authToken: string | null;
   onRestoreVersion: (code: string, editorScene?: EditorScene | null) => void;
+  /** Unsaved edits are saved first so a checkpoint of the current game includes them */
+  hasUnsavedChanges?: boolean;
+  onSave?: () => Promise<boolean>;
+}
+
+const MAX_CHECKPOINT_NAME_LENGTH = 40;
+
+function versionLabel(version: ProjectVersion) {
+  if (version.checkpointName) return version.checkpointName;
+  if (version.isCurrent) return 'Current Version';
+  if (version.isOriginal) return 'Original Game';
+  return `Version ${version.versionNumber}`;
 }
 
 export default function VersionHistoryModal({
@@ -26,13 +29,19 @@ export default function VersionHistoryModal({
   projectId,
   authToken,
   onRestoreVersion,
+  hasUnsavedChanges = false,
+  onSave,
 }: VersionHistoryModalProps) {
-  const [versions, setVersions] = useState<Version[]>([]);
+  const [versions, setVersions] = useState<ProjectVersion[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [selectedVersion, setSelectedVersion] = useState<string | null>(null);
   const [previewCode, setPreviewCode] = useState<string | null>(null);
   const [isRestoring, setIsRestoring] = useState(false);
+  const [checkpointName, setCheckpointName] = useState('');
+  const [isSavingCheckpoint, setIsSavingCheckpoint] = useState(false);
+  const [compareFrom, setCompareFrom] = useState<string | null>(null);
+  const [diff, setDiff] = useState<VersionDiff | null>(null);
 
   // Fetch versions when modal opens
   useEffect(() => {
@@ -65,7 +74,34 @@ export default function VersionHistoryModal({
     }
   };
 
+  const findVersion = (versionId: string | null) => versions.find((v) => v.versionId === versionId);
+
+  const fetchDiff = async (fromId: string, toId: string) => {
+    setDiff(null);
+    try {
+      const response = await fetch(
+        `/api/projects/${projectId}/versions/compare?from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`,
+        { headers: { Authorization: `Bearer ${authToken}` } },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to compare versions');
+      setDiff(data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not compare versions');
+    }
+  };
+
   const handleVersionClick = async (versionId: string) => {
+    // In compare mode the second pick shows the changes between the two
+    if (compareFrom) {
+      if (versionId !== compareFrom) {
+        setSelectedVersion(versionId);
+        setPreviewCode(null);
+        await fetchDiff(compareFrom, versionId);
+      }
+      return;
+    }
+
     if (selectedVersion === versionId) {
       setSelectedVersion(null);
       setPreviewCode(null);
@@ -73,6 +109,7 @@ export default function VersionHistoryModal({
     }
 
     setSelectedVersion(versionId);
+    setDiff(null);
 
     try {
       const response = await fetch(`/api/projects/${projectId}/versions/${versionId}`, {
@@ -88,10 +125,23 @@ export default function VersionHistoryModal({
     }
   };
 
+  const startCompare = () => {
+    if (!selectedVersion) return;
+    setCompareFrom(selectedVersion);
+    setPreviewCode(null);
+    setDiff(null);
+  };
+
+  const stopCompare = () => {
+    setCompareFrom(null);
+    setSelectedVersion(null);
+    setDiff(null);
+  };
+
   const handleRestore = async () => {
     if (!selectedVersion || !previewCode) return;
 
-    const version = versions.find((v) => v.versionId === selectedVersion);
+    const version = findVersion(selectedVersion);
     if (version?.isCurrent) {
       onClose();
       return;
@@ -123,6 +173,40 @@ export default function VersionHistoryModal({
     }
   };
 
+  // Names the selected older version, or the current game when nothing (or the current version) is selected
+  const handleSaveCheckpoint = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = checkpointName.trim();
+    if (!name) return;
+
+    const target = findVersion(selectedVersion);
+    const versionId = target && !target.isCurrent ? target.versionId : null;
+    setIsSavingCheckpoint(true);
+    setError(null);
+
+    try {
+      if (!versionId && hasUnsavedChanges && onSave && !(await onSave())) {
+        throw new Error('Save your game first, then make a checkpoint');
+      }
+      const response = await fetch(`/api/projects/${projectId}/checkpoints`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${authToken}`,
+        },
+        body: JSON.stringify({ name, versionId }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save checkpoint');
+      setCheckpointName('');
+      await fetchVersions();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not save checkpoint');
+    } finally {
+      setIsSavingCheckpoint(false);
+    }
+  };
+
   const formatDate = (dateStr: string) => {
     const date = new Date(dateStr);
     const now = new Date();
@@ -180,6 +264,10 @@ export default function VersionHistoryModal({
     );
   }
 
+  const selected = findVersion(selectedVersion);
+  const compareFromVersion = findVersion(compareFrom);
+  const checkpointTarget = selected && !selected.isCurrent && !compareFrom ? selected : null;
+
   return (
     <div className="modal-overlay" onClick={onClose} role="dialog" aria-modal="true" aria-label="Version history">
       <div className="version-modal" onClick={(e) => e.stopPropagation()}>
@@ -198,6 +286,26 @@ export default function VersionHistoryModal({
           </div>
         )}
 
+        {!compareFrom && versions.length > 0 && (
+          <form className="version-checkpoint" onSubmit={handleSaveCheckpoint}>
+            <input
+              type="text"
+              value={checkpointName}
+              onChange={(e) => setCheckpointName(e.target.value)}
+              maxLength={MAX_CHECKPOINT_NAME_LENGTH}
+              placeholder={
+                checkpointTarget
+                  ? `Name "${versionLabel(checkpointTarget)}" (e.g. first level done)`
+                  : 'Name this moment (e.g. "before boss fight")'
+              }
+              aria-label="Checkpoint name"
+            />
+            <button type="submit" className="btn-checkpoint" disabled={isSavingCheckpoint || !checkpointName.trim()}>
+              {isSavingCheckpoint ? '⏳' : '📌 Checkpoint'}
+            </button>
+          </form>
+        )}
+
         <div className="version-content">
           {isLoading ? (
             <div className="version-loading">
@@ -212,18 +320,31 @@ export default function VersionHistoryModal({
             </div>
           ) : (
             <div className="version-list">
+              {compareFromVersion && (
+                <p className="version-compare-hint">
+                  🔍 Pick another version to compare with <strong>{versionLabel(compareFromVersion)}</strong>
+                </p>
+              )}
               {versions.map((version) => (
                 <button
                   key={version.versionId}
-                  className={`version-item ${selectedVersion === version.versionId ? 'selected' : ''} ${version.isCurrent ? 'current' : ''}`}
+                  className={`version-item ${selectedVersion === version.versionId || compareFrom === version.versionId ? 'selected' : ''} ${version.isCurrent ? 'current' : ''} ${version.checkpointName ? 'checkpoint' : ''}`}
                   onClick={() => handleVersionClick(version.versionId)}
                 >
-                  <div className="version-item-icon">{version.isCurrent ? '🟢' : '📄'}</div>
+                  <div className="version-item-icon">
+                    {version.isCurrent ? '🟢' : version.checkpointName ? '📌' : version.isOriginal ? '🌱' : '📄'}
+                  </div>
                   <div className="version-item-content">
-                    <span className="version-item-title">
-                      {version.isCurrent ? 'Current Version' : `Version ${version.versionNumber}`}
+                    <span className="version-item-title">{versionLabel(version)}</span>
+                    <span className="version-item-date">
+                      {formatDate(version.savedAt)}
+                      {version.autoSave && ' · auto-saved'}
+                      {version.fileCount > 1 && ` · ${version.fileCount} files`}
                     </span>
-                    <span className="version-item-date">{formatDate(version.savedAt)}</span>
+                    {version.prompt && <span className="version-item-prompt">💬 “{version.prompt}”</span>}
+                    {version.branchedFrom && (
+                      <span className="version-item-branch">🌿 Branched from version {version.branchedFrom}</span>
+                    )}
                   </div>
                   {version.isCurrent && <span className="version-badge">Current</span>}
                 </button>
@@ -231,7 +352,37 @@ export default function VersionHistoryModal({
             </div>
           )}
 
-          {selectedVersion && previewCode && (
+          {diff && compareFromVersion && selected && (
+            <div className="version-diff">
+              <div className="preview-header">
+                <span>
+                  🔍 {versionLabel(compareFromVersion)} → {versionLabel(selected)}
+                </span>
+                <span className="diff-stat-added">+{diff.added}</span>
+                <span className="diff-stat-removed">−{diff.removed}</span>
+              </div>
+              {diff.hunks.length === 0 ? (
+                <p className="empty-hint">These two versions have exactly the same code.</p>
+              ) : (
+                diff.hunks.map((hunk) => (
+                  <div className="diff-hunk" key={`${hunk.oldStart}-${hunk.newStart}`}>
+                    <div className="diff-hunk-header">Line {hunk.newStart}</div>
+                    {hunk.lines.map((line, i) => (
+                      <div
+                        key={i}
+                        className={`diff-line ${line.type === '+' ? 'added' : line.type === '-' ? 'removed' : ''}`}
+                      >
+                        <span className="diff-marker">{line.type}</span>
+                        {line.text}
+                      </div>
+                    ))}
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+
+          {!compareFrom && selectedVersion && previewCode && (
             <div className="version-preview">
               <div className="preview-header">
                 <span>👀 Preview</span>
@@ -247,18 +398,34 @@ export default function VersionHistoryModal({
           )}
         </div>
 
-        {selectedVersion && (
+        {compareFrom ? (
           <div className="version-footer">
-            {versions.find((v) => v.versionId === selectedVersion)?.isCurrent ? (
-              <button className="btn-close-modal" onClick={onClose}>
-                Close
-              </button>
-            ) : (
-              <button className="btn-restore" onClick={handleRestore} disabled={isRestoring}>
-                {isRestoring ? '⏳ Restoring...' : '⏪ Restore This Version'}
-              </button>
-            )}
+            <button className="btn-close-modal" onClick={stopCompare}>
+              Done Comparing
+            </button>
           </div>
+        ) : (
+          selectedVersion && (
+            <div className="version-footer">
+              <button className="btn-close-modal" onClick={startCompare}>
+                🔍 Compare
+              </button>
+              {selected?.isCurrent ? (
+                <button className="btn-close-modal" onClick={onClose}>
+                  Close
+                </button>
+              ) : (
+                <button
+                  className="btn-restore"
+                  onClick={handleRestore}
+                  disabled={isRestoring}
+                  title="Your newer work stays in the history"
+                >
+                  {isRestoring ? '⏳ Restoring...' : '⏪ Restore This Version'}
+                </button>
+              )}
+            </div>
+          )
         )}
       </div>
     </div>
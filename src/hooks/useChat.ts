@@ -2,13 +2,27 @@
  * useChat Hook (Claude + OpenAI frontend)
  *
  * Manages chat messages, AI generation, and model routing.
+ * Streamed code feeds a throttled partial preview, and a generation in
+ * flight can be cancelled.
  * Grok remains supported in the backend, but is intentionally
  * hidden from the frontend until its next model upgrade.
  */
 
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { api, ApiError } from '../lib/api';
-import type { Message, MembershipUsage, GenerateResponse, AIModel, AIMode, GameConfig, StudioAsset } from '../types';
+import type { CodeDelta } from '../lib/api';
+import { getPartialPreviewHtml } from '../utils/partialPreview';
+import type {
+  Message,
+  MembershipUsage,
+  GenerateResponse,
+  AIModel,
+  AIMode,
+  GameConfig,
+  StudioAsset,
+  DesignMemory,
+  CodeSelection,
+} from '../types';
 
 /** Extended message with model info for UI rendering. */
 export interface ChatMessage extends Message {
@@ -20,6 +34,7 @@ export interface ChatMessage extends Message {
     code: string | null;
     modelUsed: AIModel;
   };
+  alternateResponses?: NonNullable<ChatMessage['alternateResponse']>[];
   debugInfo?: {
     attempts: number;
     finalModel: AIModel;
@@ -27,9 +42,12 @@ export interface ChatMessage extends Message {
 }
 
 interface UseChatOptions {
-  onCodeGenerated: (code: string) => void;
+  /** prompt is the kid's message that produced the code (recorded on the next saved version) */
+  onCodeGenerated: (code: string, prompt: string) => void;
   onUsageUpdate: (usage: MembershipUsage) => void;
   onUpgradeNeeded: () => void;
+  /** The server folded this message into the project's design memory */
+  onDesignMemoryUpdate?: (memory: DesignMemory | null) => void;
 }
 
 function pickRandomStartingModel(openaiAvailable: boolean): AIModel {
@@ -43,18 +61,31 @@ export interface GenerationStatus {
   message: string;
 }
 
+// How often the live partial preview re-renders while code streams in
+const PARTIAL_PREVIEW_INTERVAL_MS = 1000;
+
 interface SendMessageContext {
   selectedAssets?: StudioAsset[];
+  /** Saved project being edited — attributes AI spend in the usage ledger */
+  projectId?: string | null;
+  /** The project's remembered design decisions — stand in for chat turns the server trims */
+  designMemory?: DesignMemory | null;
+  /** explain mode: the lines picked in the code editor */
+  codeSelection?: CodeSelection;
 }
 
-export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded }: UseChatOptions) {
+export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded, onDesignMemoryUpdate }: UseChatOptions) {
   const [messages, setMessages] = useState<ChatMessage[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [generationStatus, setGenerationStatus] = useState<GenerationStatus | null>(null);
   const [activeModel, setActiveModel] = useState<AIModel>('claude');
   const [openaiAvailable, setOpenaiAvailable] = useState(false);
   const [lastModelUsed, setLastModelUsed] = useState<AIModel | null>(null);
+  const [partialCode, setPartialCode] = useState<string | null>(null);
   const debugAttemptRef = useRef(0);
+  const abortRef = useRef<AbortController | null>(null);
+  const streamedTextRef = useRef('');
+  const partialTimerRef = useRef<number | null>(null);
   const sessionIdRef = useRef(crypto.randomUUID());
   const startingModelRef = useRef<AIModel>('claude');
   const hasPickedInitialRef = useRef(false);
@@ -78,6 +109,38 @@ export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded }: Use
       });
   }, []);
 
+  const clearPartialPreview = useCallback(() => {
+    if (partialTimerRef.current !== null) {
+      window.clearTimeout(partialTimerRef.current);
+      partialTimerRef.current = null;
+    }
+    streamedTextRef.current = '';
+    setPartialCode(null);
+  }, []);
+
+  // Accumulate streamed code and re-render the partial preview at most once per interval
+  const handleCodeDelta = useCallback(
+    (delta: CodeDelta) => {
+      if (delta.reset) {
+        clearPartialPreview();
+        return;
+      }
+      streamedTextRef.current += delta.text || '';
+      if (partialTimerRef.current !== null) return;
+      partialTimerRef.current = window.setTimeout(() => {
+        partialTimerRef.current = null;
+        const html = getPartialPreviewHtml(streamedTextRef.current);
+        if (html) setPartialCode(html);
+      }, PARTIAL_PREVIEW_INTERVAL_MS);
+    },
+    [clearPartialPreview],
+  );
+
+  /** Stop the generation in flight; the server aborts the model call and doesn't count it. */
+  const cancelGeneration = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
   /**
    * Send a message to the AI with dual-model routing.
    *
@@ -110,6 +173,8 @@ export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded }: Use
       // Grok is hidden from the frontend for now, so only Claude/OpenAI are selectable.
       const mode: AIMode = modeOverride || (activeModel === 'openai' ? 'openai' : 'default');
       const selectedAssetIds = (context?.selectedAssets || []).map((a) => a.id);
+      const controller = new AbortController();
+      abortRef.current = controller;
 
       try {
         setGenerationStatus(null);
@@ -125,21 +190,31 @@ export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded }: Use
           })),
           gameConfig,
           selectedAssetIds,
+          designMemory: context?.designMemory ?? null,
           mode,
           lastModelUsed,
           debugAttempt: mode === 'debug' ? debugAttemptRef.current : 0,
+          projectId: context?.projectId ?? null,
+          codeSelection: context?.codeSelection,
           sessionId: sessionIdRef.current,
           startingModel: startingModelRef.current,
         };
 
-        const data = await api.postSSE<GenerateResponse>('/api/generate', requestBody, (status) =>
-          setGenerationStatus(status),
+        const data = await api.postSSE<GenerateResponse>(
+          '/api/generate',
+          requestBody,
+          (status) => setGenerationStatus(status),
+          { onCodeDelta: handleCodeDelta, signal: controller.signal },
         );
 
         if (data.usage) {
           onUsageUpdate(data.usage);
         }
 
+        if (data.designMemory !== undefined) {
+          onDesignMemoryUpdate?.(data.designMemory);
+        }
+
         if (data.openaiAvailable !== undefined) {
           setOpenaiAvailable(data.openaiAvailable);
         }
@@ -165,14 +240,29 @@ export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded }: Use
           modelUsed: data.modelUsed,
           isCacheHit: data.isCacheHit,
           alternateResponse: data.alternateResponse,
+          alternateResponses: data.alternateResponses,
           debugInfo: data.debugInfo,
         };
         setMessages((prev) => [...prev, assistantMessage]);
 
         if (data.code) {
-          onCodeGenerated(data.code);
+          onCodeGenerated(data.code, content);
         }
       } catch (error) {
+        if (controller.signal.aborted) {
+          setMessages((prev) => [
+            ...prev,
+            {
+              id: (Date.now() + 1).toString(),
+              role: 'assistant',
+              content: "Okay, I stopped! ✋ Tell me what you'd like to change and I'll start again.",
+              timestamp: new Date(),
+              modelUsed: null,
+            },
+          ]);
+          return;
+        }
+
         let friendlyMessage =
           'Oops! Something went wrong on my end. 😅 Can you try asking me again? Sometimes I need a second try!';
 
@@ -198,11 +288,23 @@ export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded }: Use
         };
         setMessages((prev) => [...prev, errorMsg]);
       } finally {
+        abortRef.current = null;
+        clearPartialPreview();
         setIsLoading(false);
         setGenerationStatus(null);
       }
     },
-    [messages, activeModel, lastModelUsed, onCodeGenerated, onUsageUpdate, onUpgradeNeeded],
+    [
+      messages,
+      activeModel,
+      lastModelUsed,
+      onCodeGenerated,
+      onUsageUpdate,
+      onUpgradeNeeded,
+      onDesignMemoryUpdate,
+      handleCodeDelta,
+      clearPartialPreview,
+    ],
   );
 
   /** Switch the active AI buddy (frontend only exposes Claude + OpenAI). */
@@ -250,7 +352,9 @@ export function useChat({ onCodeGenerated, onUsageUpdate, onUpgradeNeeded }: Use
     messages,
     isLoading,
     generationStatus,
+    partialCode,
     sendMessage,
+    cancelGeneration,
     clearMessages,
     sendFeedback,
     activeModel,
@@ -14,7 +14,8 @@ import {
   createDefaultEditorScene,
   normalizeEditorScene,
 } from '../lib/editorScene';
-import type { EditorCommand, EditorScene, GameConfig, Project, UserProject } from '../types';
+import { unbundleProjectFiles } from '../utils/projectFiles';
+import type { DesignMemory, EditorCommand, EditorScene, GameConfig, Project, UserProject } from '../types';
 
 const AUTO_SAVE_DELAY_MS = 30_000; // 30 seconds after last edit
 
@@ -81,6 +82,7 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
     name: 'My Awesome Project',
     code: DEFAULT_HTML,
     gameConfig: null,
+    designMemory: null,
     editorScene: cloneEditorScene(DEFAULT_EDITOR_SCENE),
     createdAt: new Date(),
     updatedAt: new Date(),
@@ -93,6 +95,8 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
   const lastSavedCode = useRef<string>(DEFAULT_HTML);
   const lastSavedEditorScene = useRef<string>(serializeEditorScene(DEFAULT_EDITOR_SCENE));
   const autoSaveTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // The AI prompt behind the unsaved code, recorded on the version the next save creates
+  const pendingPrompt = useRef<string | null>(null);
   const isAutoSaving = useRef(false);
   const lastUserIdRef = useRef<string | null>(null);
   const [editorUndoStack, setEditorUndoStack] = useState<EditorScene[]>([]);
@@ -112,11 +116,13 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
         name: 'My Awesome Project',
         code: DEFAULT_HTML,
         gameConfig: null,
+        designMemory: null,
         editorScene: cloneEditorScene(DEFAULT_EDITOR_SCENE),
         createdAt: new Date(),
         updatedAt: new Date(),
       });
       lastSavedCode.current = DEFAULT_HTML;
+      pendingPrompt.current = null;
       lastSavedEditorScene.current = serializeEditorScene(DEFAULT_EDITOR_SCENE);
       setHasUnsavedChanges(false);
       setEditorUndoStack([]);
@@ -133,12 +139,14 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
         name: 'My Awesome Project',
         code: DEFAULT_HTML,
         gameConfig: null,
+        designMemory: null,
         editorScene: cloneEditorScene(DEFAULT_EDITOR_SCENE),
         createdAt: new Date(),
         updatedAt: new Date(),
       });
       setCode(DEFAULT_HTML);
       lastSavedCode.current = DEFAULT_HTML;
+      pendingPrompt.current = null;
       lastSavedEditorScene.current = serializeEditorScene(DEFAULT_EDITOR_SCENE);
       setHasUnsavedChanges(false);
       setEditorUndoStack([]);
@@ -188,6 +196,7 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
         createdAt: string;
         gameConfig?: GameConfig | null;
         editorScene?: EditorScene | null;
+        designMemory?: DesignMemory | null;
       }>(`/api/projects/${projectId}`);
       const normalizedEditorScene = normalizeEditorScene(project.editorScene);
       setCode(project.code);
@@ -196,11 +205,13 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
         name: project.title,
         code: project.code,
         gameConfig: project.gameConfig || null,
+        designMemory: project.designMemory || null,
         editorScene: normalizedEditorScene,
         createdAt: new Date(project.createdAt),
         updatedAt: new Date(),
       });
       lastSavedCode.current = project.code;
+      pendingPrompt.current = null;
       lastSavedEditorScene.current = serializeEditorScene(normalizedEditorScene);
       setHasUnsavedChanges(false);
       setEditorUndoStack([]);
@@ -219,11 +230,13 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
       name: 'My Awesome Project',
       code: DEFAULT_HTML,
       gameConfig: null,
+      designMemory: null,
       editorScene: cloneEditorScene(DEFAULT_EDITOR_SCENE),
       createdAt: new Date(),
       updatedAt: new Date(),
     });
     lastSavedCode.current = DEFAULT_HTML;
+    pendingPrompt.current = null;
     lastSavedEditorScene.current = serializeEditorScene(DEFAULT_EDITOR_SCENE);
     setHasUnsavedChanges(false);
     setEditorUndoStack([]);
@@ -271,10 +284,13 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
             projectId: currentProject.id,
             title: currentProject.name,
             code,
+            files: unbundleProjectFiles(code),
             gameConfig: currentProject.gameConfig ?? null,
+            designMemory: currentProject.designMemory ?? null,
             editorScene: normalizeEditorScene(currentProject.editorScene),
             category: 'other',
             autoSave: isAuto,
+            prompt: pendingPrompt.current,
           },
         );
 
@@ -285,6 +301,7 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
           }
           lastSavedCode.current = code;
           lastSavedEditorScene.current = serializeEditorScene(currentProject.editorScene);
+          pendingPrompt.current = null;
           setHasUnsavedChanges(false);
           if (isAuto) {
             setLastAutoSavedAt(new Date());
@@ -311,6 +328,7 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
     },
     [
       code,
+      currentProject.designMemory,
       currentProject.editorScene,
       currentProject.gameConfig,
       currentProject.id,
@@ -325,6 +343,10 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
     setCurrentProject((prev) => ({ ...prev, gameConfig }));
   }, []);
 
+  const setProjectDesignMemory = useCallback((designMemory: DesignMemory | null) => {
+    setCurrentProject((prev) => ({ ...prev, designMemory }));
+  }, []);
+
   // Helper to reset the auto-save debounce timer.
   // Captures userId at schedule time so a stale timer can't save under a different account.
   const scheduleAutoSave = useCallback(() => {
@@ -482,6 +504,7 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
       updatedAt: new Date(),
     }));
     lastSavedCode.current = restoredCode;
+    pendingPrompt.current = null;
     lastSavedEditorScene.current = serializeEditorScene(normalizedEditorScene);
     setHasUnsavedChanges(false);
     setEditorUndoStack([]);
@@ -491,7 +514,8 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
 
   /** Called when AI generates new code. */
   const setGeneratedCode = useCallback(
-    (newCode: string) => {
+    (newCode: string, prompt?: string) => {
+      if (prompt) pendingPrompt.current = prompt;
       setCode(newCode);
       setCurrentProject((prev) => ({ ...prev, code: newCode, updatedAt: new Date() }));
       const dirty =
@@ -557,6 +581,7 @@ export function useProjects(isLoggedIn = false, userId: string | null = null, on
     restoreVersion,
     setGeneratedCode,
     setProjectGameConfig,
+    setProjectDesignMemory,
     setProjectEditorScene,
     applyEditorSceneCommand,
     undoEditorScene,
@@ -43,6 +43,12 @@ export class ApiError extends Error {
   }
 }
 
+/** A `code_delta` SSE event: the next chunk of the draft, or a reset that drops it. */
+export interface CodeDelta {
+  text?: string;
+  reset?: boolean;
+}
+
 /** Build headers with optional auth. */
 function buildHeaders(custom?: Record<string, string>): Record<string, string> {
   const headers: Record<string, string> = {
@@ -111,16 +117,38 @@ export const api = {
     });
   },
 
+  /** POST that answers with a file (e.g. a zip download) instead of JSON. */
+  async postBlob(url: string, body?: unknown): Promise<Blob> {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: buildHeaders(),
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const data = response.headers.get('content-type')?.includes('application/json')
+        ? ((await response.json()) as Record<string, unknown>)
+        : {};
+      throw new ApiError(
+        (typeof data.error === 'string' && data.error) || `Request failed (${response.status})`,
+        response.status,
+        data,
+      );
+    }
+    return response.blob();
+  },
+
   async postSSE<T = unknown>(
     url: string,
     body: unknown,
     onStatus: (status: { stage: string; message: string }) => void,
+    options: { onCodeDelta?: (delta: CodeDelta) => void; signal?: AbortSignal } = {},
   ): Promise<T> {
     const headers = buildHeaders({ Accept: 'text/event-stream' });
     const response = await fetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body),
+      signal: options.signal,
     });
 
     const contentType = response.headers.get('content-type') || '';
@@ -171,6 +199,12 @@ export const api = {
           } catch {
             /* malformed status — skip */
           }
+        } else if (eventType === 'code_delta') {
+          try {
+            options.onCodeDelta?.(JSON.parse(data));
+          } catch {
+            /* malformed delta — skip */
+          }
         } else if (eventType === 'result') {
           result = JSON.parse(data) as T;
         } else if (eventType === 'error') {
@@ -80,6 +80,16 @@ export interface GameConfig {
   customNotes: string; // Any free-text details the kid mentioned
 }
 
+/** The kid's remembered design decisions for a project (server/services/designMemory.js). */
+export interface DesignMemory {
+  characters: string[];
+  rules: string[];
+  colors: string[];
+  controls: string[];
+  other: string[];
+  updatedAt: string;
+}
+
 // Survey question definition
 export interface SurveyQuestion {
   id: string;
@@ -221,13 +231,44 @@ export interface EditorCommand {
   gameplayPatch?: Partial<GameplaySettings>;
 }
 
+/** One entry in a project's version history (GET /api/projects/:id/versions), newest first. */
 export interface ProjectVersion {
   versionId: string;
-  code: string;
+  /** The version this one was saved on top of (null for the original) */
+  parentId: string | null;
   title: string;
   savedAt: string;
+  versionNumber: number;
   autoSave: boolean;
-  editorScene?: EditorScene | null;
+  /** Named checkpoints are never pruned */
+  checkpointName: string | null;
+  /** The AI prompt that produced this version (null for hand edits) */
+  prompt: string | null;
+  /** Files in a multi-file project at this version (1 for a single-file game) */
+  fileCount: number;
+  isOriginal: boolean;
+  isCurrent: boolean;
+  /** Set when this version starts a branch: the number of the version it was restored from */
+  branchedFrom: number | null;
+}
+
+/** A line diff between two versions (GET /api/projects/:id/versions/compare). */
+export interface VersionDiff {
+  from: string;
+  to: string;
+  added: number;
+  removed: number;
+  hunks: Array<{
+    oldStart: number;
+    newStart: number;
+    lines: Array<{ type: ' ' | '-' | '+'; text: string }>;
+  }>;
+}
+
+/** One file of a multi-file project (see src/utils/projectFiles.ts). */
+export interface ProjectFile {
+  path: string;
+  content: string;
 }
 
 export interface Project {
@@ -236,7 +277,7 @@ export interface Project {
   code: string;
   gameConfig?: GameConfig | null;
   editorScene?: EditorScene | null;
-  versions?: ProjectVersion[];
+  designMemory?: DesignMemory | null;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -252,6 +293,16 @@ export interface UserProject {
   createdAt: string;
   views: number;
   likes: number;
+  remixCount?: number;
+  /** Set when this project was remixed from someone's game */
+  remixedFrom?: RemixSource | null;
+}
+
+/** Where a remix came from — the source creator is their public alias, never a user id */
+export interface RemixSource {
+  projectId: string;
+  creatorName: string;
+  title: string | null;
 }
 
 export interface StudioAssetCategory {
@@ -356,9 +407,27 @@ export interface AuthMeResponse {
 export type AIModel = 'claude' | 'grok' | 'openai';
 
 /** AI routing mode for the tri-model system. */
-export type AIMode = 'default' | 'claude' | 'grok' | 'openai' | 'creative' | 'debug' | 'ask-other-buddy' | 'critic';
-
-/** Alternate response from the other AI model (critic/side-by-side). */
+export type AIMode =
+  | 'default'
+  | 'claude'
+  | 'grok'
+  | 'openai'
+  | 'creative'
+  | 'debug'
+  | 'ask-other-buddy'
+  | 'critic'
+  | 'best-of-n'
+  | 'explain';
+
+/** Lines picked in the code editor for explain mode (1-based, relative to the file shown). */
+export interface CodeSelection {
+  /** Project file path; omitted for a single-file game */
+  file?: string;
+  startLine: number;
+  endLine: number;
+}
+
+/** Alternate response from the other AI model (critic/side-by-side, or a best-of-N runner-up). */
 export interface AlternateResponse {
   response: string;
   code: string | null;
@@ -378,12 +447,15 @@ export interface GenerateResponse {
   code: string | null;
   editorCommand?: EditorCommand | null;
   editorScene?: EditorScene | null;
+  designMemory?: DesignMemory | null;
   usage?: MembershipUsage;
   modelUsed: AIModel | null;
   isCacheHit: boolean;
   grokAvailable?: boolean;
   openaiAvailable?: boolean;
   alternateResponse?: AlternateResponse;
+  /** Best-of-N: every runner-up, best first (alternateResponse is the first of these) */
+  alternateResponses?: AlternateResponse[];
   debugInfo?: DebugInfo;
   rateLimited?: boolean;
   waitSeconds?: number;
@@ -400,9 +472,13 @@ export interface GenerateRequest {
   conversationHistory?: Message[];
   gameConfig?: GameConfig;
   selectedAssetIds?: string[];
+  designMemory?: DesignMemory | null;
   mode?: AIMode;
   lastModelUsed?: AIModel;
   debugAttempt?: number;
+  projectId?: string | null;
+  /** explain mode: the editor lines to explain */
+  codeSelection?: CodeSelection;
 }
 
 export interface BugReportConversationEntry {
@@ -453,3 +529,41 @@ export interface BugReportResolutionNotificationsResponse {
   ok: boolean;
   notifications: BugReportResolutionNotification[];
 }
+
+// Multiplayer room recordings (admin replay in the studio preview)
+export interface MultiplayerReplayPlayer {
+  id: string;
+  name: string;
+  isHost: boolean;
+  status?: string;
+}
+
+export interface MultiplayerRecordingMeta {
+  kind: 'meta';
+  id: string;
+  roomCode: string;
+  projectId: string | null;
+  startedAt: string;
+  startedBy: 'host' | 'admin';
+  tickRate: number;
+}
+
+export interface MultiplayerRecordingEvent {
+  t: number;
+  kind: string;
+  playerId?: string;
+  name?: string;
+  players?: MultiplayerReplayPlayer[];
+  gameState?: Record<string, unknown>;
+  delta?: Record<string, unknown>;
+  tick?: number;
+  input?: unknown;
+  reason?: string;
+}
+
+export interface MultiplayerReplay {
+  meta: MultiplayerRecordingMeta;
+  events: MultiplayerRecordingEvent[];
+  code: string | null;
+  projectTitle: string | null;
+}
@@ -0,0 +1,25 @@
+/**
+ * Turn the raw text a model has streamed so far into HTML the preview can render,
+ * or null while there isn't enough of the document to show yet.
+ *
+ * A draft is complete enough once its <body> has opened. A trailing <script> that
+ * hasn't closed is dropped (half a script is a syntax error that takes the whole
+ * block down) along with a half-written tag at the very end; the HTML parser
+ * closes everything else on its own.
+ */
+export function getPartialPreviewHtml(streamedText: string): string | null {
+  const start = streamedText.search(/<!DOCTYPE html|<html[\s>]/i);
+  if (start === -1) return null;
+
+  let html = streamedText.slice(start);
+  const fenceEnd = html.indexOf('```');
+  if (fenceEnd !== -1) html = html.slice(0, fenceEnd);
+  if (!/<body[\s>]/i.test(html)) return null;
+
+  const lower = html.toLowerCase();
+  const lastScriptOpen = lower.lastIndexOf('<script');
+  if (lastScriptOpen > lower.lastIndexOf('</script')) {
+    html = html.slice(0, lastScriptOpen);
+  }
+  return html.replace(/<[^>]*$/, '');
+}
@@ -0,0 +1,104 @@
+/**
+ * Multi-file projects in the studio.
+ *
+ * The studio keeps a project's `code` as one bundled HTML document (what the
+ * preview iframe, the AI and the arcade run). Each inlined file carries a
+ * data-vibe-file marker, so the editor can split the bundle back into a file
+ * tree and re-bundle after every edit. The bundle format itself comes from
+ * server/services/projectFiles.js, the same code that bundles on save; this
+ * file adds the editor-only helpers.
+ */
+
+import type { ProjectFile } from '../types';
+import { ENTRY_FILE, sortProjectFiles } from '../../server/services/projectFiles.js';
+
+export {
+  ENTRY_FILE,
+  MAX_PROJECT_FILES,
+  bundleProjectFiles,
+  isValidFilePath,
+  unbundleProjectFiles,
+} from '../../server/services/projectFiles.js';
+
+function escapeRegExp(text: string) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Monaco language id for a file. */
+export function fileLanguage(path: string) {
+  if (path.endsWith('.js')) return 'javascript';
+  if (path.endsWith('.css')) return 'css';
+  if (path.endsWith('.json')) return 'json';
+  return 'html';
+}
+
+/**
+ * Turn a single-file game into a file set: inline <style> blocks become style.css
+ * and the biggest inline script becomes game.js. Other scripts stay where they are,
+ * since they may depend on load order around CDN scripts.
+ */
+export function splitHtmlIntoFiles(code: string): ProjectFile[] {
+  let html = code;
+  const files: ProjectFile[] = [];
+
+  const styles = [...html.matchAll(/<style(?:\s+type=["']text\/css["'])?\s*>([\s\S]*?)<\/style>/gi)];
+  if (styles.length > 0) {
+    files.push({ path: 'style.css', content: styles.map((m) => m[1].replace(/^\n|\n\s*$/g, '')).join('\n\n') });
+    styles.forEach((m, i) => {
+      html = html.replace(m[0], i === 0 ? '<link rel="stylesheet" href="style.css">' : '');
+    });
+  }
+
+  const scripts = [...html.matchAll(/<script(?:\s+type=["']text\/javascript["'])?\s*>([\s\S]*?)<\/script>/gi)];
+  const biggest = scripts.reduce<RegExpMatchArray | null>(
+    (best, m) => (!best || m[1].length > best[1].length ? m : best),
+    null,
+  );
+  if (biggest && biggest[1].trim()) {
+    files.push({ path: 'game.js', content: biggest[1].replace(/^\n|\n\s*$/g, '') });
+    html = html.replace(biggest[0], '<script src="game.js"></script>');
+  }
+
+  return sortProjectFiles([{ path: ENTRY_FILE, content: html }, ...files]);
+}
+
+/** Add an empty file; scripts and stylesheets also get hooked up in index.html. */
+export function addProjectFile(files: ProjectFile[], path: string): ProjectFile[] {
+  let content = '';
+  if (path.endsWith('.json')) content = '{}';
+  const withRef = files.map((file) => {
+    if (file.path !== ENTRY_FILE) return file;
+    if (path.endsWith('.js')) {
+      const tag = `<script src="${path}"></script>`;
+      return {
+        ...file,
+        content: /<\/body>/i.test(file.content)
+          ? file.content.replace(/<\/body>/i, `${tag}\n</body>`)
+          : `${file.content}\n${tag}`,
+      };
+    }
+    if (path.endsWith('.css')) {
+      const tag = `<link rel="stylesheet" href="${path}">`;
+      return {
+        ...file,
+        content: /<\/head>/i.test(file.content)
+          ? file.content.replace(/<\/head>/i, `${tag}\n</head>`)
+          : `${tag}\n${file.content}`,
+      };
+    }
+    return file;
+  });
+  return sortProjectFiles([...withRef, { path, content }]);
+}
+
+/** Remove a file and any <script>/<link> tag in index.html that loads it. */
+export function removeProjectFile(files: ProjectFile[], path: string): ProjectFile[] {
+  const ref = escapeRegExp(path);
+  const tags = new RegExp(
+    `[ \\t]*(?:<script\\b[^>]*\\bsrc=["'](?:\\./)?${ref}["'][^>]*>\\s*</script>|<link\\b[^>]*\\bhref=["'](?:\\./)?${ref}["'][^>]*>)\\n?`,
+    'gi',
+  );
+  return files
+    .filter((file) => file.path !== path)
+    .map((file) => (file.path === ENTRY_FILE ? { ...file, content: file.content.replace(tags, '') } : file));
+}
@@ -0,0 +1,123 @@
+import type { MultiplayerRecordingEvent, MultiplayerReplay, MultiplayerReplayPlayer } from '../types';
+
+export const REPLAY_VIEWER_ID = 'replay-viewer';
+
+// Read-only VibeMultiplayer for the studio preview: the game joins as a spectator and
+// receives the recorded stream in the same postMessage shapes play.html sends.
+const REPLAY_BRIDGE_SCRIPT = `
+  <script id="vibe-replay-bridge">
+  (function () {
+    var noop = function () {};
+    var mp = window.VibeMultiplayer = {
+      roomCode: null, playerId: '${REPLAY_VIEWER_ID}', players: [], spectators: [],
+      tickRate: null, chatMode: 'off', chatPhrases: [], locked: true, maxPlayers: null,
+      isSpectator: true, isPublic: false, isRecording: false, isReplay: true,
+      createRoom: noop, quickPlay: noop, listRooms: noop, setRoomPublic: noop, joinRoom: noop, leaveRoom: noop,
+      sendState: noop, sendInput: noop, setTickRate: noop, requestSnapshot: noop, sendChat: noop,
+      setChatMode: noop, kickPlayer: noop, mutePlayer: noop, lockRoom: noop, setMaxPlayers: noop, setRecording: noop,
+      onRoomCreated: null, onRoomJoined: null, onRoomLeft: null, onError: null,
+      onStateReceived: null, onInputReceived: null, onPlayerJoined: null, onPlayerLeft: null, onSnapshot: null,
+      onConnectionLost: null, onReconnected: null, onPlayerReconnecting: null, onPlayerReconnected: null,
+      onChatReceived: null, onChatModeChanged: null, onPlayerKicked: null, onPlayerMuted: null,
+      onRoomLocked: null, onMaxPlayersChanged: null, onSpectatorJoined: null, onSpectatorLeft: null,
+      onRoomList: null, onRecordingChanged: null
+    };
+    window.addEventListener('message', function (e) {
+      var d = e.data || {};
+      if (d.type === 'mp_room_joined') {
+        mp.roomCode = d.roomCode;
+        mp.players = d.players || [];
+        if (d.snapshot) mp.tickRate = d.snapshot.tickRate;
+        if (mp.onRoomJoined) mp.onRoomJoined(d.roomCode, mp.players);
+        if (d.snapshot && mp.onSnapshot) mp.onSnapshot(d.snapshot.state, d.snapshot.tick);
+      } else if (d.type === 'multiplayer_state') {
+        if (mp.onStateReceived) mp.onStateReceived(d.state, d.fromPlayerId, d.delta, d.tick);
+      } else if (d.type === 'multiplayer_input') {
+        if (mp.onInputReceived) mp.onInputReceived(d.input, d.fromPlayerId, d.fromPlayerName);
+      } else if (d.type === 'multiplayer_player_joined') {
+        mp.players = d.players || mp.players;
+        if (mp.onPlayerJoined) mp.onPlayerJoined(mp.players);
+      } else if (d.type === 'multiplayer_player_left') {
+        mp.players = d.players || mp.players;
+        if (mp.onPlayerLeft) mp.onPlayerLeft(mp.players);
+      } else if (d.type === 'mp_player_reconnecting') {
+        mp.players = d.players || mp.players;
+        if (mp.onPlayerReconnecting) mp.onPlayerReconnecting(mp.players, d.playerId);
+      } else if (d.type === 'mp_player_reconnected') {
+        mp.players = d.players || mp.players;
+        if (mp.onPlayerReconnected) mp.onPlayerReconnected(mp.players, d.playerId);
+      } else if (d.type === 'mp_player_kicked') {
+        if (mp.onPlayerKicked) mp.onPlayerKicked(mp.players, d.playerId, d.playerName);
+      } else if (d.type === 'mp_host_changed') {
+        mp.players = mp.players.map(function (p) { return Object.assign({}, p, { isHost: p.id === d.newHostId }); });
+        if (mp.onPlayerJoined) mp.onPlayerJoined(mp.players);
+      }
+    });
+  })();
+  </script>
+`;
+
+/** Put the replay bridge ahead of the game's own scripts. */
+export function injectReplayBridge(code: string): string {
+  const headOpenMatch = code.match(/<head[^>]*>/i);
+  if (headOpenMatch) {
+    const idx = code.indexOf(headOpenMatch[0]) + headOpenMatch[0].length;
+    return code.slice(0, idx) + REPLAY_BRIDGE_SCRIPT + code.slice(idx);
+  }
+  return REPLAY_BRIDGE_SCRIPT + code;
+}
+
+/** Total length of a recording in ms. */
+export function getReplayDuration(replay: MultiplayerReplay): number {
+  return replay.events.length > 0 ? replay.events[replay.events.length - 1].t : 0;
+}
+
+/**
+ * Turn one recorded event into the message the game would have received from play.html.
+ * `state` is the merged game state so far; state events update it in place, the way the
+ * server merges each tick's deltas.
+ */
+export function replayEventToGameMessage(
+  event: MultiplayerRecordingEvent,
+  replay: MultiplayerReplay,
+  state: Record<string, unknown>,
+): Record<string, unknown> | null {
+  const players: MultiplayerReplayPlayer[] | undefined = event.players;
+  switch (event.kind) {
+    case 'start':
+      Object.assign(state, event.gameState || {});
+      return {
+        type: 'mp_room_joined',
+        roomCode: replay.meta.roomCode,
+        players: players || [],
+        playerId: REPLAY_VIEWER_ID,
+        isSpectator: true,
+        snapshot: { state: { ...state }, tick: 0, tickRate: replay.meta.tickRate },
+      };
+    case 'state':
+      Object.assign(state, event.delta || {});
+      return {
+        type: 'multiplayer_state',
+        state: { ...state },
+        delta: event.delta,
+        fromPlayerId: event.playerId,
+        tick: event.tick,
+      };
+    case 'input':
+      return { type: 'multiplayer_input', input: event.input, fromPlayerId: event.playerId };
+    case 'join':
+      return { type: 'multiplayer_player_joined', players };
+    case 'leave':
+      return { type: 'multiplayer_player_left', players };
+    case 'reconnecting':
+      return { type: 'mp_player_reconnecting', players, playerId: event.playerId };
+    case 'reconnected':
+      return { type: 'mp_player_reconnected', players, playerId: event.playerId };
+    case 'kick':
+      return { type: 'mp_player_kicked', playerId: event.playerId, playerName: event.name };
+    case 'host_changed':
+      return { type: 'mp_host_changed', newHostId: event.playerId, newHostName: event.name };
+    default:
+      return null;
+  }
+}
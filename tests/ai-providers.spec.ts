@@ -0,0 +1,93 @@
+import { expect, test } from '@playwright/test';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { normalizeAnthropicUsage } from '../server/services/providers/anthropic.js';
+import { normalizeOpenAIUsage } from '../server/services/providers/openaiCompatible.js';
+import { createFixtureProvider, fixtureKey } from '../server/services/providers/fixture.js';
+import { estimateCostCents } from '../server/services/providers/index.js';
+import { extractCode } from '../server/services/ai.js';
+
+const userMessage = (content: string) => [{ role: 'user', content }];
+
+test.describe('provider usage normalization', () => {
+  test('folds vendor usage formats into one shape and prices it', () => {
+    const claude = normalizeAnthropicUsage({
+      input_tokens: 1000,
+      output_tokens: 2000,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 9000,
+    });
+    expect(claude).toEqual({ inputTokens: 10000, outputTokens: 2000, cacheWriteTokens: 0, cacheReadTokens: 9000 });
+    // 1k regular input at $3 + 2k output at $15 + 9k cache reads at $0.30 = $0.0357
+    expect(estimateCostCents(claude, { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 })).toBeCloseTo(3.57, 5);
+
+    const gpt = normalizeOpenAIUsage({ prompt_tokens: 400, completion_tokens: 100 });
+    expect(gpt).toEqual({ inputTokens: 400, outputTokens: 100, cacheWriteTokens: 0, cacheReadTokens: 0 });
+    expect(estimateCostCents(gpt, { input: 2.5, output: 15 })).toBeCloseTo(0.25, 5);
+    expect(normalizeOpenAIUsage(null).inputTokens).toBe(0);
+  });
+});
+
+test.describe('fixture provider', () => {
+  let dir: string;
+
+  test.beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ai-fixtures-'));
+  });
+
+  test.afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('replays a recorded reply, streamed in chunks, regardless of case and spacing', async () => {
+    const text = 'Boing! 🐸\n\n```html\n<!DOCTYPE html><html><body>' + 'x'.repeat(1000) + '</body></html>\n```';
+    await writeFile(
+      path.join(dir, `${fixtureKey('Make a frog that jumps')}.json`),
+      JSON.stringify({ prompt: 'Make a frog that jumps', text, recordedFrom: 'anthropic' }),
+    );
+    const provider = createFixtureProvider({ dir });
+
+    const chunks: string[] = [];
+    const result = await provider.stream(
+      { staticPrompt: 'sys', messages: userMessage('  make a FROG   that jumps '), maxTokens: 100 },
+      (chunk) => chunks.push(chunk),
+    );
+    expect(result.text).toBe(text);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(text);
+    expect(result.usage.outputTokens).toBeGreaterThan(0);
+    expect(estimateCostCents(result.usage, provider.pricing)).toBe(0);
+  });
+
+  test('falls back to a starter game for new prompts and echoes the current project for edits', async () => {
+    const provider = createFixtureProvider({ dir });
+
+    const fresh = await provider.generate({
+      staticPrompt: 'sys',
+      messages: userMessage('Make a platformer where a cat jumps over boxes'),
+      maxTokens: 100,
+    });
+    expect(extractCode(fresh.text)).toContain('</html>');
+
+    const currentCode = '<!DOCTYPE html>\n<html><body><canvas></canvas></body></html>';
+    const edit = await provider.generate({
+      staticPrompt: 'sys',
+      dynamicContext: `\nCURRENT PROJECT (for your reference only - NEVER mention this to the kid):\n${currentCode}\n\nWhen they ask for changes, update this existing project.`,
+      messages: userMessage('make it blue'),
+      maxTokens: 100,
+    });
+    expect(extractCode(edit.text)).toBe(currentCode);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      provider.generate({
+        staticPrompt: 'sys',
+        messages: userMessage('hi'),
+        maxTokens: 100,
+        signal: controller.signal,
+      }),
+    ).rejects.toThrow('aborted');
+  });
+});
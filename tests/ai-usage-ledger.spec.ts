@@ -0,0 +1,97 @@
+import { expect, test } from '@playwright/test';
+import {
+  evaluateAIBudget,
+  getUsageContext,
+  householdIdFor,
+  runWithUsageContext,
+  summarizeAIUsage,
+} from '../server/services/aiUsageLedger.js';
+import { MEMBERSHIP_TIERS } from '../server/config/index.js';
+
+const spend = (userDay: number, userMonth: number, householdDay = 0, householdMonth = 0) => ({
+  user: { day: userDay, month: userMonth },
+  household: { day: householdDay, month: householdMonth },
+});
+const household = { centsPerDay: 500, centsPerMonth: 4000 };
+
+test.describe('AI budgets', () => {
+  test('downgrades on a spent daily budget and refuses on a spent monthly one', () => {
+    const creator = MEMBERSHIP_TIERS.creator;
+    expect(evaluateAIBudget(spend(10, 10), creator, household)).toEqual({ action: 'allow', scope: null, period: null });
+    expect(evaluateAIBudget(spend(creator.aiBudgetCentsPerDay, 400), creator, household)).toEqual({
+      action: 'downgrade',
+      scope: 'user',
+      period: 'day',
+    });
+    expect(evaluateAIBudget(spend(0, creator.aiBudgetCentsPerMonth), creator, household)).toEqual({
+      action: 'refuse',
+      scope: 'user',
+      period: 'month',
+    });
+    // A sibling's spend counts against the shared household budget
+    expect(evaluateAIBudget(spend(0, 0, 0, 4000), creator, household)).toMatchObject({
+      action: 'refuse',
+      scope: 'household',
+    });
+    expect(evaluateAIBudget(spend(0, 0, 600, 600), creator, household)).toMatchObject({
+      action: 'downgrade',
+      scope: 'household',
+    });
+    // No household (no parent email) → only the user's own budget applies
+    expect(evaluateAIBudget(spend(0, 0, 9999, 9999), creator, null).action).toBe('allow');
+    expect(evaluateAIBudget(spend(1e6, 1e6), MEMBERSHIP_TIERS.tester, household).action).toBe('allow');
+  });
+
+  test('groups siblings by a hash of the parent email', () => {
+    const a = householdIdFor({ parentEmail: 'Parent@Example.com ' });
+    expect(a).toMatch(/^hh_[0-9a-f]{16}$/);
+    expect(householdIdFor({ parentEmail: 'parent@example.com' })).toBe(a);
+    expect(a).not.toContain('example');
+    expect(householdIdFor({ parentEmail: null })).toBeNull();
+  });
+});
+
+test.describe('usage ledger', () => {
+  const row = (createdAt: string, provider: string, costCents: number) => ({
+    createdAt,
+    provider,
+    buddy: 'claude',
+    inputTokens: 1000,
+    outputTokens: 500,
+    costCents,
+  });
+
+  test('buckets spend by UTC hour, day or month and by dimension', () => {
+    const rows = [
+      row('2026-03-14T09:15:00.000Z', 'anthropic', 1.5),
+      row('2026-03-14T09:45:00.000Z', 'openai', 2.25),
+      row('2026-03-14T17:00:00.000Z', 'anthropic', 1),
+      row('2026-04-01T00:00:00.000Z', 'anthropic', 4),
+    ];
+
+    expect(summarizeAIUsage(rows, { bucket: 'day' })).toEqual([
+      { bucket: '2026-03-14', calls: 3, inputTokens: 3000, outputTokens: 1500, costCents: 4.75 },
+      { bucket: '2026-04-01', calls: 1, inputTokens: 1000, outputTokens: 500, costCents: 4 },
+    ]);
+    expect(summarizeAIUsage(rows, { bucket: 'hour' }).map((b) => b.bucket)).toEqual([
+      '2026-03-14T09:00',
+      '2026-03-14T17:00',
+      '2026-04-01T00:00',
+    ]);
+    expect(summarizeAIUsage(rows, { bucket: 'month', groupBy: 'provider' })).toEqual([
+      { bucket: '2026-03', group: 'anthropic', calls: 2, inputTokens: 2000, outputTokens: 1000, costCents: 2.5 },
+      { bucket: '2026-03', group: 'openai', calls: 1, inputTokens: 1000, outputTokens: 500, costCents: 2.25 },
+      { bucket: '2026-04', group: 'anthropic', calls: 1, inputTokens: 1000, outputTokens: 500, costCents: 4 },
+    ]);
+  });
+
+  test('carries attribution across awaits inside a generation', async () => {
+    expect(getUsageContext()).toBeNull();
+    const seen = await runWithUsageContext({ userId: 'u1', generationId: 'gen_1', economy: true }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return getUsageContext();
+    });
+    expect(seen).toEqual({ userId: 'u1', generationId: 'gen_1', economy: true });
+    expect(getUsageContext()).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+import { expect, test } from '@playwright/test';
+import { rankCandidates, scoreCandidate } from '../server/services/candidateJudge.js';
+import { buildEngineOutcomeRankingSnapshot } from '../server/services/engineOutcomes.js';
+import { resolveEngineProfile } from '../server/services/engineRegistry.js';
+
+const engineProfile = resolveEngineProfile({
+  prompt: 'make a jungle platformer where I jump over spikes and collect coins',
+  gameConfig: { genreFamily: 'platformAction', dimension: '2d', gameType: 'platformer' },
+});
+
+const POLISHED = `<style>canvas { touch-action: none; }</style>
+<script>
+const game = new Phaser.Game({ physics: { default: 'arcade' }, scale: { mode: Phaser.Scale.FIT } });
+this.cameras.main.startFollow(player);
+if (cursors.up.isDown) player.setVelocityY(-300);
+this.add.text(16, 16, 'Score: 0  Lives: 3  Coins: 0');
+if (lives === 0) { this.add.text(200, 200, 'Game Over — tap to Play Again'); this.scene.restart(); }
+</script>`;
+
+const BARE = `<script>
+const game = new Phaser.Game({ physics: { default: 'arcade' } });
+player.setVelocityY(-300);
+</script>`;
+
+const emptyRanking = { families: {}, starters: {}, sources: {}, models: {} };
+
+test.describe('best-of-N judging', () => {
+  test('scores the benchmark axes from the game source', () => {
+    const polished = scoreCandidate(
+      { code: POLISHED, modelUsed: 'claude' },
+      { engineProfile, rankingSnapshot: emptyRanking },
+    );
+    const bare = scoreCandidate({ code: BARE, modelUsed: 'openai' }, { engineProfile, rankingSnapshot: emptyRanking });
+
+    expect(polished.engineSafe).toBe(true);
+    expect(polished.axes).toEqual({ 'family-fit': 1, 'hud-clarity': 1, 'restart-flow': 1 });
+    expect(bare.axes['hud-clarity']).toBe(0);
+    expect(bare.axes['restart-flow']).toBe(0);
+    expect(polished.total).toBeGreaterThan(bare.total);
+
+    // Breaking the engine contract zeroes family-fit and costs outcome score
+    const broken = scoreCandidate(
+      { code: '<canvas></canvas>', modelUsed: 'grok' },
+      { engineProfile, rankingSnapshot: emptyRanking },
+    );
+    expect(broken.engineSafe).toBe(false);
+    expect(broken.axes['family-fit']).toBe(0);
+  });
+
+  test('ranks best-first, puts code-less drafts last and breaks ties by draft order', () => {
+    const ranked = rankCandidates(
+      [
+        { code: null, modelUsed: 'grok' },
+        { code: BARE, modelUsed: 'openai' },
+        { code: POLISHED, modelUsed: 'claude' },
+        { code: BARE, modelUsed: 'claude' },
+      ],
+      { engineProfile, rankingSnapshot: emptyRanking },
+    );
+    expect(ranked.map(({ candidate }) => candidate.modelUsed)).toEqual(['claude', 'openai', 'claude', 'grok']);
+  });
+
+  test('leans on how each buddy has ranked for the game family', () => {
+    const events = ['claude', 'openai'].flatMap((modelUsed) =>
+      Array.from({ length: 6 }, (_, i) => ({
+        kind: 'generation',
+        generationId: `${modelUsed}-${i}`,
+        genreFamily: 'platformAction',
+        modelUsed,
+        score: modelUsed === 'openai' ? 6 : -2,
+      })),
+    );
+    const rankingSnapshot = buildEngineOutcomeRankingSnapshot(events);
+    expect(rankingSnapshot.models['platformAction:openai'].count).toBe(6);
+
+    const ranked = rankCandidates(
+      [
+        { code: BARE, modelUsed: 'claude' },
+        { code: BARE, modelUsed: 'openai' },
+      ],
+      { engineProfile, rankingSnapshot },
+    );
+    expect(ranked[0].candidate.modelUsed).toBe('openai');
+    expect(ranked[0].score.rankingBias).toBeGreaterThan(0);
+    expect(ranked[1].score.rankingBias).toBeLessThan(0);
+  });
+});
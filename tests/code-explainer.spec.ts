@@ -0,0 +1,96 @@
+import { expect, test } from '@playwright/test';
+import { bundleProjectFiles, unbundleProjectFiles } from '../server/services/projectFiles.js';
+import {
+  buildChallenge,
+  explainCode,
+  explainLocally,
+  formatExplanation,
+  MAX_EXPLAIN_LINES,
+  parseExplanation,
+  selectCodeForExplanation,
+} from '../server/services/codeExplainer.js';
+import { getExplainPrompt } from '../server/prompts/explain.js';
+import { unbundleProjectFiles as unbundleInStudio } from '../src/utils/projectFiles';
+
+const GAME = [
+  '<script>',
+  'const player = { x: 40, y: 300 };',
+  'let speed = 220;',
+  'function jump() {',
+  '  if (player.onGround) player.vy = -12;',
+  '}',
+  "document.addEventListener('keydown', jump);",
+  '</script>',
+].join('\n');
+
+const FILES = [
+  { path: 'index.html', content: '<!DOCTYPE html>\n<html>\n<body>\n<script src="game.js"></script>\n</body>\n</html>' },
+  { path: 'game.js', content: 'let score = 0;\nlet lives = 3;\nfunction addPoint() {\n  score += 10;\n}' },
+];
+
+test.describe('explain mode', () => {
+  test('resolves the editor selection to file lines', () => {
+    expect(selectCodeForExplanation(GAME, { startLine: 3, endLine: 5 })).toEqual({
+      file: 'index.html',
+      startLine: 3,
+      endLine: 5,
+      lines: GAME.split('\n').slice(2, 5),
+    });
+    // No selection = the whole file; out-of-range and reversed selections are clamped
+    expect(selectCodeForExplanation(GAME, null)).toMatchObject({ startLine: 1, endLine: 8 });
+    expect(selectCodeForExplanation(GAME, { startLine: 50, endLine: 6 })).toMatchObject({ startLine: 6, endLine: 8 });
+
+    const long = Array.from({ length: 200 }, (_, i) => `let v${i} = ${i};`).join('\n');
+    const capped = selectCodeForExplanation(long, { startLine: 10, endLine: 200 })!;
+    expect(capped.endLine - capped.startLine + 1).toBe(MAX_EXPLAIN_LINES);
+
+    // Multi-file projects: line numbers are relative to the selected file
+    const bundle = bundleProjectFiles(FILES);
+    expect(unbundleProjectFiles(bundle)).toEqual(unbundleInStudio(bundle));
+    expect(selectCodeForExplanation(bundle, { file: 'game.js', startLine: 2, endLine: 2 })).toEqual({
+      file: 'game.js',
+      startLine: 2,
+      endLine: 2,
+      lines: ['let lives = 3;'],
+    });
+    expect(selectCodeForExplanation(bundle, { file: 'missing.js', startLine: 1, endLine: 2 })).toBeNull();
+    expect(selectCodeForExplanation(GAME, { file: 'game.js' })).toBeNull();
+  });
+
+  test('builds a one-value challenge and keeps model line notes inside the selection', () => {
+    const excerpt = selectCodeForExplanation(GAME, { startLine: 2, endLine: 5 })!;
+    expect(buildChallenge(excerpt)).toBe(
+      'Try changing 40 on line 2 to 80, then play your game and see what happens! 🧪',
+    );
+    expect(buildChallenge({ startLine: 4, lines: ['ctx.fillText("Score", x1, y1);'] })).toContain('line 4');
+
+    const parsed = parseExplanation(
+      'Sure! {"summary": "This part sets up the player.", "lines": [{"line": 3, "note": "How fast you run."}, {"line": 40, "note": "Not selected."}, {"line": "5", "note": "Bad line."}]}',
+      excerpt,
+    );
+    expect(parsed).toEqual({
+      summary: 'This part sets up the player.',
+      lines: [{ line: 3, note: 'How fast you run.' }],
+      challenge: buildChallenge(excerpt),
+    });
+    expect(parseExplanation('no json here', excerpt)).toBeNull();
+    expect(parseExplanation('{"lines": []}', excerpt)).toBeNull();
+  });
+
+  test('explains offline without changing the code and pitches the prompt by age', async () => {
+    const excerpt = selectCodeForExplanation(GAME, { startLine: 3, endLine: 7 })!;
+    const message = formatExplanation(explainLocally(excerpt));
+    expect(message).toContain('📍 Line 4: Sets up "jump"');
+    expect(message).toContain('📍 Line 7: Listens for the player');
+    expect(message).toContain('🧪 Your challenge: Try changing 220 on line 3 to 440');
+
+    const empty = await explainCode({ prompt: 'What does this do?', currentCode: null });
+    expect(empty.code).toBeNull();
+    expect(empty.modelUsed).toBeNull();
+
+    expect(getExplainPrompt('under13')).toContain('under 13');
+    expect(getExplainPrompt('13to17')).toContain('teenager');
+    expect(getExplainPrompt('adult')).toBe(getExplainPrompt('18plus'));
+    expect(getExplainPrompt(null)).toBe(getExplainPrompt('under13'));
+  });
+});
@@ -0,0 +1,93 @@
+import { expect, test } from '@playwright/test';
+import { applyEditBlocks, parseEditBlocks, stripEditBlocks } from '../server/services/codePatch.js';
+
+const GAME = [
+  '<!DOCTYPE html>',
+  '<html>',
+  '<body>',
+  '<script>',
+  '  // ========== SETTINGS ==========',
+  '  let speed = 2;',
+  '  let lives = 3;',
+  '  function update() {',
+  '    player.x += speed;',
+  '  }',
+  '</script>',
+  '</body>',
+  '</html>',
+].join('\n');
+
+test.describe('diff-based edit patches', () => {
+  test('parses and applies search/replace blocks, ignoring banner comments in the code', () => {
+    const reply = [
+      'Zoom! I made your player faster! 🚀',
+      '',
+      '<<<<<<< SEARCH',
+      '  // ========== SETTINGS ==========',
+      '  let speed = 2;',
+      '=======',
+      '  // ========== SETTINGS ==========',
+      '  let speed = 5;',
+      '>>>>>>> REPLACE',
+      '',
+      '<<<<<<< SEARCH',
+      '  let lives = 3;',
+      '=======',
+      '>>>>>>> REPLACE',
+    ].join('\n');
+
+    const { blocks, incomplete } = parseEditBlocks(reply);
+    expect(incomplete).toBe(false);
+    expect(blocks).toHaveLength(2);
+
+    const patch = applyEditBlocks(GAME, blocks);
+    expect(patch.ok).toBe(true);
+    if (!patch.ok) return;
+    expect(patch.code).toContain('let speed = 5;');
+    expect(patch.code).not.toContain('let lives');
+    expect(patch.code).toContain('player.x += speed;');
+    expect(stripEditBlocks(reply).trim()).toBe('Zoom! I made your player faster! 🚀');
+  });
+
+  test('applies unified diff hunks and tolerates indentation drift', () => {
+    const reply = [
+      'Done!',
+      '```diff',
+      '--- a/index.html',
+      '+++ b/index.html',
+      '@@ -8,3 +8,3 @@',
+      ' function update() {',
+      '-  player.x += speed;',
+      '+    player.x += speed * 2;',
+      '```',
+    ].join('\n');
+    const { blocks } = parseEditBlocks(reply);
+    expect(blocks).toEqual([
+      {
+        search: 'function update() {\n  player.x += speed;',
+        replace: 'function update() {\n    player.x += speed * 2;',
+      },
+    ]);
+    const patch = applyEditBlocks(GAME, blocks);
+    expect(patch.ok && patch.code).toContain('\nfunction update() {\n    player.x += speed * 2;\n  }');
+  });
+
+  test('fails the whole patch on missing, ambiguous or cut-off hunks', () => {
+    expect(applyEditBlocks(GAME, [{ search: 'let score = 0;', replace: 'let score = 10;' }])).toEqual({
+      ok: false,
+      failedIndex: 0,
+      reason: 'not_found',
+    });
+    expect(
+      applyEditBlocks(GAME, [
+        { search: 'let speed = 2;', replace: 'let speed = 3;' },
+        { search: 'speed', replace: 'velocity' },
+      ]),
+    ).toMatchObject({ ok: false, failedIndex: 1, reason: 'ambiguous' });
+
+    const cutOff =
+      '<<<<<<< SEARCH\n  let speed = 2;\n=======\n  let speed = 5;\n>>>>>>> REPLACE\n<<<<<<< SEARCH\n  let li';
+    expect(parseEditBlocks(cutOff)).toMatchObject({ incomplete: true });
+    expect(parseEditBlocks('Sure! What color should it be?')).toEqual({ blocks: [], incomplete: false });
+  });
+});
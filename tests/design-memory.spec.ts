@@ -0,0 +1,54 @@
+import { expect, test } from '@playwright/test';
+import {
+  extractDesignDecisions,
+  formatDesignMemoryForPrompt,
+  mergeDesignMemory,
+  normalizeDesignMemory,
+} from '../server/services/designMemory.js';
+import { trimConversationHistory } from '../server/services/ai.js';
+import { getSystemPrompt } from '../server/prompts/index.js';
+
+test.describe('design memory', () => {
+  test('keeps the kid’s decisions and replaces ones they change', () => {
+    let memory = mergeDesignMemory(
+      null,
+      extractDesignDecisions('Make the dragon purple. You should have 5 lives, and use the arrow keys to fly'),
+    );
+    expect(memory).toMatchObject({
+      colors: ['Make the dragon purple'],
+      rules: ['You should have 5 lives'],
+      controls: ['use the arrow keys to fly'],
+    });
+
+    memory = mergeDesignMemory(memory, extractDesignDecisions('make it better! Actually make the dragon green'));
+    expect(memory?.colors).toEqual(['Actually make the dragon green']);
+    expect(memory?.rules).toEqual(['You should have 5 lives']);
+  });
+
+  test('ignores vague asks and drops malformed input', () => {
+    expect(mergeDesignMemory(null, extractDesignDecisions('fix it. why is it broken?'))).toBeNull();
+    expect(normalizeDesignMemory({ colors: ['ok', 42, ''], rules: 'nope' })).toMatchObject({
+      colors: ['ok'],
+      rules: [],
+    });
+    expect(normalizeDesignMemory([])).toBeNull();
+    expect(extractDesignDecisions('the boss should be a giant robot').characters).toEqual([
+      'the boss should be a giant robot',
+    ]);
+  });
+
+  test('is injected into the system prompt and named by the trim bridge', () => {
+    const memory = normalizeDesignMemory({ colors: ['dragon is purple'], rules: ['5 lives'] });
+    const block = formatDesignMemoryForPrompt(memory);
+    expect(block).toContain('DESIGN MEMORY');
+    expect(block).toContain('- Colors & look: dragon is purple');
+    expect(formatDesignMemoryForPrompt(null)).toBe('');
+
+    const { dynamicContext } = getSystemPrompt('<html></html>', null, null, '', 'add coins', null, null, '', block);
+    expect(dynamicContext.indexOf('DESIGN MEMORY')).toBeLessThan(dynamicContext.indexOf('CURRENT PROJECT'));
+
+    const history = Array.from({ length: 20 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `m${i}` }));
+    expect(trimConversationHistory(history, 12, { hasDesignMemory: true })[1].content).toContain('DESIGN MEMORY');
+    expect(trimConversationHistory(history, 12)[1].content).not.toContain('DESIGN MEMORY');
+  });
+});
@@ -0,0 +1,140 @@
+import { expect, test } from '@playwright/test';
+import {
+  createGalleryIndex,
+  noteGalleryActivity,
+  normalizeGalleryQuery,
+  searchGalleryIndex,
+  toGalleryEntry,
+  trendingScore,
+  updateGalleryIndex,
+} from '../server/services/galleryIndex.js';
+import { normalizeGalleryCollection } from '../server/services/galleryCollections.js';
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+function project(id: string, overrides: Record<string, unknown> = {}) {
+  return {
+    id,
+    title: `Game ${id}`,
+    code: '<html></html>',
+    isPublic: true,
+    category: 'arcade',
+    gameConfig: { genreFamily: 'platformAction', theme: 'jungle', character: 'monkey' },
+    createdAt: '2026-10-01T00:00:00.000Z',
+    views: 0,
+    likes: 0,
+    ...overrides,
+  };
+}
+
+function buildIndex(projects: ReturnType<typeof project>[]) {
+  const index = createGalleryIndex();
+  for (const p of projects) updateGalleryIndex(index, p.id, toGalleryEntry(p));
+  return index;
+}
+
+const ids = (result: { games: Array<{ id: string }> }) => result.games.map((g) => g.id);
+
+test.describe('gallery index', () => {
+  test('searches title, theme and character by word prefix', () => {
+    const index = buildIndex([
+      project('aaaaa1', { title: 'Space Jumper', gameConfig: { theme: 'outer space', character: 'rocket ship' } }),
+      project('aaaaa2', { title: 'Unicorn Dash', gameConfig: { theme: 'rainbow', character: 'unicorn' } }),
+      project('aaaaa3', { title: 'Moon Rocket Race' }),
+      project('aaaaa4', { title: 'Secret Rocket', isPublic: false }),
+    ]);
+
+    expect(ids(searchGalleryIndex(index, normalizeGalleryQuery({ q: 'spa' })))).toEqual(['aaaaa1']);
+    expect(ids(searchGalleryIndex(index, normalizeGalleryQuery({ q: 'ROCKET' }))).sort()).toEqual(['aaaaa1', 'aaaaa3']);
+    expect(ids(searchGalleryIndex(index, normalizeGalleryQuery({ q: 'rocket moon' })))).toEqual(['aaaaa3']);
+    expect(ids(searchGalleryIndex(index, normalizeGalleryQuery({ q: 'rainbow' })))).toEqual(['aaaaa2']);
+    expect(searchGalleryIndex(index, normalizeGalleryQuery({ q: 'zebra' })).total).toBe(0);
+
+    // Updates replace the old words; unpublishing removes the game
+    updateGalleryIndex(index, 'aaaaa1', toGalleryEntry(project('aaaaa1', { title: 'Ocean Jumper' })));
+    expect(searchGalleryIndex(index, normalizeGalleryQuery({ q: 'space' })).total).toBe(0);
+    updateGalleryIndex(index, 'aaaaa2', toGalleryEntry(project('aaaaa2', { isPublic: false })));
+    expect(searchGalleryIndex(index, normalizeGalleryQuery({ q: 'unicorn' })).total).toBe(0);
+    expect(index.words.has('unicorn')).toBe(false);
+  });
+
+  test('sorts by newest, likes, trending and curated order, and filters by genre family', () => {
+    const index = buildIndex([
+      project('bbbbb1', {
+        createdAt: '2026-10-01T00:00:00.000Z',
+        likes: 10,
+        activity: { '2026-10-12': { views: 500 } },
+      }),
+      project('bbbbb2', { createdAt: '2026-10-03T00:00:00.000Z', likes: 2, activity: { '2026-10-19': { views: 20 } } }),
+      project('bbbbb3', {
+        createdAt: '2026-10-02T00:00:00.000Z',
+        likes: 5,
+        gameConfig: { genreFamily: 'racingArcade' },
+        activity: { '2026-10-18': { views: 5, likes: 3 } },
+      }),
+    ]);
+    const search = (raw: Record<string, unknown>, projectIds: string[] | null = null) =>
+      ids(searchGalleryIndex(index, normalizeGalleryQuery(raw, projectIds), NOW));
+
+    expect(search({})).toEqual(['bbbbb2', 'bbbbb3', 'bbbbb1']);
+    expect(search({ sort: 'top' })).toEqual(['bbbbb1', 'bbbbb3', 'bbbbb2']);
+    // Last week's 500 views are outside the trending window
+    expect(search({ sort: 'trending' })).toEqual(['bbbbb2', 'bbbbb3', 'bbbbb1']);
+    expect(search({ genre: 'racingArcade' })).toEqual(['bbbbb3']);
+    expect(search({ genre: 'notAFamily' })).toHaveLength(3);
+    expect(search({}, ['bbbbb3', 'bbbbb1', 'zzzzzz'])).toEqual(['bbbbb3', 'bbbbb1']);
+    expect(search({ sort: 'curated' })).toEqual(['bbbbb2', 'bbbbb3', 'bbbbb1']);
+
+    const page = searchGalleryIndex(index, normalizeGalleryQuery({ limit: '2', offset: '1' }), NOW);
+    expect(page).toMatchObject({ total: 3 });
+    expect(ids(page)).toEqual(['bbbbb3', 'bbbbb1']);
+  });
+
+  test('lists public remixes of a game, newest first', () => {
+    const lineage = { projectId: 'ccccc0', creatorName: 'StarMaker', title: 'Space Jumper' };
+    const index = buildIndex([
+      project('ccccc0'),
+      project('ccccc1', { remixedFrom: lineage, createdAt: '2026-10-01T00:00:00.000Z' }),
+      project('ccccc2', { remixedFrom: lineage, isPublic: false, createdAt: '2026-10-02T00:00:00.000Z' }),
+      project('ccccc3', { remixedFrom: lineage, createdAt: '2026-10-03T00:00:00.000Z' }),
+      project('ccccc4', { remixedFrom: { ...lineage, projectId: 'other1' }, createdAt: '2026-10-04T00:00:00.000Z' }),
+    ]);
+
+    expect(ids(searchGalleryIndex(index, normalizeGalleryQuery({}, null, { remixOf: 'ccccc0' })))).toEqual([
+      'ccccc3',
+      'ccccc1',
+    ]);
+  });
+
+  test('counts plays and likes in daily buckets that decay', async () => {
+    const p = project('ccccc1', { activity: { '2026-10-01': { views: 99, likes: 0 } } }) as Record<string, unknown>;
+    await noteGalleryActivity(p, 'view', NOW);
+    await noteGalleryActivity(p, 'view', NOW);
+    await noteGalleryActivity(p, 'like', NOW);
+    expect(p.activity).toEqual({ '2026-10-19': { views: 2, likes: 1 } });
+
+    expect(trendingScore({ '2026-10-19': { views: 10 } }, NOW)).toBe(10);
+    expect(trendingScore({ '2026-10-18': { views: 10 } }, NOW)).toBeCloseTo(8);
+    expect(trendingScore({ '2026-10-19': { likes: 1 } }, NOW)).toBe(3);
+    expect(trendingScore({ '2026-10-12': { views: 10 } }, NOW)).toBe(0);
+  });
+
+  test('validates admin collections', () => {
+    expect(
+      normalizeGalleryCollection('best-platformers-october', {
+        title: ' Best Platformers of October ',
+        projectIds: ['abc234', 'xyz789', 'abc234'],
+      }),
+    ).toEqual({
+      collection: {
+        id: 'best-platformers-october',
+        title: 'Best Platformers of October',
+        description: '',
+        projectIds: ['abc234', 'xyz789'],
+      },
+    });
+    expect(normalizeGalleryCollection('Bad Slug!', { title: 'x', projectIds: [] }).error).toBeTruthy();
+    expect(normalizeGalleryCollection('picks', { title: '', projectIds: [] }).error).toBeTruthy();
+    expect(normalizeGalleryCollection('picks', { title: 'Picks', projectIds: ['../etc'] }).error).toBeTruthy();
+  });
+});
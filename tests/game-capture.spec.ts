@@ -0,0 +1,115 @@
+import { expect, test } from '@playwright/test';
+import { crc32, deflateSync } from 'zlib';
+import {
+  assembleApng,
+  gameCodeHash,
+  moderateCapture,
+  needsCapture,
+  publicGameMedia,
+} from '../server/services/gameCapture.js';
+import { moderateImage } from '../server/services/contentModeration.js';
+
+function chunk(type: string, data: Buffer) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type), data])));
+  return Buffer.concat([length, Buffer.from(type), data, crc]);
+}
+
+/** A tiny solid-colour RGB PNG. */
+function png(width: number, height: number, shade: number) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolour
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3, shade)]);
+  const pixels = deflateSync(Buffer.concat(Array.from({ length: height }, () => row)));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', pixels),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function readChunks(file: Buffer) {
+  const chunks: Array<{ type: string; data: Buffer; crcOk: boolean }> = [];
+  for (let offset = 8; offset < file.length; ) {
+    const length = file.readUInt32BE(offset);
+    const type = file.toString('ascii', offset + 4, offset + 8);
+    const data = file.subarray(offset + 8, offset + 8 + length);
+    const crcOk = file.readUInt32BE(offset + 8 + length) === crc32(file.subarray(offset + 4, offset + 8 + length));
+    chunks.push({ type, data, crcOk });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+test.describe('game capture', () => {
+  test('frames are stitched into a looping animated PNG', () => {
+    const apng = assembleApng([png(4, 3, 10), png(4, 3, 120), png(4, 3, 250)], 250)!;
+    const chunks = readChunks(apng);
+
+    expect(chunks.map((c) => c.type)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+    expect(chunks.every((c) => c.crcOk)).toBe(true);
+
+    const acTL = chunks[1].data;
+    expect([acTL.readUInt32BE(0), acTL.readUInt32BE(4)]).toEqual([3, 0]);
+    // fcTL and fdAT share one sequence counter
+    const sequence = chunks.filter((c) => c.type === 'fcTL' || c.type === 'fdAT').map((c) => c.data.readUInt32BE(0));
+    expect(sequence).toEqual([0, 1, 2, 3, 4]);
+    const fcTL = chunks[4].data;
+    expect([fcTL.readUInt32BE(4), fcTL.readUInt32BE(8), fcTL.readUInt16BE(20), fcTL.readUInt16BE(22)]).toEqual([
+      4, 3, 250, 1000,
+    ]);
+    expect(chunks[5].data.subarray(4)).toEqual(readChunks(png(4, 3, 120))[1].data);
+
+    expect(assembleApng([png(4, 3, 10), png(5, 3, 10)], 250)).toBeNull();
+    expect(assembleApng([png(4, 3, 10)], 250)).toBeNull();
+  });
+
+  test('public games are captured again when their code changes', () => {
+    const code = '<script>game()</script>';
+    const ready = { id: 'abc123', isPublic: true, code, capture: { codeHash: gameCodeHash(code), status: 'ready' } };
+
+    expect(needsCapture(ready)).toBe(false);
+    expect(needsCapture({ ...ready, code: '<script>game2()</script>' })).toBe(true);
+    expect(needsCapture({ ...ready, isPublic: false, capture: null })).toBe(false);
+    expect(needsCapture({ ...ready, capture: null })).toBe(true);
+    // No outcome is retried until the code changes, or every autosave would play the game again
+    for (const status of ['flagged', 'held', 'skipped']) {
+      expect(needsCapture({ ...ready, capture: { ...ready.capture, status } })).toBe(false);
+      expect(needsCapture({ ...ready, code: '<script>game2()</script>', capture: { ...ready.capture, status } })).toBe(
+        true,
+      );
+    }
+  });
+
+  test('only captures that passed moderation are shown', () => {
+    const capture = { codeHash: 'abcd', status: 'ready', hasPreview: true };
+    expect(publicGameMedia({ id: 'abc123', capture, thumbnail: 'data:image/png;base64,AA' })).toEqual({
+      thumbnail: '/api/projects/abc123/media/thumbnail.jpg?v=abcd',
+      previewUrl: '/api/projects/abc123/media/preview.png?v=abcd',
+    });
+    expect(publicGameMedia({ id: 'abc123', capture: { ...capture, status: 'held' }, thumbnail: 'data:x' })).toEqual({
+      thumbnail: 'data:x',
+      previewUrl: null,
+    });
+    expect(publicGameMedia({ id: 'abc123', capture: { ...capture, status: 'flagged' }, thumbnail: 'data:x' })).toEqual({
+      thumbnail: null,
+      previewUrl: null,
+    });
+  });
+
+  test('captures are held back when no image moderation endpoint is configured', async () => {
+    expect(await moderateImage(Buffer.from('img'), 'image/png')).toMatchObject({ skipped: true });
+
+    const capture = await moderateCapture([{ data: Buffer.from('img'), contentType: 'image/jpeg' }]);
+    expect(capture).toEqual({ status: 'held', reasons: ['moderation_not_configured'] });
+    expect(
+      publicGameMedia({ id: 'abc123', capture: { codeHash: 'abcd', hasPreview: false, ...capture }, thumbnail: null }),
+    ).toEqual({ thumbnail: null, previewUrl: null });
+  });
+});
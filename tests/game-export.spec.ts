@@ -0,0 +1,135 @@
+import { expect, test } from '@playwright/test';
+import { crc32, inflateRawSync } from 'zlib';
+import {
+  buildCredits,
+  buildGameExport,
+  findAssetReferences,
+  findLibraryScripts,
+  libraryFileNames,
+  resolveAssetFiles,
+  rewriteAssetPaths,
+} from '../server/services/gameExport.js';
+import { createZip } from '../server/utils/zip.js';
+
+/** Read every file back out of a zip through its central directory. */
+function unzip(zip: Buffer) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(end + 10);
+  const files = new Map<string, Buffer>();
+  let offset = zip.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    const method = zip.readUInt16LE(offset + 10);
+    const crc = zip.readUInt32LE(offset + 16);
+    const size = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = zip.readUInt32LE(offset + 42);
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const body = zip.subarray(start, start + size);
+    const data = method === 8 ? inflateRawSync(body) : body;
+    expect(crc32(data)).toBe(crc);
+    files.set(name, data);
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+test.describe('game export', () => {
+  test('zips can be read back, stored or deflated', async () => {
+    const zip = await createZip([
+      { name: 'index.html', data: '<p>hi</p>'.repeat(50) },
+      { name: 'assets/a.bin', data: Buffer.from([1, 2, 3]) },
+      { name: 'assets/b.png', data: Buffer.alloc(500) },
+    ]);
+    const files = unzip(zip);
+    expect([...files.keys()]).toEqual(['index.html', 'assets/a.bin', 'assets/b.png']);
+    expect(files.get('index.html')!.toString()).toBe('<p>hi</p>'.repeat(50));
+    expect([...files.get('assets/a.bin')!]).toEqual([1, 2, 3]);
+    expect(files.get('assets/b.png')!).toEqual(Buffer.alloc(500));
+    // Text is deflated; images are stored as they are, even when they would shrink
+    const methods = [...zip.toString('latin1').matchAll(/PK\x01\x02[\s\S]{6}([\s\S]{2})/g)].map((m) =>
+      Buffer.from(m[1], 'latin1').readUInt16LE(0),
+    );
+    expect(methods).toEqual([8, 0, 0]);
+  });
+
+  test('asset paths are found, made relative and resolved to library files', async () => {
+    const code = `
+      this.load.image('bear', '/assets/sprites/kenney-animals/Round/bear.png');
+      this.load.image('food' + n, '/assets/sprites/kenney-food/tile_' + pad(n) + '.png');
+      loader.load("/assets/models/kenney-minigolfkit/ball-blue.glb");
+      this.load.image('x', '/assets/sprites/nope/missing.png');
+      const sky = \`/assets/sprites/\${pack}/sky.png\`;`;
+
+    expect(findAssetReferences(code)).toEqual([
+      'assets/models/kenney-minigolfkit/ball-blue.glb',
+      'assets/sprites/',
+      'assets/sprites/kenney-animals/Round/bear.png',
+      'assets/sprites/kenney-food/tile_',
+      'assets/sprites/nope/missing.png',
+    ]);
+    expect(rewriteAssetPaths(code)).toContain(`'assets/sprites/kenney-animals/Round/bear.png'`);
+    expect(rewriteAssetPaths(code)).not.toContain(`'/assets/`);
+
+    const { files, unresolved } = await resolveAssetFiles(findAssetReferences(code));
+    const names = [...files.keys()];
+    expect(names).toContain('assets/sprites/kenney-animals/Round/bear.png');
+    // The model's texture sits next to it, outside the path the game wrote
+    expect(names).toContain('assets/models/kenney-minigolfkit/Textures/colormap.png');
+    expect(names.filter((name) => name.startsWith('assets/sprites/kenney-food/'))).toHaveLength(112);
+    expect(unresolved).toEqual(['assets/sprites/', 'assets/sprites/nope/missing.png']);
+
+    expect((await resolveAssetFiles(['assets/../../package.json'])).files.size).toBe(0);
+  });
+
+  test('known CDN libraries get local file names and credits', () => {
+    const code = `
+      <script src="https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js"></script>
+      <script src="https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/GLTFLoader.js"></script>
+      <script src='https://example.com/tracker.js'></script>`;
+    const scripts = findLibraryScripts(code);
+    expect(scripts.map((s) => s.library?.name ?? null)).toEqual(['Three.js', 'Three.js add-ons', null]);
+    expect([...libraryFileNames(['https://a/x/phaser.min.js', 'https://b/y/phaser.min.js']).values()]).toEqual([
+      'lib/phaser.min.js',
+      'lib/phaser-2.min.js',
+    ]);
+
+    const credits = buildCredits({
+      title: 'Space Golf',
+      creatorName: 'CoolPanda',
+      assetNames: ['assets/models/kenney-carkit/sedan.glb', 'assets/sprites/platformer/player.png'],
+      libraries: scripts.flatMap((s) => (s.library ? [s.library] : [])),
+    });
+    expect(credits).toContain('Space Golf by CoolPanda');
+    expect(credits).toContain('kenney-carkit\n  Created by Kenney (www.kenney.nl)');
+    expect(credits).toContain('Creative Commons Zero (CC0)');
+    expect(credits).toContain('  - assets/models/kenney-carkit/sedan.glb (player car)');
+    expect(credits).toContain('platformer\n  From the Vibe Code Kidz asset library');
+    expect(credits.match(/Three\.js/g)).toHaveLength(2);
+  });
+
+  test('the export plays from disk with its assets alongside', async () => {
+    const code = `<!DOCTYPE html><html><head><title>T</title>
+<script src="https://example.com/tracker.js"></script></head>
+<body><script>this.load.image('bear', '/assets/sprites/kenney-animals/Round/bear.png');</script></body></html>`;
+    const result = await buildGameExport({ code, title: 'Bear Dash!', creatorName: 'CoolPanda' });
+    if (!('zip' in result)) throw new Error(result.error);
+    expect(result.fileName).toBe('bear-dash.zip');
+
+    const files = unzip(result.zip);
+    expect([...files.keys()]).toEqual([
+      'index.html',
+      'offline-assets.js',
+      'assets/sprites/kenney-animals/Round/bear.png',
+      'CREDITS.txt',
+      'README.txt',
+    ]);
+    const html = files.get('index.html')!.toString();
+    expect(html).toContain('<head>\n<script src="offline-assets.js"></script>');
+    expect(html).toContain(`'assets/sprites/kenney-animals/Round/bear.png'`);
+    expect(files.get('offline-assets.js')!.toString()).toContain(
+      '"assets/sprites/kenney-animals/Round/bear.png":"data:image/png;base64,',
+    );
+    expect(files.get('README.txt')!.toString()).toContain('https://example.com/tracker.js');
+  });
+});
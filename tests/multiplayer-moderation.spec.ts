@@ -0,0 +1,32 @@
+import { expect, test } from '@playwright/test';
+import { summarizeRoomModeration } from '../server/services/multiplayerModeration.js';
+
+function action(action: string, targetId: string, hostId: string, createdAt = '2026-10-01T00:00:00.000Z') {
+  return { action, targetId, targetName: targetId.toUpperCase(), hostId, roomCode: 'ABCD', createdAt };
+}
+
+test.describe('multiplayer moderation summary', () => {
+  test('ranks players removed by many different hosts first', () => {
+    const summary = summarizeRoomModeration([
+      action('kick', 'solo', 'h1'),
+      action('kick', 'solo', 'h1'),
+      action('kick', 'solo', 'h1'),
+      action('kick', 'roamer', 'h1'),
+      action('mute', 'roamer', 'h2'),
+      action('kick', 'roamer', 'h3', '2026-10-05T00:00:00.000Z'),
+    ]);
+
+    expect(summary.map((s) => s.targetId)).toEqual(['roamer', 'solo']);
+    expect(summary[0]).toMatchObject({
+      kicks: 2,
+      mutes: 1,
+      distinctHosts: 3,
+      lastActionAt: '2026-10-05T00:00:00.000Z',
+    });
+  });
+
+  test('does not count unmutes against a player', () => {
+    const summary = summarizeRoomModeration([action('unmute', 'kid', 'h1')]);
+    expect(summary).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+import { expect, test } from '@playwright/test';
+import { toRecordingEvent } from '../server/services/roomRecordings.js';
+import { getReplayDuration, replayEventToGameMessage } from '../src/utils/replayHtml';
+import type { MultiplayerRecordingEvent, MultiplayerReplay } from '../src/types';
+
+const players = [
+  { id: 'user-host', name: 'Host', isHost: true },
+  { id: 'user-guest', name: 'Guest', isHost: false },
+];
+
+test.describe('multiplayer room recordings', () => {
+  test('keeps game and membership broadcasts and drops chat', () => {
+    expect(
+      toRecordingEvent({
+        type: 'game_state',
+        tick: 3,
+        delta: { x: 1 },
+        state: { x: 1, y: 2 },
+        fromPlayerId: 'user-host',
+      }),
+    ).toEqual({ kind: 'state', playerId: 'user-host', tick: 3, delta: { x: 1 } });
+    expect(toRecordingEvent({ type: 'player_input', fromPlayerId: 'user-guest', input: { jump: true } })).toEqual({
+      kind: 'input',
+      playerId: 'user-guest',
+      input: { jump: true },
+    });
+    expect(
+      toRecordingEvent({ type: 'player_joined', playerId: 'user-guest', playerName: 'Guest', players }),
+    ).toMatchObject({ kind: 'join', playerId: 'user-guest', players });
+    expect(toRecordingEvent({ type: 'chat', fromPlayerId: 'user-guest', message: 'GG' })).toBeNull();
+    expect(toRecordingEvent({ type: 'recording_changed', recording: true })).toBeNull();
+  });
+
+  test('replays a recording as the messages play.html sends the game', () => {
+    const events: MultiplayerRecordingEvent[] = [
+      { t: 0, kind: 'start', gameState: { score: 1 }, players: players.slice(0, 1) },
+      { t: 40, kind: 'join', playerId: 'user-guest', players },
+      { t: 90, kind: 'state', playerId: 'user-host', tick: 1, delta: { x: 5 } },
+      { t: 120, kind: 'state', playerId: 'user-guest', tick: 2, delta: { score: 2 } },
+      { t: 150, kind: 'input', playerId: 'user-guest', input: { jump: true } },
+      { t: 200, kind: 'end', reason: 'stopped' },
+    ];
+    const replay: MultiplayerReplay = {
+      meta: {
+        kind: 'meta',
+        id: 'rec_ABCD_1_abcdef',
+        roomCode: 'ABCD',
+        projectId: 'proj_1',
+        startedAt: '2026-10-01T00:00:00.000Z',
+        startedBy: 'host',
+        tickRate: 15,
+      },
+      events,
+      code: '<html></html>',
+      projectTitle: 'Race',
+    };
+
+    const state: Record<string, unknown> = {};
+    const messages = events.map((event) => replayEventToGameMessage(event, replay, state));
+
+    expect(messages[0]).toMatchObject({
+      type: 'mp_room_joined',
+      roomCode: 'ABCD',
+      isSpectator: true,
+      snapshot: { state: { score: 1 }, tick: 0, tickRate: 15 },
+    });
+    expect(messages[1]).toEqual({ type: 'multiplayer_player_joined', players });
+    expect(messages[3]).toMatchObject({
+      type: 'multiplayer_state',
+      state: { score: 2, x: 5 },
+      fromPlayerId: 'user-guest',
+    });
+    expect(messages[4]).toEqual({ type: 'multiplayer_input', input: { jump: true }, fromPlayerId: 'user-guest' });
+    expect(messages[5]).toBeNull();
+    expect(getReplayDuration(replay)).toBe(200);
+  });
+});
@@ -0,0 +1,86 @@
+import { expect, test } from '@playwright/test';
+import { createRoomRegistry } from '../server/services/roomRegistry.js';
+
+function makeSnapshot(code: string, projectId = 'proj_1') {
+  return {
+    code,
+    projectId,
+    hostId: 'user-host',
+    hostName: 'Host',
+    gameState: { score: 1 },
+    createdAt: Date.now(),
+    maxPlayers: 8,
+    players: [{ id: 'user-host', name: 'Host', isHost: true, instanceId: 'inst-a' }],
+  };
+}
+
+test.describe('multiplayer room registry (memory backend)', () => {
+  test('stores, lists and deletes room snapshots', async () => {
+    const registry = createRoomRegistry('memory');
+    await registry.saveRoom(makeSnapshot('ABCD'));
+    await registry.saveRoom(makeSnapshot('WXYZ', 'proj_2'));
+
+    expect(await registry.hasRoom('ABCD')).toBe(true);
+    expect(await registry.getRoom('ABCD')).toMatchObject({ code: 'ABCD', gameState: { score: 1 } });
+    expect((await registry.listRooms()).map((r) => r.code).sort()).toEqual(['ABCD', 'WXYZ']);
+    expect((await registry.listRooms({ projectId: 'proj_2' })).map((r) => r.code)).toEqual(['WXYZ']);
+
+    await registry.deleteRoom('ABCD');
+    expect(await registry.getRoom('ABCD')).toBeNull();
+  });
+
+  test('only saves over the version the caller read', async () => {
+    const registry = createRoomRegistry('memory');
+    expect(await registry.saveRoom(makeSnapshot('ABCD'))).toBe(1);
+    // A second "new room" with the same code loses
+    expect(await registry.saveRoom(makeSnapshot('ABCD'))).toBeNull();
+
+    // Two instances read version 1; the kick lands first, the stale state save is refused
+    const kicked = { ...(await registry.getRoom('ABCD')), kickedPlayerIds: ['user-2'] };
+    const stale = { ...(await registry.getRoom('ABCD')), gameState: { score: 2 } };
+    expect(await registry.saveRoom(kicked)).toBe(2);
+    expect(await registry.saveRoom(stale)).toBeNull();
+    expect(await registry.saveRoom({ ...(await registry.getRoom('ABCD')), gameState: { score: 2 } })).toBe(3);
+    expect(await registry.getRoom('ABCD')).toMatchObject({ version: 3, kickedPlayerIds: ['user-2'] });
+
+    // A closed room isn't brought back by a late save
+    await registry.deleteRoom('ABCD');
+    expect(await registry.saveRoom(stale)).toBeNull();
+    expect(await registry.hasRoom('ABCD')).toBe(false);
+  });
+
+  test('returns copies so callers cannot mutate the stored snapshot', async () => {
+    const registry = createRoomRegistry('memory');
+    await registry.saveRoom(makeSnapshot('ABCD'));
+
+    const copy = await registry.getRoom('ABCD');
+    copy.players.push({ id: 'intruder', name: 'Nope', isHost: false, instanceId: 'x' });
+
+    expect((await registry.getRoom('ABCD')).players).toHaveLength(1);
+  });
+
+  test('prunes rooms that have been idle past the TTL', async () => {
+    const registry = createRoomRegistry('memory');
+    await registry.saveRoom(makeSnapshot('ABCD'));
+
+    expect(await registry.pruneStale(60_000)).toBe(0);
+    expect(await registry.pruneStale(-1)).toBe(1);
+    expect(await registry.hasRoom('ABCD')).toBe(false);
+  });
+
+  test('tags published envelopes with the room code and instance id', async () => {
+    const registry = createRoomRegistry('memory');
+    const received: Array<Record<string, unknown>> = [];
+    registry.onMessage((envelope) => received.push(envelope));
+
+    await registry.publish('ABCD', { message: { type: 'chat', message: 'GG' }, excludePlayerId: 'user-host' });
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({
+      code: 'ABCD',
+      instanceId: registry.instanceId,
+      excludePlayerId: 'user-host',
+      message: { type: 'chat', message: 'GG' },
+    });
+  });
+});
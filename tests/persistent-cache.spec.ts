@@ -0,0 +1,55 @@
+import { expect, test } from '@playwright/test';
+import { createTieredCache, purgeExpiredCacheEntries } from '../server/services/persistentCache.js';
+
+// File backend (no DATABASE_URL in tests); a unique namespace keeps runs isolated
+const namespace = `spec-${process.pid}-${Date.now()}`;
+const options = { namespace, ttlMs: 60_000, maxEntries: 2, version: 'v1' };
+
+test.afterAll(async () => {
+  await createTieredCache(options).clear();
+});
+
+test.describe('tiered AI cache', () => {
+  test('survives a restart through the persistent tier and reports tiers separately', async () => {
+    const first = createTieredCache(options);
+    await first.set('add lasers', { response: 'Pew pew!', code: '<html></html>', model: 'claude' });
+    expect(await first.get('add lasers')).toMatchObject({ response: 'Pew pew!', tier: 'memory', hitCount: 1 });
+
+    // A fresh instance (new deploy / another server) has an empty memory tier
+    const second = createTieredCache(options);
+    expect(await second.get('add lasers')).toMatchObject({ code: '<html></html>', tier: 'persistent' });
+    expect(await second.get('add lasers')).toMatchObject({ tier: 'memory' });
+    expect(await second.get('make it faster')).toBeNull();
+
+    const stats = second.stats();
+    expect(stats).toMatchObject({ hits: 2, misses: 1, hitRate: '66.7%' });
+    expect(stats.memory).toEqual({ hits: 1, lookups: 3, hitRate: '33.3%' });
+    expect(stats.persistent).toMatchObject({ backend: 'file', hits: 1, lookups: 2, hitRate: '50.0%', errors: 0 });
+  });
+
+  test('misses entries from another schema version or past their TTL', async () => {
+    await createTieredCache(options).set('jump', { response: 'Boing' });
+    expect(await createTieredCache({ ...options, version: 'v2' }).get('jump')).toBeNull();
+
+    const shortLived = createTieredCache({ ...options, ttlMs: 20 });
+    await shortLived.set('expiring', { response: 'Soon gone' });
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    expect(await shortLived.get('expiring')).toBeNull();
+    expect(await createTieredCache(options).get('expiring')).toBeNull();
+
+    expect(await purgeExpiredCacheEntries(namespace)).toBe(1);
+    expect(await createTieredCache(options).get('jump')).toMatchObject({ response: 'Boing' });
+  });
+
+  test('evicts the least recently used memory entry but keeps it in storage', async () => {
+    const cache = createTieredCache(options);
+    await cache.set('a', { response: 'A' });
+    await cache.set('b', { response: 'B' });
+    await cache.get('a');
+    await cache.set('c', { response: 'C' });
+
+    expect(cache.size).toBe(2);
+    expect(cache.stats().evictions).toBe(1);
+    expect(await cache.get('b')).toMatchObject({ response: 'B', tier: 'persistent' });
+  });
+});
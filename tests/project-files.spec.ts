@@ -0,0 +1,102 @@
+import { expect, test } from '@playwright/test';
+import { bundleProjectFiles, normalizeProjectFiles } from '../server/services/projectFiles.js';
+import { applyEditBlocks, parseEditBlocks } from '../server/services/codePatch.js';
+import { getSystemPrompt } from '../server/prompts/index.js';
+import {
+  addProjectFile,
+  bundleProjectFiles as bundleInStudio,
+  removeProjectFile,
+  splitHtmlIntoFiles,
+  unbundleProjectFiles,
+} from '../src/utils/projectFiles';
+
+const INDEX = [
+  '<!DOCTYPE html>',
+  '<html>',
+  '<head>',
+  '  <link rel="stylesheet" href="style.css">',
+  '</head>',
+  '<body>',
+  '  <canvas id="game"></canvas>',
+  '  <script src="game.js"></script>',
+  '</body>',
+  '</html>',
+].join('\n');
+
+const FILES = [
+  { path: 'levels.json', content: '{ "levels": [1, 2, 3] }' },
+  { path: 'index.html', content: INDEX },
+  { path: 'game.js', content: 'let speed = 2;\nfetch("levels.json");' },
+  { path: 'style.css', content: 'canvas { background: black; }' },
+];
+
+test.describe('multi-file projects', () => {
+  test('bundles files into one document and splits it back losslessly', () => {
+    const files = normalizeProjectFiles(FILES);
+    expect(files?.map((f) => f.path)).toEqual(['index.html', 'game.js', 'levels.json', 'style.css']);
+
+    const bundle = bundleProjectFiles(files!);
+    expect(bundle).toContain('<script data-vibe-file="game.js">\nlet speed = 2;');
+    expect(bundle).toContain('<style data-vibe-file="style.css">');
+    expect(bundle).toContain('<script type="application/json" data-vibe-file="levels.json">');
+    expect(bundle).toContain('data-vibe-runtime="files"');
+    expect(bundle).not.toContain('src="game.js"');
+
+    // The studio bundles with the same module as the server, and unbundling round-trips
+    expect(bundleInStudio(FILES)).toBe(bundle);
+    expect(unbundleProjectFiles(bundle)).toEqual(files);
+    expect(unbundleProjectFiles('<html><body>one file</body></html>')).toBeNull();
+  });
+
+  test('rejects unsafe or incomplete file sets', () => {
+    expect(normalizeProjectFiles([{ path: 'game.js', content: '' }])).toBeNull();
+    expect(normalizeProjectFiles([...FILES, { path: '../secrets.js', content: '' }])).toBeNull();
+    expect(normalizeProjectFiles([...FILES, { path: 'page.html', content: '' }])).toBeNull();
+    expect(normalizeProjectFiles([...FILES, { path: 'GAME.js', content: '' }])).toBeNull();
+    expect(normalizeProjectFiles('index.html')).toBeNull();
+  });
+
+  test('splits a single-file game and keeps tags in sync when files come and go', () => {
+    const single =
+      '<html><head><style>\nbody { margin: 0; }\n</style></head><body><script>\nlet x = 1;\n</script></body></html>';
+    const split = splitHtmlIntoFiles(single);
+    expect(split.map((f) => f.path)).toEqual(['index.html', 'game.js', 'style.css']);
+    expect(split[0].content).toBe(
+      '<html><head><link rel="stylesheet" href="style.css"></head><body><script src="game.js"></script></body></html>',
+    );
+
+    const added = addProjectFile(split, 'enemies.js');
+    expect(added[0].content).toContain('<script src="enemies.js"></script>\n</body>');
+    const removed = removeProjectFile(added, 'enemies.js');
+    expect(removed[0].content).not.toContain('enemies.js');
+    expect(removed.map((f) => f.path)).toEqual(['index.html', 'game.js', 'style.css']);
+  });
+
+  test('lets the AI aim an edit hunk at one file', () => {
+    const bundle = bundleProjectFiles(
+      normalizeProjectFiles([
+        {
+          path: 'index.html',
+          content: '<html><body><script src="a.js"></script><script src="b.js"></script></body></html>',
+        },
+        { path: 'a.js', content: 'let speed = 2;' },
+        { path: 'b.js', content: 'let speed = 2;' },
+      ])!,
+    );
+    const { blocks } = parseEditBlocks('<<<<<<< SEARCH b.js\nlet speed = 2;\n=======\nlet speed = 9;\n>>>>>>> REPLACE');
+    expect(blocks).toEqual([{ search: 'let speed = 2;', replace: 'let speed = 9;', file: 'b.js' }]);
+
+    const patch = applyEditBlocks(bundle, blocks);
+    expect(patch.ok).toBe(true);
+    const files = unbundleProjectFiles((patch as { code: string }).code)!;
+    expect(files.find((f) => f.path === 'a.js')?.content).toBe('let speed = 2;');
+    expect(files.find((f) => f.path === 'b.js')?.content).toBe('let speed = 9;');
+
+    // Without the file name the same hunk is ambiguous; a missing file fails cleanly
+    expect(applyEditBlocks(bundle, [{ search: 'let speed = 2;', replace: 'x' }])).toMatchObject({ ok: false });
+    expect(applyEditBlocks(bundle, [{ ...blocks[0], file: 'c.js' }])).toMatchObject({ reason: 'unknown_file' });
+
+    const { dynamicContext } = getSystemPrompt(bundle);
+    expect(dynamicContext).toContain('MULTI-FILE PROJECT');
+  });
+});
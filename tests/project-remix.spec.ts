@@ -0,0 +1,79 @@
+import { expect, test } from '@playwright/test';
+import { buildRemixProject, checkRemixAllowed } from '../server/services/projectRemix.js';
+
+const SOURCE = {
+  id: 'abc234',
+  title: 'Space Jumper',
+  code: '<html><body><canvas></canvas></body></html>',
+  files: null,
+  category: 'arcade',
+  gameConfig: { engineId: 'vibe-2d' },
+  editorScene: { entities: [] },
+  designMemory: { summary: 'A jumping game' },
+  userId: 'creator-1',
+  creatorName: 'StarMaker',
+  isPublic: true,
+  views: 120,
+  likes: 9,
+  likedBy: ['someone'],
+  headVersionId: 'v1',
+};
+
+test.describe('project remix', () => {
+  test('only public games (or your own) that allow remixing can be remixed', () => {
+    expect(checkRemixAllowed(SOURCE, 'kid-2')).toEqual({ allowed: true });
+    expect(checkRemixAllowed({ ...SOURCE, isPublic: false }, 'kid-2')).toMatchObject({ allowed: false, status: 404 });
+    expect(checkRemixAllowed({ ...SOURCE, allowRemix: false }, 'kid-2')).toMatchObject({
+      allowed: false,
+      status: 403,
+    });
+    // Creators can always remix their own games
+    expect(checkRemixAllowed({ ...SOURCE, isPublic: false, allowRemix: false }, 'creator-1')).toEqual({
+      allowed: true,
+    });
+  });
+
+  test('copies the game into a private draft with lineage', () => {
+    const remix = buildRemixProject(SOURCE, {
+      id: 'xyz789',
+      userId: 'kid-2',
+      creatorName: 'PixelPal',
+      sourceCreatorName: 'StarMaker',
+      now: '2026-10-19T00:00:00.000Z',
+    });
+
+    expect(remix).toMatchObject({
+      id: 'xyz789',
+      title: 'Space Jumper Remix',
+      code: SOURCE.code,
+      gameConfig: SOURCE.gameConfig,
+      editorScene: SOURCE.editorScene,
+      designMemory: null,
+      userId: 'kid-2',
+      creatorName: 'PixelPal',
+      isPublic: false,
+      isDraft: true,
+      remixedFrom: { projectId: 'abc234', creatorName: 'StarMaker', title: 'Space Jumper' },
+      views: 0,
+      likes: 0,
+    });
+    expect(remix).not.toHaveProperty('likedBy');
+    expect(remix).not.toHaveProperty('headVersionId');
+
+    // Remixing a remix doesn't stack suffixes, and long titles still fit
+    expect(buildRemixProject(remix, { id: 'a', userId: 'u', creatorName: 'x', sourceCreatorName: 'y' }).title).toBe(
+      'Space Jumper Remix',
+    );
+    const longTitle = buildRemixProject(
+      { ...SOURCE, title: 'A'.repeat(50) },
+      {
+        id: 'a',
+        userId: 'u',
+        creatorName: 'x',
+        sourceCreatorName: 'y',
+      },
+    ).title;
+    expect(longTitle).toHaveLength(50);
+    expect(longTitle.endsWith(' Remix')).toBe(true);
+  });
+});
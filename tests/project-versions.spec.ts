@@ -0,0 +1,104 @@
+import { expect, test } from '@playwright/test';
+import {
+  isSameGameState,
+  linkLegacyVersions,
+  normalizeCheckpointName,
+  planVersionPrune,
+  toVersionHistory,
+} from '../server/services/projectVersions.js';
+import { diffLines } from '../server/services/lineDiff.js';
+
+function version(versionId: string, parentId: string | null, extra: Record<string, unknown> = {}) {
+  return { versionId, parentId, title: 'Game', savedAt: '2026-10-19T00:00:00.000Z', ...extra };
+}
+
+test.describe('project versions', () => {
+  test('pruning keeps the original, checkpoints and the head and re-attaches orphaned children', () => {
+    const versions = [
+      version('v1', null),
+      version('v2', 'v1', { checkpointName: 'before boss fight' }),
+      version('v3', 'v2'),
+      version('v4', 'v3'),
+      version('v5', 'v4'),
+      version('v6', 'v4'),
+    ];
+
+    // Keep one unnamed version besides the head (v6): the oldest, v3 and v4, go
+    const plan = planVersionPrune(versions, 'v6', 1);
+    expect(plan.remove).toEqual(['v3', 'v4']);
+    expect(plan.reparent).toEqual([
+      { versionId: 'v5', parentId: 'v2' },
+      { versionId: 'v6', parentId: 'v2' },
+    ]);
+
+    expect(planVersionPrune(versions, 'v6', 20)).toEqual({ remove: [], reparent: [] });
+  });
+
+  test('history built from older flat lists is a straight line and restores show up as branches', () => {
+    expect(linkLegacyVersions([version('a', null), version('b', null), version('c', 'a')])).toMatchObject([
+      { versionId: 'a', parentId: null },
+      { versionId: 'b', parentId: 'a' },
+      { versionId: 'c', parentId: 'a' },
+    ]);
+
+    // v1 → v2 → v3, then v2 was restored and edited into v4
+    const history = toVersionHistory(
+      [
+        version('v1', null),
+        version('v2', 'v1', { prompt: 'add a boss' }),
+        version('v3', 'v2', { autoSave: true }),
+        version('v4', 'v2', { checkpointName: 'two bosses' }),
+      ],
+      'v4',
+    );
+    expect(history.map((v) => v.versionId)).toEqual(['v4', 'v3', 'v2', 'v1']);
+    expect(history[0]).toMatchObject({ isCurrent: true, branchedFrom: 2, checkpointName: 'two bosses' });
+    expect(history[1]).toMatchObject({ isCurrent: false, branchedFrom: null, autoSave: true });
+    expect(history[2]).toMatchObject({ prompt: 'add a boss', branchedFrom: null });
+    expect(history[3]).toMatchObject({ isOriginal: true, versionNumber: 1 });
+  });
+
+  test('checkpoint names are tidied and game state ignores the title', () => {
+    expect(normalizeCheckpointName('  before   boss fight ')).toBe('before boss fight');
+    expect(normalizeCheckpointName('   ')).toBeNull();
+    expect(normalizeCheckpointName('x'.repeat(60))).toHaveLength(40);
+
+    const scene = { entities: [{ id: 'p1' }] };
+    expect(isSameGameState({ code: 'a', editorScene: scene, title: 'One' }, { code: 'a', editorScene: scene })).toBe(
+      true,
+    );
+    expect(isSameGameState({ code: 'a', editorScene: null }, { code: 'a', editorScene: scene })).toBe(false);
+  });
+
+  test('line diff shows changed lines with context and line numbers', () => {
+    const before = ['const speed = 200;', 'let lives = 3;', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'end();'].join('\n');
+    const after = ['const speed = 400;', 'let lives = 3;', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'boss();', 'end();'].join(
+      '\n',
+    );
+    const diff = diffLines(before, after, { context: 1 });
+
+    expect(diff).toMatchObject({ added: 2, removed: 1 });
+    expect(diff.hunks).toEqual([
+      {
+        oldStart: 1,
+        newStart: 1,
+        lines: [
+          { type: '-', text: 'const speed = 200;' },
+          { type: '+', text: 'const speed = 400;' },
+          { type: ' ', text: 'let lives = 3;' },
+        ],
+      },
+      {
+        oldStart: 9,
+        newStart: 9,
+        lines: [
+          { type: ' ', text: 'g' },
+          { type: '+', text: 'boss();' },
+          { type: ' ', text: 'end();' },
+        ],
+      },
+    ]);
+
+    expect(diffLines('same\n', 'same')).toEqual({ added: 0, removed: 0, hunks: [] });
+  });
+});
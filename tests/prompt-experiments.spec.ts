@@ -0,0 +1,118 @@
+import { expect, test } from '@playwright/test';
+import {
+  assignPromptVariant,
+  buildPromptExperimentReport,
+  parsePromptExperiment,
+} from '../server/services/promptExperiments.js';
+import { getSystemPrompt } from '../server/prompts/index.js';
+import { getPersonalityWrapper } from '../server/prompts/personalities.js';
+
+const experiment = parsePromptExperiment('prompts-test', 'control:3, restart-first:1, not-a-variant:5');
+
+test.describe('prompt A/B experiments', () => {
+  test('buckets each user stickily and by weight', () => {
+    expect(experiment).toEqual({
+      id: 'prompts-test',
+      variants: [
+        { id: 'control', weight: 3 },
+        { id: 'restart-first', weight: 1 },
+      ],
+    });
+    expect(parsePromptExperiment('prompts-test', 'control')).toBeNull();
+    expect(parsePromptExperiment('', 'control,restart-first')).toBeNull();
+
+    const first = assignPromptVariant({ userId: 'user-42' }, experiment);
+    for (let i = 0; i < 5; i++) expect(assignPromptVariant({ userId: 'user-42' }, experiment)).toBe(first);
+
+    const counts = { control: 0, 'restart-first': 0 };
+    for (let i = 0; i < 2000; i++) counts[assignPromptVariant({ userId: `user-${i}` }, experiment)!] += 1;
+    expect(counts.control / 2000).toBeGreaterThan(0.7);
+    expect(counts.control / 2000).toBeLessThan(0.8);
+
+    // Anonymous sessions bucket by session id; no id or no experiment = not enrolled
+    expect(assignPromptVariant({ sessionId: 'sess-1' }, experiment)).toMatch(/^(control|restart-first)$/);
+    expect(assignPromptVariant({}, experiment)).toBeNull();
+    expect(assignPromptVariant({ userId: 'user-42' }, null)).toBeNull();
+  });
+
+  test('variants change only their prompt surfaces', () => {
+    const profile = { engineId: 'vibe-2d', dimension: '2d', genreFamily: 'platformAction' };
+    const control = getSystemPrompt(null, null, 'platformer', '', 'make a platformer', profile);
+    expect(
+      getSystemPrompt(null, null, 'platformer', '', 'make a platformer', profile, null, '', '', 'control'),
+    ).toEqual(control);
+
+    const restartFirst = getSystemPrompt(
+      null,
+      null,
+      'platformer',
+      '',
+      'make a platformer',
+      profile,
+      null,
+      '',
+      '',
+      'restart-first',
+    );
+    expect(restartFirst.staticPrompt).toBe(control.staticPrompt);
+    expect(restartFirst.dynamicContext.split('GAME OVER CHECKLIST')).toHaveLength(2);
+
+    const hudPolish = getSystemPrompt(null, null, null, '', 'make a game', profile, null, '', '', 'hud-polish');
+    expect(hudPolish.staticPrompt).toContain('BEFORE YOU ANSWER, CHECK');
+    expect(hudPolish.dynamicContext).toContain("setStroke('#000', 4)");
+
+    expect(getPersonalityWrapper('grok', 'short-replies')).toContain('REPLY LENGTH');
+    expect(getPersonalityWrapper('grok', 'restart-first')).toBe(getPersonalityWrapper('grok'));
+  });
+
+  test('reports outcome score, thumbs-up, truncation and cost per variant', () => {
+    const variants = buildPromptExperimentReport({
+      generateEvents: [
+        { generationId: 'g1', promptVariant: 'control', wasTruncated: false },
+        { generationId: 'g2', promptVariant: 'control', wasTruncated: true },
+        { generationId: 'g3', promptVariant: 'restart-first', wasTruncated: false },
+        { generationId: 'g4', promptVariant: null, wasTruncated: true },
+      ],
+      outcomeEvents: [
+        { kind: 'generation', generationId: 'g1', promptVariant: 'control', score: 6 },
+        { kind: 'generation', generationId: 'g2', promptVariant: 'control', score: 2 },
+        { kind: 'generation', generationId: 'g3', promptVariant: 'restart-first', score: 7 },
+        { kind: 'feedback', generationId: 'g1', outcome: 'thumbsUp' },
+        { kind: 'feedback', generationId: 'g2', outcome: 'thumbsDown' },
+        { kind: 'feedback', generationId: 'g3', outcome: 'thumbsUp' },
+        { kind: 'feedback', generationId: 'g4', outcome: 'thumbsUp' },
+      ],
+      costByGeneration: new Map([
+        ['g1', 1.5],
+        ['g2', 2.5],
+        ['g3', 1.25],
+        ['g4', 9],
+      ]),
+    });
+
+    expect(variants).toEqual({
+      control: {
+        generations: 2,
+        truncated: 1,
+        truncationRate: 0.5,
+        averageScore: 4,
+        thumbsUp: 1,
+        thumbsDown: 1,
+        thumbsUpRate: 0.5,
+        costCents: 4,
+        costPerGeneration: 2,
+      },
+      'restart-first': {
+        generations: 1,
+        truncated: 0,
+        truncationRate: 0,
+        averageScore: 7,
+        thumbsUp: 1,
+        thumbsDown: 0,
+        thumbsUpRate: 1,
+        costCents: 1.25,
+        costPerGeneration: 1.25,
+      },
+    });
+  });
+});
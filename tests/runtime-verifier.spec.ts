@@ -0,0 +1,65 @@
+import { expect, test } from '@playwright/test';
+import { formatRuntimeReport, judgeRuntime, verifyGameRuntime } from '../server/services/runtimeVerifier.js';
+import { scoreEngineOutcome } from '../server/services/engineOutcomes.js';
+
+const healthy = { pageErrors: [], consoleErrors: [], frameCount: 180, canvasCount: 1, canvasDrawn: true };
+
+test.describe('runtime verdicts', () => {
+  test('fails crashes, dead game loops and blank canvases, but not console noise', () => {
+    expect(judgeRuntime(healthy)).toEqual({ status: 'passed', reasons: [] });
+    expect(judgeRuntime({ ...healthy, consoleErrors: ['sprite.png 404'] }).status).toBe('passed');
+    // DOM-only games (no canvas) don't need a requestAnimationFrame loop
+    expect(judgeRuntime({ ...healthy, frameCount: 0, canvasCount: 0, canvasDrawn: false }).status).toBe('passed');
+
+    const broken = {
+      ...healthy,
+      pageErrors: ["TypeError: Cannot read properties of undefined (reading 'x')"],
+      consoleErrors: ['Phaser: texture "hero" missing'],
+      frameCount: 0,
+      canvasDrawn: false,
+    };
+    const verdict = judgeRuntime(broken);
+    expect(verdict).toEqual({
+      status: 'failed',
+      reasons: ['uncaught_exception', 'no_animation_frames', 'blank_canvas'],
+    });
+
+    const report = formatRuntimeReport({ ...broken, ...verdict });
+    expect(report).toContain("- Uncaught error: TypeError: Cannot read properties of undefined (reading 'x')");
+    expect(report).toContain('requestAnimationFrame was not called');
+    expect(report).toContain('- Console error: Phaser: texture "hero" missing');
+  });
+
+  test('scores runtime outcomes into engine rankings', () => {
+    const base = {
+      hasCode: true,
+      validationSafe: true,
+      repairAttempted: false,
+      repairSucceeded: false,
+      usedSpriteAssets: false,
+      usedModelAssets: false,
+    };
+    const unverified = scoreEngineOutcome(base);
+    expect(scoreEngineOutcome({ ...base, runtimeVerdict: 'passed' })).toBe(unverified + 1);
+    expect(scoreEngineOutcome({ ...base, runtimeVerdict: 'failed' })).toBe(unverified - 2);
+    expect(scoreEngineOutcome({ ...base, runtimeVerdict: 'skipped' })).toBe(unverified);
+  });
+});
+
+test.describe('headless test-play', () => {
+  test('catches a game that throws before its loop starts', async () => {
+    const result = await verifyGameRuntime(
+      `<!DOCTYPE html><html><body><canvas id="c" width="100" height="100"></canvas><script>
+        const ctx = document.getElementById('c').getContext('2d');
+        player.x = 10;
+        requestAnimationFrame(function loop() { ctx.fillRect(0, 0, 10, 10); requestAnimationFrame(loop); });
+      </script></body></html>`,
+      { durationMs: 500 },
+    );
+    test.skip(result.status === 'skipped', 'Chromium is not installed (npx playwright install chromium).');
+
+    expect(result.status).toBe('failed');
+    expect(result.reasons).toEqual(['uncaught_exception', 'no_animation_frames', 'blank_canvas']);
+    expect(result.pageErrors[0]).toContain('player is not defined');
+  });
+});
@@ -0,0 +1,64 @@
+import { expect, test } from '@playwright/test';
+import { createCodeDeltaStream } from '../server/services/codeStream.js';
+import { getPartialPreviewHtml } from '../src/utils/partialPreview';
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test.describe('partial preview html', () => {
+  test('waits until the body has opened', () => {
+    expect(getPartialPreviewHtml("Here's your game!\n```html\n<!DOCTYPE html><html><head><style>")).toBeNull();
+    expect(getPartialPreviewHtml('Just chatting, no code yet')).toBeNull();
+    expect(getPartialPreviewHtml('```html\n<!DOCTYPE html><html><head></head><body><h1>Hi</h1>')).toBe(
+      '<!DOCTYPE html><html><head></head><body><h1>Hi</h1>',
+    );
+  });
+
+  test('drops an unterminated script, a half-written tag and the closing fence', () => {
+    const draft =
+      '```html\n<!DOCTYPE html><html><body><canvas id="c"></canvas><script>var a = 1;</script><div class="hud"><script>function loop() {';
+    expect(getPartialPreviewHtml(draft)).toBe(
+      '<!DOCTYPE html><html><body><canvas id="c"></canvas><script>var a = 1;</script><div class="hud">',
+    );
+    expect(getPartialPreviewHtml('<html><body><p>Score</p><but')).toBe('<html><body><p>Score</p>');
+    expect(getPartialPreviewHtml('```html\n<html><body></body></html>\n```\nHave fun!')).toBe(
+      '<html><body></body></html>\n',
+    );
+  });
+});
+
+test.describe('code delta stream', () => {
+  test('batches chunks and resets when the model restarts', async () => {
+    const sent: Array<Record<string, unknown>> = [];
+    const stream = createCodeDeltaStream((payload) => sent.push(payload), { intervalMs: 10 });
+
+    stream.push('<html>');
+    stream.push('<body>');
+    await wait(30);
+    expect(sent).toEqual([{ text: '<html><body>' }]);
+
+    stream.push(null);
+    stream.push('<html>');
+    await wait(30);
+    expect(sent).toEqual([{ text: '<html><body>' }, { reset: true }, { text: '<html>' }]);
+
+    stream.close();
+    stream.push('<body>');
+    await wait(30);
+    expect(sent).toHaveLength(3);
+  });
+
+  test('withdraws the draft and stops streaming when it trips the output filter', async () => {
+    const sent: Array<Record<string, unknown>> = [];
+    const stream = createCodeDeltaStream((payload) => sent.push(payload), { intervalMs: 10 });
+
+    stream.push('<html><body><script>');
+    await wait(30);
+    stream.push('localStorage.setItem("best", 10);</script>');
+    await wait(30);
+    stream.push('<p>more</p>');
+    await wait(30);
+
+    expect(sent).toEqual([{ text: '<html><body><script>' }, { reset: true }]);
+    stream.close();
+  });
+});